@@ -1,12 +1,20 @@
 const constants = require('./FinsConstants');
 const {wordsToBytes, isInt} = require('./FinsDataUtils');
+const { FinsAddressError } = require('./FinsErrors');
 
 
 module.exports = FinsAddressUtil;
 
-function FinsAddressUtil(PLCType) {
+/**
+ * FINS address parsing & encoding for a PLC type
+ * @param {string} PLCType - the PLC type (`MODE`) e.g. `"CS"` or `"CV"`
+ * @param {object} [capabilities] - Optional capability profile (number of words in each area, see `constants.CapabilityProfiles`).
+ * When set, addresses & counts outside the profile throw a `FinsAddressError`
+ */
+function FinsAddressUtil(PLCType, capabilities) {
     /** @type {FinsAddressUtil} */ const self = this;
     self.PLCType = PLCType
+    self.capabilities = capabilities || null;
     self.memoryAreas = constants.MemoryAreas.CS;
     switch (self.PLCType) {
     case "CV":
@@ -15,7 +23,9 @@ function FinsAddressUtil(PLCType) {
     case "CS":
     case "CSCJ":
     case "CJ":
+    case "CJ2":
     case "CP":
+    case "CP1":
     case "NJ":
     case "NJNX":
     case "NX":
@@ -50,24 +60,105 @@ function FinsAddressUtil(PLCType) {
 
     function addressToString (decodedMemoryAddress, offsetWD, offsetBit) {
         offsetWD = isInt(offsetWD, 0);
+        //areas ending in a number (e.g. E1) need a separator (E1_100) so they can be parsed back
+        const area = /[0-9]$/.test(decodedMemoryAddress.MemoryArea) ? `${decodedMemoryAddress.MemoryArea}_` : decodedMemoryAddress.MemoryArea;
         if (decodedMemoryAddress.isBitAddress) {
             if(decodedMemoryAddress.MemoryArea === "C" || decodedMemoryAddress.MemoryArea === "T") {
-                return `${decodedMemoryAddress.MemoryArea}${parseInt(decodedMemoryAddress.Address) + offsetWD}.x`;        
+                return `${area}${parseInt(decodedMemoryAddress.Address) + offsetWD}.x`;        
             }
             offsetBit = isInt(offsetBit, 0);
-            return `${decodedMemoryAddress.MemoryArea}${parseInt(decodedMemoryAddress.Address) + offsetWD}.${decodedMemoryAddress.Bit + offsetBit}`;
+            return `${area}${parseInt(decodedMemoryAddress.Address) + offsetWD}.${decodedMemoryAddress.Bit + offsetBit}`;
         }
-        return `${decodedMemoryAddress.MemoryArea}${parseInt(decodedMemoryAddress.Address) + offsetWD}`;
+        return `${area}${parseInt(decodedMemoryAddress.Address) + offsetWD}`;
+    }
+
+    /**
+     * Get the address string of the element `elementOffset` elements after `decodedMemoryAddress`
+     * e.g. D100 + 5 = D105, D100.14 + 3 = D101.1, T10.x + 2 = T12.x
+     * @param {Object} decodedMemoryAddress - a valid Memory Address with `MemoryArea`, Address`, `Bit`
+     * @param {number} elementOffset - number of elements (words or bits) to offset the address by
+     * @returns {string} the offset address
+     */
+    function offsetAddress (decodedMemoryAddress, elementOffset) {
+        elementOffset = isInt(elementOffset, 0);
+        if (decodedMemoryAddress.isBitAddress && decodedMemoryAddress.Bit !== '') {
+            const bitNo = decodedMemoryAddress.Bit + elementOffset;
+            const wdOffset = Math.floor(bitNo / 16);
+            return addressToString(decodedMemoryAddress, wdOffset, (bitNo % 16) - decodedMemoryAddress.Bit);
+        }
+        return addressToString(decodedMemoryAddress, elementOffset, 0);
     }
     
+    /**
+     * The EM bank number of an EM area name e.g. `E1` = 1, `EA` = 10, `E10` = 16 (`null` for other areas & `EM` the current bank)
+     */
+    function emBankNumber(area) {
+        if (!/^E[0-9A-F]+$/.test(area)) {
+            return null;
+        }
+        if (area === "EE" || area === "EF") {
+            return area === "EE" ? 13 : 14; //banks D & E (see the memory area codes)
+        }
+        return parseInt(area.substring(1), 16);
+    }
+
+    /**
+     * Check an address (and the `count` elements from it) is within the capability profile. Does nothing if no profile is set.
+     * @param {Object} decodedMemoryAddress - a valid Memory Address with `MemoryArea`, Address`, `Bit`
+     * @param {number} [count=1] - the number of elements (words, bits or double words) accessed from the address
+     * @throws {FinsAddressError} if the address or range is outside the profile
+     */
+    function checkRange(decodedMemoryAddress, count) {
+        const capabilities = self.capabilities;
+        if (!capabilities) {
+            return;
+        }
+        count = Math.max(1, isInt(count, 1));
+        const address = addressToString(decodedMemoryAddress, 0, 0);
+        const area = decodedMemoryAddress.MemoryArea;
+        const bank = emBankNumber(area);
+        if (bank != null && capabilities.EMBanks != null && bank >= capabilities.EMBanks) {
+            const banks = capabilities.EMBanks ? `${capabilities.EMBanks} EM banks (E0 to E${(capabilities.EMBanks - 1).toString(16).toUpperCase()})` : "no EM area";
+            throw new FinsAddressError(`'${address}' is out of range. The PLC has ${banks}`, address);
+        }
+        const size = bank != null || area === "EM" ? capabilities.E : capabilities[area];
+        if (size == null) {
+            return; //not in the profile
+        }
+        if (decodedMemoryAddress.isBitAddress && decodedMemoryAddress.Bit !== '' && decodedMemoryAddress.Bit > 15) {
+            throw new FinsAddressError(`'${address}' is not a valid bit address. The bit number must be 0 to 15`, address);
+        }
+        const first = decodedMemoryAddress.Address;
+        let last = first + count - 1;
+        if (decodedMemoryAddress.isBitAddress && decodedMemoryAddress.Bit !== '') {
+            last = first + Math.floor((decodedMemoryAddress.Bit + count - 1) / 16);
+        }
+        const prefix = /[0-9]$/.test(area) ? `${area}_` : area;
+        const available = size ? `${prefix}0 to ${prefix}${size - 1} are available` : `${area} is not available on this PLC`;
+        if (first >= size) {
+            throw new FinsAddressError(`'${address}' is out of range. ${available}`, address);
+        }
+        if (last >= size) {
+            throw new FinsAddressError(`'${address}' count ${count} is out of range (it ends at ${prefix}${last}). ${available}`, address);
+        }
+    }
+
     function stringToAddress(addressString) {
+        let address = addressString;
+        let dataType = '';
+        const typeSeparator = addressString.indexOf(':');
+        if (typeSeparator >= 0) {
+            //address with a data type suffix e.g. D100:REAL
+            address = addressString.substring(0, typeSeparator).trim();
+            dataType = addressString.substring(typeSeparator + 1).trim();
+        }
         let re = /([A-Z]*)([0-9]*)\.?([0-9|x|X]*)/;//normal address CIOnnn CIOnnn.0 Dnnn Cnnn Cnnn Tnnn Cnnn.x Tnnn.x
-        if (addressString.includes('_')) {
+        if (address.includes('_')) {
             re = /(.+)_([0-9]*)\.?([0-9]*)/; //handle Ex_   basically E1_ is same as E + 1 up to 15 then E16_=0x60 ~ 0x68
         }
-        const matches = addressString.match(re);
+        const matches = address.match(re);
         if(!matches || matches.length < 3) {
-            throw new Error(`'${addressString}' is not a valid FINS address`);
+            throw new FinsAddressError(`'${addressString}' is not a valid FINS address`, addressString);
         }
 
         const _decodeAddress = function(area,wd,bit) {
@@ -84,12 +175,12 @@ function FinsAddressUtil(PLCType) {
                     _isBit = true;
                     _elementLength = 1;
                 } else {
-                    throw new Error(`'${addressString}' is not a valid FINS address.  '.x' is only valid for accessing completion bit of C and T addresses`);
+                    throw new FinsAddressError(`'${addressString}' is not a valid FINS address.  '.x' is only valid for accessing completion bit of C and T addresses`, addressString);
                 }
             } else if (_bit && _bit.length) {
                 _bit = parseInt(_bit);
                 if(isNaN(_bit)) {
-                    throw new Error(`'${addressString}' is not a valid FINS bit address`);
+                    throw new FinsAddressError(`'${addressString}' is not a valid FINS bit address`, addressString);
                 }
                 _elementLength = 1;
                 _isBit = true;
@@ -121,15 +212,19 @@ function FinsAddressUtil(PLCType) {
                 get elementLength() {
                     return _elementLength;
                 },
+                get dataType() {
+                    return dataType;
+                },
                 toString: function(){
                     return addressToString(this, 0, 0)
                 }
             };
             _memAreaCode = (_isBit ? self.memoryAreas.bit : self.memoryAreas.word)[_area]; //get INT value for desired Memory Area (e.g. D=0x82)
             if(_memAreaCode == null){
-                throw new Error(`'${addressString}' is not a valid address for this CPU`);
+                throw new FinsAddressError(`'${addressString}' is not a valid address for this CPU`, addressString);
             }
             _bytes = addressToBytes(decodedMemory);
+            checkRange(decodedMemory, 1);
             return decodedMemory;
         }
         const dm = _decodeAddress(matches[1], matches[2], matches[3]);
@@ -139,6 +234,18 @@ function FinsAddressUtil(PLCType) {
         addressToBytes,
         stringToAddress,
         addressToString,
+        offsetAddress,
+        checkRange,
+        /**
+         * Set (or clear with `null`) the capability profile used to check address ranges
+         * @param {object} capabilities - the number of words in each area (see `constants.CapabilityProfiles`)
+         */
+        setCapabilities(capabilities) {
+            self.capabilities = capabilities || null;
+        },
+        getCapabilities() {
+            return self.capabilities;
+        },
         get wordAreas() {
             return self.memoryAreas && self.memoryAreas.word;
         },
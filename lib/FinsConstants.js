@@ -8,7 +8,60 @@ module.exports.DefaultHostValues = {
 module.exports.DefaultOptions = {
     timeout: 2000,
     max_queue: 50,
-    protocol: "udp"
+    protocol: "udp",
+    endCodeAsError: true
+};
+
+
+/**
+ * Maximum number of words that can be read / written with one MEMORY AREA READ / WRITE command, per PLC type (`MODE`) & protocol.
+ * A FINS frame is limited to 2012 bytes on CS/CJ/CV Ethernet Units and the built-in EtherNet/IP ports (for both UDP and TCP)
+ * and to 552 bytes on the CP1 Ethernet Option Board (CP1W-CIF41).
+ * Larger reads / writes are automatically split into several commands.
+ * These can be overridden with the client option `frameLimits` e.g. `{ readWords: 269, writeWords: 267 }`
+ */
+const CS_FRAME_LIMITS = { readWords: 999, writeWords: 996 };
+const CP1_FRAME_LIMITS = { readWords: 269, writeWords: 267 };
+const FrameLimits = {
+    CV: {
+        udp: CS_FRAME_LIMITS,
+        tcp: CS_FRAME_LIMITS,
+    },
+    CS: {
+        udp: CS_FRAME_LIMITS,
+        tcp: CS_FRAME_LIMITS,
+    },
+    CP1: {
+        udp: CP1_FRAME_LIMITS,
+        tcp: CP1_FRAME_LIMITS,
+    },
+};
+FrameLimits.CP = FrameLimits.CP1;
+FrameLimits.CJ = FrameLimits.CS;
+FrameLimits.CJ2 = FrameLimits.CS;
+FrameLimits.NJ = FrameLimits.CS;
+FrameLimits.NX = FrameLimits.CS;
+FrameLimits.CSCJ = FrameLimits.CS;
+FrameLimits.NJNX = FrameLimits.CS;
+module.exports.FrameLimits = FrameLimits;
+
+
+module.exports.DefaultReconnectOptions = {
+    enabled: false,
+    initialDelay: 1000,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.2,
+    maxAttempts: 0 //0 = unlimited
+};
+
+
+module.exports.ConnectionStates = {
+    CONNECTING: "connecting",
+    HANDSHAKING: "handshaking",
+    CONNECTED: "connected",
+    RECONNECTING: "reconnecting",
+    CLOSED: "closed"
 };
 
 
@@ -42,12 +95,94 @@ const CommandCodes = {
     STOP                   : [0x04,0x02],
     /** Command 05 01 */
     CPU_UNIT_DATA_READ     : [0x05,0x01],
+    /** Command 05 02 */
+    CONNECTION_DATA_READ   : [0x05,0x02],
     /** Command 06 01 */
     CPU_UNIT_STATUS_READ   : [0x06,0x01],
+    /** Command 06 20 */
+    CYCLE_TIME_READ        : [0x06,0x20],
     /** Command 07 01 */
     CLOCK_READ             : [0x07,0x01],
     /** Command 07 02 */
     CLOCK_WRITE            : [0x07,0x02],
+    /** Command 08 01 */
+    INTERNODE_ECHO_TEST    : [0x08,0x01],
+    /** Command 08 02 */
+    BROADCAST_TEST_RESULTS_READ: [0x08,0x02],
+    /** Command 08 03 */
+    BROADCAST_TEST_DATA_SEND: [0x08,0x03],
+    /** Command 09 20 */
+    MESSAGE_READ           : [0x09,0x20],
+    /** Command 02 01 */
+    PARAMETER_AREA_READ    : [0x02,0x01],
+    /** Command 02 02 */
+    PARAMETER_AREA_WRITE   : [0x02,0x02],
+    /** Command 02 03 */
+    PARAMETER_AREA_CLEAR   : [0x02,0x03],
+    /** Command 03 06 */
+    PROGRAM_AREA_READ      : [0x03,0x06],
+    /** Command 03 07 */
+    PROGRAM_AREA_WRITE     : [0x03,0x07],
+    /** Command 03 08 */
+    PROGRAM_AREA_CLEAR     : [0x03,0x08],
+    /** Command 0C 01 */
+    ACCESS_RIGHT_ACQUIRE   : [0x0C,0x01],
+    /** Command 0C 02 */
+    ACCESS_RIGHT_FORCED_ACQUIRE: [0x0C,0x02],
+    /** Command 0C 03 */
+    ACCESS_RIGHT_RELEASE   : [0x0C,0x03],
+    /** Command 21 01 */
+    ERROR_CLEAR            : [0x21,0x01],
+    /** Command 21 02 */
+    ERROR_LOG_READ         : [0x21,0x02],
+    /** Command 21 03 */
+    ERROR_LOG_CLEAR        : [0x21,0x03],
+    /** Command 22 01 */
+    FILE_NAME_READ         : [0x22,0x01],
+    /** Command 22 02 */
+    SINGLE_FILE_READ       : [0x22,0x02],
+    /** Command 22 03 */
+    SINGLE_FILE_WRITE      : [0x22,0x03],
+    /** Command 22 04 */
+    MEMORY_CARD_FORMAT     : [0x22,0x04],
+    /** Command 22 05 */
+    FILE_DELETE            : [0x22,0x05],
+    /** Command 22 06 */
+    VOLUME_LABEL_CREATE_DELETE: [0x22,0x06],
+    /** Command 22 07 */
+    FILE_COPY              : [0x22,0x07],
+    /** Command 22 08 */
+    FILE_NAME_CHANGE       : [0x22,0x08],
+    /** Command 22 0A */
+    MEMORY_AREA_FILE_TRANSFER: [0x22,0x0A],
+    /** Command 22 15 */
+    DIRECTORY_CREATE_DELETE: [0x22,0x15],
+    /** Command 23 01 */
+    FORCED_SET_RESET       : [0x23,0x01],
+    /** Command 23 02 */
+    FORCED_SET_RESET_CANCEL: [0x23,0x02],
+    /** Command 26 01 */
+    NAME_SET               : [0x26,0x01],
+    /** Command 26 02 */
+    NAME_DELETE            : [0x26,0x02],
+    /** Command 26 03 */
+    NAME_READ              : [0x26,0x03],
+    /** Command 27 50 */
+    IP_ADDRESS_TABLE_WRITE : [0x27,0x50],
+    /** Command 27 60 */
+    IP_ADDRESS_TABLE_READ  : [0x27,0x60],
+    /** Command 27 61 */
+    IP_ROUTER_TABLE_READ   : [0x27,0x61],
+    /** Command 27 62 */
+    PROTOCOL_STATUS_READ   : [0x27,0x62],
+    /** Command 27 63 */
+    MEMORY_STATUS_READ     : [0x27,0x63],
+    /** Command 27 64 */
+    SOCKET_STATUS_READ     : [0x27,0x64],
+    /** Command 27 65 */
+    ADDRESS_INFORMATION_READ: [0x27,0x65],
+    /** Command 27 67 */
+    IP_ADDRESS_READ        : [0x27,0x67],
 };
 
 const Commands = {
@@ -109,6 +244,9 @@ const Commands = {
         command: CommandCodes.RUN,
         desc: "SET PLC MODE RUN",
         descExtra: "Changes the CPU Unit’s operating mode to RUN or MONITOR",
+        params: [
+            { name: "mode", type: "string"},
+        ]
     },
     "0402" : {
         name: "stop",
@@ -121,6 +259,19 @@ const Commands = {
         command: CommandCodes.CPU_UNIT_DATA_READ,
         desc: "CPU UNIT DATA READ",
         descExtra: "Reads CPU Unit data",
+        params: [
+            { name: "section", type: "string"},
+        ]
+    },
+    "0502" : {
+        name: "connection-data-read",
+        command: CommandCodes.CONNECTION_DATA_READ,
+        desc: "CONNECTION DATA READ",
+        descExtra: "Reads the model numbers of the units fitted (by unit address)",
+        params: [
+            { name: "unitAddress", type: "number"},
+            { name: "count", type: "number"},
+        ]
     },
     "0601" : {
         name: "status",
@@ -128,6 +279,15 @@ const Commands = {
         desc: "CPU UNIT STATUS READ",
         descExtra: "Reads the status of the CPU Unit",
     },
+    "0620" : {
+        name: "cycle-time-read",
+        command: CommandCodes.CYCLE_TIME_READ,
+        desc: "CYCLE TIME READ",
+        descExtra: "Reads the average, maximum and minimum cycle time or initialises the cycle time values",
+        params: [
+            { name: "reset", type: "boolean"},
+        ]
+    },
     "0701" : {
         name: "clock-read",
         command: CommandCodes.CLOCK_READ,
@@ -143,6 +303,359 @@ const Commands = {
             { name: "clockData", type: "object", required: true},
         ]
     },
+    "0801" : {
+        name: "internode-echo-test",
+        command: CommandCodes.INTERNODE_ECHO_TEST,
+        desc: "INTERNODE ECHO TEST",
+        descExtra: "Sends test data to a node and checks the data echoed back",
+        params: [
+            { name: "data", type: "*"},
+        ]
+    },
+    "0802" : {
+        name: "broadcast-test-results-read",
+        command: CommandCodes.BROADCAST_TEST_RESULTS_READ,
+        desc: "BROADCAST TEST RESULTS READ",
+        descExtra: "Reads the number of times broadcast test data was received",
+        params: []
+    },
+    "0803" : {
+        name: "broadcast-test-data-send",
+        command: CommandCodes.BROADCAST_TEST_DATA_SEND,
+        desc: "BROADCAST TEST DATA SEND",
+        descExtra: "Broadcasts test data to all nodes on a network (no response)",
+        params: [
+            { name: "data", type: "*"},
+        ]
+    },
+    "0920" : {
+        name: "message-read",
+        command: CommandCodes.MESSAGE_READ,
+        desc: "MESSAGE READ / MESSAGE CLEAR / FAL/FALS READ",
+        descExtra: "Reads or clears messages generated with MSG or reads the error message of a FAL/FALS number",
+        params: [
+            { name: "operation", type: "string", required: true},
+            { name: "messages", type: "*"},
+        ]
+    },
+    "0201" : {
+        name: "parameter-area-read",
+        command: CommandCodes.PARAMETER_AREA_READ,
+        desc: "PARAMETER AREA READ",
+        descExtra: "Reads the contents of consecutive parameter area words",
+        params: [
+            { name: "areaCode", type: "*", required: true},
+            { name: "beginWord", type: "number"},
+            { name: "count", type: "number"},
+        ]
+    },
+    "0202" : {
+        name: "parameter-area-write",
+        command: CommandCodes.PARAMETER_AREA_WRITE,
+        desc: "PARAMETER AREA WRITE",
+        descExtra: "Writes data to consecutive parameter area words",
+        params: [
+            { name: "areaCode", type: "*", required: true},
+            { name: "beginWord", type: "number"},
+            { name: "data", type: "object", required: true},
+        ]
+    },
+    "0203" : {
+        name: "parameter-area-clear",
+        command: CommandCodes.PARAMETER_AREA_CLEAR,
+        desc: "PARAMETER AREA CLEAR",
+        descExtra: "Writes all zeros to the specified range of the parameter area",
+        params: [
+            { name: "areaCode", type: "*", required: true},
+            { name: "count", type: "number", required: true, min: 1},
+        ]
+    },
+    "0306" : {
+        name: "program-area-read",
+        command: CommandCodes.PROGRAM_AREA_READ,
+        desc: "PROGRAM AREA READ",
+        descExtra: "Reads the contents of the specified number of consecutive program area bytes",
+        params: [
+            { name: "beginAddress", type: "number"},
+            { name: "count", type: "number"},
+        ]
+    },
+    "0307" : {
+        name: "program-area-write",
+        command: CommandCodes.PROGRAM_AREA_WRITE,
+        desc: "PROGRAM AREA WRITE",
+        descExtra: "Writes data to the specified number of consecutive program area bytes",
+        params: [
+            { name: "beginAddress", type: "number"},
+            { name: "data", type: "object", required: true},
+        ]
+    },
+    "0308" : {
+        name: "program-area-clear",
+        command: CommandCodes.PROGRAM_AREA_CLEAR,
+        desc: "PROGRAM AREA CLEAR",
+        descExtra: "Clears the contents of the program area",
+        params: []
+    },
+    "0c01" : {
+        name: "access-right-acquire",
+        command: CommandCodes.ACCESS_RIGHT_ACQUIRE,
+        desc: "ACCESS RIGHT ACQUIRE",
+        descExtra: "Acquires the access right as long as no other device holds it",
+        params: []
+    },
+    "0c02" : {
+        name: "access-right-forced-acquire",
+        command: CommandCodes.ACCESS_RIGHT_FORCED_ACQUIRE,
+        desc: "ACCESS RIGHT FORCED ACQUIRE",
+        descExtra: "Acquires the access right even if another device already holds it",
+        params: []
+    },
+    "0c03" : {
+        name: "access-right-release",
+        command: CommandCodes.ACCESS_RIGHT_RELEASE,
+        desc: "ACCESS RIGHT RELEASE",
+        descExtra: "Releases the access right that has been acquired",
+        params: []
+    },
+    "2101" : {
+        name: "error-clear",
+        command: CommandCodes.ERROR_CLEAR,
+        desc: "ERROR CLEAR",
+        descExtra: "Clears errors or error messages",
+        params: [
+            { name: "errorCode", type: "*", required: true},
+        ]
+    },
+    "2102" : {
+        name: "error-log-read",
+        command: CommandCodes.ERROR_LOG_READ,
+        desc: "ERROR LOG READ",
+        descExtra: "Reads the PLC's error log",
+        params: [
+            { name: "beginRecord", type: "number"},
+            { name: "count", type: "number"},
+        ]
+    },
+    "2103" : {
+        name: "error-log-clear",
+        command: CommandCodes.ERROR_LOG_CLEAR,
+        desc: "ERROR LOG CLEAR",
+        descExtra: "Clears all error log records and sets the error log pointer to 0",
+        params: []
+    },
+    "2201" : {
+        name: "file-name-read",
+        command: CommandCodes.FILE_NAME_READ,
+        desc: "FILE NAME READ",
+        descExtra: "Reads file memory data (the disk data and the names of the files in a directory)",
+        params: [
+            { name: "disk", type: "*", required: true},
+            { name: "directory", type: "string"},
+            { name: "beginFile", type: "number"},
+            { name: "count", type: "number"},
+        ]
+    },
+    "2202" : {
+        name: "single-file-read",
+        command: CommandCodes.SINGLE_FILE_READ,
+        desc: "SINGLE FILE READ",
+        descExtra: "Reads the contents of a file in file memory",
+        params: [
+            { name: "disk", type: "*", required: true},
+            { name: "path", type: "string", required: true},
+            { name: "position", type: "number"},
+            { name: "length", type: "number"},
+        ]
+    },
+    "2203" : {
+        name: "single-file-write",
+        command: CommandCodes.SINGLE_FILE_WRITE,
+        desc: "SINGLE FILE WRITE",
+        descExtra: "Writes a file in file memory",
+        params: [
+            { name: "disk", type: "*", required: true},
+            { name: "path", type: "string", required: true},
+            { name: "data", type: "object", required: true},
+        ]
+    },
+    "2204" : {
+        name: "memory-card-format",
+        command: CommandCodes.MEMORY_CARD_FORMAT,
+        desc: "MEMORY CARD FORMAT",
+        descExtra: "Formats a memory card or EM file memory (all files are deleted)",
+        params: [
+            { name: "disk", type: "*", required: true},
+        ]
+    },
+    "2205" : {
+        name: "file-delete",
+        command: CommandCodes.FILE_DELETE,
+        desc: "FILE DELETE",
+        descExtra: "Deletes files in file memory",
+        params: [
+            { name: "disk", type: "*", required: true},
+            { name: "paths", type: "*", required: true},
+        ]
+    },
+    "2206" : {
+        name: "volume-label-create-delete",
+        command: CommandCodes.VOLUME_LABEL_CREATE_DELETE,
+        desc: "VOLUME LABEL CREATE/DELETE",
+        descExtra: "Creates, changes or deletes the volume label of file memory",
+        params: [
+            { name: "disk", type: "*", required: true},
+            { name: "label", type: "string"},
+        ]
+    },
+    "2207" : {
+        name: "file-copy",
+        command: CommandCodes.FILE_COPY,
+        desc: "FILE COPY",
+        descExtra: "Copies a file (within a disk or to another disk)",
+        params: [
+            { name: "srcDisk", type: "*", required: true},
+            { name: "srcPath", type: "string", required: true},
+            { name: "dstDisk", type: "*", required: true},
+            { name: "dstPath", type: "string", required: true},
+        ]
+    },
+    "2208" : {
+        name: "file-name-change",
+        command: CommandCodes.FILE_NAME_CHANGE,
+        desc: "FILE NAME CHANGE",
+        descExtra: "Changes the name of a file",
+        params: [
+            { name: "disk", type: "*", required: true},
+            { name: "path", type: "string", required: true},
+            { name: "newName", type: "string", required: true},
+        ]
+    },
+    "220a" : {
+        name: "memory-area-file-transfer",
+        command: CommandCodes.MEMORY_AREA_FILE_TRANSFER,
+        desc: "MEMORY AREA-FILE TRANSFER",
+        descExtra: "Transfers or compares data between I/O memory and a file",
+        params: [
+            { name: "mode", type: "*", required: true},
+            { name: "address", type: "string", required: true},
+            { name: "count", type: "number", required: true, min: 1},
+            { name: "disk", type: "*", required: true},
+            { name: "path", type: "string", required: true},
+        ]
+    },
+    "2215" : {
+        name: "directory-create-delete",
+        command: CommandCodes.DIRECTORY_CREATE_DELETE,
+        desc: "CREATE/DELETE DIRECTORY",
+        descExtra: "Creates or deletes a directory in file memory",
+        params: [
+            { name: "disk", type: "*", required: true},
+            { name: "path", type: "string", required: true},
+            { name: "delete", type: "boolean"},
+        ]
+    },
+    "2301" : {
+        name: "forced-set-reset",
+        command: CommandCodes.FORCED_SET_RESET,
+        desc: "FORCED SET/RESET",
+        descExtra: "Force-sets (ON) or force-resets (OFF) bits/flags or releases forced status",
+        params: [
+            { name: "operations", type: "object", required: true},
+        ]
+    },
+    "2302" : {
+        name: "forced-set-reset-cancel",
+        command: CommandCodes.FORCED_SET_RESET_CANCEL,
+        desc: "FORCED SET/RESET CANCEL",
+        descExtra: "Cancels all bits/flags that have been forced ON or forced OFF",
+        params: []
+    },
+    "2601" : {
+        name: "name-set",
+        command: CommandCodes.NAME_SET,
+        desc: "NAME SET",
+        descExtra: "Registers the name of the node",
+        params: [
+            { name: "name", type: "string", required: true},
+        ]
+    },
+    "2602" : {
+        name: "name-delete",
+        command: CommandCodes.NAME_DELETE,
+        desc: "NAME DELETE",
+        descExtra: "Deletes the name of the node",
+        params: []
+    },
+    "2603" : {
+        name: "name-read",
+        command: CommandCodes.NAME_READ,
+        desc: "NAME READ",
+        descExtra: "Reads the name of the node",
+        params: []
+    },
+    "2750" : {
+        name: "ip-address-table-write",
+        command: CommandCodes.IP_ADDRESS_TABLE_WRITE,
+        desc: "IP ADDRESS TABLE WRITE",
+        descExtra: "Writes the IP address table of an Ethernet Unit",
+        params: [
+            { name: "records", type: "object", required: true},
+        ]
+    },
+    "2760" : {
+        name: "ip-address-table-read",
+        command: CommandCodes.IP_ADDRESS_TABLE_READ,
+        desc: "IP ADDRESS TABLE READ",
+        descExtra: "Reads the IP address table of an Ethernet Unit",
+        params: [
+            { name: "count", type: "number"},
+        ]
+    },
+    "2761" : {
+        name: "ip-router-table-read",
+        command: CommandCodes.IP_ROUTER_TABLE_READ,
+        desc: "IP ROUTER TABLE READ",
+        descExtra: "Reads the IP router table of an Ethernet Unit",
+        params: [
+            { name: "count", type: "number"},
+        ]
+    },
+    "2762" : {
+        name: "protocol-status-read",
+        command: CommandCodes.PROTOCOL_STATUS_READ,
+        desc: "PROTOCOL STATUS READ",
+        descExtra: "Reads the IP, ICMP, TCP and UDP status counters of an Ethernet Unit",
+        params: []
+    },
+    "2763" : {
+        name: "memory-status-read",
+        command: CommandCodes.MEMORY_STATUS_READ,
+        desc: "MEMORY STATUS READ",
+        descExtra: "Reads the network memory status of an Ethernet Unit",
+        params: []
+    },
+    "2764" : {
+        name: "socket-status-read",
+        command: CommandCodes.SOCKET_STATUS_READ,
+        desc: "SOCKET STATUS READ",
+        descExtra: "Reads the status of the sockets of an Ethernet Unit",
+        params: []
+    },
+    "2765" : {
+        name: "address-information-read",
+        command: CommandCodes.ADDRESS_INFORMATION_READ,
+        desc: "ADDRESS INFORMATION READ",
+        descExtra: "Reads the FINS node number and IP address of an Ethernet Unit",
+        params: []
+    },
+    "2767" : {
+        name: "ip-address-read",
+        command: CommandCodes.IP_ADDRESS_READ,
+        desc: "IP ADDRESS READ",
+        descExtra: "Reads the IP address and subnet mask of an Ethernet Unit",
+        params: []
+    },
 }
 
 const commandKeys = Object.keys(Commands);
@@ -336,16 +849,44 @@ const MemoryAreas = {
 };
 MemoryAreas.CP = MemoryAreas.CS;
 MemoryAreas.CJ = MemoryAreas.CS;
+MemoryAreas.CJ2 = MemoryAreas.CS;
+MemoryAreas.CP1 = MemoryAreas.CS;
 MemoryAreas.NX = MemoryAreas.CS;
 MemoryAreas.CSCJ = MemoryAreas.CS;
 MemoryAreas.NJNX = MemoryAreas.CS;
 
 module.exports.MemoryAreas = MemoryAreas;
 
+/**
+ * Capability profiles - the number of words in each memory area (`E` is the size of each EM bank, `EMBanks` the number of EM banks).
+ * Used to check address ranges & counts before a command is sent (see the `FinsClient` option `capabilities`).
+ * Areas that are not in a profile are not checked.
+ * Keyed by PLC type (`MODE`) and CPU Unit model prefix (the longest matching prefix of the model e.g. `CJ2M-CPU33` is used by `loadCapabilities()`)
+ */
+const CS_CAPABILITIES = { CIO: 6144, W: 512, H: 1536, A: 1472, D: 32768, T: 4096, C: 4096, IR: 16, DR: 16, E: 32768, EMBanks: 13 };
+const CapabilityProfiles = {
+    CV:   { CIO: 2556, A: 512, D: 24576, T: 1024, C: 1024, DR: 3, E: 32768, EMBanks: 8 },
+    CS:   CS_CAPABILITIES,
+    CJ:   CS_CAPABILITIES,
+    CJ1M: Object.assign({}, CS_CAPABILITIES, { EMBanks: 0 }),
+    CJ2H: Object.assign({}, CS_CAPABILITIES, { EMBanks: 25 }),
+    CJ2M: Object.assign({}, CS_CAPABILITIES, { EMBanks: 4 }),
+    CP1H: { CIO: 6144, W: 512, H: 512, A: 960, D: 32768, T: 4096, C: 4096, IR: 16, DR: 16, EMBanks: 0 },
+    CP1L: { CIO: 6144, W: 512, H: 512, A: 960, D: 32768, T: 4096, C: 4096, IR: 16, DR: 16, EMBanks: 0 },
+    NJ:   { CIO: 6144, W: 512, H: 1536, D: 32768, E: 32768, EMBanks: 25 },
+};
+CapabilityProfiles.CSCJ = CapabilityProfiles.CS;
+CapabilityProfiles.CJ2 = CapabilityProfiles.CJ2H;
+CapabilityProfiles.CP = CapabilityProfiles.CP1H;
+CapabilityProfiles.CP1 = CapabilityProfiles.CP1H;
+CapabilityProfiles.NX = CapabilityProfiles.NJ;
+CapabilityProfiles.NJNX = CapabilityProfiles.NJ;
+module.exports.CapabilityProfiles = CapabilityProfiles;
+
 
-//TODO: create CS/CJ/NJ/NX specific bit map
-//SEE CS - https://www.myomron.com/downloads/1.Manuals/Networks/W227E12_FINS_Commands_Reference_Manual.pdf Sec 2-21
-//SEE CJ - https://www.support-omron.fr/telechargements/documentations/2019-01-18%20-%2014-40-23%20-%20616945746/FINS%20Command%20from%20W342-E1-16.pdf
+//CV series fatal/non fatal error data of CONTROLLER STATUS READ. See `StatusModels` for the bit maps of the other PLC types
+//SEE CV - https://www.myomron.com/downloads/1.Manuals/Networks/W227E12_FINS_Commands_Reference_Manual.pdf Sec 2-21
+//SEE CS/CJ - https://www.support-omron.fr/telechargements/documentations/2019-01-18%20-%2014-40-23%20-%20616945746/FINS%20Command%20from%20W342-E1-16.pdf
 module.exports.FatalErrorData = {
     WATCHDOG_ERROR    : 1 << 0,
     SYSTEM_ERROR      : 1 << 6,
@@ -358,7 +899,6 @@ module.exports.FatalErrorData = {
     IO_BUS_ERROR      : 1 << 14,
     MEMORY_ERROR      : 1 << 15
 };
-//TODO: create CS/CJ/NJ/NX specific bit map
 module.exports.NonFatalErrorData = {
     PC_LINK_ERROR         : 1 << 0,
     HOST_LINK_ERROR       : 1 << 1,
@@ -375,13 +915,285 @@ module.exports.NonFatalErrorData = {
     SYSTEM_ERROR          : 1 << 15
 };
 
+/** CS series fatal error data (mirrors the fatal error flags A401) */
+const CS_FATAL_ERRORS = {
+    FALS_ERROR        : 1 << 6,
+    CYCLE_TIME_OVER   : 1 << 8,
+    PROGRAM_ERROR     : 1 << 9,
+    IO_SETTING_ERROR  : 1 << 10,
+    IO_POINT_OVERFLOW : 1 << 11,
+    INNER_BOARD_ERROR : 1 << 12,
+    DUPLICATION_ERROR : 1 << 13,
+    IO_BUS_ERROR      : 1 << 14,
+    MEMORY_ERROR      : 1 << 15
+};
+
+/** CS series non fatal error data (mirrors the non fatal error flags A402) */
+const CS_NON_FATAL_ERRORS = {
+    SPECIAL_IO_UNIT_SETTING_ERROR : 1 << 2,
+    CPU_BUS_UNIT_SETTING_ERROR    : 1 << 3,
+    BATTERY_ERROR                 : 1 << 4,
+    SYSMAC_BUS_ERROR              : 1 << 5,
+    SPECIAL_IO_UNIT_ERROR         : 1 << 6,
+    CPU_BUS_UNIT_ERROR            : 1 << 7,
+    INNER_BOARD_ERROR             : 1 << 8,
+    IO_VERIFICATION_ERROR         : 1 << 9,
+    PLC_SETUP_ERROR               : 1 << 10,
+    BASIC_IO_UNIT_ERROR           : 1 << 12,
+    INTERRUPT_TASK_ERROR          : 1 << 13,
+    DUPLEX_ERROR                  : 1 << 14, //CS1D only
+    FAL_ERROR                     : 1 << 15
+};
+
+/** CJ series fatal error data (as CS without the Inner Board) */
+const CJ_FATAL_ERRORS = Object.assign({}, CS_FATAL_ERRORS);
+delete CJ_FATAL_ERRORS.INNER_BOARD_ERROR;
+
+/** CJ series non fatal error data (as CS without the Inner Board, SYSMAC BUS & duplex) */
+const CJ_NON_FATAL_ERRORS = Object.assign({}, CS_NON_FATAL_ERRORS);
+delete CJ_NON_FATAL_ERRORS.INNER_BOARD_ERROR;
+delete CJ_NON_FATAL_ERRORS.SYSMAC_BUS_ERROR;
+delete CJ_NON_FATAL_ERRORS.DUPLEX_ERROR;
+
+/** The status byte bits of CONTROLLER STATUS READ */
+const CV_STATUS_FLAGS = {
+    RUNNING         : 0x01,
+    CPU_STANDBY     : 0x80,
+};
+const CS_STATUS_FLAGS = {
+    RUNNING         : 0x01,
+    FLASH_ACCESS    : 0x02, //flash memory / memory card being accessed
+    BATTERY_PRESENT : 0x04,
+    CPU_STANDBY     : 0x80,
+};
+
+/**
+ * CONTROLLER STATUS READ (0601) decoding for each PLC type (keyed by `MODE`).
+ * * `status` - the bits of the status byte
+ * * `modes` - the values of the mode byte
+ * * `fatal` / `nonFatal` - the bits of the fatal & non fatal error data
+ *
+ * The NJ/NX CPU reports its Controller errors in the FALS (major fault) and FAL (partial/minor fault) positions of the CJ error data.
+ */
+const StatusModels = {
+    CV: {
+        status: CV_STATUS_FLAGS,
+        modes: { PROGRAM: 0x00, DEBUG: 0x01, MONITOR: 0x02, RUN: 0x04 },
+        fatal: module.exports.FatalErrorData,
+        nonFatal: module.exports.NonFatalErrorData,
+    },
+    CS: {
+        status: CS_STATUS_FLAGS,
+        modes: { PROGRAM: 0x00, MONITOR: 0x02, RUN: 0x04 },
+        fatal: CS_FATAL_ERRORS,
+        nonFatal: CS_NON_FATAL_ERRORS,
+    },
+    CJ: {
+        status: CS_STATUS_FLAGS,
+        modes: { PROGRAM: 0x00, MONITOR: 0x02, RUN: 0x04 },
+        fatal: CJ_FATAL_ERRORS,
+        nonFatal: CJ_NON_FATAL_ERRORS,
+    },
+    NJ: {
+        status: CS_STATUS_FLAGS,
+        modes: { PROGRAM: 0x00, RUN: 0x04 },
+        fatal: { MAJOR_FAULT: 1 << 6 },
+        nonFatal: { BATTERY_ERROR: 1 << 4, MINOR_FAULT: 1 << 15 },
+    },
+};
+StatusModels.CJ2 = StatusModels.CJ;
+StatusModels.CP = StatusModels.CJ;
+StatusModels.CP1 = StatusModels.CJ;
+StatusModels.CSCJ = StatusModels.CS;
+StatusModels.NX = StatusModels.NJ;
+StatusModels.NJNX = StatusModels.NJ;
+module.exports.StatusModels = StatusModels;
+
+/**
+ * Set/reset specifications for FORCED SET/RESET (2301)
+ * NOTE: `INVERT` is not a FINS specification - the client reads the bit and forces it to the opposite state
+ */
+module.exports.ForceOperations = {
+    RESET       : 0x0000, //force OFF
+    SET         : 0x0001, //force ON
+    RELEASE_OFF : 0x8000, //release forced status and turn OFF
+    RELEASE_ON  : 0x8001, //release forced status and turn ON
+    RELEASE     : 0xFFFF, //release forced status (the bit keeps its state)
+    INVERT      : -1, //force to the opposite of the current state
+};
+
+/**
+ * Memory areas that can be forced and the memory area codes to read each area with forced status (4 bytes per word: data & forced status)
+ */
+module.exports.ForceAreas = {
+    CV: {
+        bit: ["CIO", "T", "C"],
+        status: { CIO: 0xC0 },
+    },
+    CS: {
+        bit: ["CIO", "W", "H", "T", "C"],
+        status: { CIO: 0xF0, W: 0xF1, H: 0xF2 },
+    },
+};
+
+/**
+ * Error codes for ERROR CLEAR (2101) and the error codes recorded in the error log (2102)
+ */
+module.exports.ErrorCodes = {
+    ALL                   : 0xFFFF, //all errors
+    CURRENT               : 0xFFFE, //the current error (the error with the highest priority)
+    INTERRUPT_TASK_ERROR  : 0x008B,
+    BASIC_IO_UNIT_ERROR   : 0x009A,
+    PLC_SETUP_ERROR       : 0x009B,
+    SYSMAC_BUS_ERROR      : 0x00A0,
+    IO_VERIFICATION_ERROR : 0x00E7,
+    BATTERY_ERROR         : 0x00F7,
+    CYCLE_TIME_OVER       : 0x809F,
+    IO_BUS_ERROR          : 0x80C0,
+    IO_SETTING_ERROR      : 0x80E0,
+    IO_POINT_OVERFLOW     : 0x80E1,
+    DUPLICATION_ERROR     : 0x80E9,
+    PROGRAM_ERROR         : 0x80F0,
+    MEMORY_ERROR          : 0x80F1,
+};
+
+/**
+ * Ranges of error codes recorded in the error log `[first, last, name]`
+ */
+module.exports.ErrorCodeRanges = [
+    [0x0200, 0x020F, "CPU_BUS_UNIT_ERROR"],
+    [0x0300, 0x035F, "SPECIAL_IO_UNIT_ERROR"],
+    [0x0400, 0x040F, "CPU_BUS_UNIT_SETTING_ERROR"],
+    [0x0500, 0x055F, "SPECIAL_IO_UNIT_SETTING_ERROR"],
+    [0x4101, 0x42FF, "FAL_ERROR"], //non fatal error set by FAL (4101 = FAL 001)
+    [0x80C0, 0x80C7, "IO_BUS_ERROR"],
+    [0xC101, 0xC2FF, "FALS_ERROR"], //fatal error set by FALS (C101 = FALS 001)
+];
+
+/**
+ * Error log access (ERROR LOG READ 2102)
+ */
+module.exports.ErrorLog = {
+    RECORD_BYTES          : 10, //error code 1, error code 2, minute, second, day, hour, year, month
+    MAX_RECORDS           : 20, //maximum number of records in one command
+};
+
+/**
+ * Message access (MESSAGE READ / MESSAGE CLEAR / FAL/FALS READ 0920)
+ */
+module.exports.Messages = {
+    COUNT                 : 8, //messages 0 to 7 (MSG instruction)
+    MESSAGE_BYTES         : 32, //the length of a MSG message
+    FAL_MESSAGE_BYTES     : 16, //the length of a FAL/FALS message
+    READ                  : 0x0000, //message number parameter (bits 14 & 15) for MESSAGE READ (bits 0 to 7 select the messages)
+    CLEAR                 : 0x4000, //message number parameter (bits 14 & 15) for MESSAGE CLEAR (bits 0 to 7 select the messages)
+    FAL_READ              : 0x8000, //message number parameter (bits 14 & 15) for FAL/FALS READ (bits 0 to 13 are the FAL/FALS number)
+    MAX_FAL_NO            : 0x01FF, //FAL/FALS numbers are 1 to 511
+    FAL_ERROR_CODE        : 0x4100, //error code of FAL 000 (FAL n = 4100 + n)
+    FALS_ERROR_CODE       : 0xC100, //error code of FALS 000 (FALS n = C100 + n)
+};
+
+/**
+ * Unit addresses (CONNECTION DATA READ 0502)
+ */
+module.exports.UnitAddresses = {
+    CPU                   : 0x00, //the CPU unit
+    CPU_BUS               : 0x10, //CPU Bus Units 10 to 1F (10 + unit number)
+    SPECIAL_IO            : 0x20, //Special I/O Units 20 to 7F (20 + unit number)
+    INNER_BOARD           : 0xE1, //an Inner Board
+};
+
+module.exports.ConnectionData = {
+    MODEL_BYTES           : 20, //the length of a model number
+    MAX_ITEMS             : 25, //maximum number of units in one command
+    LAST_FLAG             : 0x80, //set in the number of units when the data of the last unit is returned
+};
+
+/**
+ * Node name (NAME SET 2601 / NAME DELETE 2602 / NAME READ 2603)
+ */
+module.exports.NodeName = {
+    MAX_LENGTH            : 8, //the maximum number of characters of a name
+};
+
+/**
+ * Ethernet Unit commands (27xx)
+ */
+module.exports.EthernetUnit = {
+    MAX_IP_ADDRESS_RECORDS: 32, //maximum number of records in the IP address table
+    IP_ADDRESS_RECORD_BYTES: 6, //FINS node number (2 bytes) & IP address (4 bytes)
+    MAX_IP_ROUTER_RECORDS : 8, //maximum number of records in the IP router table
+    IP_ROUTER_RECORD_BYTES: 8, //IP network address (4 bytes) & router IP address (4 bytes)
+    SOCKET_RECORD_BYTES   : 32, //protocol, receive queue, send queue, local IP address & port, remote IP address & port, TCP state (4 bytes each)
+    /** The 4 byte counters of each protocol in the order they are returned by PROTOCOL STATUS READ (IP 12, ICMP 10, TCP 46, UDP 3) */
+    PROTOCOL_STATUS_FIELDS: {
+        ip: [
+            "packetsReceived", "checksumErrors", "tooShort", "tooSmall", "badHeaderLength", "badLength",
+            "fragmentsReceived", "fragmentsDropped", "fragmentsTimedOut", "packetsForwarded", "cannotForward", "redirectsSent"
+        ],
+        icmp: [
+            "errors", "oldShort", "oldIcmp", "badCode", "tooShort", "checksumErrors", "badLength", "reflected",
+            "echoRequestsReceived", "echoRepliesSent"
+        ],
+        tcp: [
+            "connectionAttempts", "connectionsAccepted", "connectionsEstablished", "connectionsDropped", "embryonicDropped", "connectionsClosed",
+            "segmentsTimed", "rttUpdates", "delayedAcks", "timeoutDrops", "retransmitTimeouts", "persistTimeouts", "keepaliveTimeouts", "keepaliveProbes", "keepaliveDrops",
+            "packetsSent", "dataPacketsSent", "dataBytesSent", "retransmittedPackets", "retransmittedBytes", "ackOnlyPacketsSent",
+            "windowProbesSent", "urgentPacketsSent", "windowUpdatesSent", "controlPacketsSent",
+            "packetsReceived", "dataPacketsReceived", "dataBytesReceived", "checksumErrors", "badOffset", "tooShort",
+            "duplicatePackets", "duplicateBytes", "partialDuplicatePackets", "partialDuplicateBytes", "outOfOrderPackets", "outOfOrderBytes",
+            "packetsAfterWindow", "bytesAfterWindow", "packetsAfterClose", "windowProbesReceived", "duplicateAcks", "acksForUnsentData",
+            "ackPacketsReceived", "bytesAcked", "windowUpdatesReceived"
+        ],
+        udp: ["headerErrors", "checksumErrors", "lengthErrors"],
+    },
+    /** The 4 byte values returned by MEMORY STATUS READ - short buffers in use (total then each use), long buffers & network memory */
+    MEMORY_STATUS_FIELDS: [
+        "shortBuffersInUse", "dataBuffers", "headerBuffers", "socketBuffers", "pcbBuffers", "routingTableBuffers", "hostTableBuffers",
+        "arpTableBuffers", "socketNameBuffers", "zombieBuffers", "socketOptionBuffers", "fragmentTableBuffers", "accessRightBuffers",
+        "interfaceAddressBuffers", "controlBuffers", "outOfBandBuffers",
+        "longBuffersInUse", "longBuffersFree", "drops", "waits", "drains", "networkMemorySize", "networkMemoryUsage"
+    ],
+};
+
+/** The protocol of a socket (SOCKET STATUS READ) */
+module.exports.SocketProtocols = {
+    TCP                   : 6,
+    UDP                   : 17,
+};
+
+/** The TCP state of a socket (SOCKET STATUS READ) */
+module.exports.TcpStates = {
+    CLOSED                : 0,
+    LISTEN                : 1,
+    SYN_SENT              : 2,
+    SYN_RECEIVED          : 3,
+    ESTABLISHED           : 4,
+    CLOSE_WAIT            : 5,
+    FIN_WAIT_1            : 6,
+    CLOSING               : 7,
+    LAST_ACK              : 8,
+    FIN_WAIT_2            : 9,
+    TIME_WAIT             : 10,
+};
+
+/**
+ * Network tests (INTERNODE ECHO TEST 0801, BROADCAST TEST RESULTS READ 0802 & BROADCAST TEST DATA SEND 0803)
+ */
+module.exports.NetworkTest = {
+    MAX_BYTES             : 1998, //maximum number of bytes of test data
+    DEFAULT_BYTES         : 32, //number of bytes of test data when only a size (or nothing) is specified
+    BROADCAST_NODE        : 0xFF, //DA1 to send to all nodes on a network
+    NO_RESPONSE           : 0x01, //ICF bit 0 - response not required
+};
+
 module.exports.Status = {
     CPU_STANDBY : 0x80,
     STOP        : 0x00,
     RUN         : 0x01
 };
 
-//TODO: create CS/CJ/NJ/NX specific bit map
+//See `StatusModels` for the modes of each PLC type (DEBUG is CV only)
 module.exports.Modes = {
     MONITOR : 0x02,
     PROGRAM : 0x00,
@@ -389,6 +1201,171 @@ module.exports.Modes = {
     RUN     : 0x04
 };
 
+/**
+ * CPU UNIT DATA READ (0501)
+ */
+module.exports.CpuUnitData = {
+    SECTIONS              : { MODEL: 0x00, AREA: 0x01 }, //the data to read: MODEL = model, version & system use. AREA = area data, CPU Bus Units, CPU Unit information & remote I/O (omit to read all)
+    MODEL_BYTES           : 20,
+    VERSION_BYTES         : 20,
+    SYSTEM_USE_BYTES      : 40,
+    AREA_DATA_BYTES       : 12,
+    CPU_BUS_UNIT_BYTES    : 64, //the size of the CPU Bus Unit configuration
+    CPU_BUS_UNITS         : 16, //the units in the CPU Bus Unit configuration (a 2 byte model ID each)
+    PRESENT_FLAG          : 0x80, //bit 7 of the first byte of a CPU Bus Unit model ID
+};
+
+/**
+ * The CPU UNIT DATA READ data reported by each PLC type (keyed by `MODE`). Data that is not reported is returned as `null`.
+ * * `areaData` - area data and system use
+ * * `dipSwitches` - the DIP switch settings
+ * * `emBanks` - the EM area (number of banks)
+ * * `memoryCardTypes` - the memory card type codes (`null` if there is no memory card slot)
+ * * `cpuBusUnits` - the CPU Bus Unit configuration
+ * * `sysmacBus` - the number of SYSMAC BUS (remote I/O) masters
+ */
+const CpuUnitDataModels = {
+    CV: { areaData: true, dipSwitches: true, emBanks: false, memoryCardTypes: { NONE: 0x00, RAM: 0x01, EPROM: 0x02, EEPROM: 0x03 }, cpuBusUnits: true, sysmacBus: true },
+    CS: { areaData: true, dipSwitches: true, emBanks: true, memoryCardTypes: { NONE: 0x00, FLASH: 0x04 }, cpuBusUnits: true, sysmacBus: true },
+    CJ: { areaData: true, dipSwitches: true, emBanks: true, memoryCardTypes: { NONE: 0x00, FLASH: 0x04 }, cpuBusUnits: true, sysmacBus: false },
+    CP1: { areaData: true, dipSwitches: true, emBanks: false, memoryCardTypes: null, cpuBusUnits: true, sysmacBus: false },
+    NJ: { areaData: false, dipSwitches: false, emBanks: false, memoryCardTypes: null, cpuBusUnits: true, sysmacBus: false },
+};
+CpuUnitDataModels.CJ2 = CpuUnitDataModels.CJ;
+CpuUnitDataModels.CP = CpuUnitDataModels.CP1;
+CpuUnitDataModels.CSCJ = CpuUnitDataModels.CS;
+CpuUnitDataModels.NX = CpuUnitDataModels.NJ;
+CpuUnitDataModels.NJNX = CpuUnitDataModels.NJ;
+module.exports.CpuUnitDataModels = CpuUnitDataModels;
+
+/**
+ * Operating mode changes (RUN 0401 / STOP 0402)
+ */
+module.exports.ModeChange = {
+    PROGRAM_NO      : 0xFFFF, //the program number sent with RUN & STOP (FFFF = the program in the CPU Unit)
+    VERIFY_TIMEOUT  : 5000, //default time (ms) to wait for CONTROLLER STATUS READ to report the requested mode
+    VERIFY_INTERVAL : 100, //default time (ms) between CONTROLLER STATUS READ commands while verifying
+};
+
+/**
+ * The current operating mode indicated by the "Not executable in current mode" end codes (2203-2206)
+ */
+module.exports.ModeEndCodes = {
+    "2203" : "PROGRAM",
+    "2204" : "DEBUG",
+    "2205" : "MONITOR",
+    "2206" : "RUN",
+};
+
+
+/** FINS/TCP header commands */
+module.exports.TCPCommands = {
+    NODE_ADDRESS_DATA_SEND_CLIENT : 0x00, //client to server
+    NODE_ADDRESS_DATA_SEND_SERVER : 0x01, //server to client
+    FRAME_SEND                    : 0x02,
+    FRAME_SEND_ERROR_NOTIFICATION : 0x03,
+    CONNECTION_CONFIRMATION       : 0x06,
+};
+
+/**
+ * Parameter area codes for PARAMETER AREA READ / WRITE / CLEAR (0201 / 0202 / 0203)
+ */
+module.exports.ParameterAreas = {
+    PLC_SETUP          : 0x8010, //PLC Setup
+    IO_TABLE           : 0x8012, //Registered I/O table
+    ROUTING_TABLE      : 0x8013, //Routing tables
+    CPU_BUS_UNIT_SETUP : 0x8002, //CPU Bus Unit Setup
+};
+
+/**
+ * Program area access (PROGRAM AREA READ / WRITE / CLEAR 0306 / 0307 / 0308)
+ */
+/**
+ * Disk numbers for the file memory commands (22xx)
+ */
+module.exports.FileDisks = {
+    MEMORY_CARD      : 0x8000, //memory card
+    EM_FILE_MEMORY   : 0x8001, //EM file memory
+};
+
+/**
+ * Parameter codes for SINGLE FILE WRITE (2203)
+ */
+module.exports.FileWriteModes = {
+    CREATE           : 0x0000, //create a new file (error if the file exists)
+    WRITE            : 0x0001, //overwrite data in an existing file at the file position
+    APPEND           : 0x0002, //add data to the end of an existing file
+    OVERWRITE        : 0x0003, //create a new file or replace an existing file
+};
+
+/**
+ * Parameter codes for VOLUME LABEL CREATE/DELETE (2206)
+ */
+module.exports.VolumeLabelModes = {
+    CREATE           : 0x0000,
+    CHANGE           : 0x0001,
+    DELETE           : 0x0002,
+};
+
+/**
+ * Parameter codes for CREATE/DELETE DIRECTORY (2215)
+ */
+module.exports.DirectoryModes = {
+    CREATE           : 0x0000,
+    DELETE           : 0x0001,
+};
+
+/**
+ * Parameter codes for MEMORY AREA-FILE TRANSFER (220A)
+ */
+module.exports.FileTransferModes = {
+    TO_FILE          : 0x0000, //I/O memory to file
+    TO_MEMORY        : 0x0001, //file to I/O memory
+    COMPARE          : 0x0002, //compare I/O memory with file
+};
+
+module.exports.FileMemory = {
+    FILE_NAME_BYTES  : 12, //8 character name, "." & 3 character extension (space padded)
+    FILE_DATA_BYTES  : 20, //file name, date/time & file size of each file in FILE NAME READ
+    DISK_DATA_BYTES  : 26, //volume label, date/time, capacity, unused capacity & number of files
+    MAX_PATH         : 65, //maximum length of a directory path
+    LAST_FLAG        : 0x8000, //set in the number of files of FILE NAME READ when the last file is read
+};
+
+module.exports.CycleTime = {
+    INITIALISE       : 0x00, //parameter to initialise (reset) the average, maximum and minimum cycle time
+    READ             : 0x01, //parameter to read the average, maximum and minimum cycle time
+    UNIT_MS          : 0.1, //the cycle times are read in 0.1 ms units
+};
+
+module.exports.ProgramArea = {
+    PROGRAM_NO       : 0xFFFF, //the program number (always FFFF for CS/CJ/CV)
+    MAX_BYTES        : 996, //maximum number of bytes in one command
+    LAST_FLAG        : 0x8000, //set in the number of bytes of the last data of the program
+    CLEAR_ALL        : 0x00, //clear code for PROGRAM AREA CLEAR
+};
+
+/**
+ * Data types that can be read / written with the `type` option (or an address suffix e.g. `D100:REAL`).
+ * The value is the number of words used by each value (`STRING` values use `length` bytes e.g. `STRING(20)`)
+ */
+module.exports.DataTypes = {
+    WORD  : 1,
+    INT   : 1,
+    UINT  : 1,
+    BCD16 : 1,
+    DINT  : 2,
+    UDINT : 2,
+    REAL  : 2,
+    BCD32 : 2,
+    LINT  : 4,
+    ULINT : 4,
+    LREAL : 4,
+    STRING: null
+};
+
+/** Maximum value accepted in the FINS/TCP header length field (larger values are treated as a corrupt stream) */
+module.exports.FinsTcpMaxLength = 0x4000;
 
 module.exports.TCPCommandErrorCodes = {
     "0": "Normal",
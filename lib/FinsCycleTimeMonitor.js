@@ -0,0 +1,180 @@
+const inherits = require('util').inherits;
+const FinsPoller = require('./FinsPoller');
+
+module.exports = FinsCycleTimeMonitor;
+
+const WARNING_ON = ["average", "max", "p50", "p90", "p99"];
+
+/**
+ * Rolling cycle time statistics. Keeps the last `sampleSize` samples (like the reply statistics of `FinsSequenceManager`)
+ * @param {number} sampleSize - the number of samples to keep
+ */
+function CycleTimeStatistics(sampleSize) {
+    /** @type {CycleTimeStatistics}*/ const self = this;
+    self.sampleSize = sampleSize || 60;
+    self.index = 0;
+    self.sampleCount = 0;
+    self.averages = [];
+    self.maximums = [];
+    self.minMS = 0;
+    self.maxMS = 0;
+    self.startTime = Date.now();
+    _init();
+    function _init() {
+        self.index = 0;
+        self.sampleCount = 0;
+        self.averages = [];
+        self.maximums = [];
+        self.minMS = Number.MAX_VALUE;
+        self.maxMS = 0;
+        self.startTime = Date.now();
+    }
+    function addSample(sample) {
+        self.sampleCount++;
+        if (self.index >= self.sampleSize) self.index = 0;
+        self.averages[self.index] = sample.average;
+        self.maximums[self.index] = sample.max;
+        self.index++;
+        if (sample.max > self.maxMS) self.maxMS = sample.max;
+        if (sample.min < self.minMS) self.minMS = sample.min;
+        return stats();
+    }
+    function percentile(sorted, p) {
+        if (!sorted.length) return 0;
+        const rank = Math.ceil((p / 100) * sorted.length) - 1;
+        return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+    }
+    function stats() {
+        const sorted = [...self.averages].sort((a, b) => a - b);
+        const sum = sorted.reduce((a, b) => a + b, 0);
+        return {
+            sampleCount: self.sampleCount,
+            averageMS: sorted.length ? sum / sorted.length : 0,
+            minMS: self.sampleCount ? self.minMS : 0,
+            maxMS: self.maxMS,
+            windowMaxMS: self.maximums.length ? Math.max(...self.maximums) : 0,
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            p99: percentile(sorted, 99),
+            runtimeMS: Date.now() - self.startTime
+        };
+    }
+    function init() {
+        _init();
+    }
+    return {
+        addSample,
+        stats,
+        init
+    };
+}
+
+/**
+ * A cycle time monitor samples the PLC cycle time (CYCLE TIME READ) on a schedule, keeps rolling statistics & percentiles
+ * and emits `cycleTimeWarning` when the monitored value rises above `warningMS` (and `cycleTimeNormal` when it falls back below).
+ * Create monitors with `FinsClient.monitorCycleTime()`.
+ *
+ * Each sample is the average, maximum & minimum cycle time reported by the PLC (in ms). The percentiles are of the
+ * average cycle time of the last `sampleSize` samples. Set `reset` to initialise the PLC cycle time values after each
+ * sample so the maximum & minimum are for the sample interval (otherwise they are since the PLC values were last initialised).
+ * Samples are skipped while the client is not connected or the client queue is at or above `queueLimit` (see `FinsPoller`).
+ * @param {FinsClient} client - the FinsClient instance
+ * @param {object} [options] - options `interval` `sampleSize` `warningMS` `warningOn` `reset` `queueLimit` `onSample` `onWarning` `onError` `paused`
+ */
+function FinsCycleTimeMonitor(client, options) {
+    if (!(this instanceof FinsCycleTimeMonitor)) return new FinsCycleTimeMonitor(client, options);
+    options = options || {};
+    FinsPoller.call(this, client, options);
+    /** @type {FinsCycleTimeMonitor}*/ const self = this;
+    self.warningMS = Number(options.warningMS) > 0 ? Number(options.warningMS) : null;
+    self.warningOn = WARNING_ON.includes(options.warningOn) ? options.warningOn : "average";
+    self.reset = options.reset === true;
+    self.onSample = typeof options.onSample == "function" ? options.onSample : null;
+    self.onWarning = typeof options.onWarning == "function" ? options.onWarning : null;
+    /** @type {CycleTimeStatistics}*/ self.statistics = new CycleTimeStatistics(parseInt(options.sampleSize) || 60);
+    self.last = null; //the last sample {average, max, min}
+    self.warning = false;
+    self._start();
+}
+inherits(FinsCycleTimeMonitor, FinsPoller);
+
+FinsCycleTimeMonitor.WARNING_ON = WARNING_ON;
+
+/**
+ * Get the rolling statistics
+ * @returns {{sampleCount: number, averageMS: number, minMS: number, maxMS: number, windowMaxMS: number, p50: number, p90: number, p99: number, runtimeMS: number}} the statistics
+ */
+FinsCycleTimeMonitor.prototype.stats = function () {
+    return this.statistics.stats();
+};
+
+/**
+ * Clear the rolling statistics (the PLC cycle time values are not changed)
+ */
+FinsCycleTimeMonitor.prototype.clear = function () {
+    /** @type {FinsCycleTimeMonitor}*/ const self = this;
+    self.statistics.init();
+    self.last = null;
+    self.warning = false;
+};
+
+/**
+ * Stop sampling and remove the monitor from the client. Any reply still pending is ignored.
+ */
+FinsCycleTimeMonitor.prototype.stop = function () {
+    /** @type {FinsCycleTimeMonitor}*/ const self = this;
+    if (!self._stop()) {
+        return;
+    }
+    const index = self.client.cycleTimeMonitors.indexOf(self);
+    if (index >= 0) {
+        self.client.cycleTimeMonitors.splice(index, 1);
+    }
+    self.emit('stopped');
+};
+
+/**
+ * Read (and optionally reset) the cycle time and report the sample (called by `FinsPoller`)
+ * @param {Function} done - called when the sample is complete
+ */
+FinsCycleTimeMonitor.prototype._poll = function (done) {
+    /** @type {FinsCycleTimeMonitor}*/ const self = this;
+    const client = self.client;
+    client.cycleTimeRead(function (err, msg) {
+        if (!self.active) {
+            return done(); //stopped while waiting for the reply
+        }
+        const next = err || !self.reset ? done : function () {
+            client.cycleTimeReset(function (resetErr, resetMsg) {
+                self._report(done, () => resetErr && self.active && self._error(resetErr, resetMsg), resetMsg);
+            });
+        };
+        self._report(next, () => err ? self._error(err, msg) : _update(self, msg), msg);
+    });
+};
+
+//#region Supporting functions
+
+function _update(self, msg) {
+    const response = msg.response;
+    const sample = { average: response.average, max: response.max, min: response.min };
+    self.last = sample;
+    const stats = self.statistics.addSample(sample);
+    self.onSample && self.onSample(sample, stats, msg);
+    self.emit('sample', sample, stats, msg);
+    if (self.warningMS == null) {
+        return;
+    }
+    const value = self.warningOn === "average" || self.warningOn === "max" ? sample[self.warningOn] : stats[self.warningOn];
+    const details = { value: value, warningMS: self.warningMS, warningOn: self.warningOn, sample: sample, stats: stats };
+    if (!self.warning && value > self.warningMS) {
+        self.warning = true;
+        self.onWarning && self.onWarning(details);
+        self.emit('cycleTimeWarning', details);
+    } else if (self.warning && value <= self.warningMS) {
+        self.warning = false;
+        self.emit('cycleTimeNormal', details);
+    }
+}
+
+//#endregion
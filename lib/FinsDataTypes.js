@@ -0,0 +1,229 @@
+const constants = require('./FinsConstants');
+const { FinsError } = require('./FinsErrors');
+
+/**
+ * Encoding & decoding of typed values (REAL, DINT, BCD, STRING etc) stored in PLC words.
+ *
+ * FINS transfers each word high byte first. Values larger than one word are stored by Omron PLCs
+ * low word first (e.g. a REAL at D100 has its low word in D100 and its high word in D101).
+ * Set `wordSwap` for devices that store the high word first and `byteSwap` to swap the bytes in each word.
+ */
+
+const INT_RANGES = {
+    INT: [-0x8000, 0x7fff],
+    UINT: [0, 0xffff],
+    WORD: [-0x8000, 0xffff],
+    DINT: [-0x80000000, 0x7fffffff],
+    UDINT: [0, 0xffffffff],
+    BCD16: [0, 9999],
+    BCD32: [0, 99999999],
+};
+
+/**
+ * Parse a data type e.g. `"REAL"` or `"STRING(20)"`
+ * @param {string} type - the data type name (see `constants.DataTypes`)
+ * @param {object} [opts] - options `wordSwap` `byteSwap` `length` (`length` is the number of characters in a STRING)
+ * @returns {{type: string, words: number, length: number, wordSwap: boolean, byteSwap: boolean}} the data type details or `null` if `type` is empty
+ */
+function parseDataType(type, opts) {
+    if (type == null || type === "") {
+        return null;
+    }
+    opts = opts || {};
+    const matches = String(type).trim().toUpperCase().match(/^([A-Z0-9]+)(?:\((\d+)\))?$/);
+    const name = matches && matches[1];
+    if (!matches || !Object.prototype.hasOwnProperty.call(constants.DataTypes, name)) {
+        throw new FinsError(`'${type}' is not a valid data type`, { dataType: type });
+    }
+    let length = 0;
+    let words = constants.DataTypes[name];
+    if (name === "STRING") {
+        length = parseInt(matches[2] || opts.length) || 0;
+        words = Math.ceil(length / 2);
+    } else if (matches[2]) {
+        throw new FinsError(`'${type}' is not a valid data type. A length is only valid for STRING`, { dataType: type });
+    }
+    return {
+        type: name,
+        words: words,
+        length: length,
+        wordSwap: opts.wordSwap === true,
+        byteSwap: opts.byteSwap === true
+    };
+}
+
+/**
+ * Reorder the bytes of one value between PLC word order and big endian order (the operation is its own inverse)
+ */
+function _reorder(bytes, dataType) {
+    if (dataType.byteSwap) {
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+            const b = bytes[i];
+            bytes[i] = bytes[i + 1];
+            bytes[i + 1] = b;
+        }
+    }
+    if (dataType.type !== "STRING" && bytes.length > 2 && !dataType.wordSwap) {
+        //low word first -> high word first
+        const words = [];
+        for (let i = 0; i < bytes.length; i += 2) {
+            words.unshift(bytes.slice(i, i + 2));
+        }
+        Buffer.concat(words).copy(bytes);
+    }
+    return bytes;
+}
+
+function _bcdToNumber(value, digits) {
+    let result = 0;
+    for (let i = digits - 1; i >= 0; i--) {
+        const digit = Math.floor(value / Math.pow(16, i)) % 16;
+        if (digit > 9) {
+            return NaN;
+        }
+        result = result * 10 + digit;
+    }
+    return result;
+}
+
+function _numberToBcd(value, digits) {
+    let result = 0;
+    for (let i = digits - 1; i >= 0; i--) {
+        result = result * 16 + Math.floor(value / Math.pow(10, i)) % 10;
+    }
+    return result;
+}
+
+/**
+ * Decode typed values from the data bytes of a MEMORY AREA READ reply
+ * @param {Buffer} buffer - the data bytes (as read from the PLC)
+ * @param {object} dataType - the data type (see `parseDataType`)
+ * @returns {Array<number|bigint|string>} the values (LINT & ULINT values are `BigInt`)
+ */
+function bytesToValues(buffer, dataType) {
+    const size = dataType.words * 2;
+    const values = [];
+    if (!size) {
+        return values;
+    }
+    for (let offset = 0; offset + size <= buffer.length; offset += size) {
+        const bytes = _reorder(Buffer.from(buffer.slice(offset, offset + size)), dataType);
+        switch (dataType.type) {
+        case "INT":
+            values.push(bytes.readInt16BE(0));
+            break;
+        case "WORD":
+        case "UINT":
+            values.push(bytes.readUInt16BE(0));
+            break;
+        case "DINT":
+            values.push(bytes.readInt32BE(0));
+            break;
+        case "UDINT":
+            values.push(bytes.readUInt32BE(0));
+            break;
+        case "LINT":
+            values.push(bytes.readBigInt64BE(0));
+            break;
+        case "ULINT":
+            values.push(bytes.readBigUInt64BE(0));
+            break;
+        case "REAL":
+            values.push(bytes.readFloatBE(0));
+            break;
+        case "LREAL":
+            values.push(bytes.readDoubleBE(0));
+            break;
+        case "BCD16":
+            values.push(_bcdToNumber(bytes.readUInt16BE(0), 4));
+            break;
+        case "BCD32":
+            values.push(_bcdToNumber(bytes.readUInt32BE(0), 8));
+            break;
+        case "STRING": {
+            const text = bytes.slice(0, dataType.length).toString("latin1");
+            const end = text.indexOf("\0");
+            values.push(end >= 0 ? text.substring(0, end) : text);
+            break;
+        }
+        }
+    }
+    return values;
+}
+
+/**
+ * Encode typed values to the words of a MEMORY AREA WRITE command
+ * @param {Array<number|bigint|string>|number|bigint|string} values - the value(s) to encode
+ * @param {object} dataType - the data type (see `parseDataType`)
+ * @returns {number[]} the words to write
+ */
+function valuesToWords(values, dataType) {
+    if (!Array.isArray(values)) {
+        values = [values];
+    }
+    const buffers = values.map(function (value) {
+        let length = dataType.length;
+        if (dataType.type === "STRING" && !length) {
+            length = String(value).length; //no length specified - write the whole string
+        }
+        const size = dataType.type === "STRING" ? Math.ceil(length / 2) * 2 : dataType.words * 2;
+        const bytes = Buffer.alloc(size);
+        const range = INT_RANGES[dataType.type];
+        if (range) {
+            value = Number(value);
+            if (!Number.isInteger(value) || value < range[0] || value > range[1]) {
+                throw new FinsError(`'${value}' is not a valid ${dataType.type} value`, { dataType: dataType.type });
+            }
+        }
+        switch (dataType.type) {
+        case "INT":
+        case "UINT":
+        case "WORD":
+            bytes.writeUInt16BE(value & 0xffff, 0);
+            break;
+        case "DINT":
+        case "UDINT":
+            bytes.writeUInt32BE(value >>> 0, 0);
+            break;
+        case "LINT":
+            bytes.writeBigInt64BE(BigInt(value), 0);
+            break;
+        case "ULINT":
+            bytes.writeBigUInt64BE(BigInt(value), 0);
+            break;
+        case "REAL":
+            bytes.writeFloatBE(Number(value), 0);
+            break;
+        case "LREAL":
+            bytes.writeDoubleBE(Number(value), 0);
+            break;
+        case "BCD16":
+            bytes.writeUInt16BE(_numberToBcd(value, 4), 0);
+            break;
+        case "BCD32":
+            bytes.writeUInt32BE(_numberToBcd(value, 8), 0);
+            break;
+        case "STRING": {
+            const text = String(value);
+            if (text.length > length) {
+                throw new FinsError(`'${text}' is longer than ${length} characters`, { dataType: dataType.type });
+            }
+            bytes.write(text, 0, "latin1");
+            break;
+        }
+        }
+        return _reorder(bytes, dataType);
+    });
+    const bytes = Buffer.concat(buffers);
+    const words = [];
+    for (let i = 0; i < bytes.length; i += 2) {
+        words.push(bytes.readUInt16BE(i));
+    }
+    return words;
+}
+
+module.exports = {
+    parseDataType,
+    bytesToValues,
+    valuesToWords,
+};
@@ -61,7 +61,7 @@ function _dwordsToBytes (data) {
         }
         buf = Buffer.alloc(words.length * 4);
         for (let i = 0; i < words.length; i++) {
-            buf.writeUInt32BE(words[i]);
+            buf.writeUInt32BE(words[i] >>> 0, i * 4);
         }
     }
     return buf && buf.toJSON().data;
@@ -0,0 +1,119 @@
+const inherits = require('util').inherits;
+const constants = require('./FinsConstants');
+
+module.exports = {
+    FinsError,
+    FinsEndCodeError,
+    FinsTimeoutError,
+    FinsTransportError,
+    FinsQueueFullError,
+    FinsAddressError,
+    FinsTcpHandshakeError,
+    FinsTagError,
+};
+
+/**
+ * Base error for all errors raised by the FINS library.
+ * All other FINS errors inherit from this so `err instanceof FinsError` can be used to
+ * separate FINS errors from other errors.
+ * @param {string} message - The error message
+ * @param {object} [details] - Additional properties to attach to the error
+ */
+function FinsError(message, details) {
+    Error.call(this, message);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+    this.name = this.constructor.name;
+    this.message = message;
+    if (details) {
+        Object.assign(this, details);
+    }
+}
+inherits(FinsError, Error);
+
+/**
+ * The PLC replied with an end code other than `0000` (Normal Completion)
+ * @param {object} endCodeInfo - The processed end code (or response) containing `endCode`, `MRES`, `SRES` etc
+ * @param {object} [msg] - The msg (sequence) that the PLC replied to
+ */
+function FinsEndCodeError(endCodeInfo, msg) {
+    endCodeInfo = endCodeInfo || {};
+    const endCode = endCodeInfo.endCode;
+    const endCodeDescription = endCodeInfo.endCodeDescription || constants.EndCodeDescriptions[endCode] || "Unknown end code";
+    FinsError.call(this, `${endCode}: ${endCodeDescription}`, {
+        endCode: endCode,
+        endCodeDescription: endCodeDescription,
+        MRES: endCodeInfo.MRES,
+        SRES: endCodeInfo.SRES,
+        NetworkRelayError: endCodeInfo.NetworkRelayError,
+        NonFatalCPUUnitErr: endCodeInfo.NonFatalCPUUnitErr,
+        FatalCPUUnitErr: endCodeInfo.FatalCPUUnitErr,
+        msg: msg
+    });
+}
+inherits(FinsEndCodeError, FinsError);
+
+/**
+ * No reply was received from the PLC within the timeout period
+ * @param {object} [details] - Additional properties e.g. `sid`, `timeout`
+ */
+function FinsTimeoutError(details) {
+    FinsError.call(this, "timeout", details);
+}
+inherits(FinsTimeoutError, FinsError);
+
+/**
+ * The socket is not connected or the socket reported an error
+ * @param {string} message - The error message
+ * @param {Error} [cause] - The underlying (socket) error
+ * @param {object} [details] - Additional properties to attach to the error
+ */
+function FinsTransportError(message, cause, details) {
+    FinsError.call(this, message, Object.assign({ cause: cause, code: cause && cause.code }, details));
+}
+inherits(FinsTransportError, FinsError);
+
+/**
+ * The command was not sent because the number of pending commands reached `max_queue`
+ * @param {number} maxQueue - The queue limit that was reached
+ */
+function FinsQueueFullError(maxQueue) {
+    FinsError.call(this, "full", { maxQueue: maxQueue });
+}
+inherits(FinsQueueFullError, FinsError);
+
+/**
+ * An address is invalid or not valid for this CPU
+ * @param {string} message - The error message
+ * @param {string} [address] - The address that was rejected
+ */
+function FinsAddressError(message, address) {
+    FinsError.call(this, message, { address: address });
+}
+inherits(FinsAddressError, FinsError);
+
+/**
+ * The FINS/TCP node address handshake failed or the FINS/TCP header reported an error
+ * @param {number|string} tcpErrorCode - The FINS/TCP error code (see `TCPCommandErrorCodes`) or a message
+ */
+function FinsTcpHandshakeError(tcpErrorCode) {
+    let message = tcpErrorCode;
+    let code = null;
+    if (typeof tcpErrorCode == "number") {
+        code = tcpErrorCode;
+        message = constants.TCPCommandErrorCodes[tcpErrorCode.toString(16)] || `FINS/TCP error ${tcpErrorCode}`;
+    }
+    FinsError.call(this, message, { tcpErrorCode: code });
+}
+inherits(FinsTcpHandshakeError, FinsError);
+
+/**
+ * A tag is not defined, its definition is invalid or the tag does not permit the requested access
+ * @param {string} message - The error message
+ * @param {string} [tagName] - The name of the tag
+ */
+function FinsTagError(message, tagName) {
+    FinsError.call(this, message, { tagName: tagName });
+}
+inherits(FinsTagError, FinsError);
@@ -0,0 +1,270 @@
+const constants = require('./FinsConstants');
+const { FinsError } = require('./FinsErrors');
+const { getKeyName } = require('./FinsDataUtils');
+
+/**
+ * Encoding & decoding of the data used by the Ethernet Unit commands (27xx).
+ *
+ * The commands are addressed to an Ethernet Unit (a CPU Bus Unit) by setting `DA2` to `0x10` + the unit number.
+ * IP addresses are sent as 4 bytes. The tables returned by the unit start with the maximum number of records and the number
+ * of stored records (2 bytes each). The protocol, memory & socket status are returned as 4 byte values.
+ */
+
+const { IP_ADDRESS_RECORD_BYTES, IP_ROUTER_RECORD_BYTES, SOCKET_RECORD_BYTES, PROTOCOL_STATUS_FIELDS, MEMORY_STATUS_FIELDS } = constants.EthernetUnit;
+
+/**
+ * Encode an IP address as 4 bytes
+ * @param {string} ipAddress - the IP address e.g. `192.168.250.1`
+ * @returns {Buffer} the encoded address (throws a `FinsError` if the address is not valid)
+ */
+function encodeIpAddress(ipAddress) {
+    const parts = String(ipAddress == null ? "" : ipAddress).trim().split(".");
+    const valid = parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255);
+    if (!valid) {
+        throw new FinsError(`'${ipAddress}' is not a valid IP address`, { ipAddress: ipAddress });
+    }
+    return Buffer.from(parts.map(Number));
+}
+
+/**
+ * Decode a 4 byte IP address
+ * @param {Buffer} buffer - the data
+ * @param {number} [offset=0] - the offset of the address in `buffer`
+ * @returns {string} the IP address e.g. `192.168.250.1`
+ */
+function decodeIpAddress(buffer, offset) {
+    offset = offset || 0;
+    return [...buffer.slice(offset, offset + 4)].join(".");
+}
+
+/**
+ * Encode the records of IP ADDRESS TABLE WRITE
+ * @param {{node: number, ipAddress: string}[]} records - the FINS node numbers (1 to 254) and their IP addresses
+ * @returns {Buffer} the number of records (2 bytes) followed by the records (throws a `FinsError` if a record is not valid)
+ */
+function encodeIpAddressTable(records) {
+    if (!Array.isArray(records) || records.length > constants.EthernetUnit.MAX_IP_ADDRESS_RECORDS) {
+        throw new FinsError(`records must be an array of up to ${constants.EthernetUnit.MAX_IP_ADDRESS_RECORDS} records`, { records: records });
+    }
+    const buffer = Buffer.alloc(2 + records.length * IP_ADDRESS_RECORD_BYTES);
+    buffer.writeUInt16BE(records.length, 0);
+    records.forEach(function (record, index) {
+        const node = record && record.node;
+        if (!Number.isInteger(node) || node < 1 || node > 254) {
+            throw new FinsError(`node '${node}' is not a valid FINS node number`, { record: record });
+        }
+        const offset = 2 + index * IP_ADDRESS_RECORD_BYTES;
+        buffer.writeUInt16BE(node, offset);
+        encodeIpAddress(record.ipAddress).copy(buffer, offset + 2);
+    });
+    return buffer;
+}
+
+/**
+ * Decode the data of IP ADDRESS TABLE READ
+ * @param {Buffer} data - the response data
+ * @returns {{maxRecords: number, storedRecords: number, records: {node: number, ipAddress: string}[]}} the IP address table
+ */
+function decodeIpAddressTable(data) {
+    return _decodeTable(data, IP_ADDRESS_RECORD_BYTES, (offset) => ({
+        node: data.readUInt16BE(offset),
+        ipAddress: decodeIpAddress(data, offset + 2)
+    }));
+}
+
+/**
+ * Decode the data of IP ROUTER TABLE READ
+ * @param {Buffer} data - the response data
+ * @returns {{maxRecords: number, storedRecords: number, records: {network: string, router: string}[]}} the IP router table
+ */
+function decodeIpRouterTable(data) {
+    return _decodeTable(data, IP_ROUTER_RECORD_BYTES, (offset) => ({
+        network: decodeIpAddress(data, offset),
+        router: decodeIpAddress(data, offset + 4)
+    }));
+}
+
+/**
+ * Encode the data of PROTOCOL STATUS READ
+ * @param {{ip: object, icmp: object, tcp: object, udp: object}} protocolStatus - the counters of each protocol (objects keyed by the names
+ * in `constants.EthernetUnit.PROTOCOL_STATUS_FIELDS` or arrays in the same order). Missing counters are `0`
+ * @returns {Buffer} the counters
+ */
+function encodeProtocolStatus(protocolStatus) {
+    protocolStatus = protocolStatus || {};
+    const values = [];
+    Object.keys(PROTOCOL_STATUS_FIELDS).forEach(function (protocol) {
+        values.push(..._counterValues(protocolStatus[protocol], PROTOCOL_STATUS_FIELDS[protocol]));
+    });
+    return _writeCounters(values);
+}
+
+/**
+ * Decode the data of PROTOCOL STATUS READ
+ * @param {Buffer} data - the response data
+ * @returns {{ip: object, icmp: object, tcp: object, udp: object}} the counters of each protocol keyed by the names in
+ * `constants.EthernetUnit.PROTOCOL_STATUS_FIELDS` e.g. `tcp.connectionsEstablished` (`null` if not returned)
+ */
+function decodeProtocolStatus(data) {
+    const result = {};
+    let offset = 0;
+    Object.keys(PROTOCOL_STATUS_FIELDS).forEach(function (protocol) {
+        result[protocol] = _readNamedCounters(data, offset, PROTOCOL_STATUS_FIELDS[protocol]);
+        offset += PROTOCOL_STATUS_FIELDS[protocol].length * 4;
+    });
+    return result;
+}
+
+/**
+ * Encode the data of MEMORY STATUS READ
+ * @param {object|number[]} memoryStatus - the values keyed by the names in `constants.EthernetUnit.MEMORY_STATUS_FIELDS` (or an array in the same order)
+ * @returns {Buffer} the values
+ */
+function encodeMemoryStatus(memoryStatus) {
+    return _writeCounters(_counterValues(memoryStatus, MEMORY_STATUS_FIELDS));
+}
+
+/**
+ * Decode the data of MEMORY STATUS READ
+ * @param {Buffer} data - the response data
+ * @returns {object} the values keyed by the names in `constants.EthernetUnit.MEMORY_STATUS_FIELDS` e.g. `shortBuffersInUse`
+ * (`null` if not returned) and `counters` (all the values returned in order)
+ */
+function decodeMemoryStatus(data) {
+    return Object.assign(_readNamedCounters(data, 0, MEMORY_STATUS_FIELDS), {
+        counters: _readCounters(data, 0, Math.floor(data.length / 4))
+    });
+}
+
+/**
+ * Encode the data of SOCKET STATUS READ
+ * @param {{protocol: string, receiveQueue: number, sendQueue: number, localAddress: string, localPort: number, remoteAddress: string, remotePort: number, state: string}[]} sockets - the sockets
+ * @returns {Buffer} the socket records
+ */
+function encodeSocketStatus(sockets) {
+    const buffer = Buffer.alloc(sockets.length * SOCKET_RECORD_BYTES);
+    sockets.forEach(function (socket, index) {
+        const offset = index * SOCKET_RECORD_BYTES;
+        buffer.writeUInt32BE(constants.SocketProtocols[socket.protocol] || 0, offset);
+        buffer.writeUInt32BE(socket.receiveQueue || 0, offset + 4);
+        buffer.writeUInt32BE(socket.sendQueue || 0, offset + 8);
+        encodeIpAddress(socket.localAddress || "0.0.0.0").copy(buffer, offset + 12);
+        buffer.writeUInt32BE(socket.localPort || 0, offset + 16);
+        encodeIpAddress(socket.remoteAddress || "0.0.0.0").copy(buffer, offset + 20);
+        buffer.writeUInt32BE(socket.remotePort || 0, offset + 24);
+        buffer.writeUInt32BE(constants.TcpStates[socket.state] || 0, offset + 28);
+    });
+    return buffer;
+}
+
+/**
+ * Decode the data of SOCKET STATUS READ
+ * @param {Buffer} data - the response data
+ * @returns {{sockets: {protocol: string, receiveQueue: number, sendQueue: number, localAddress: string, localPort: number, remoteAddress: string, remotePort: number, state: string}[]}} the sockets
+ * (`state` is the TCP state e.g. `"ESTABLISHED"` - `null` for UDP sockets)
+ */
+function decodeSocketStatus(data) {
+    const sockets = [];
+    for (let offset = 0; offset + SOCKET_RECORD_BYTES <= data.length; offset += SOCKET_RECORD_BYTES) {
+        const protocol = getKeyName(constants.SocketProtocols, data.readUInt32BE(offset)) || "UNKNOWN";
+        sockets.push({
+            protocol: protocol,
+            receiveQueue: data.readUInt32BE(offset + 4),
+            sendQueue: data.readUInt32BE(offset + 8),
+            localAddress: decodeIpAddress(data, offset + 12),
+            localPort: data.readUInt32BE(offset + 16) & 0xffff,
+            remoteAddress: decodeIpAddress(data, offset + 20),
+            remotePort: data.readUInt32BE(offset + 24) & 0xffff,
+            state: protocol === "TCP" ? getKeyName(constants.TcpStates, data.readUInt32BE(offset + 28)) || "UNKNOWN" : null
+        });
+    }
+    return { sockets: sockets };
+}
+
+/**
+ * Decode the data of ADDRESS INFORMATION READ
+ * @param {Buffer} data - the response data
+ * @returns {{addresses: {node: number, ipAddress: string}[]}} the FINS node numbers and IP addresses of the unit
+ */
+function decodeAddressInformation(data) {
+    const addresses = [];
+    const count = data.length >= 2 ? data.readUInt16BE(0) : 0;
+    for (let index = 0; index < count; index++) {
+        const offset = 2 + index * IP_ADDRESS_RECORD_BYTES;
+        if (data.length < offset + IP_ADDRESS_RECORD_BYTES) {
+            break;
+        }
+        addresses.push({ node: data.readUInt16BE(offset), ipAddress: decodeIpAddress(data, offset + 2) });
+    }
+    return { addresses: addresses };
+}
+
+/**
+ * Decode the data of IP ADDRESS READ
+ * @param {Buffer} data - the response data
+ * @returns {{ipAddress: string, subnetMask: string}} the IP address and subnet mask of the unit
+ */
+function decodeIpAddressRead(data) {
+    return {
+        ipAddress: data.length >= 4 ? decodeIpAddress(data, 0) : null,
+        subnetMask: data.length >= 8 ? decodeIpAddress(data, 4) : null
+    };
+}
+
+//#region Supporting functions
+
+function _decodeTable(data, recordBytes, decodeRecord) {
+    const records = [];
+    for (let offset = 4; offset + recordBytes <= data.length; offset += recordBytes) {
+        records.push(decodeRecord(offset));
+    }
+    return {
+        maxRecords: data.length >= 2 ? data.readUInt16BE(0) : 0,
+        storedRecords: data.length >= 4 ? data.readUInt16BE(2) : 0,
+        records: records
+    };
+}
+
+function _readNamedCounters(data, offset, names) {
+    const counters = _readCounters(data, offset, names.length);
+    const result = {};
+    names.forEach((name, index) => { result[name] = index < counters.length ? counters[index] : null; });
+    return result;
+}
+
+function _counterValues(counters, names) {
+    counters = counters || [];
+    return names.map((name, index) => (Array.isArray(counters) ? counters[index] : counters[name]) || 0);
+}
+
+function _writeCounters(values) {
+    const data = Buffer.alloc(values.length * 4);
+    values.forEach((value, index) => data.writeUInt32BE((value || 0) >>> 0, index * 4));
+    return data;
+}
+
+function _readCounters(data, offset, count) {
+    const counters = [];
+    for (let index = 0; index < count && offset + index * 4 + 4 <= data.length; index++) {
+        counters.push(data.readUInt32BE(offset + index * 4));
+    }
+    return counters;
+}
+
+//#endregion
+
+module.exports = {
+    encodeIpAddress,
+    decodeIpAddress,
+    encodeIpAddressTable,
+    decodeIpAddressTable,
+    decodeIpRouterTable,
+    encodeProtocolStatus,
+    decodeProtocolStatus,
+    encodeMemoryStatus,
+    decodeMemoryStatus,
+    encodeSocketStatus,
+    decodeSocketStatus,
+    decodeAddressInformation,
+    decodeIpAddressRead,
+};
@@ -0,0 +1,129 @@
+const constants = require('./FinsConstants');
+const { FinsError } = require('./FinsErrors');
+
+/**
+ * Encoding & decoding of the paths, file names and dates used by the file memory commands (22xx).
+ *
+ * File memory (a memory card or EM file memory) uses MS-DOS style names. A file name is sent as 12 bytes: up to 8 characters,
+ * "." and up to 3 characters of extension, each part padded with spaces e.g. `"DATA    .CSV"`. A directory is sent as its length
+ * (2 bytes) followed by the absolute path e.g. `\LOGS` (up to 65 characters). Dates are MS-DOS date/time values (2 second resolution).
+ * Paths in this library use `/` (or `\`) separators e.g. `/LOGS/DATA.CSV`.
+ */
+
+const NAME_LENGTH = 8;
+const EXTENSION_LENGTH = 3;
+const INVALID_CHARACTERS = /[\\/:*?"<>|\s.]/;
+
+/**
+ * Split a path into the directory and the file name
+ * @param {string} path - the path e.g. `/LOGS/DATA.CSV` or `\LOGS\DATA.CSV`
+ * @returns {{directory: string, name: string}} the directory (FINS format e.g. `\LOGS`) and the name (`""` for the root directory)
+ */
+function splitPath(path) {
+    if (typeof path != "string" || !path.trim().length) {
+        throw new FinsError("path is empty", { path: path });
+    }
+    const parts = path.trim().split(/[\\/]+/).filter(part => part.length);
+    const name = parts.pop() || "";
+    return { directory: "\\" + parts.join("\\"), name: name };
+}
+
+/**
+ * Join a FINS directory and a file name into a path (with `/` separators)
+ * @param {string} directory - the directory e.g. `\LOGS`
+ * @param {string} name - the file name e.g. `DATA.CSV`
+ * @returns {string} the path e.g. `/LOGS/DATA.CSV`
+ */
+function joinPath(directory, name) {
+    const parts = String(directory || "").split(/[\\/]+/).filter(part => part.length);
+    if (name) {
+        parts.push(name);
+    }
+    return "/" + parts.join("/");
+}
+
+/**
+ * Encode a file (or directory) name as 12 bytes
+ * @param {string} name - the name e.g. `DATA.CSV` (up to 8 characters, optionally "." and up to 3 characters of extension)
+ * @returns {Buffer} the encoded name (throws a `FinsError` if the name is not valid)
+ */
+function encodeFileName(name) {
+    const text = String(name == null ? "" : name).trim();
+    const dot = text.lastIndexOf(".");
+    const base = dot >= 0 ? text.substring(0, dot) : text;
+    const extension = dot >= 0 ? text.substring(dot + 1) : "";
+    const valid = base.length && base.length <= NAME_LENGTH && extension.length <= EXTENSION_LENGTH
+        && !INVALID_CHARACTERS.test(base) && !INVALID_CHARACTERS.test(extension) && /^[\x21-\x7E]*$/.test(base + extension);
+    if (!valid) {
+        throw new FinsError(`'${text}' is not a valid file name. Use up to 8 characters and an extension of up to 3 characters e.g. DATA.CSV`, { name: name });
+    }
+    return Buffer.from(`${base.padEnd(NAME_LENGTH, " ")}.${extension.padEnd(EXTENSION_LENGTH, " ")}`, "ascii");
+}
+
+/**
+ * Decode a 12 byte file name
+ * @param {Buffer} buffer - the encoded name
+ * @param {number} [offset=0] - the offset of the name in `buffer`
+ * @returns {string} the name e.g. `DATA.CSV`
+ */
+function decodeFileName(buffer, offset) {
+    offset = offset || 0;
+    const text = buffer.toString("ascii", offset, offset + constants.FileMemory.FILE_NAME_BYTES).replace(/\0/g, " ");
+    const dot = text.indexOf(".");
+    const base = (dot >= 0 ? text.substring(0, dot) : text).trim();
+    const extension = dot >= 0 ? text.substring(dot + 1).trim() : "";
+    return extension.length ? `${base}.${extension}` : base;
+}
+
+/**
+ * Encode a directory as its length (2 bytes) followed by the absolute path
+ * @param {string} directory - the directory e.g. `\LOGS` or `/LOGS`
+ * @returns {Buffer} the encoded directory (throws a `FinsError` if the directory is not valid)
+ */
+function encodeDirectory(directory) {
+    const parts = String(directory || "").split(/[\\/]+/).filter(part => part.length);
+    parts.forEach(part => encodeFileName(part)); //each directory name is an 8.3 name
+    const path = "\\" + parts.join("\\");
+    if (path.length > constants.FileMemory.MAX_PATH) {
+        throw new FinsError(`directory '${directory}' is longer than ${constants.FileMemory.MAX_PATH} characters`, { directory: directory });
+    }
+    const buffer = Buffer.alloc(2 + path.length);
+    buffer.writeUInt16BE(path.length, 0);
+    buffer.write(path, 2, "ascii");
+    return buffer;
+}
+
+/**
+ * Convert a date to an MS-DOS date/time value
+ * @param {Date} date - the date
+ * @returns {number} the date/time value (year since 1980, month, day, hour, minute & second / 2)
+ */
+function toDosDateTime(date) {
+    const year = Math.min(127, Math.max(0, date.getFullYear() - 1980));
+    return ((year << 25) | ((date.getMonth() + 1) << 21) | (date.getDate() << 16) |
+        (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)) >>> 0;
+}
+
+/**
+ * Convert an MS-DOS date/time value to a date
+ * @param {number} value - the date/time value
+ * @returns {Date} the date (`null` if the value is not a valid date)
+ */
+function fromDosDateTime(value) {
+    const month = (value >>> 21) & 0x0F;
+    const day = (value >>> 16) & 0x1F;
+    if (!month || month > 12 || !day) {
+        return null;
+    }
+    return new Date(1980 + (value >>> 25), month - 1, day, (value >>> 11) & 0x1F, (value >>> 5) & 0x3F, (value & 0x1F) * 2);
+}
+
+module.exports = {
+    splitPath,
+    joinPath,
+    encodeFileName,
+    decodeFileName,
+    encodeDirectory,
+    toDosDateTime,
+    fromDosDateTime,
+};
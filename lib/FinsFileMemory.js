@@ -0,0 +1,257 @@
+const fs = require('fs');
+const { FinsError } = require('./FinsErrors');
+
+module.exports = FinsFileMemory;
+
+/**
+ * A filesystem-like API for the file memory of a PLC (a memory card or EM file memory) e.g.
+ * `await client.files.list("/LOGS")` or `await client.files.download("/LOGS/DATA.CSV", "data.csv")`.
+ * Each method sends the file memory commands (22xx) with the client and returns a Promise.
+ *
+ * Paths use `/` separators and MS-DOS (8.3) names e.g. `/LOGS/DATA.CSV`. The disk is `client.files.disk`
+ * (default `"MEMORY_CARD"`) unless `options.disk` is set. `options` can also contain the usual command options
+ * (`timeout`, `DNA`, `DA1`, `DA2` etc).
+ * @param {FinsClient} client - the FinsClient instance
+ * @param {object} [options] - options `disk`
+ */
+function FinsFileMemory(client, options) {
+    if (!(this instanceof FinsFileMemory)) return new FinsFileMemory(client, options);
+    /** @type {FinsFileMemory}*/ const self = this;
+    options = options || {};
+    self.client = client;
+    self.disk = options.disk || "MEMORY_CARD";
+}
+
+/**
+ * Get the volume label, capacity, unused capacity and number of files of the disk
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<{volumeLabel: string, date: Date, capacity: number, free: number, totalFiles: number}>} the disk data
+ */
+FinsFileMemory.prototype.info = async function (options) {
+    const msg = await this.client.fileNameReadAsync(_disk(this, options), "/", 0, 1, _commandOptions(options));
+    return msg.response.disk;
+};
+
+/**
+ * List a directory
+ * @param {string} [path="/"] - the directory e.g. `/LOGS`
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<{name: string, path: string, date: Date, size: number, isDirectory: boolean}[]>} the files & directories in the directory
+ */
+FinsFileMemory.prototype.list = async function (path, options) {
+    const msg = await this.client.fileNameReadAsync(_disk(this, options), path || "/", 0, null, _commandOptions(options));
+    return msg.response.files;
+};
+
+/**
+ * Read a file
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {object} [options] - options `disk` `encoding` (return a string e.g. `"latin1"`) and command options
+ * @returns {Promise<Buffer|string>} the contents of the file
+ */
+FinsFileMemory.prototype.readFile = async function (path, options) {
+    const msg = await this.client.singleFileReadAsync(_disk(this, options), path, 0, null, _commandOptions(options));
+    const buffer = msg.response.buffer;
+    return options && options.encoding ? buffer.toString(options.encoding) : buffer;
+};
+
+/**
+ * Write a file
+ * @param {string} path - the file e.g. `/RECIPES/RECIPE1.CSV`
+ * @param {Buffer|string} data - the contents of the file
+ * @param {object} [options] - options `disk` `overwrite` (default `true` - set `false` to fail if the file exists) and command options
+ * @returns {Promise<number>} the number of bytes written
+ */
+FinsFileMemory.prototype.writeFile = async function (path, data, options) {
+    const mode = options && options.overwrite === false ? "create" : "overwrite";
+    const msg = await this.client.singleFileWriteAsync(_disk(this, options), path, data, Object.assign(_commandOptions(options), { mode: mode }));
+    return msg.response.count;
+};
+
+/**
+ * Add data to the end of a file
+ * @param {string} path - the file e.g. `/LOGS/EVENTS.TXT`
+ * @param {Buffer|string} data - the data to add
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<number>} the number of bytes written
+ */
+FinsFileMemory.prototype.appendFile = async function (path, data, options) {
+    const msg = await this.client.singleFileWriteAsync(_disk(this, options), path, data, Object.assign(_commandOptions(options), { mode: "append" }));
+    return msg.response.count;
+};
+
+/**
+ * Copy a file from file memory to a local file
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {string} localPath - the local file to write
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<{path: string, localPath: string, size: number}>} the file details
+ */
+FinsFileMemory.prototype.download = async function (path, localPath, options) {
+    const buffer = await this.readFile(path, Object.assign({}, options, { encoding: null }));
+    try {
+        await fs.promises.writeFile(localPath, buffer);
+    } catch (error) {
+        throw new FinsError(`download failed: ${error.message}`, { path: path, localPath: localPath });
+    }
+    return { path: path, localPath: localPath, size: buffer.length };
+};
+
+/**
+ * Copy a local file to file memory
+ * @param {string} localPath - the local file to read
+ * @param {string} path - the file e.g. `/RECIPES/RECIPE1.CSV`
+ * @param {object} [options] - options `disk` `overwrite` (default `true`) and command options
+ * @returns {Promise<{path: string, localPath: string, size: number}>} the file details
+ */
+FinsFileMemory.prototype.upload = async function (localPath, path, options) {
+    let buffer;
+    try {
+        buffer = await fs.promises.readFile(localPath);
+    } catch (error) {
+        throw new FinsError(`upload failed: ${error.message}`, { path: path, localPath: localPath });
+    }
+    const size = await this.writeFile(path, buffer, options);
+    return { path: path, localPath: localPath, size: size };
+};
+
+/**
+ * Delete one or more files (the files must be in the same directory)
+ * @param {string|string[]} paths - the file(s) e.g. `/LOGS/DATA.CSV`
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<number>} the number of files deleted
+ */
+FinsFileMemory.prototype.delete = async function (paths, options) {
+    const msg = await this.client.fileDeleteAsync(_disk(this, options), paths, _commandOptions(options));
+    return msg.response.deleted;
+};
+
+/**
+ * Copy a file
+ * @param {string} srcPath - the file to copy e.g. `/LOGS/DATA.CSV`
+ * @param {string} dstPath - the new file e.g. `/BACKUP/DATA.CSV`
+ * @param {object} [options] - options `disk` `dstDisk` (to copy to another disk) and command options
+ * @returns {Promise<void>}
+ */
+FinsFileMemory.prototype.copy = async function (srcPath, dstPath, options) {
+    const disk = _disk(this, options);
+    const dstDisk = (options && options.dstDisk) || disk;
+    await this.client.fileCopyAsync(disk, srcPath, dstDisk, dstPath, _commandOptions(options));
+};
+
+/**
+ * Rename a file (the file stays in the same directory)
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {string} newName - the new file name e.g. `DATA_OLD.CSV`
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<void>}
+ */
+FinsFileMemory.prototype.rename = async function (path, newName, options) {
+    await this.client.fileNameChangeAsync(_disk(this, options), path, newName, _commandOptions(options));
+};
+
+/**
+ * Create a directory (the parent directory must exist)
+ * @param {string} path - the directory e.g. `/LOGS`
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<void>}
+ */
+FinsFileMemory.prototype.mkdir = async function (path, options) {
+    await this.client.directoryCreateAsync(_disk(this, options), path, _commandOptions(options));
+};
+
+/**
+ * Delete a directory (the directory must be empty)
+ * @param {string} path - the directory e.g. `/LOGS`
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<void>}
+ */
+FinsFileMemory.prototype.rmdir = async function (path, options) {
+    await this.client.directoryDeleteAsync(_disk(this, options), path, _commandOptions(options));
+};
+
+/**
+ * Format the disk. All files are deleted.
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<void>}
+ */
+FinsFileMemory.prototype.format = async function (options) {
+    await this.client.memoryCardFormatAsync(_disk(this, options), _commandOptions(options));
+};
+
+/**
+ * Set the volume label of the disk (an existing label is changed)
+ * @param {string} label - the volume label (up to 11 characters)
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<void>}
+ */
+FinsFileMemory.prototype.setVolumeLabel = async function (label, options) {
+    const disk = _disk(this, options);
+    const info = await this.info(options);
+    await this.client.volumeLabelCreateAsync(disk, label, Object.assign(_commandOptions(options), { change: !!info.volumeLabel }));
+};
+
+/**
+ * Delete the volume label of the disk
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<void>}
+ */
+FinsFileMemory.prototype.deleteVolumeLabel = async function (options) {
+    await this.client.volumeLabelDeleteAsync(_disk(this, options), _commandOptions(options));
+};
+
+/**
+ * Save words of I/O memory to a file (MEMORY AREA-FILE TRANSFER)
+ * @param {string} address - the first word e.g. `D1000`
+ * @param {number} count - the number of words
+ * @param {string} path - the file e.g. `/DATA/RECIPE1.IOM`
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<number>} the number of words transferred
+ */
+FinsFileMemory.prototype.saveMemory = async function (address, count, path, options) {
+    const msg = await this.client.memoryAreaFileTransferAsync("to_file", address, count, _disk(this, options), path, _commandOptions(options));
+    return msg.response.count;
+};
+
+/**
+ * Load words of I/O memory from a file (MEMORY AREA-FILE TRANSFER)
+ * @param {string} path - the file e.g. `/DATA/RECIPE1.IOM`
+ * @param {string} address - the first word e.g. `D1000`
+ * @param {number} count - the number of words
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<number>} the number of words transferred
+ */
+FinsFileMemory.prototype.loadMemory = async function (path, address, count, options) {
+    const msg = await this.client.memoryAreaFileTransferAsync("to_memory", address, count, _disk(this, options), path, _commandOptions(options));
+    return msg.response.count;
+};
+
+/**
+ * Compare words of I/O memory with a file (MEMORY AREA-FILE TRANSFER). The PLC replies with an error end code if the data does not match.
+ * @param {string} address - the first word e.g. `D1000`
+ * @param {number} count - the number of words
+ * @param {string} path - the file e.g. `/DATA/RECIPE1.IOM`
+ * @param {object} [options] - options `disk` and command options
+ * @returns {Promise<number>} the number of words compared
+ */
+FinsFileMemory.prototype.compareMemory = async function (address, count, path, options) {
+    const msg = await this.client.memoryAreaFileTransferAsync("compare", address, count, _disk(this, options), path, _commandOptions(options));
+    return msg.response.count;
+};
+
+//#region Supporting functions
+
+function _disk(self, options) {
+    return (options && options.disk) || self.disk;
+}
+
+function _commandOptions(options) {
+    const commandOptions = Object.assign({}, options);
+    delete commandOptions.disk;
+    delete commandOptions.dstDisk;
+    delete commandOptions.encoding;
+    delete commandOptions.overwrite;
+    return commandOptions;
+}
+
+//#endregion
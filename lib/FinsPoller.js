@@ -0,0 +1,162 @@
+const inherits = require('util').inherits;
+const EventEmitter = require('events').EventEmitter;
+
+module.exports = FinsPoller;
+
+/**
+ * The scheduler shared by `FinsSubscription` and `FinsCycleTimeMonitor` - sends a command on a schedule.
+ *
+ * Only one poll is outstanding at a time. The next poll is scheduled `interval` ms after the previous poll started
+ * (or immediately if the reply took longer than `interval`) so slow replies never pile up commands.
+ * Polls are skipped (and `skipped` is emitted) while the client is not connected or the client queue is at or above
+ * `queueLimit` so that polling never starves other commands.
+ *
+ * Derived objects call `FinsPoller.call(this, client, options)` in their constructor, implement `_poll(done)`
+ * (which must call `done()` once the poll is complete) then call `_start()`.
+ * @param {FinsClient} client - the FinsClient instance
+ * @param {object} [options] - options `interval` `queueLimit` `onError` `paused`
+ */
+function FinsPoller(client, options) {
+    if (!(this instanceof FinsPoller)) return new FinsPoller(client, options);
+    EventEmitter.call(this);
+    /** @type {FinsPoller}*/ const self = this;
+    options = options || {};
+    self.client = client;
+    self.interval = Math.max(0, parseInt(options.interval) || 1000);
+    self.queueLimit = parseInt(options.queueLimit) || Math.max(1, Math.floor(client.max_queue / 2));
+    self.onError = typeof options.onError == "function" ? options.onError : null;
+    self.paused = options.paused === true;
+    self.active = true;
+    self.polling = false;
+    self.skipped = 0;
+    self._timer = null;
+}
+inherits(FinsPoller, EventEmitter);
+
+/**
+ * Stop polling (until `resume()` is called)
+ */
+FinsPoller.prototype.pause = function () {
+    /** @type {FinsPoller}*/ const self = this;
+    self.paused = true;
+    _clearTimer(self);
+};
+
+/**
+ * Resume polling (the first poll is sent immediately)
+ */
+FinsPoller.prototype.resume = function () {
+    /** @type {FinsPoller}*/ const self = this;
+    if (!self.active || !self.paused) {
+        return;
+    }
+    self.paused = false;
+    if (!self.polling) {
+        _schedule(self, 0);
+    }
+};
+
+/**
+ * Start polling (unless created paused)
+ */
+FinsPoller.prototype._start = function () {
+    /** @type {FinsPoller}*/ const self = this;
+    if (!self.paused) {
+        _schedule(self, 0);
+    }
+};
+
+/**
+ * Stop polling for good. Any reply still pending is ignored.
+ * @returns {boolean} `false` if it was already stopped
+ */
+FinsPoller.prototype._stop = function () {
+    /** @type {FinsPoller}*/ const self = this;
+    if (!self.active) {
+        return false;
+    }
+    self.active = false;
+    _clearTimer(self);
+    return true;
+};
+
+/**
+ * Report an error to `onError` and the `error` listeners (if any)
+ * @param {Error} err - the error
+ * @param {*} [msg] - the reply (if any)
+ */
+FinsPoller.prototype._error = function (err, msg) {
+    /** @type {FinsPoller}*/ const self = this;
+    self.onError && self.onError(err, msg);
+    if (self.listenerCount('error')) {
+        self.emit('error', err, msg);
+    }
+};
+
+/**
+ * Call `fn` (which calls the handlers e.g. `onChange` and the event listeners) then `done`.
+ * If `fn` throws, the error is reported via `_error` and `done` is still called so a faulty handler never stops polling.
+ * @param {Function} done - the `done` callback of `_poll`
+ * @param {Function} fn - the function calling the handlers
+ * @param {*} [msg] - the reply
+ */
+FinsPoller.prototype._report = function (done, fn, msg) {
+    /** @type {FinsPoller}*/ const self = this;
+    try {
+        fn();
+    } catch (error) {
+        self._error(error, msg);
+    } finally {
+        done();
+    }
+};
+
+//#region Supporting functions
+
+function _clearTimer(self) {
+    if (self._timer) {
+        clearTimeout(self._timer);
+        self._timer = null;
+    }
+}
+
+function _schedule(self, delay) {
+    _clearTimer(self);
+    if (!self.active || self.paused) {
+        return;
+    }
+    self._timer = setTimeout(() => _run(self), delay);
+}
+
+function _run(self) {
+    self._timer = null;
+    if (!self.active || self.paused) {
+        return;
+    }
+    const client = self.client;
+    const started = Date.now();
+    if (client.connected !== true || client.queueCount() >= self.queueLimit) {
+        self.skipped++;
+        self.emit('skipped', { connected: client.connected === true, queueCount: client.queueCount() });
+        _schedule(self, self.interval);
+        return;
+    }
+    self.polling = true;
+    let finished = false;
+    const done = function () {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        self.polling = false;
+        _schedule(self, Math.max(0, self.interval - (Date.now() - started)));
+    };
+    try {
+        self._poll(done);
+    } catch (error) {
+        done();
+        self._error(error);
+    }
+}
+
+//#endregion
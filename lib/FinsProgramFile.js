@@ -0,0 +1,105 @@
+const { FinsError } = require('./FinsErrors');
+
+/**
+ * The user program backup file format used by `FinsClient.backupProgram()` & `FinsClient.restoreProgram()`.
+ *
+ * A 64 byte header followed by the program area data (as read with PROGRAM AREA READ). All numbers are big endian.
+ * ```
+ * offset  size  content
+ * 0       4     "FPRG"
+ * 4       2     format version (1)
+ * 6       2     header length (64)
+ * 8       20    CPU unit model (CPUUnitModel from CPU UNIT DATA READ, space padded ASCII)
+ * 28      8     time of the backup (ms since 1970, double)
+ * 36      4     program data length (bytes)
+ * 40      4     CRC-32 of the program data
+ * 44      20    reserved (0)
+ * ```
+ */
+
+const MAGIC = "FPRG";
+const VERSION = 1;
+const HEADER_LENGTH = 64;
+const MODEL_LENGTH = 20;
+
+let crcTable = null;
+
+/**
+ * Calculate the CRC-32 (IEEE 802.3) of a buffer
+ * @param {Buffer} buffer - the data
+ * @returns {number} the CRC-32
+ */
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create a program backup file
+ * @param {{model: string, data: Buffer, created: Date}} program - the CPU unit model, the program area data and (optionally) the time of the backup
+ * @returns {Buffer} the file contents
+ */
+function encodeProgramFile(program) {
+    const data = program.data || Buffer.alloc(0);
+    const created = program.created || new Date();
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.write(MAGIC, 0, "ascii");
+    header.writeUInt16BE(VERSION, 4);
+    header.writeUInt16BE(HEADER_LENGTH, 6);
+    header.write(String(program.model || "").padEnd(MODEL_LENGTH, " ").substring(0, MODEL_LENGTH), 8, "ascii");
+    header.writeDoubleBE(created.getTime(), 28);
+    header.writeUInt32BE(data.length, 36);
+    header.writeUInt32BE(crc32(data), 40);
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Read a program backup file (the header & checksum are checked)
+ * @param {Buffer} buffer - the file contents
+ * @returns {{model: string, created: Date, length: number, checksum: number, data: Buffer}} the program details & data (throws a `FinsError` if the file is not valid)
+ */
+function decodeProgramFile(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8 || buffer.toString("ascii", 0, 4) !== MAGIC) {
+        throw new FinsError("not a program backup file");
+    }
+    const version = buffer.readUInt16BE(4);
+    const headerLength = buffer.readUInt16BE(6);
+    if (version !== VERSION || headerLength < 44 || buffer.length < headerLength) {
+        throw new FinsError(`program backup file version ${version} is not supported`);
+    }
+    const length = buffer.readUInt32BE(36);
+    const checksum = buffer.readUInt32BE(40);
+    const data = buffer.slice(headerLength, headerLength + length);
+    if (data.length !== length) {
+        throw new FinsError(`program backup file is truncated (expected ${length} bytes of data, found ${data.length})`);
+    }
+    if (crc32(data) !== checksum) {
+        throw new FinsError("program backup file checksum error");
+    }
+    return {
+        model: buffer.toString("ascii", 8, 8 + MODEL_LENGTH).trim(),
+        created: new Date(buffer.readDoubleBE(28)),
+        length: length,
+        checksum: checksum,
+        data: data
+    };
+}
+
+module.exports = {
+    crc32,
+    encodeProgramFile,
+    decodeProgramFile,
+};
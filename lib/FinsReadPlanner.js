@@ -0,0 +1,180 @@
+const { parseDataType, bytesToValues } = require('./FinsDataTypes');
+const { FinsError, FinsAddressError } = require('./FinsErrors');
+
+/**
+ * Plans the FINS commands needed to read a list of scattered addresses.
+ *
+ * Addresses are grouped by memory area and sorted. Addresses that are close together (the gap between them is
+ * not more than `maxGap` words) are merged into one MEMORY AREA READ (0101) of the whole range - reading a few unused
+ * words is cheaper than another round trip. Bit addresses are read as part of their word. Addresses left on their
+ * own are read with MULTIPLE MEMORY AREA READ (0104). No command exceeds the frame limit (`readWords`).
+ */
+
+const DEFAULT_MAX_GAP = 32;
+
+/**
+ * Create a read plan
+ * @param {FinsAddressUtil} finsAddresses - the FinsAddressUtil for the PLC
+ * @param {string|string[]} addresses - Array or CSV of addresses e.g. `["D100", "D101", "D200:REAL", "CIO0.3"]`
+ * @param {object} [options] - options `maxGap` (words) `readWords` (frame limit) `wordSwap` `byteSwap` (for typed addresses)
+ * @returns {{addresses: string[], commands: object[]}} the plan. Each command is
+ * `{ command: "read", address, count, items }` or `{ command: "readMultiple", addresses, items }`
+ */
+function planReads(finsAddresses, addresses, options) {
+    options = options || {};
+    if (typeof addresses == "string") {
+        addresses = addresses.split(",");
+    }
+    if (!Array.isArray(addresses) || !addresses.length) {
+        throw new FinsError("addresses is empty");
+    }
+    const maxGap = options.maxGap != null && options.maxGap >= 0 ? parseInt(options.maxGap) : DEFAULT_MAX_GAP;
+    const readWords = parseInt(options.readWords) || 999;
+    const addressList = addresses.map(address => String(address).trim());
+    const groups = {};
+    const leftovers = [];
+
+    addressList.forEach(function (address, index) {
+        const item = _planItem(finsAddresses, address, index, options);
+        if (!item.group) {
+            leftovers.push(item); //e.g. IR (double word) addresses are always read individually
+            return;
+        }
+        groups[item.group] = groups[item.group] || [];
+        groups[item.group].push(item);
+    });
+
+    const commands = [];
+    Object.keys(groups).forEach(function (group) {
+        const items = groups[group].sort((a, b) => a.start - b.start);
+        const maxElements = items[0].isFlag ? readWords * 2 : readWords;
+        let range = null;
+        const closeRange = function () {
+            if (!range) return;
+            const single = range.items.length === 1 && range.end === range.start;
+            if (single) {
+                leftovers.push(range.items[0]);
+            } else {
+                commands.push({
+                    command: "read",
+                    address: range.items[0].rangeAddress(range.start),
+                    count: range.end - range.start + 1,
+                    start: range.start,
+                    items: range.items
+                });
+            }
+            range = null;
+        };
+        items.forEach(function (item) {
+            if (range && item.start <= range.end + 1 + maxGap && Math.max(range.end, item.end) - range.start + 1 <= maxElements) {
+                range.end = Math.max(range.end, item.end);
+                range.items.push(item);
+                return;
+            }
+            closeRange();
+            range = { start: item.start, end: item.end, items: [item] };
+        });
+        closeRange();
+    });
+
+    //batch the leftovers into MULTIPLE MEMORY AREA READ commands within the frame limit
+    let batch = null;
+    leftovers.sort((a, b) => a.index - b.index).forEach(function (item) {
+        const requestBytes = 4 * item.words; //memory area code & address of each word
+        const responseBytes = (1 + item.elementLength) * item.words; //memory area code & data of each word
+        if (!batch || batch.requestBytes + requestBytes > readWords * 2 || batch.responseBytes + responseBytes > readWords * 2) {
+            batch = { command: "readMultiple", addresses: [], items: [], requestBytes: 0, responseBytes: 0 };
+            commands.push(batch);
+        }
+        batch.addresses.push(item.readAddress);
+        batch.items.push(item);
+        batch.requestBytes += requestBytes;
+        batch.responseBytes += responseBytes;
+    });
+
+    return {
+        addresses: addressList,
+        commands: commands
+    };
+}
+
+/**
+ * Map the responses of each command in a plan back to the addresses of the plan
+ * @param {object} plan - the plan (see `planReads`)
+ * @param {object[]} responses - the response of each command in the plan
+ * @returns {Array} the values (in the same order as `plan.addresses`)
+ */
+function mapResponses(plan, responses) {
+    const values = new Array(plan.addresses.length);
+    plan.commands.forEach(function (command, commandIndex) {
+        const response = responses[commandIndex];
+        if (command.command === "readMultiple") {
+            command.items.forEach((item, i) => { values[item.index] = response.values[i]; });
+            return;
+        }
+        const buffer = response.buffer;
+        command.items.forEach(function (item) {
+            const offset = item.start - command.start;
+            if (item.isFlag) {
+                values[item.index] = buffer[offset];
+            } else if (item.bit !== null) {
+                values[item.index] = (buffer.readUInt16BE(offset * 2) >> item.bit) & 1;
+            } else if (item.dataType) {
+                values[item.index] = bytesToValues(buffer.slice(offset * 2, (offset + item.words) * 2), item.dataType)[0];
+            } else {
+                values[item.index] = buffer.readInt16BE(offset * 2);
+            }
+        });
+    });
+    return values;
+}
+
+//#region Supporting functions
+
+function _planItem(finsAddresses, address, index, options) {
+    const memoryAddress = finsAddresses.stringToAddress(address);
+    const dataType = parseDataType(memoryAddress.dataType || options.type, options);
+    if (dataType && (memoryAddress.isBitAddress || memoryAddress.elementLength !== 2)) {
+        throw new FinsAddressError(`data type '${dataType.type}' is only valid for word addresses`, address);
+    }
+    if (dataType && !dataType.words) {
+        throw new FinsError(`a length is required to read a STRING e.g. '${memoryAddress}:STRING(20)'`);
+    }
+    const area = memoryAddress.MemoryArea;
+    const isFlag = memoryAddress.isBitAddress && memoryAddress.Bit === ''; //T & C completion flags
+    const isBit = memoryAddress.isBitAddress && !isFlag;
+    const item = {
+        index: index,
+        address: address,
+        memoryAddress: memoryAddress,
+        dataType: dataType,
+        words: dataType ? dataType.words : 1,
+        elementLength: memoryAddress.elementLength,
+        isFlag: isFlag,
+        bit: isBit ? memoryAddress.Bit : null,
+        start: memoryAddress.Address,
+        group: null,
+    };
+    item.end = item.start + item.words - 1;
+    //the address to read the item on its own (with its data type)
+    item.readAddress = dataType && !memoryAddress.dataType ? `${address}:${dataType.type === "STRING" ? `STRING(${dataType.length})` : dataType.type}` : address;
+    if (memoryAddress.elementLength === 4) {
+        return item;
+    }
+    item.group = isFlag ? `${area}.x` : area;
+    //the address of a range starting at `start` in the same memory area
+    item.rangeAddress = function (start) {
+        return finsAddresses.addressToString({ MemoryArea: area, Address: start, isBitAddress: isFlag, Bit: '' });
+    };
+    if (isBit && !finsAddresses.wordAreas[area]) {
+        item.group = null; //no word area for these bits - read the bit on its own
+    }
+    return item;
+}
+
+//#endregion
+
+module.exports = {
+    planReads,
+    mapResponses,
+};
@@ -1,3 +1,5 @@
+const { FinsError, FinsTimeoutError } = require('./FinsErrors');
+
 module.exports = FinsSequenceManager;
 
 /**
@@ -43,6 +45,7 @@ function FinsSequenceManager(opts, callback) {
                 self.mps = self.mpsCounter;
                 self.mpsCounter = 0;
             }, 1000);
+            self.mspTimer.unref && self.mspTimer.unref(); //the statistics timer must not keep the process running
         }
         function addReply (ms) {
             self.replyCount++;
@@ -120,7 +123,7 @@ function FinsSequenceManager(opts, callback) {
         if (SID >= self.options.minSID && SID <= self.options.maxSID) {
             let seq = self.sequences[SID];
             if (seq && !seq.complete && !seq.timeout) {
-                const e = Error("This SID is already waiting a reply");
+                const e = new FinsError("This SID is already waiting a reply", { sid: SID });
                 if (seq.request && seq.request.callback) {
                     seq.request.callback(e, seq);
                 } else if (self.callback) {
@@ -145,7 +148,7 @@ function FinsSequenceManager(opts, callback) {
                 if (seq.complete || seq.error) return;
                 seq.timeout = true;
                 seq.stats = self.statistics.addTimeout();
-                const e = new Error("timeout");
+                const e = new FinsTimeoutError({ sid: SID, timeout: timeout });
                 if (seq.request && seq.request.callback) {
                     seq.request.callback(e, seq);
                 } else if (self.callback) {
@@ -156,7 +159,7 @@ function FinsSequenceManager(opts, callback) {
             }, timeout);
             return seq;
         }
-        const e = Error("Invalid SID");
+        const e = new FinsError("Invalid SID", { sid: SID });
         if (request && request.callback) {
             request.callback(e, {request: request, tag: tag});
         } else if (self.callback) {
@@ -201,6 +204,25 @@ function FinsSequenceManager(opts, callback) {
             }
         }
     }
+    function abortAll (err) {
+        Object.keys(self.sequences).forEach(function (key) {
+            const seq = self.sequences[key];
+            if (seq && !seq.complete && !seq.timeout && !seq.error) {
+                seq.stats = self.statistics.addError();
+                seq.error = err;
+                if (seq.timer) {
+                    clearTimeout(seq.timer);
+                    seq.timer = null;
+                    delete seq.timer;
+                }
+                if (seq.request && seq.request.callback) {
+                    seq.request.callback(err, seq);
+                } else if (self.callback) {
+                    self.callback(err, seq);
+                }
+            }
+        });
+    }
     function confirmSent (SID) {
         let seq = get(SID);
         if (seq) {
@@ -240,6 +262,7 @@ function FinsSequenceManager(opts, callback) {
         get,
         done,
         setError,
+        abortAll,
         confirmSent,
         remove,
         close,
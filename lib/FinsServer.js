@@ -0,0 +1,1804 @@
+const dgram = require('dgram');
+const net = require('net');
+const inherits = require('util').inherits;
+const EventEmitter = require('events').EventEmitter;
+const constants = require('./FinsConstants');
+const FinsAddressUtil = require('./FinsAddressUtil');
+const FinsTcpStream = require('./FinsTcpStream');
+const { splitPath, joinPath, encodeFileName, decodeFileName, toDosDateTime } = require('./FinsFileFormat');
+const { dec2bcd, bcd2dec, getKeyName } = require('./FinsDataUtils');
+const { encodeIpAddress, decodeIpAddress, encodeSocketStatus, encodeProtocolStatus, encodeMemoryStatus } = require('./FinsEthernetFormat');
+
+const TCP_COMMANDS = constants.TCPCommands;
+
+/**
+ * Number of words in each memory area (used to check address ranges)
+ */
+const AreaSizes = {
+    CS: {
+        CIO: 6144, W: 512, H: 1536, A: 1472, D: 32768, EM: 32768, T: 4096, C: 4096, IR: 16, DR: 16,
+        E: 32768, //each EM bank
+    },
+    CV: {
+        CIO: 2556, A: 512, D: 24576, EM: 32768, T: 1024, C: 1024, DR: 3,
+        E: 32768, //each EM bank
+    }
+};
+
+/**
+ * Number of words in each parameter area (keyed by parameter area code)
+ */
+const ParameterAreaSizes = {
+    0x8010: 512, //PLC Setup
+    0x8012: 1280, //Registered I/O table
+    0x8013: 512, //Routing tables
+    0x8002: 5184, //CPU Bus Unit Setup
+};
+
+/**
+ * Maximum size of the user program (bytes)
+ */
+const PROGRAM_AREA_SIZE = 0x40000;
+
+/**
+ * Maximum number of error log records
+ */
+const ERROR_LOG_SIZE = 20;
+
+/**
+ * Capacity of each file memory disk (bytes, keyed by disk number)
+ */
+const FileMemorySizes = {
+    0x8000: 0x4000000, //memory card (64MB)
+    0x8001: 0x100000, //EM file memory (1MB)
+};
+
+/**
+ * Read only words in each memory area
+ */
+const ReadOnlyAreas = {
+    CS: { A: [0, 447] },
+    CV: { A: [0, 255] },
+};
+
+module.exports = FinsServer;
+
+/**
+ * A FINS PLC simulator.
+ * Listens for FINS/UDP and FINS/TCP commands and emulates a CS/CJ (or CV) CPU with in-memory I/O memory areas.
+ * The simulator can be scripted (e.g. `setValues`, `setMode`, `setFatalError`, `setClock`) for testing and development.
+ * @param {object} [options] - options including `MODE` (`"CS"`, `"CJ"`, `"CJ2"`, `"CP1"`, `"NJ"` or `"CV"`), `host`, `udpPort`, `tcpPort` (set `null` to disable), `nodeAddress`, `model`, `version`
+ */
+function FinsServer(options) {
+    if (!(this instanceof FinsServer)) return new FinsServer(options);
+    EventEmitter.call(this);
+    /** @type {FinsServer}*/ const self = this;
+    options = options || {};
+    self.options = options;
+    self.MODE = options.MODE || "CS";
+    self.host = options.host || "0.0.0.0";
+    self.udpPort = options.udpPort !== undefined ? options.udpPort : constants.DefaultHostValues.port;
+    self.tcpPort = options.tcpPort !== undefined ? options.tcpPort : constants.DefaultHostValues.port;
+    self.nodeAddress = options.nodeAddress || 1;
+    self.model = options.model || (self.MODE === "CV" ? "CV1000-CPU01" : "CJ2M-CPU33");
+    self.version = options.version || "02.01";
+    /** @type {FinsAddressUtil} */ self.finsAddresses = new FinsAddressUtil(self.MODE);
+    self.memoryAreas = self.MODE === "CV" ? constants.MemoryAreas.CV : constants.MemoryAreas.CS;
+    self.areaSizes = AreaSizes[self.MODE === "CV" ? "CV" : "CS"];
+    self.readOnlyAreas = ReadOnlyAreas[self.MODE === "CV" ? "CV" : "CS"];
+    self.statusModel = constants.StatusModels[self.MODE] || constants.StatusModels.CS; //status & error bits (CONTROLLER STATUS READ)
+    self.memory = {}; //word (or double word) stores keyed by FINS word memory area code
+    self.flags = {}; //timer/counter completion flag stores keyed by FINS bit memory area code
+    self.forced = {}; //forced bit masks keyed by store (same layout as `memory` & `flags`)
+    self.parameterAreas = {}; //word stores keyed by parameter area code
+    self.program = Buffer.alloc(0); //the user program (program area)
+    self.accessRight = null; //the address {network, node, unit} of the device holding the access right
+    self.errorLog = []; //error log records {errorCode, detail, date} (oldest first)
+    self.fileMemory = {}; //file memory keyed by disk number {label, date, entries} (entries keyed by upper case path)
+    self.mode = constants.Modes.PROGRAM;
+    self.fatalErrors = 0;
+    self.nonFatalErrors = 0;
+    self.errorCode = 0;
+    self.errorMessage = "";
+    self.messages = new Array(constants.Messages.COUNT).fill(""); //MSG instruction messages 0 to 7
+    self.falMessages = {}; //FAL/FALS error messages keyed by FAL/FALS number
+    self.units = { [constants.UnitAddresses.CPU]: self.model }; //model numbers keyed by unit address (CONNECTION DATA READ)
+    self.nodeName = ""; //the node name (NAME SET/DELETE/READ)
+    self.ethernetUnits = {}; //Ethernet Unit settings keyed by unit address (27xx commands addressed with DA2)
+    self.broadcastReceptions = 0; //the number of times broadcast test data was received (since BROADCAST TEST RESULTS READ)
+    self.clockOffset = 0;
+    self.cycleTimes = []; //cycle time samples (ms) since the cycle time values were last initialised
+    self.commandHandlers = Object.assign({}, CommandHandlers);
+    self.tcpClients = new Set();
+    self._nextTcpNode = 0xEF;
+}
+inherits(FinsServer, EventEmitter);
+
+//#region FinsServer prototypes
+
+/**
+ * Start listening for FINS/UDP and FINS/TCP connections
+ * @param {Function} [callback] - called when listening
+ */
+FinsServer.prototype.listen = function (callback) {
+    /** @type {FinsServer}*/ const self = this;
+    let pending = 0;
+    const listening = function () {
+        pending--;
+        if (pending === 0) {
+            self.emit('listening', { udpPort: self.udpPort, tcpPort: self.tcpPort });
+            callback && callback();
+        }
+    };
+    if (self.udpPort != null) {
+        pending++;
+        self.udpSocket = dgram.createSocket('udp4');
+        self.udpSocket.on('message', function (msg, rinfo) {
+            const reply = self.processFrame(msg);
+            if (reply) {
+                self.udpSocket.send(reply, rinfo.port, rinfo.address);
+            }
+        });
+        self.udpSocket.on('error', err => self.emit('error', err));
+        self.udpSocket.bind(self.udpPort, self.host, function () {
+            self.udpPort = self.udpSocket.address().port;
+            listening();
+        });
+    }
+    if (self.tcpPort != null) {
+        pending++;
+        self.tcpServer = net.createServer(socket => _tcpConnection(self, socket));
+        self.tcpServer.on('error', err => self.emit('error', err));
+        self.tcpServer.listen(self.tcpPort, self.host, function () {
+            self.tcpPort = self.tcpServer.address().port;
+            listening();
+        });
+    }
+};
+
+/**
+ * Stop listening and close all connections
+ * @param {Function} [callback] - called when closed
+ */
+FinsServer.prototype.close = function (callback) {
+    /** @type {FinsServer}*/ const self = this;
+    if (self.udpSocket) {
+        self.udpSocket.close();
+        self.udpSocket = null;
+    }
+    self.tcpClients.forEach(socket => socket.destroy());
+    self.tcpClients.clear();
+    if (self.tcpServer) {
+        self.tcpServer.close(() => callback && callback());
+        self.tcpServer = null;
+    } else {
+        callback && setImmediate(callback);
+    }
+};
+
+/**
+ * Set values in memory
+ * @param {string} address - Memory area and the numerical start address e.g. `D100` or `CIO50.0`
+ * @param {number|number[]|boolean[]} values - the value(s) to set
+ */
+FinsServer.prototype.setValues = function (address, values) {
+    /** @type {FinsServer}*/ const self = this;
+    const area = _resolveAddress(self, address);
+    if (!Array.isArray(values)) {
+        values = [values];
+    }
+    for (let index = 0; index < values.length; index++) {
+        _setElement(self, area, index, area.isBit ? (values[index] ? 1 : 0) : values[index]);
+    }
+};
+
+/**
+ * Get values from memory
+ * @param {string} address - Memory area and the numerical start address e.g. `D100` or `CIO50.0`
+ * @param {number} [count=1] - number of values to get
+ * @returns {number[]} the values
+ */
+FinsServer.prototype.getValues = function (address, count) {
+    /** @type {FinsServer}*/ const self = this;
+    const area = _resolveAddress(self, address);
+    const values = [];
+    for (let index = 0; index < (count || 1); index++) {
+        values.push(_getElement(self, area, index));
+    }
+    return values;
+};
+
+/**
+ * Set the operating mode
+ * @param {string|number} mode - `"PROGRAM"`, `"MONITOR"` or `"RUN"` (or the value from `constants.Modes`)
+ */
+FinsServer.prototype.setMode = function (mode) {
+    /** @type {FinsServer}*/ const self = this;
+    const value = typeof mode == "string" ? constants.Modes[mode.toUpperCase()] : mode;
+    if (value == null || getKeyName(constants.Modes, value) == null) {
+        throw new Error(`Invalid mode '${mode}'`);
+    }
+    const previous = self.mode;
+    self.mode = value;
+    if (previous !== value) {
+        self.emit('mode', getKeyName(constants.Modes, value), getKeyName(constants.Modes, previous));
+    }
+};
+
+/**
+ * Get the operating mode
+ * @returns {string} `"PROGRAM"`, `"MONITOR"` or `"RUN"`
+ */
+FinsServer.prototype.getMode = function () {
+    return getKeyName(constants.Modes, this.mode);
+};
+
+/**
+ * Set (or clear) a fatal error. While a fatal error is set, the CPU does not run.
+ * @param {string} name - the name of the error in `constants.StatusModels[MODE].fatal` e.g. `"MEMORY_ERROR"`
+ * @param {boolean} [active=true] - `false` to clear the error
+ */
+FinsServer.prototype.setFatalError = function (name, active) {
+    this.fatalErrors = _setErrorBit(this.fatalErrors, this.statusModel.fatal, name, active);
+};
+
+/**
+ * Set (or clear) a non fatal error
+ * @param {string} name - the name of the error in `constants.StatusModels[MODE].nonFatal` e.g. `"BATTERY_ERROR"`
+ * @param {boolean} [active=true] - `false` to clear the error
+ */
+FinsServer.prototype.setNonFatalError = function (name, active) {
+    this.nonFatalErrors = _setErrorBit(this.nonFatalErrors, this.statusModel.nonFatal, name, active);
+};
+
+/**
+ * Set the FAL/FALS error code and message reported by CPU UNIT STATUS READ
+ * @param {number} errorCode - the FAL/FALS number
+ * @param {string} [message] - the error message (up to 16 characters)
+ */
+FinsServer.prototype.setErrorMessage = function (errorCode, message) {
+    this.errorCode = errorCode || 0;
+    this.errorMessage = (message || "").substring(0, 16);
+    const falNumber = _falNumber(this.errorCode);
+    if (falNumber && this.errorMessage) {
+        this.falMessages[falNumber] = this.errorMessage; //also read by FAL/FALS READ
+    }
+};
+
+/**
+ * Fit (or remove) a unit reported by CONNECTION DATA READ
+ * @param {number} unitAddress - the unit address. `0x10` + unit number for CPU Bus Units, `0x20` + unit number for Special I/O Units, `0xE1` Inner Board
+ * @param {string} [model] - the model number (up to 20 characters) e.g. `"CJ1W-ETN21"`. Omit to remove the unit
+ */
+FinsServer.prototype.setUnit = function (unitAddress, model) {
+    if (!Number.isInteger(unitAddress) || unitAddress < 0 || unitAddress > 0xff) {
+        throw new Error("unitAddress must be 0 to 255");
+    }
+    if (model) {
+        this.units[unitAddress] = model.substring(0, constants.ConnectionData.MODEL_BYTES);
+    } else {
+        delete this.units[unitAddress];
+    }
+};
+
+/**
+ * Fit (or remove) an Ethernet Unit. The unit answers the Ethernet Unit commands (27xx) addressed to it with `DA2` (`0x10` + unit number)
+ * and is reported by CONNECTION DATA READ
+ * @param {number} unitNumber - the unit number (0 to 15)
+ * @param {object} [settings] - the unit settings. Omit to remove the unit
+ * @param {string} [settings.model="CJ1W-ETN21"] - the model number
+ * @param {string} [settings.ipAddress="192.168.250.1"] - the IP address
+ * @param {string} [settings.subnetMask="255.255.255.0"] - the subnet mask
+ * @param {number} [settings.node] - the FINS node number (defaults to the last byte of the IP address)
+ * @param {{node: number, ipAddress: string}[]} [settings.ipAddressTable] - the IP address table
+ * @param {{network: string, router: string}[]} [settings.ipRouterTable] - the IP router table
+ * @param {object[]} [settings.sockets] - the sockets `{protocol, receiveQueue, sendQueue, localAddress, localPort, remoteAddress, remotePort, state}`
+ * @param {{ip: object, icmp: object, tcp: object, udp: object}} [settings.protocolStatus] - the protocol status counters keyed by the names in `constants.EthernetUnit.PROTOCOL_STATUS_FIELDS` e.g. `{ tcp: { connectionsEstablished: 5 } }`
+ * @param {object} [settings.memoryStatus] - the memory status values keyed by the names in `constants.EthernetUnit.MEMORY_STATUS_FIELDS`
+ */
+FinsServer.prototype.setEthernetUnit = function (unitNumber, settings) {
+    if (!Number.isInteger(unitNumber) || unitNumber < 0 || unitNumber > 15) {
+        throw new Error("unitNumber must be 0 to 15");
+    }
+    const unitAddress = constants.UnitAddresses.CPU_BUS + unitNumber;
+    if (!settings) {
+        delete this.ethernetUnits[unitAddress];
+        this.setUnit(unitAddress);
+        return;
+    }
+    const ipAddress = settings.ipAddress || "192.168.250.1";
+    encodeIpAddress(ipAddress); //throws if not valid
+    this.ethernetUnits[unitAddress] = {
+        ipAddress: ipAddress,
+        subnetMask: settings.subnetMask || "255.255.255.0",
+        node: Number.isInteger(settings.node) ? settings.node : Number(ipAddress.split(".")[3]),
+        ipAddressTable: (settings.ipAddressTable || []).slice(0, constants.EthernetUnit.MAX_IP_ADDRESS_RECORDS),
+        ipRouterTable: (settings.ipRouterTable || []).slice(0, constants.EthernetUnit.MAX_IP_ROUTER_RECORDS),
+        sockets: settings.sockets || [],
+        protocolStatus: settings.protocolStatus || {},
+        memoryStatus: settings.memoryStatus || {},
+    };
+    this.setUnit(unitAddress, settings.model || "CJ1W-ETN21");
+};
+
+/**
+ * Set (or clear) a message generated by a MSG instruction (read by MESSAGE READ)
+ * @param {number} number - the message number (0 to 7)
+ * @param {string} [message] - the message (up to 32 characters). An empty message clears the message
+ */
+FinsServer.prototype.setMessage = function (number, message) {
+    if (!Number.isInteger(number) || number < 0 || number >= constants.Messages.COUNT) {
+        throw new Error(`message number must be 0 to ${constants.Messages.COUNT - 1}`);
+    }
+    this.messages[number] = (message || "").substring(0, constants.Messages.MESSAGE_BYTES);
+};
+
+/**
+ * Set the user program (the contents of the program area)
+ * @param {Buffer} program - the program data
+ */
+FinsServer.prototype.setProgram = function (program) {
+    if (!Buffer.isBuffer(program) || program.length > PROGRAM_AREA_SIZE) {
+        throw new Error(`program must be a Buffer of up to ${PROGRAM_AREA_SIZE} bytes`);
+    }
+    this.program = Buffer.from(program);
+};
+
+/**
+ * Get the user program (the contents of the program area)
+ * @returns {Buffer} the program data
+ */
+FinsServer.prototype.getProgram = function () {
+    return Buffer.from(this.program);
+};
+
+/**
+ * Set (or clear) the device holding the access right e.g. to simulate CX-Programmer being online
+ * @param {{network: number, node: number, unit: number}} holder - the address of the device holding the access right (`null` to release it)
+ */
+FinsServer.prototype.setAccessRight = function (holder) {
+    this.accessRight = holder ? { network: holder.network || 0, node: holder.node || 0, unit: holder.unit || 0 } : null;
+};
+
+/**
+ * Get the device holding the access right
+ * @returns {{network: number, node: number, unit: number}} the address of the device holding the access right (or `null`)
+ */
+FinsServer.prototype.getAccessRight = function () {
+    return this.accessRight ? Object.assign({}, this.accessRight) : null;
+};
+
+/**
+ * Add a record to the error log (the oldest record is discarded when the log is full)
+ * @param {number} errorCode - the error code e.g. `0x00F7` (see `constants.ErrorCodes`)
+ * @param {number} [detail=0] - the error detail (error code 2)
+ * @param {Date} [date] - the time of the error (default is the PLC clock)
+ */
+FinsServer.prototype.addErrorLog = function (errorCode, detail, date) {
+    this.errorLog.push({ errorCode: errorCode, detail: detail || 0, date: date || this.getClock() });
+    if (this.errorLog.length > ERROR_LOG_SIZE) {
+        this.errorLog.shift();
+    }
+};
+
+/**
+ * Set the contents of a file in file memory (the directories are created as needed)
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {Buffer|string} data - the contents of the file
+ * @param {object} [options] - options `disk` (default `0x8000` memory card, see `constants.FileDisks`) `date`
+ */
+FinsServer.prototype.setFile = function (path, data, options) {
+    /** @type {FinsServer}*/ const self = this;
+    options = options || {};
+    const disk = _disk(self, options.disk || constants.FileDisks.MEMORY_CARD);
+    const { directory, name } = splitPath(path);
+    encodeFileName(name); //throws if the name is not valid
+    const date = options.date || self.getClock();
+    let parent = "";
+    directory.split("\\").filter(part => part.length).forEach(function (part) {
+        encodeFileName(part);
+        parent += "\\" + part;
+        if (!disk.entries.has(parent.toUpperCase())) {
+            disk.entries.set(parent.toUpperCase(), { name: part, directory: true, data: Buffer.alloc(0), date: date });
+        }
+    });
+    disk.entries.set(_fileKey(directory, name), { name: name, directory: false, data: Buffer.from(data), date: date });
+};
+
+/**
+ * Get the contents of a file in file memory
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {number} [disk=0x8000] - the disk (see `constants.FileDisks`)
+ * @returns {Buffer} the contents of the file (or `null` if the file does not exist)
+ */
+FinsServer.prototype.getFile = function (path, disk) {
+    const { directory, name } = splitPath(path);
+    const entry = _disk(this, disk || constants.FileDisks.MEMORY_CARD).entries.get(_fileKey(directory, name));
+    return entry && !entry.directory ? Buffer.from(entry.data) : null;
+};
+
+/**
+ * Get the forced bits
+ * @returns {{address: string, state: string}[]} the forced bits e.g. `[{ address: "CIO0.1", state: "set" }]`
+ */
+FinsServer.prototype.getForcedBits = function () {
+    /** @type {FinsServer}*/ const self = this;
+    const result = [];
+    Object.keys(self.forced).forEach(function (key) {
+        const [store, code] = key.split(":");
+        const isFlag = store === "flags";
+        self.forced[key].forEach(function (bits, address) {
+            if (!bits) return;
+            const area = _resolveArea(self, Number(code), address, 0);
+            if (isFlag) {
+                result.push({ address: `${area.name}${area.index}.x`, state: self.flags[code][address] ? "set" : "reset" });
+                return;
+            }
+            for (let bit = 0; bit < 16; bit++) {
+                if (bits & (1 << bit)) {
+                    result.push({ address: `${area.name}${area.index}.${bit}`, state: (self.memory[code][address] >> bit) & 1 ? "set" : "reset" });
+                }
+            }
+        });
+    });
+    return result;
+};
+
+/**
+ * Clear all fatal and non fatal errors and the error message
+ */
+FinsServer.prototype.clearErrors = function () {
+    this.fatalErrors = 0;
+    this.nonFatalErrors = 0;
+    this.errorCode = 0;
+    this.errorMessage = "";
+};
+
+/**
+ * Set the PLC clock
+ * @param {Date} date - the new date/time
+ */
+FinsServer.prototype.setClock = function (date) {
+    this.clockOffset = date.getTime() - Date.now();
+};
+
+/**
+ * Get the PLC clock
+ * @returns {Date} the present PLC date/time
+ */
+FinsServer.prototype.getClock = function () {
+    return new Date(Date.now() + this.clockOffset);
+};
+
+/**
+ * Record a cycle time (reported by CYCLE TIME READ). The average is of the last 8 cycle times, the maximum & minimum are since the values were last initialised.
+ * @param {number|number[]} ms - the cycle time(s) in ms (0.1 ms resolution)
+ */
+FinsServer.prototype.setCycleTime = function (ms) {
+    const values = Array.isArray(ms) ? ms : [ms];
+    values.forEach(value => this.cycleTimes.push(Math.max(0, Math.round(Number(value) * 10) || 0)));
+};
+
+/**
+ * Process a FINS command frame and generate the response frame
+ * @param {Buffer} frame - the FINS command frame
+ * @returns {Buffer} the response frame (or `null` if no response is required)
+ */
+FinsServer.prototype.processFrame = function (frame) {
+    /** @type {FinsServer}*/ const self = this;
+    if (frame.length < 12) {
+        return null; //not a FINS command
+    }
+    const header = frame.slice(0, 10);
+    if (header[0] & 0x40) {
+        return null; //a response - ignore it
+    }
+    const commandCode = frame.slice(10, 12).toString("hex");
+    const params = frame.slice(12);
+    const handler = self.commandHandlers[commandCode];
+    let result;
+    if (!handler) {
+        result = { endCode: 0x0401 }; //Undefined Command
+    } else {
+        try {
+            result = handler(self, params, header) || {};
+        } catch (error) {
+            result = { endCode: error.endCode || 0x1004 }; //Command format error
+        }
+    }
+    self.emit('command', {
+        commandCode: commandCode,
+        params: params,
+        endCode: result.endCode || 0,
+        header: header
+    });
+    if (header[0] & 0x01) {
+        return null; //response not required
+    }
+    const response = Buffer.alloc(14);
+    response[0] = 0xC0 | (header[0] & 0x3E); //ICF: response
+    response[1] = 0x00; //RSV
+    response[2] = 0x02; //GCT
+    response[3] = header[6]; //DNA = SNA
+    response[4] = header[7]; //DA1 = SA1
+    response[5] = header[8]; //DA2 = SA2
+    response[6] = header[3]; //SNA = DNA
+    response[7] = header[4]; //SA1 = DA1
+    response[8] = header[5]; //SA2 = DA2
+    response[9] = header[9]; //SID
+    frame.copy(response, 10, 10, 12); //command code
+    response.writeUInt16BE(result.endCode || 0, 12);
+    return result.data ? Buffer.concat([response, Buffer.from(result.data)]) : response;
+};
+
+//#endregion
+
+
+//#region FINS/TCP
+
+function _tcpConnection(self, socket) {
+    /** @type {FinsTcpStream} */ const stream = new FinsTcpStream();
+    let clientNode = null;
+    self.tcpClients.add(socket);
+    socket.on('error', () => { });
+    socket.on('close', () => self.tcpClients.delete(socket));
+    socket.on('data', function (chunk) {
+        const { frames } = stream.push(chunk);
+        frames.forEach(function (frame) {
+            switch (frame.command) {
+            case TCP_COMMANDS.NODE_ADDRESS_DATA_SEND_CLIENT: {
+                const requested = frame.data.length >= 4 ? frame.data.readUInt32BE(0) : 0;
+                clientNode = requested || self._nextTcpNode--;
+                const data = Buffer.alloc(8);
+                data.writeUInt32BE(clientNode, 0);
+                data.writeUInt32BE(self.nodeAddress, 4);
+                socket.write(stream.frame(TCP_COMMANDS.NODE_ADDRESS_DATA_SEND_SERVER, data));
+                self.emit('connection', { address: socket.remoteAddress, port: socket.remotePort, node: clientNode });
+                break;
+            }
+            case TCP_COMMANDS.FRAME_SEND: {
+                if (clientNode == null) {
+                    socket.write(_tcpErrorFrame(stream, TCP_COMMANDS.FRAME_SEND_ERROR_NOTIFICATION, 0x03));
+                    break;
+                }
+                const reply = self.processFrame(frame.data);
+                if (reply) {
+                    socket.write(stream.frame(TCP_COMMANDS.FRAME_SEND, reply));
+                }
+                break;
+            }
+            default:
+                socket.write(_tcpErrorFrame(stream, TCP_COMMANDS.FRAME_SEND_ERROR_NOTIFICATION, 0x03)); //The command is not supported
+                break;
+            }
+        });
+    });
+}
+
+function _tcpErrorFrame(stream, command, errorCode) {
+    const frame = stream.frame(command);
+    frame.writeUInt32BE(errorCode, 12);
+    return frame;
+}
+
+//#endregion
+
+
+//#region Memory
+
+/**
+ * An error with a FINS end code. Thrown by command handlers to generate an error response
+ */
+function _endCodeError(endCode) {
+    const err = new Error(`End code ${endCode.toString(16).padStart(4, "0")}`);
+    err.endCode = endCode;
+    return err;
+}
+
+/**
+ * Resolve a FINS memory area code and address to the memory area it refers to
+ * @param {FinsServer} self - the FinsServer instance
+ * @param {number} areaCode - the FINS memory area code
+ * @param {number} address - the FINS beginning address (word)
+ * @param {number} bit - the FINS beginning address (bit)
+ * @returns {object} the memory area details
+ */
+function _resolveArea(self, areaCode, address, bit) {
+    const bitAreas = self.memoryAreas.bit;
+    const wordAreas = self.memoryAreas.word;
+    let isBit = false;
+    let names = Object.keys(wordAreas).filter(name => wordAreas[name] === areaCode);
+    if (!names.length) {
+        names = Object.keys(bitAreas).filter(name => bitAreas[name] === areaCode);
+        isBit = true;
+    }
+    if (!names.length) {
+        throw _endCodeError(0x1101); //Area classification missing
+    }
+    //areas sharing a memory area code (e.g. T & C) are separated by their beginning address offset
+    let name = null;
+    let base = -1;
+    const calc = isBit ? bitAreas.CalculateMemoryAreaAddress : wordAreas.CalculateMemoryAreaAddress;
+    names.forEach(function (n) {
+        const b = calc(n, 0);
+        if (b <= address && b > base) {
+            base = b;
+            name = n;
+        }
+    });
+    if (name == null) {
+        throw _endCodeError(0x1103); //Address range error
+    }
+    const sizeKey = /^E[0-9A-F]+$/.test(name) ? "E" : name;
+    const isFlag = isBit && (name === "T" || name === "C"); //timer/counter completion flags
+    const elementLength = isBit ? 1 : (name === "IR" ? 4 : 2);
+    const area = {
+        name: name,
+        areaCode: areaCode,
+        isBit: isBit,
+        isFlag: isFlag,
+        elementLength: elementLength,
+        storeCode: isBit && !isFlag ? wordAreas[name] : areaCode,
+        address: address,
+        index: address - base,
+        bit: bit,
+        size: self.areaSizes[sizeKey] || 0
+    };
+    if (area.index >= area.size || (isBit && !isFlag && bit > 15)) {
+        throw _endCodeError(0x1103); //Address range error
+    }
+    return area;
+}
+
+function _resolveAddress(self, addressString) {
+    const memoryAddress = self.finsAddresses.stringToAddress(addressString);
+    const bytes = memoryAddress.bytes;
+    return _resolveArea(self, bytes[0], (bytes[1] << 8) + bytes[2], bytes[3]);
+}
+
+function _store(self, area) {
+    if (area.isFlag) {
+        self.flags[area.storeCode] = self.flags[area.storeCode] || new Uint8Array(0x10000);
+        return self.flags[area.storeCode];
+    }
+    if (!self.memory[area.storeCode]) {
+        self.memory[area.storeCode] = area.elementLength === 4 ? new Uint32Array(0x10000) : new Uint16Array(0x10000);
+    }
+    return self.memory[area.storeCode];
+}
+
+/**
+ * Get the forced bit masks for the store of `area` (a mask word per word or a flag per completion flag)
+ */
+function _forcedStore(self, area) {
+    const key = `${area.isFlag ? "flags" : "memory"}:${area.storeCode}`;
+    if (!self.forced[key]) {
+        self.forced[key] = area.isFlag ? new Uint8Array(0x10000) : new Uint16Array(0x10000);
+    }
+    return self.forced[key];
+}
+
+/**
+ * Check `count` elements starting at `area` are within the area (and optionally writable)
+ */
+function _checkRange(self, area, count, write) {
+    let lastIndex = area.index + count - 1;
+    if (area.isBit && !area.isFlag) {
+        lastIndex = area.index + Math.floor((area.bit + count - 1) / 16);
+    }
+    if (count < 1 || lastIndex >= area.size) {
+        throw _endCodeError(0x1104); //Address range exceeded
+    }
+    const readOnly = self.readOnlyAreas[area.name];
+    if (write && readOnly && area.index <= readOnly[1] && lastIndex >= readOnly[0]) {
+        throw _endCodeError(0x2101); //Read only
+    }
+}
+
+function _getElement(self, area, offset) {
+    const store = _store(self, area);
+    if (area.isFlag) {
+        return store[area.address + offset];
+    }
+    if (area.isBit) {
+        const bitNo = area.bit + offset;
+        const word = store[area.address + Math.floor(bitNo / 16)];
+        return (word >> (bitNo % 16)) & 1;
+    }
+    return store[area.address + offset];
+}
+
+function _setElement(self, area, offset, value) {
+    const store = _store(self, area);
+    if (area.isFlag) {
+        store[area.address + offset] = value ? 1 : 0;
+    } else if (area.isBit) {
+        const bitNo = area.bit + offset;
+        const wordAddress = area.address + Math.floor(bitNo / 16);
+        const mask = 1 << (bitNo % 16);
+        store[wordAddress] = value ? (store[wordAddress] | mask) : (store[wordAddress] & ~mask);
+    } else {
+        store[area.address + offset] = value;
+    }
+}
+
+function _readElements(self, area, count) {
+    const data = Buffer.alloc(count * area.elementLength);
+    for (let index = 0; index < count; index++) {
+        const value = _getElement(self, area, index);
+        if (area.elementLength === 4) {
+            data.writeUInt32BE(value >>> 0, index * 4);
+        } else if (area.elementLength === 2) {
+            data.writeUInt16BE(value & 0xffff, index * 2);
+        } else {
+            data[index] = value;
+        }
+    }
+    return data;
+}
+
+function _writeElements(self, area, count, data) {
+    if (data.length !== count * area.elementLength) {
+        throw _endCodeError(0x1003); //Elements/Data don't match
+    }
+    for (let index = 0; index < count; index++) {
+        let value;
+        if (area.elementLength === 4) {
+            value = data.readUInt32BE(index * 4);
+        } else if (area.elementLength === 2) {
+            value = data.readUInt16BE(index * 2);
+        } else {
+            value = data[index];
+        }
+        _setElement(self, area, index, value);
+    }
+}
+
+function _parseAreaAddress(self, params, offset) {
+    if (params.length < offset + 4) {
+        throw _endCodeError(0x1002); //Command too short
+    }
+    return _resolveArea(self, params[offset], params.readUInt16BE(offset + 1), params[offset + 3]);
+}
+
+function _setErrorBit(current, bitMap, name, active) {
+    const bit = bitMap[name];
+    if (bit == null) {
+        throw new Error(`Unknown error '${name}'`);
+    }
+    return active === false ? (current & ~bit) : (current | bit);
+}
+
+/**
+ * Get the word store of a parameter area (throws an end code error if the area or range is invalid)
+ */
+function _parameterArea(self, areaCode, beginWord, count) {
+    const size = ParameterAreaSizes[areaCode];
+    if (!size) {
+        throw _endCodeError(0x1101); //Area classification missing
+    }
+    if (beginWord >= size) {
+        throw _endCodeError(0x1103); //Address range error
+    }
+    if (beginWord + count > size) {
+        throw _endCodeError(0x1104); //Address range exceeded
+    }
+    if (!self.parameterAreas[areaCode]) {
+        self.parameterAreas[areaCode] = new Uint16Array(size);
+    }
+    return self.parameterAreas[areaCode];
+}
+
+/**
+ * The source address of a command frame
+ */
+function _sourceAddress(header) {
+    return { network: header[6], node: header[7], unit: header[8] };
+}
+
+/**
+ * Check the access right is not held by another device (throws an end code error if it is)
+ */
+function _checkAccessRight(self, header) {
+    const holder = self.accessRight;
+    if (holder && header) {
+        const source = _sourceAddress(header);
+        if (holder.network !== source.network || holder.node !== source.node || holder.unit !== source.unit) {
+            throw _endCodeError(0x3001); //No access right
+        }
+    }
+}
+
+function _isRunning(self) {
+    return self.mode !== constants.Modes.PROGRAM && !self.fatalErrors;
+}
+
+/**
+ * The MSG messages present (bit 0 = message 0)
+ */
+function _messageFlags(self) {
+    return self.messages.reduce((flags, message, number) => message ? flags | (1 << number) : flags, 0);
+}
+
+/**
+ * The FAL/FALS number of a FAL (4101-42FF) or FALS (C101-C2FF) error code (`null` for other error codes)
+ */
+function _falNumber(errorCode) {
+    const { MAX_FAL_NO, FAL_ERROR_CODE, FALS_ERROR_CODE } = constants.Messages;
+    const base = errorCode > FALS_ERROR_CODE ? FALS_ERROR_CODE : FAL_ERROR_CODE;
+    const number = errorCode - base;
+    return number >= 1 && number <= MAX_FAL_NO ? number : null;
+}
+
+/**
+ * The Ethernet Unit addressed by DA2 (the CPU Unit & other units do not support the 27xx commands)
+ */
+function _ethernetUnit(self, header) {
+    const unit = self.ethernetUnits[header[5]];
+    if (!unit) {
+        throw _endCodeError(0x0401); //Undefined command
+    }
+    return unit;
+}
+
+/**
+ * IP ADDRESS TABLE READ / IP ROUTER TABLE READ. The maximum & stored number of records followed by up to the requested number of records
+ */
+function _ethernetUnitTable(params, records, maxRecords, recordBytes, writeRecord) {
+    if (params.length < 2) {
+        throw _endCodeError(0x1002); //Command too short
+    }
+    const count = params.readUInt16BE(0);
+    if (count > maxRecords) {
+        throw _endCodeError(0x110C); //Parameter error
+    }
+    const selected = records.slice(0, count);
+    const data = Buffer.alloc(4 + selected.length * recordBytes);
+    data.writeUInt16BE(maxRecords, 0);
+    data.writeUInt16BE(records.length, 2);
+    selected.forEach((record, index) => writeRecord(data, record, 4 + index * recordBytes));
+    return data;
+}
+
+/**
+ * MEMORY AREA READ with forced status. Each word is returned as the data followed by the forced bits
+ */
+function _forcedStatusRead(self, name, params) {
+    if (params.length < 6) {
+        throw _endCodeError(0x1002); //Command too short
+    }
+    const area = _resolveArea(self, self.memoryAreas.word[name], params.readUInt16BE(1), params[3]);
+    const count = params.readUInt16BE(4);
+    _checkRange(self, area, count);
+    const mask = _forcedStore(self, area);
+    const data = Buffer.alloc(count * 4);
+    for (let index = 0; index < count; index++) {
+        data.writeUInt16BE(_getElement(self, area, index) & 0xffff, index * 4);
+        data.writeUInt16BE(mask[area.address + index], index * 4 + 2);
+    }
+    return { data: data };
+}
+
+//#endregion
+
+
+//#region File memory
+
+/**
+ * Get a file memory disk (throws an end code error if there is no such disk)
+ */
+function _disk(self, diskNo) {
+    if (!FileMemorySizes[diskNo]) {
+        throw _endCodeError(0x2301); //File device missing
+    }
+    if (!self.fileMemory[diskNo]) {
+        self.fileMemory[diskNo] = { label: "", date: self.getClock(), entries: new Map() };
+    }
+    return self.fileMemory[diskNo];
+}
+
+function _fileKey(directory, name) {
+    const parts = directory.split(/[\\/]+/).filter(part => part.length);
+    parts.push(name);
+    return ("\\" + parts.join("\\")).toUpperCase();
+}
+
+/**
+ * Read a directory (length & absolute path) from the command parameters
+ */
+function _readDirectory(params, offset) {
+    if (params.length < offset + 2) {
+        throw _endCodeError(0x1002); //Command too short
+    }
+    const length = params.readUInt16BE(offset);
+    if (length > constants.FileMemory.MAX_PATH || params.length < offset + 2 + length) {
+        throw _endCodeError(0x110C); //Parameter error
+    }
+    return { directory: params.toString("ascii", offset + 2, offset + 2 + length), next: offset + 2 + length };
+}
+
+/**
+ * Read a 12 byte file name from the command parameters
+ */
+function _readFileName(params, offset) {
+    if (params.length < offset + constants.FileMemory.FILE_NAME_BYTES) {
+        throw _endCodeError(0x1002); //Command too short
+    }
+    const name = decodeFileName(params, offset);
+    try {
+        encodeFileName(name);
+    } catch (error) {
+        throw _endCodeError(0x110C); //Parameter error
+    }
+    return name;
+}
+
+/**
+ * Check a directory exists (throws an end code error if it does not)
+ */
+function _checkDirectory(disk, directory, endCode) {
+    const key = _fileKey(directory, "").replace(/\\$/, "");
+    const entry = key.length ? disk.entries.get(key) : { directory: true };
+    if (!entry || !entry.directory) {
+        throw _endCodeError(endCode);
+    }
+}
+
+/**
+ * Get a file (throws an end code error if it does not exist)
+ */
+function _getFile(disk, directory, name, endCode) {
+    const entry = disk.entries.get(_fileKey(directory, name));
+    if (!entry || entry.directory) {
+        throw _endCodeError(endCode);
+    }
+    return entry;
+}
+
+/**
+ * The entries in a directory (in the order they were created)
+ */
+function _directoryEntries(disk, directory) {
+    const prefix = _fileKey(directory, "").replace(/\\$/, "") + "\\";
+    return [...disk.entries.keys()]
+        .filter(key => key.startsWith(prefix) && !key.substring(prefix.length).includes("\\"))
+        .map(key => disk.entries.get(key));
+}
+
+function _usedBytes(disk) {
+    let used = 0;
+    disk.entries.forEach(entry => { used += entry.data.length; });
+    return used;
+}
+
+//#endregion
+
+
+//#region Command handlers
+
+/**
+ * Command handlers keyed by command code. Each handler is called with `(server, params, header)` and
+ * returns `{ data, endCode }` (or throws an error with an `endCode`)
+ */
+const CommandHandlers = {
+    "0101": function memoryAreaRead(self, params) {
+        const forceAreas = self.MODE === "CV" ? constants.ForceAreas.CV : constants.ForceAreas.CS;
+        const forcedName = params.length ? getKeyName(forceAreas.status, params[0]) : null;
+        if (forcedName) {
+            return _forcedStatusRead(self, forcedName, params);
+        }
+        const area = _parseAreaAddress(self, params, 0);
+        const count = params.readUInt16BE(4);
+        _checkRange(self, area, count);
+        return { data: _readElements(self, area, count) };
+    },
+    "0102": function memoryAreaWrite(self, params) {
+        const area = _parseAreaAddress(self, params, 0);
+        const count = params.readUInt16BE(4);
+        _checkRange(self, area, count, true);
+        _writeElements(self, area, count, params.slice(6));
+        return {};
+    },
+    "0103": function memoryAreaFill(self, params) {
+        const area = _parseAreaAddress(self, params, 0);
+        if (area.isBit) {
+            throw _endCodeError(0x1101); //Area classification missing
+        }
+        const count = params.readUInt16BE(4);
+        const value = params.readUInt16BE(6);
+        _checkRange(self, area, count, true);
+        for (let index = 0; index < count; index++) {
+            _setElement(self, area, index, value);
+        }
+        return {};
+    },
+    "0104": function multipleMemoryAreaRead(self, params) {
+        const data = [];
+        if (!params.length || params.length % 4) {
+            throw _endCodeError(0x1003); //Elements/Data don't match
+        }
+        for (let offset = 0; offset < params.length; offset += 4) {
+            const area = _parseAreaAddress(self, params, offset);
+            data.push(Buffer.from([area.areaCode]), _readElements(self, area, 1));
+        }
+        return { data: Buffer.concat(data) };
+    },
+    "0105": function memoryAreaTransfer(self, params) {
+        const src = _parseAreaAddress(self, params, 0);
+        const dst = _parseAreaAddress(self, params, 4);
+        const count = params.readUInt16BE(8);
+        if (src.isBit || dst.isBit) {
+            throw _endCodeError(0x1101); //Area classification missing
+        }
+        _checkRange(self, src, count);
+        _checkRange(self, dst, count, true);
+        const values = [];
+        for (let index = 0; index < count; index++) {
+            values.push(_getElement(self, src, index));
+        }
+        values.forEach((value, index) => _setElement(self, dst, index, value));
+        return {};
+    },
+    "0201": function parameterAreaRead(self, params) {
+        if (params.length < 6) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const areaCode = params.readUInt16BE(0);
+        const beginWord = params.readUInt16BE(2);
+        const size = ParameterAreaSizes[areaCode] || 0;
+        const count = Math.min(params.readUInt16BE(4) & 0x7FFF, Math.max(0, size - beginWord));
+        const store = _parameterArea(self, areaCode, beginWord, count);
+        const lastWord = beginWord + count >= store.length;
+        const data = Buffer.alloc(6 + count * 2);
+        data.writeUInt16BE(areaCode, 0);
+        data.writeUInt16BE(beginWord, 2);
+        data.writeUInt16BE(count | (lastWord ? 0x8000 : 0), 4);
+        for (let index = 0; index < count; index++) {
+            data.writeUInt16BE(store[beginWord + index], 6 + index * 2);
+        }
+        return { data: data };
+    },
+    "0202": function parameterAreaWrite(self, params, header) {
+        if (params.length < 6) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const areaCode = params.readUInt16BE(0);
+        const beginWord = params.readUInt16BE(2);
+        const count = params.readUInt16BE(4) & 0x7FFF;
+        if (params.length - 6 !== count * 2) {
+            throw _endCodeError(0x1003); //Elements/Data don't match
+        }
+        const store = _parameterArea(self, areaCode, beginWord, count);
+        _checkAccessRight(self, header);
+        if (self.mode !== constants.Modes.PROGRAM) {
+            throw _endCodeError(0x2202); //Not possible while running
+        }
+        for (let index = 0; index < count; index++) {
+            store[beginWord + index] = params.readUInt16BE(6 + index * 2);
+        }
+        return {};
+    },
+    "0203": function parameterAreaClear(self, params, header) {
+        if (params.length < 6) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const areaCode = params.readUInt16BE(0);
+        const count = params.readUInt16BE(4);
+        const store = _parameterArea(self, areaCode, 0, count);
+        _checkAccessRight(self, header);
+        if (self.mode !== constants.Modes.PROGRAM) {
+            throw _endCodeError(0x2202); //Not possible while running
+        }
+        store.fill(0, 0, count);
+        return {};
+    },
+    "0306": function programAreaRead(self, params) {
+        if (params.length < 8) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const beginAddress = params.readUInt32BE(2);
+        if (beginAddress > self.program.length) {
+            throw _endCodeError(0x1103); //Address range error
+        }
+        const count = Math.min(params.readUInt16BE(6) & 0x7FFF, constants.ProgramArea.MAX_BYTES, self.program.length - beginAddress);
+        const last = beginAddress + count >= self.program.length;
+        const data = Buffer.alloc(8 + count);
+        data.writeUInt16BE(constants.ProgramArea.PROGRAM_NO, 0);
+        data.writeUInt32BE(beginAddress, 2);
+        data.writeUInt16BE(count | (last ? constants.ProgramArea.LAST_FLAG : 0), 6);
+        self.program.copy(data, 8, beginAddress, beginAddress + count);
+        return { data: data };
+    },
+    "0307": function programAreaWrite(self, params, header) {
+        if (params.length < 8) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const beginAddress = params.readUInt32BE(2);
+        const byteCount = params.readUInt16BE(6);
+        const count = byteCount & 0x7FFF;
+        if (params.length - 8 !== count) {
+            throw _endCodeError(0x1003); //Elements/Data don't match
+        }
+        if (beginAddress + count > PROGRAM_AREA_SIZE) {
+            throw _endCodeError(0x1104); //Address range exceeded
+        }
+        _checkAccessRight(self, header);
+        if (self.mode !== constants.Modes.PROGRAM) {
+            throw _endCodeError(0x2202); //Not possible while running
+        }
+        const end = beginAddress + count;
+        const last = (byteCount & constants.ProgramArea.LAST_FLAG) != 0;
+        const program = Buffer.alloc(last ? end : Math.max(end, self.program.length));
+        self.program.copy(program, 0, 0, Math.min(beginAddress, self.program.length));
+        params.copy(program, beginAddress, 8);
+        if (!last && self.program.length > end) {
+            self.program.copy(program, end, end);
+        }
+        self.program = program;
+        return {};
+    },
+    "0308": function programAreaClear(self, params, header) {
+        _checkAccessRight(self, header);
+        if (self.mode !== constants.Modes.PROGRAM) {
+            throw _endCodeError(0x2202); //Not possible while running
+        }
+        self.program = Buffer.alloc(0);
+        return {};
+    },
+    "0401": function run(self, params) {
+        const mode = params.length >= 3 ? params[2] : constants.Modes.MONITOR;
+        if (mode !== constants.Modes.MONITOR && mode !== constants.Modes.RUN) {
+            throw _endCodeError(0x1103); //Address range error
+        }
+        if (self.fatalErrors) {
+            throw _endCodeError(0x2502); //Unit Error: Memory Error
+        }
+        self.setMode(mode);
+        return {};
+    },
+    "0402": function stop(self) {
+        self.setMode(constants.Modes.PROGRAM);
+        return {};
+    },
+    "0501": function cpuUnitDataRead(self, params) {
+        const { MODEL, AREA } = constants.CpuUnitData.SECTIONS;
+        if (params.length && params[0] !== MODEL && params[0] !== AREA) {
+            throw _endCodeError(0x110C); //Parameter error
+        }
+        const data = Buffer.alloc(158);
+        data.write(self.model.padEnd(20, " ").substring(0, 20), 0, "ascii");
+        data.write(self.version.padEnd(20, " ").substring(0, 20), 20, "ascii");
+        //system use
+        data[40] = 0; //DIP switches
+        data[41] = 0x18; //largest EM bank number
+        //area data
+        data.writeUInt16BE(0x00A0, 80); //max program size (k steps)
+        data[82] = 0x17; //IOM size
+        data.writeUInt16BE(self.areaSizes.D & 0xffff, 83); //DM words
+        data[85] = 0x08; //timers/counters
+        data[86] = 0x19; //EM banks without file memory
+        data[88] = 0x00; //memory card type (none)
+        data.writeUInt16BE(0, 90); //memory card size
+        data[156] = 0x01; //CPU Unit information (number of racks)
+        if (params.length) {
+            return { data: params[0] === MODEL ? data.slice(0, 80) : data.slice(80) };
+        }
+        return { data };
+    },
+    "0502": function connectionDataRead(self, params) {
+        if (params.length < 1) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const { MODEL_BYTES, MAX_ITEMS, LAST_FLAG } = constants.ConnectionData;
+        const items = params.length > 1 ? params[1] : MAX_ITEMS;
+        if (!items || items > MAX_ITEMS) {
+            throw _endCodeError(0x110C); //Parameter error
+        }
+        const addresses = Object.keys(self.units).map(Number).sort((a, b) => a - b);
+        const fitted = addresses.filter(address => address >= params[0]);
+        const selected = fitted.slice(0, items);
+        const data = Buffer.alloc(1 + selected.length * (1 + MODEL_BYTES), " ");
+        data[0] = selected.length | (selected.length === fitted.length ? LAST_FLAG : 0);
+        selected.forEach(function (address, index) {
+            const offset = 1 + index * (1 + MODEL_BYTES);
+            data[offset] = address;
+            data.write(self.units[address], offset + 1, MODEL_BYTES, "ascii");
+        });
+        return { data };
+    },
+    "0601": function status(self) {
+        const data = Buffer.alloc(26);
+        data[0] = _isRunning(self) ? constants.Status.RUN : constants.Status.STOP;
+        data[0] |= self.statusModel.status.BATTERY_PRESENT || 0;
+        data[1] = self.mode;
+        data.writeUInt16BE(self.fatalErrors & 0xffff, 2);
+        data.writeUInt16BE(self.nonFatalErrors & 0xffff, 4);
+        data.writeUInt16BE(_messageFlags(self), 6); //message yes/no (bits 0 to 7 = MSG messages 0 to 7)
+        data.writeUInt16BE(self.errorCode & 0xffff, 8);
+        data.write(self.errorMessage.padEnd(16, " "), 10, "ascii");
+        return { data };
+    },
+    "0620": function cycleTimeRead(self, params) {
+        if (params.length < 1) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        if (params[0] === constants.CycleTime.INITIALISE) {
+            self.cycleTimes = [];
+            return {};
+        }
+        if (params[0] !== constants.CycleTime.READ) {
+            throw _endCodeError(0x110C); //Parameter error
+        }
+        const data = Buffer.alloc(12);
+        const times = self.cycleTimes;
+        if (times.length) {
+            const recent = times.slice(-8);
+            data.writeUInt32BE(Math.round(recent.reduce((a, b) => a + b, 0) / recent.length), 0);
+            data.writeUInt32BE(times.reduce((a, b) => Math.max(a, b)), 4);
+            data.writeUInt32BE(times.reduce((a, b) => Math.min(a, b)), 8);
+        }
+        return { data };
+    },
+    "0701": function clockRead(self) {
+        const now = self.getClock();
+        return {
+            data: [
+                dec2bcd(now.getFullYear() % 100),
+                dec2bcd(now.getMonth() + 1),
+                dec2bcd(now.getDate()),
+                dec2bcd(now.getHours()),
+                dec2bcd(now.getMinutes()),
+                dec2bcd(now.getSeconds()),
+                now.getDay()
+            ]
+        };
+    },
+    "0702": function clockWrite(self, params) {
+        if (params.length < 5) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const now = self.getClock();
+        const year = bcd2dec(params[0]);
+        const date = new Date(
+            year < 70 ? 2000 + year : 1900 + year,
+            bcd2dec(params[1]) - 1,
+            bcd2dec(params[2]),
+            bcd2dec(params[3]),
+            bcd2dec(params[4]),
+            params.length > 5 ? bcd2dec(params[5]) : now.getSeconds()
+        );
+        if (isNaN(date.getTime())) {
+            throw _endCodeError(0x1103); //Address range error
+        }
+        self.setClock(date);
+        return {};
+    },
+    "0801": function internodeEchoTest(self, params) {
+        if (params.length > constants.NetworkTest.MAX_BYTES) {
+            throw _endCodeError(0x1001); //Command too long
+        }
+        return { data: params };
+    },
+    "0802": function broadcastTestResultsRead(self) {
+        const data = Buffer.alloc(2);
+        data.writeUInt16BE(Math.min(self.broadcastReceptions, 0xffff), 0);
+        self.broadcastReceptions = 0;
+        return { data };
+    },
+    "0803": function broadcastTestDataSend(self, params) {
+        if (params.length > constants.NetworkTest.MAX_BYTES) {
+            throw _endCodeError(0x1001); //Command too long
+        }
+        self.broadcastReceptions++;
+        return {};
+    },
+    "0920": function messageRead(self, params) {
+        if (params.length < 2) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const { COUNT, MESSAGE_BYTES, FAL_MESSAGE_BYTES, READ, CLEAR, FAL_READ, MAX_FAL_NO } = constants.Messages;
+        const parameter = params.readUInt16BE(0);
+        const operation = parameter & 0xC000;
+        if (operation === FAL_READ) {
+            const falNumber = parameter & 0x3FFF;
+            if (!falNumber || falNumber > MAX_FAL_NO) {
+                throw _endCodeError(0x110C); //Parameter error
+            }
+            const data = Buffer.alloc(2 + FAL_MESSAGE_BYTES, " ");
+            data.writeUInt16BE(falNumber, 0);
+            data.write(self.falMessages[falNumber] || "", 2, FAL_MESSAGE_BYTES, "latin1");
+            return { data };
+        }
+        const mask = parameter & 0x3FFF;
+        if ((operation !== READ && operation !== CLEAR) || !mask || mask >= (1 << COUNT)) {
+            throw _endCodeError(0x110C); //Parameter error
+        }
+        const numbers = self.messages.map((message, number) => number).filter(number => mask & (1 << number));
+        if (operation === CLEAR) {
+            numbers.forEach(number => self.messages[number] = "");
+            return {};
+        }
+        const data = Buffer.alloc(2 + numbers.length * MESSAGE_BYTES, " ");
+        data.writeUInt16BE(parameter, 0);
+        numbers.forEach((number, index) => data.write(self.messages[number], 2 + index * MESSAGE_BYTES, MESSAGE_BYTES, "latin1"));
+        return { data };
+    },
+    "0c01": function accessRightAcquire(self, params, header) {
+        const holder = self.accessRight;
+        const source = _sourceAddress(header);
+        if (holder && (holder.network !== source.network || holder.node !== source.node || holder.unit !== source.unit)) {
+            return { endCode: 0x3001, data: [holder.network, holder.node, holder.unit] }; //No access right - reply with the holder
+        }
+        self.accessRight = source;
+        return {};
+    },
+    "0c02": function accessRightForcedAcquire(self, params, header) {
+        self.accessRight = _sourceAddress(header);
+        return {};
+    },
+    "0c03": function accessRightRelease(self, params, header) {
+        const holder = self.accessRight;
+        const source = _sourceAddress(header);
+        if (holder && holder.network === source.network && holder.node === source.node && holder.unit === source.unit) {
+            self.accessRight = null;
+        }
+        return {};
+    },
+    "2101": function errorClear(self, params) {
+        if (params.length < 2) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const errorCode = params.readUInt16BE(0);
+        if (errorCode === constants.ErrorCodes.ALL) {
+            self.clearErrors();
+        } else if (errorCode === constants.ErrorCodes.CURRENT) {
+            //clear the error with the highest priority
+            if (self.fatalErrors) {
+                self.fatalErrors &= ~(1 << (31 - Math.clz32(self.fatalErrors)));
+            } else if (self.nonFatalErrors) {
+                self.nonFatalErrors &= ~(1 << (31 - Math.clz32(self.nonFatalErrors)));
+            } else {
+                self.setErrorMessage(0);
+            }
+        } else {
+            const name = getKeyName(constants.ErrorCodes, errorCode);
+            if (name && self.statusModel.fatal[name]) {
+                self.setFatalError(name, false);
+            } else if (name && self.statusModel.nonFatal[name]) {
+                self.setNonFatalError(name, false);
+            } else if (errorCode === self.errorCode) {
+                self.setErrorMessage(0);
+            }
+        }
+        return {};
+    },
+    "2102": function errorLogRead(self, params) {
+        if (params.length < 4) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const beginRecord = params.readUInt16BE(0);
+        const requested = params.readUInt16BE(2);
+        if (beginRecord > self.errorLog.length || requested < 1 || requested > ERROR_LOG_SIZE) {
+            throw _endCodeError(0x1103); //Address range error
+        }
+        const records = self.errorLog.slice(beginRecord, beginRecord + requested);
+        const data = Buffer.alloc(6 + records.length * 10);
+        data.writeUInt16BE(ERROR_LOG_SIZE, 0);
+        data.writeUInt16BE(self.errorLog.length, 2);
+        data.writeUInt16BE(records.length, 4);
+        records.forEach(function (record, index) {
+            const offset = 6 + index * 10;
+            const date = record.date;
+            data.writeUInt16BE(record.errorCode, offset);
+            data.writeUInt16BE(record.detail, offset + 2);
+            data[offset + 4] = dec2bcd(date.getMinutes());
+            data[offset + 5] = dec2bcd(date.getSeconds());
+            data[offset + 6] = dec2bcd(date.getDate());
+            data[offset + 7] = dec2bcd(date.getHours());
+            data[offset + 8] = dec2bcd(date.getFullYear() % 100);
+            data[offset + 9] = dec2bcd(date.getMonth() + 1);
+        });
+        return { data: data };
+    },
+    "2103": function errorLogClear(self) {
+        self.errorLog = [];
+        return {};
+    },
+    "2201": function fileNameRead(self, params) {
+        if (params.length < 6) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const diskNo = params.readUInt16BE(0);
+        const disk = _disk(self, diskNo);
+        const beginFile = params.readUInt16BE(2);
+        const { directory } = _readDirectory(params, 6);
+        _checkDirectory(disk, directory, 0x2006); //File missing
+        const entries = _directoryEntries(disk, directory);
+        const fileMemory = constants.FileMemory;
+        const maxFiles = Math.floor((999 * 2 - fileMemory.DISK_DATA_BYTES - 2) / fileMemory.FILE_DATA_BYTES);
+        const files = entries.slice(beginFile, beginFile + Math.min(params.readUInt16BE(4), maxFiles));
+        const last = beginFile + files.length >= entries.length;
+        const data = Buffer.alloc(fileMemory.DISK_DATA_BYTES + 2 + files.length * fileMemory.FILE_DATA_BYTES);
+        data.write(disk.label.padEnd(12, " "), 0, "ascii");
+        data.writeUInt32BE(toDosDateTime(disk.date), 12);
+        data.writeUInt32BE(FileMemorySizes[diskNo], 16);
+        data.writeUInt32BE(FileMemorySizes[diskNo] - _usedBytes(disk), 20);
+        data.writeUInt16BE([...disk.entries.values()].filter(entry => !entry.directory).length, 24);
+        data.writeUInt16BE(files.length | (last ? fileMemory.LAST_FLAG : 0), 26);
+        files.forEach(function (entry, index) {
+            const offset = 28 + index * fileMemory.FILE_DATA_BYTES;
+            encodeFileName(entry.name).copy(data, offset);
+            data.writeUInt32BE(toDosDateTime(entry.date), offset + 12);
+            data.writeUInt32BE(entry.data.length, offset + 16);
+        });
+        return { data: data };
+    },
+    "2202": function singleFileRead(self, params) {
+        const disk = _disk(self, params.length >= 2 ? params.readUInt16BE(0) : 0);
+        const name = _readFileName(params, 2);
+        if (params.length < 20) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const position = params.readUInt32BE(14);
+        const { directory } = _readDirectory(params, 20);
+        const entry = _getFile(disk, directory, name, 0x2006); //File missing
+        if (position > entry.data.length) {
+            throw _endCodeError(0x1103); //Address range error
+        }
+        const bytes = entry.data.slice(position, position + params.readUInt16BE(18));
+        const data = Buffer.alloc(10);
+        data.writeUInt32BE(entry.data.length, 0);
+        data.writeUInt32BE(position, 4);
+        data.writeUInt16BE(bytes.length, 8);
+        return { data: Buffer.concat([data, bytes]) };
+    },
+    "2203": function singleFileWrite(self, params) {
+        if (params.length < 4) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const diskNo = params.readUInt16BE(0);
+        const disk = _disk(self, diskNo);
+        const mode = params.readUInt16BE(2);
+        const name = _readFileName(params, 4);
+        if (params.length < 22) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const position = params.readUInt32BE(16);
+        const length = params.readUInt16BE(20);
+        const { directory, next } = _readDirectory(params, 22);
+        const bytes = params.slice(next);
+        if (bytes.length !== length) {
+            throw _endCodeError(0x1003); //Elements/Data don't match
+        }
+        _checkDirectory(disk, directory, 0x2106); //File missing
+        const modes = constants.FileWriteModes;
+        const key = _fileKey(directory, name);
+        const existing = disk.entries.get(key);
+        if (existing && existing.directory) {
+            throw _endCodeError(0x2107); //File name already exists
+        }
+        let contents;
+        switch (mode) {
+        case modes.CREATE:
+            if (existing) {
+                throw _endCodeError(0x2107); //File name already exists
+            }
+            contents = bytes;
+            break;
+        case modes.OVERWRITE:
+            contents = bytes;
+            break;
+        case modes.APPEND:
+            contents = Buffer.concat([_getFile(disk, directory, name, 0x2106).data, bytes]);
+            break;
+        case modes.WRITE: {
+            const current = _getFile(disk, directory, name, 0x2106).data;
+            if (position > current.length) {
+                throw _endCodeError(0x1103); //Address range error
+            }
+            contents = Buffer.alloc(Math.max(current.length, position + bytes.length));
+            current.copy(contents);
+            bytes.copy(contents, position);
+            break;
+        }
+        default:
+            throw _endCodeError(0x110C); //Parameter error
+        }
+        if (_usedBytes(disk) - (existing ? existing.data.length : 0) + contents.length > FileMemorySizes[diskNo]) {
+            throw _endCodeError(0x2103); //Cannot register (file memory full)
+        }
+        disk.entries.set(key, { name: existing ? existing.name : name, directory: false, data: contents, date: self.getClock() });
+        return {};
+    },
+    "2204": function memoryCardFormat(self, params) {
+        if (params.length < 2) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const diskNo = params.readUInt16BE(0);
+        _disk(self, diskNo);
+        self.fileMemory[diskNo] = { label: "", date: self.getClock(), entries: new Map() };
+        return {};
+    },
+    "2205": function fileDelete(self, params) {
+        if (params.length < 4) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const disk = _disk(self, params.readUInt16BE(0));
+        const count = params.readUInt16BE(2);
+        const { directory, next } = _readDirectory(params, 4);
+        if (params.length !== next + count * constants.FileMemory.FILE_NAME_BYTES) {
+            throw _endCodeError(0x1003); //Elements/Data don't match
+        }
+        let deleted = 0;
+        for (let index = 0; index < count; index++) {
+            const key = _fileKey(directory, _readFileName(params, next + index * constants.FileMemory.FILE_NAME_BYTES));
+            const entry = disk.entries.get(key);
+            if (entry && !entry.directory) {
+                disk.entries.delete(key);
+                deleted++;
+            }
+        }
+        return { data: [deleted >> 8, deleted & 0xff] };
+    },
+    "2206": function volumeLabelCreateDelete(self, params) {
+        if (params.length < 4 + constants.FileMemory.FILE_NAME_BYTES) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const disk = _disk(self, params.readUInt16BE(0));
+        const mode = params.readUInt16BE(2);
+        const label = params.toString("ascii", 4, 4 + constants.FileMemory.FILE_NAME_BYTES).trim();
+        const modes = constants.VolumeLabelModes;
+        if (mode === modes.CREATE && disk.label) {
+            throw _endCodeError(0x2107); //Volume label already exists
+        }
+        if (mode === modes.DELETE) {
+            disk.label = "";
+        } else if (mode === modes.CREATE || mode === modes.CHANGE) {
+            disk.label = label;
+        } else {
+            throw _endCodeError(0x110C); //Parameter error
+        }
+        return {};
+    },
+    "2207": function fileCopy(self, params) {
+        const src = _disk(self, params.length >= 2 ? params.readUInt16BE(0) : 0);
+        const srcDirectory = _readDirectory(params, 2);
+        const srcName = _readFileName(params, srcDirectory.next);
+        let offset = srcDirectory.next + constants.FileMemory.FILE_NAME_BYTES;
+        const dstDiskNo = params.length >= offset + 2 ? params.readUInt16BE(offset) : 0;
+        const dst = _disk(self, dstDiskNo);
+        const dstDirectory = _readDirectory(params, offset + 2);
+        const dstName = _readFileName(params, dstDirectory.next);
+        const entry = _getFile(src, srcDirectory.directory, srcName, 0x2006); //File missing
+        _checkDirectory(dst, dstDirectory.directory, 0x2106); //File missing
+        const key = _fileKey(dstDirectory.directory, dstName);
+        if (dst.entries.has(key)) {
+            throw _endCodeError(0x2107); //File name already exists
+        }
+        if (_usedBytes(dst) + entry.data.length > FileMemorySizes[dstDiskNo]) {
+            throw _endCodeError(0x2103); //Cannot register (file memory full)
+        }
+        dst.entries.set(key, { name: dstName, directory: false, data: Buffer.from(entry.data), date: entry.date });
+        return {};
+    },
+    "2208": function fileNameChange(self, params) {
+        const disk = _disk(self, params.length >= 2 ? params.readUInt16BE(0) : 0);
+        const { directory, next } = _readDirectory(params, 2);
+        const oldName = _readFileName(params, next);
+        const newName = _readFileName(params, next + constants.FileMemory.FILE_NAME_BYTES);
+        const entry = _getFile(disk, directory, oldName, 0x2106); //File missing
+        const newKey = _fileKey(directory, newName);
+        const oldKey = _fileKey(directory, oldName);
+        if (newKey !== oldKey && disk.entries.has(newKey)) {
+            throw _endCodeError(0x2107); //File name already exists
+        }
+        disk.entries.delete(oldKey);
+        disk.entries.set(newKey, Object.assign({}, entry, { name: newName }));
+        return {};
+    },
+    "220a": function memoryAreaFileTransfer(self, params) {
+        if (params.length < 10) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const mode = params.readUInt16BE(0);
+        const area = _parseAreaAddress(self, params, 2);
+        if (area.isBit) {
+            throw _endCodeError(0x1101); //Area classification missing
+        }
+        const count = params.readUInt16BE(6);
+        const disk = _disk(self, params.readUInt16BE(8));
+        const name = _readFileName(params, 10);
+        const { directory } = _readDirectory(params, 10 + constants.FileMemory.FILE_NAME_BYTES);
+        const modes = constants.FileTransferModes;
+        const size = count * area.elementLength;
+        switch (mode) {
+        case modes.TO_FILE:
+            _checkRange(self, area, count);
+            _checkDirectory(disk, directory, 0x2106); //File missing
+            disk.entries.set(_fileKey(directory, name), { name: name, directory: false, data: _readElements(self, area, count), date: self.getClock() });
+            break;
+        case modes.TO_MEMORY: {
+            _checkRange(self, area, count, true);
+            const entry = _getFile(disk, directory, name, 0x2006); //File missing
+            if (entry.data.length < size) {
+                throw _endCodeError(0x2004); //Data missing
+            }
+            _writeElements(self, area, count, entry.data.slice(0, size));
+            break;
+        }
+        case modes.COMPARE: {
+            _checkRange(self, area, count);
+            const entry = _getFile(disk, directory, name, 0x2006); //File missing
+            if (entry.data.length < size || !entry.data.slice(0, size).equals(_readElements(self, area, count))) {
+                throw _endCodeError(0x2007); //Data mismatch
+            }
+            break;
+        }
+        default:
+            throw _endCodeError(0x110C); //Parameter error
+        }
+        return { data: [count >> 8, count & 0xff] };
+    },
+    "2215": function directoryCreateDelete(self, params) {
+        if (params.length < 4) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const disk = _disk(self, params.readUInt16BE(0));
+        const mode = params.readUInt16BE(2);
+        const name = _readFileName(params, 4);
+        const { directory } = _readDirectory(params, 4 + constants.FileMemory.FILE_NAME_BYTES);
+        const key = _fileKey(directory, name);
+        const entry = disk.entries.get(key);
+        if (mode === constants.DirectoryModes.CREATE) {
+            _checkDirectory(disk, directory, 0x2106); //File missing
+            if (entry) {
+                throw _endCodeError(0x2107); //File name already exists
+            }
+            disk.entries.set(key, { name: name, directory: true, data: Buffer.alloc(0), date: self.getClock() });
+        } else if (mode === constants.DirectoryModes.DELETE) {
+            if (!entry || !entry.directory) {
+                throw _endCodeError(0x2106); //File missing
+            }
+            if (_directoryEntries(disk, joinPath(directory, name)).length) {
+                throw _endCodeError(0x2108); //Cannot change (directory not empty)
+            }
+            disk.entries.delete(key);
+        } else {
+            throw _endCodeError(0x110C); //Parameter error
+        }
+        return {};
+    },
+    "2301": function forcedSetReset(self, params, header) {
+        if (params.length < 2) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const count = params.readUInt16BE(0);
+        if (!count || params.length !== 2 + count * 6) {
+            throw _endCodeError(0x1003); //Elements/Data don't match
+        }
+        const forceAreas = self.MODE === "CV" ? constants.ForceAreas.CV : constants.ForceAreas.CS;
+        const items = [];
+        for (let offset = 2; offset < params.length; offset += 6) {
+            const spec = params.readUInt16BE(offset);
+            const area = _parseAreaAddress(self, params, offset + 2);
+            if (!area.isBit || !forceAreas.bit.includes(area.name)) {
+                throw _endCodeError(0x1101); //Area classification missing
+            }
+            if (getKeyName(constants.ForceOperations, spec) == null) {
+                throw _endCodeError(0x110C); //Parameter error
+            }
+            items.push({ spec: spec, area: area });
+        }
+        _checkAccessRight(self, header);
+        if (self.mode === constants.Modes.RUN) {
+            throw _endCodeError(0x2202); //Not possible while running
+        }
+        items.forEach(function (item) {
+            const mask = _forcedStore(self, item.area);
+            const index = item.area.isFlag ? item.area.address : item.area.address + Math.floor(item.area.bit / 16);
+            const bits = item.area.isFlag ? 1 : 1 << (item.area.bit % 16);
+            if (item.spec & 0x8000) {
+                mask[index] &= ~bits; //release
+                if (item.spec !== constants.ForceOperations.RELEASE) {
+                    _setElement(self, item.area, 0, item.spec & 1);
+                }
+            } else {
+                mask[index] |= bits;
+                _setElement(self, item.area, 0, item.spec & 1);
+            }
+        });
+        return {};
+    },
+    "2302": function forcedSetResetCancel(self, params, header) {
+        _checkAccessRight(self, header);
+        if (self.mode === constants.Modes.RUN) {
+            throw _endCodeError(0x2202); //Not possible while running
+        }
+        self.forced = {};
+        return {};
+    },
+    "2601": function nameSet(self, params) {
+        if (!params.length) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        if (params.length > constants.NodeName.MAX_LENGTH) {
+            throw _endCodeError(0x1001); //Command too long
+        }
+        self.nodeName = params.toString("ascii").trim();
+        return {};
+    },
+    "2602": function nameDelete(self) {
+        self.nodeName = "";
+        return {};
+    },
+    "2603": function nameRead(self) {
+        const data = Buffer.alloc(constants.NodeName.MAX_LENGTH, " ");
+        data.write(self.nodeName, 0, "ascii");
+        return { data };
+    },
+    "2750": function ipAddressTableWrite(self, params, header) {
+        const unit = _ethernetUnit(self, header);
+        if (params.length < 2) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const { MAX_IP_ADDRESS_RECORDS, IP_ADDRESS_RECORD_BYTES } = constants.EthernetUnit;
+        const count = params.readUInt16BE(0);
+        if (count > MAX_IP_ADDRESS_RECORDS) {
+            throw _endCodeError(0x110C); //Parameter error
+        }
+        if (params.length < 2 + count * IP_ADDRESS_RECORD_BYTES) {
+            throw _endCodeError(0x1002); //Command too short
+        }
+        const records = [];
+        for (let index = 0; index < count; index++) {
+            const offset = 2 + index * IP_ADDRESS_RECORD_BYTES;
+            records.push({ node: params.readUInt16BE(offset), ipAddress: decodeIpAddress(params, offset + 2) });
+        }
+        unit.ipAddressTable = records;
+        return {};
+    },
+    "2760": function ipAddressTableRead(self, params, header) {
+        const unit = _ethernetUnit(self, header);
+        const { MAX_IP_ADDRESS_RECORDS, IP_ADDRESS_RECORD_BYTES } = constants.EthernetUnit;
+        return { data: _ethernetUnitTable(params, unit.ipAddressTable, MAX_IP_ADDRESS_RECORDS, IP_ADDRESS_RECORD_BYTES, function (data, record, offset) {
+            data.writeUInt16BE(record.node, offset);
+            encodeIpAddress(record.ipAddress).copy(data, offset + 2);
+        }) };
+    },
+    "2761": function ipRouterTableRead(self, params, header) {
+        const unit = _ethernetUnit(self, header);
+        const { MAX_IP_ROUTER_RECORDS, IP_ROUTER_RECORD_BYTES } = constants.EthernetUnit;
+        return { data: _ethernetUnitTable(params, unit.ipRouterTable, MAX_IP_ROUTER_RECORDS, IP_ROUTER_RECORD_BYTES, function (data, record, offset) {
+            encodeIpAddress(record.network).copy(data, offset);
+            encodeIpAddress(record.router).copy(data, offset + 4);
+        }) };
+    },
+    "2762": function protocolStatusRead(self, params, header) {
+        const unit = _ethernetUnit(self, header);
+        return { data: encodeProtocolStatus(unit.protocolStatus) };
+    },
+    "2763": function memoryStatusRead(self, params, header) {
+        const unit = _ethernetUnit(self, header);
+        return { data: encodeMemoryStatus(unit.memoryStatus) };
+    },
+    "2764": function socketStatusRead(self, params, header) {
+        const unit = _ethernetUnit(self, header);
+        return { data: encodeSocketStatus(unit.sockets) };
+    },
+    "2765": function addressInformationRead(self, params, header) {
+        const unit = _ethernetUnit(self, header);
+        const data = Buffer.alloc(2 + constants.EthernetUnit.IP_ADDRESS_RECORD_BYTES);
+        data.writeUInt16BE(1, 0);
+        data.writeUInt16BE(unit.node, 2);
+        encodeIpAddress(unit.ipAddress).copy(data, 4);
+        return { data };
+    },
+    "2767": function ipAddressRead(self, params, header) {
+        const unit = _ethernetUnit(self, header);
+        return { data: Buffer.concat([encodeIpAddress(unit.ipAddress), encodeIpAddress(unit.subnetMask)]) };
+    },
+};
+
+FinsServer.CommandHandlers = CommandHandlers;
+
+//#endregion
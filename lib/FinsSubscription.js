@@ -0,0 +1,108 @@
+const inherits = require('util').inherits;
+const FinsPoller = require('./FinsPoller');
+const { FinsError } = require('./FinsErrors');
+
+module.exports = FinsSubscription;
+
+const MODES = {
+    RBE: "rbe", //report by exception - only changed values are reported
+    CYCLIC: "cyclic", //all values are reported every poll
+};
+
+/**
+ * A subscription polls a list of addresses on a schedule and reports changed values.
+ * Create subscriptions with `FinsClient.subscribe()`.
+ * The addresses are read with the fewest commands possible (see `FinsClient.planReads()`).
+ *
+ * Only one read is outstanding at a time and polls are skipped while the client is not connected or the client queue
+ * is at or above `queueLimit` (see `FinsPoller`).
+ * @param {FinsClient} client - the FinsClient instance
+ * @param {string|string[]} addresses - Array or CSV of addresses e.g. `["D100", "D200:REAL", "CIO0.3"]`
+ * @param {object} [options] - options `interval` `deadband` `mode` (`"rbe"` or `"cyclic"`) `queueLimit` `maxGap` `onChange` `onError` `paused`
+ */
+function FinsSubscription(client, addresses, options) {
+    if (!(this instanceof FinsSubscription)) return new FinsSubscription(client, addresses, options);
+    options = options || {};
+    FinsPoller.call(this, client, options);
+    /** @type {FinsSubscription}*/ const self = this;
+    if (typeof addresses == "string") {
+        addresses = addresses.split(",");
+    }
+    if (!Array.isArray(addresses) || !addresses.length) {
+        throw new FinsError("addresses is empty");
+    }
+    self.addresses = addresses.map(address => String(address).trim());
+    self.plan = client.planReads(self.addresses, { maxGap: options.maxGap }); //throws if an address is invalid
+    self.deadband = Math.abs(Number(options.deadband) || 0);
+    self.mode = options.mode === MODES.CYCLIC ? MODES.CYCLIC : MODES.RBE;
+    self.onChange = typeof options.onChange == "function" ? options.onChange : null;
+    self.values = {}; //the last reported values
+    self._start();
+}
+inherits(FinsSubscription, FinsPoller);
+
+FinsSubscription.MODES = MODES;
+
+/**
+ * Stop polling and remove the subscription from the client. Any reply still pending is ignored.
+ */
+FinsSubscription.prototype.unsubscribe = function () {
+    /** @type {FinsSubscription}*/ const self = this;
+    if (!self._stop()) {
+        return;
+    }
+    const index = self.client.subscriptions.indexOf(self);
+    if (index >= 0) {
+        self.client.subscriptions.splice(index, 1);
+    }
+    self.emit('unsubscribed');
+};
+
+/**
+ * Read the addresses and report the changes (called by `FinsPoller`)
+ * @param {Function} done - called when the poll is complete
+ */
+FinsSubscription.prototype._poll = function (done) {
+    /** @type {FinsSubscription}*/ const self = this;
+    self.client.readPlanned(self.plan, function (err, msg) {
+        if (!self.active) {
+            return done(); //unsubscribed while waiting for the reply
+        }
+        self._report(done, () => err ? self._error(err, msg) : _update(self, msg), msg);
+    });
+};
+
+//#region Supporting functions
+
+function _isChanged(self, previous, value) {
+    if (previous === undefined) {
+        return true;
+    }
+    if (typeof value == "number" && typeof previous == "number" && self.deadband) {
+        return Math.abs(value - previous) > self.deadband;
+    }
+    return previous !== value;
+}
+
+function _update(self, msg) {
+    const values = msg.response.values;
+    const current = {};
+    const changes = {};
+    let changed = false;
+    self.addresses.forEach(function (address, index) {
+        const value = values[index];
+        current[address] = value;
+        if (_isChanged(self, self.values[address], value)) {
+            self.values[address] = value;
+            changes[address] = value;
+            changed = true;
+        }
+    });
+    const report = self.mode === MODES.CYCLIC ? current : changes;
+    if (self.mode === MODES.CYCLIC || changed) {
+        self.onChange && self.onChange(report, msg);
+        self.emit('change', report, msg);
+    }
+}
+
+//#endregion
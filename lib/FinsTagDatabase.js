@@ -0,0 +1,198 @@
+const { parseDataType } = require('./FinsDataTypes');
+const { FinsTagError } = require('./FinsErrors');
+
+module.exports = FinsTagDatabase;
+
+const ACCESS = {
+    r: { read: true, write: false },
+    w: { read: false, write: true },
+    rw: { read: true, write: true },
+};
+
+/**
+ * A database of named tags. Each tag maps a name to a PLC address with an optional data type, scaling and metadata e.g.
+ * `{ name: "Tank1.Level", address: "D1200", type: "REAL", scale: [0, 27648, 0, 100], units: "%", access: "rw" }`
+ *
+ * Tags are validated when they are added (the address must be valid for the PLC `MODE`) so mistakes are found at load time
+ * rather than when the tag is first read.
+ * @param {FinsAddressUtil} finsAddresses - the FinsAddressUtil for the PLC
+ * @param {object[]|object} [tags] - tag definitions (an array of tags or an object of tags keyed by name)
+ */
+function FinsTagDatabase(finsAddresses, tags) {
+    if (!(this instanceof FinsTagDatabase)) return new FinsTagDatabase(finsAddresses, tags);
+    /** @type {FinsTagDatabase}*/ const self = this;
+    self.finsAddresses = finsAddresses;
+    self.tags = new Map();
+    if (tags) {
+        self.load(tags);
+    }
+}
+
+/**
+ * Add tags. All tags are validated before any are added.
+ * @param {object[]|object} tags - tag definitions (an array of tags or an object of tags keyed by name)
+ * @param {boolean} [replace=false] - remove all existing tags first
+ */
+FinsTagDatabase.prototype.load = function (tags, replace) {
+    /** @type {FinsTagDatabase}*/ const self = this;
+    let definitions = tags;
+    if (!Array.isArray(tags)) {
+        definitions = Object.keys(tags || {}).map(name => Object.assign({ name: name }, tags[name]));
+    }
+    const names = new Set(replace ? [] : self.tags.keys());
+    const normalised = definitions.map(function (definition) {
+        const tag = _normaliseTag(self, definition);
+        if (names.has(tag.name)) {
+            throw new FinsTagError(`tag '${tag.name}' is already defined`, tag.name);
+        }
+        names.add(tag.name);
+        return tag;
+    });
+    if (replace) {
+        self.tags.clear();
+    }
+    normalised.forEach(tag => self.tags.set(tag.name, tag));
+};
+
+/**
+ * Add a tag
+ * @param {object} definition - the tag definition `{name, address, type, scale, units, access, description}`
+ * @returns {object} the tag
+ */
+FinsTagDatabase.prototype.add = function (definition) {
+    this.load([definition]);
+    return this.tags.get(definition.name);
+};
+
+/**
+ * Remove a tag
+ * @param {string} name - the tag name
+ * @returns {boolean} true if the tag was removed
+ */
+FinsTagDatabase.prototype.remove = function (name) {
+    return this.tags.delete(name);
+};
+
+/**
+ * Get a tag
+ * @param {string} name - the tag name
+ * @returns {object} the tag (throws a `FinsTagError` if the tag is not defined)
+ */
+FinsTagDatabase.prototype.get = function (name) {
+    const tag = this.tags.get(name);
+    if (!tag) {
+        throw new FinsTagError(`tag '${name}' is not defined`, name);
+    }
+    return tag;
+};
+
+/**
+ * Test if a tag is defined
+ * @param {string} name - the tag name
+ * @returns {boolean} true if the tag is defined
+ */
+FinsTagDatabase.prototype.has = function (name) {
+    return this.tags.has(name);
+};
+
+/**
+ * Get all tag definitions
+ * @returns {object[]} the tag definitions (as they were added)
+ */
+FinsTagDatabase.prototype.list = function () {
+    return [...this.tags.values()].map(tag => Object.assign({}, tag.definition));
+};
+
+/**
+ * Convert a value read from the PLC to engineering units (applies the tag scaling)
+ * @param {object} tag - the tag
+ * @param {*} rawValue - the value read from the PLC
+ * @returns {*} the scaled value
+ */
+FinsTagDatabase.prototype.toEngineering = function (tag, rawValue) {
+    if (!tag.scale || typeof rawValue != "number") {
+        return rawValue;
+    }
+    const [rawMin, rawMax, engMin, engMax] = tag.scale;
+    return engMin + (rawValue - rawMin) * (engMax - engMin) / (rawMax - rawMin);
+};
+
+/**
+ * Convert a value in engineering units to the value to write to the PLC (reverses the tag scaling)
+ * @param {object} tag - the tag
+ * @param {*} value - the value in engineering units
+ * @returns {*} the value to write to the PLC (rounded for integer types)
+ */
+FinsTagDatabase.prototype.toRaw = function (tag, value) {
+    if (!tag.scale) {
+        return value;
+    }
+    const [rawMin, rawMax, engMin, engMax] = tag.scale;
+    const rawValue = rawMin + (Number(value) - engMin) * (rawMax - rawMin) / (engMax - engMin);
+    const isFloat = tag.dataType && (tag.dataType.type === "REAL" || tag.dataType.type === "LREAL");
+    return isFloat ? rawValue : Math.round(rawValue);
+};
+
+//#region Supporting functions
+
+function _normaliseTag(self, definition) {
+    if (!definition || typeof definition != "object") {
+        throw new FinsTagError("tag definition must be an object");
+    }
+    const name = definition.name;
+    if (typeof name != "string" || !name.trim().length) {
+        throw new FinsTagError("tag name is empty", name);
+    }
+    if (typeof definition.address != "string" || !definition.address.trim().length) {
+        throw new FinsTagError(`tag '${name}' has no address`, name);
+    }
+    let memoryAddress;
+    let dataType;
+    try {
+        memoryAddress = self.finsAddresses.stringToAddress(definition.address.trim());
+        dataType = parseDataType(memoryAddress.dataType || definition.type);
+    } catch (error) {
+        throw new FinsTagError(`tag '${name}': ${error.message}`, name);
+    }
+    if (dataType && (memoryAddress.isBitAddress || memoryAddress.elementLength !== 2)) {
+        throw new FinsTagError(`tag '${name}': data type '${dataType.type}' is only valid for word addresses`, name);
+    }
+    if (dataType && dataType.type === "STRING" && !dataType.length) {
+        throw new FinsTagError(`tag '${name}': a STRING length is required e.g. 'STRING(20)'`, name);
+    }
+    const access = definition.access == null ? "rw" : String(definition.access).toLowerCase();
+    if (!ACCESS[access]) {
+        throw new FinsTagError(`tag '${name}': access must be 'r', 'w' or 'rw'`, name);
+    }
+    let scale = null;
+    if (definition.scale != null) {
+        scale = definition.scale;
+        const valid = Array.isArray(scale) && scale.length === 4 && scale.every(v => typeof v == "number" && isFinite(v));
+        if (!valid || scale[0] === scale[1] || scale[2] === scale[3]) {
+            throw new FinsTagError(`tag '${name}': scale must be [rawMin, rawMax, engMin, engMax]`, name);
+        }
+        if (memoryAddress.isBitAddress || (dataType && dataType.type === "STRING")) {
+            throw new FinsTagError(`tag '${name}': scale is only valid for numeric values`, name);
+        }
+    }
+    //the address to read/write the tag (includes the data type)
+    let address = memoryAddress.toString();
+    if (dataType) {
+        address += `:${dataType.type === "STRING" ? `STRING(${dataType.length})` : dataType.type}`;
+    }
+    return {
+        name: name,
+        address: address,
+        memoryAddress: memoryAddress,
+        dataType: dataType,
+        scale: scale,
+        units: definition.units,
+        description: definition.description,
+        readable: ACCESS[access].read,
+        writable: ACCESS[access].write,
+        access: access,
+        definition: Object.assign({}, definition)
+    };
+}
+
+//#endregion
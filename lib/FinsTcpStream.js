@@ -0,0 +1,100 @@
+const constants = require('./FinsConstants');
+
+module.exports = FinsTcpStream;
+
+const MAGIC = Buffer.from("FINS");
+const HEADER_LENGTH = 16; //FINS/TCP header: magic(4) length(4) command(4) error code(4)
+
+/**
+ * Reassembles FINS/TCP frames from a TCP byte stream.
+ * TCP does not preserve message boundaries so a `data` event may contain part of a frame or several frames.
+ * Bytes are buffered until a complete frame is available. If the stream is corrupt (no `FINS` magic or an invalid length)
+ * the stream is resynchronised at the next `FINS` magic.
+ * @param {Object} [opts] - options `maxLength` (the maximum value accepted in the FINS/TCP length field)
+ * @returns
+ */
+function FinsTcpStream(opts) {
+    opts = opts || {};
+    const maxLength = opts.maxLength || constants.FinsTcpMaxLength;
+    let _buffer = Buffer.alloc(0);
+
+    /**
+     * Add received bytes to the stream and extract any complete frames
+     * @param {Buffer} chunk - data received from the socket
+     * @returns {{frames: Object[], discarded: number}} complete frames `{command, errorCode, data}` and the number of bytes discarded while resynchronising
+     */
+    function push(chunk) {
+        const frames = [];
+        let discarded = 0;
+        _buffer = _buffer.length ? Buffer.concat([_buffer, chunk]) : chunk;
+
+        while (_buffer.length) {
+            //resynchronise to the next FINS magic
+            const magicIndex = _buffer.indexOf(MAGIC);
+            if (magicIndex === -1) {
+                //keep the tail in case it is the start of a magic split across chunks
+                const keep = Math.min(_buffer.length, MAGIC.length - 1);
+                discarded += _buffer.length - keep;
+                _buffer = _buffer.slice(_buffer.length - keep);
+                break;
+            }
+            if (magicIndex > 0) {
+                discarded += magicIndex;
+                _buffer = _buffer.slice(magicIndex);
+            }
+            if (_buffer.length < 8) {
+                break; //wait for the length field
+            }
+            const length = _buffer.readUInt32BE(4); //length of data from command to end of frame
+            if (length < 8 || length > maxLength) {
+                //not a valid header - skip this magic and resynchronise
+                discarded += MAGIC.length;
+                _buffer = _buffer.slice(MAGIC.length);
+                continue;
+            }
+            const frameLength = length + 8;
+            if (_buffer.length < frameLength) {
+                break; //wait for the rest of the frame
+            }
+            frames.push({
+                command: _buffer.readUInt32BE(8),
+                errorCode: _buffer.readUInt32BE(12),
+                data: Buffer.from(_buffer.slice(HEADER_LENGTH, frameLength))
+            });
+            _buffer = _buffer.slice(frameLength);
+        }
+        return { frames, discarded };
+    }
+
+    /**
+     * Discard any buffered data (e.g. when a new connection is made)
+     */
+    function reset() {
+        _buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Build a FINS/TCP frame
+     * @param {number} command - the FINS/TCP command (see `constants.TCPCommands`)
+     * @param {Buffer} [data] - the data following the FINS/TCP header
+     * @returns {Buffer} the FINS/TCP frame
+     */
+    function frame(command, data) {
+        data = data || Buffer.alloc(0);
+        const header = Buffer.alloc(HEADER_LENGTH);
+        MAGIC.copy(header, 0);
+        header.writeUInt32BE(8 + data.length, 4); /* Length of data from Command up to end of FINS frame */
+        header.writeUInt32BE(command, 8); /* Command */
+        header.writeUInt32BE(0, 12); /* Error Code */
+        return Buffer.concat([header, data]);
+    }
+
+    return {
+        push,
+        reset,
+        frame,
+        get bufferedLength() {
+            return _buffer.length;
+        }
+    };
+}
@@ -1,4 +1,5 @@
 const dgram = require('dgram');
+const fs = require('fs');
 const net = require('net');
 const inherits = require('util').inherits;
 const EventEmitter = require('events').EventEmitter;
@@ -6,7 +7,19 @@ const constants = require('./FinsConstants');
 const SequenceManager = require('./FinsSequenceManager');
 const FinsHeader = require('./FinsHeader');
 const FinsAddressUtil = require('./FinsAddressUtil');
+const FinsTcpStream = require('./FinsTcpStream');
+const FinsSubscription = require('./FinsSubscription');
+const FinsCycleTimeMonitor = require('./FinsCycleTimeMonitor');
+const { planReads, mapResponses } = require('./FinsReadPlanner');
+const FinsTagDatabase = require('./FinsTagDatabase');
+const FinsFileMemory = require('./FinsFileMemory');
+const { splitPath, joinPath, encodeFileName, decodeFileName, encodeDirectory, fromDosDateTime } = require('./FinsFileFormat');
+const FinsEthernetFormat = require('./FinsEthernetFormat');
+const { encodeIpAddressTable } = FinsEthernetFormat;
+const { crc32, encodeProgramFile, decodeProgramFile } = require('./FinsProgramFile');
 const {dec2bcd, bcd2dec, boolsToBytes, wordsToBytes, dwordsToBytes, mergeData, getKeyName, isInt } = require('./FinsDataUtils');
+const { parseDataType, bytesToValues, valuesToWords } = require('./FinsDataTypes');
+const { FinsError, FinsEndCodeError, FinsTimeoutError, FinsTransportError, FinsQueueFullError, FinsAddressError, FinsTcpHandshakeError, FinsTagError } = require('./FinsErrors');
 
 const MEMORY_AREA_READ = _getResponseCommandCode(...constants.CommandCodes.MEMORY_AREA_READ);
 const MEMORY_AREA_WRITE = _getResponseCommandCode(...constants.CommandCodes.MEMORY_AREA_WRITE);
@@ -14,11 +27,53 @@ const MEMORY_AREA_FILL = _getResponseCommandCode(...constants.CommandCodes.MEMOR
 const MEMORY_AREA_READ_MULTI = _getResponseCommandCode(...constants.CommandCodes.MEMORY_AREA_READ_MULTI);
 const MEMORY_AREA_TRANSFER = _getResponseCommandCode(...constants.CommandCodes.MEMORY_AREA_TRANSFER);
 const CPU_UNIT_DATA_READ = _getResponseCommandCode(...constants.CommandCodes.CPU_UNIT_DATA_READ);
+const CONNECTION_DATA_READ = _getResponseCommandCode(...constants.CommandCodes.CONNECTION_DATA_READ);
 const CPU_UNIT_STATUS_READ = _getResponseCommandCode(...constants.CommandCodes.CPU_UNIT_STATUS_READ);
+const CYCLE_TIME_READ = _getResponseCommandCode(...constants.CommandCodes.CYCLE_TIME_READ);
 const STOP = _getResponseCommandCode(...constants.CommandCodes.STOP);
 const RUN = _getResponseCommandCode(...constants.CommandCodes.RUN);
 const CLOCK_READ = _getResponseCommandCode(...constants.CommandCodes.CLOCK_READ);
 const CLOCK_WRITE = _getResponseCommandCode(...constants.CommandCodes.CLOCK_WRITE);
+const INTERNODE_ECHO_TEST = _getResponseCommandCode(...constants.CommandCodes.INTERNODE_ECHO_TEST);
+const BROADCAST_TEST_RESULTS_READ = _getResponseCommandCode(...constants.CommandCodes.BROADCAST_TEST_RESULTS_READ);
+const MESSAGE_READ = _getResponseCommandCode(...constants.CommandCodes.MESSAGE_READ);
+const PARAMETER_AREA_READ = _getResponseCommandCode(...constants.CommandCodes.PARAMETER_AREA_READ);
+const PARAMETER_AREA_WRITE = _getResponseCommandCode(...constants.CommandCodes.PARAMETER_AREA_WRITE);
+const PARAMETER_AREA_CLEAR = _getResponseCommandCode(...constants.CommandCodes.PARAMETER_AREA_CLEAR);
+const PROGRAM_AREA_READ = _getResponseCommandCode(...constants.CommandCodes.PROGRAM_AREA_READ);
+const PROGRAM_AREA_WRITE = _getResponseCommandCode(...constants.CommandCodes.PROGRAM_AREA_WRITE);
+const PROGRAM_AREA_CLEAR = _getResponseCommandCode(...constants.CommandCodes.PROGRAM_AREA_CLEAR);
+const ACCESS_RIGHT_ACQUIRE = _getResponseCommandCode(...constants.CommandCodes.ACCESS_RIGHT_ACQUIRE);
+const ACCESS_RIGHT_FORCED_ACQUIRE = _getResponseCommandCode(...constants.CommandCodes.ACCESS_RIGHT_FORCED_ACQUIRE);
+const ACCESS_RIGHT_RELEASE = _getResponseCommandCode(...constants.CommandCodes.ACCESS_RIGHT_RELEASE);
+const ERROR_CLEAR = _getResponseCommandCode(...constants.CommandCodes.ERROR_CLEAR);
+const ERROR_LOG_READ = _getResponseCommandCode(...constants.CommandCodes.ERROR_LOG_READ);
+const ERROR_LOG_CLEAR = _getResponseCommandCode(...constants.CommandCodes.ERROR_LOG_CLEAR);
+const FILE_NAME_READ = _getResponseCommandCode(...constants.CommandCodes.FILE_NAME_READ);
+const SINGLE_FILE_READ = _getResponseCommandCode(...constants.CommandCodes.SINGLE_FILE_READ);
+const SINGLE_FILE_WRITE = _getResponseCommandCode(...constants.CommandCodes.SINGLE_FILE_WRITE);
+const MEMORY_CARD_FORMAT = _getResponseCommandCode(...constants.CommandCodes.MEMORY_CARD_FORMAT);
+const FILE_DELETE = _getResponseCommandCode(...constants.CommandCodes.FILE_DELETE);
+const VOLUME_LABEL_CREATE_DELETE = _getResponseCommandCode(...constants.CommandCodes.VOLUME_LABEL_CREATE_DELETE);
+const FILE_COPY = _getResponseCommandCode(...constants.CommandCodes.FILE_COPY);
+const FILE_NAME_CHANGE = _getResponseCommandCode(...constants.CommandCodes.FILE_NAME_CHANGE);
+const MEMORY_AREA_FILE_TRANSFER = _getResponseCommandCode(...constants.CommandCodes.MEMORY_AREA_FILE_TRANSFER);
+const DIRECTORY_CREATE_DELETE = _getResponseCommandCode(...constants.CommandCodes.DIRECTORY_CREATE_DELETE);
+const FORCED_SET_RESET = _getResponseCommandCode(...constants.CommandCodes.FORCED_SET_RESET);
+const FORCED_SET_RESET_CANCEL = _getResponseCommandCode(...constants.CommandCodes.FORCED_SET_RESET_CANCEL);
+const NAME_SET = _getResponseCommandCode(...constants.CommandCodes.NAME_SET);
+const NAME_DELETE = _getResponseCommandCode(...constants.CommandCodes.NAME_DELETE);
+const NAME_READ = _getResponseCommandCode(...constants.CommandCodes.NAME_READ);
+const IP_ADDRESS_TABLE_WRITE = _getResponseCommandCode(...constants.CommandCodes.IP_ADDRESS_TABLE_WRITE);
+const IP_ADDRESS_TABLE_READ = _getResponseCommandCode(...constants.CommandCodes.IP_ADDRESS_TABLE_READ);
+const IP_ROUTER_TABLE_READ = _getResponseCommandCode(...constants.CommandCodes.IP_ROUTER_TABLE_READ);
+const PROTOCOL_STATUS_READ = _getResponseCommandCode(...constants.CommandCodes.PROTOCOL_STATUS_READ);
+const MEMORY_STATUS_READ = _getResponseCommandCode(...constants.CommandCodes.MEMORY_STATUS_READ);
+const SOCKET_STATUS_READ = _getResponseCommandCode(...constants.CommandCodes.SOCKET_STATUS_READ);
+const ADDRESS_INFORMATION_READ = _getResponseCommandCode(...constants.CommandCodes.ADDRESS_INFORMATION_READ);
+const IP_ADDRESS_READ = _getResponseCommandCode(...constants.CommandCodes.IP_ADDRESS_READ);
+const STATES = constants.ConnectionStates;
+const TCP_COMMANDS = constants.TCPCommands;
 
 //#region Common JSdoc hints
 
@@ -36,6 +91,10 @@ const CLOCK_WRITE = _getResponseCommandCode(...constants.CommandCodes.CLOCK_WRIT
  * @property {number} [DA2=null] Destination Unit: Enter 0 for CPU, 10 to 1F for CPU BUS Unit (10+Unit), E1 for inner board
  * @property {CommandCallback} [callback=null] Callback to call upon PLC command response
  * @property {number} [timeout=null] Optional timeout for this command
+ * @property {boolean} [endCodeAsError=null] Optional. Override the client option `endCodeAsError` for this command
+ * @property {string} [type=null] Optional. Data type for `read` `write` `readMultiple` e.g. `"REAL"` `"DINT"` `"STRING(20)"` (see `constants.DataTypes`)
+ * @property {boolean} [wordSwap=null] Optional. Override the client option `wordSwap` for this command
+ * @property {boolean} [byteSwap=null] Optional. Override the client option `byteSwap` for this command
  */
 
 //#endregion
@@ -46,7 +105,7 @@ module.exports = FinsClient;
  * 
  * @param {number} port The UDP/TCP port to connect to
  * @param {string} host The IP or hostname to connect to
- * @param {object} options Additional options including `protocol` `MODE` `timeout` `DNA` `DA1` `DA2` `SNA` `SA1` `SA2`
+ * @param {object} options Additional options including `protocol` `MODE` `timeout` `max_queue` `endCodeAsError` `reconnect` `frameLimits` `wordSwap` `byteSwap` `tags` `DNA` `DA1` `DA2` `SNA` `SA1` `SA2`
  * @param {boolean} [connect=true] (optional, default=true) Connect to PLC when initialising
  * @returns 
  */
@@ -70,7 +129,7 @@ inherits(FinsClient, EventEmitter);
  * NOTE: `init` is normally called when the FinsClient is created. This function is not normally called by user code.
  * @param {number} port The UDP/TCP port to connect to
  * @param {string} host The IP or hostname to connect to
- * @param {object} options Additional options including `MODE` `protocol` `timeout` `DNA` `DA1` `DA2` `SNA` `SA1` `SA2`
+ * @param {object} options Additional options including `MODE` `protocol` `timeout` `reconnect` `frameLimits` `wordSwap` `byteSwap` `tags` `allowForcing` `capabilities` `DNA` `DA1` `DA2` `SNA` `SA1` `SA2`
  */
 FinsClient.prototype.init = function (port, host, options) {
     /** @type {FinsClient}*/ const self = this;
@@ -78,15 +137,30 @@ FinsClient.prototype.init = function (port, host, options) {
     const defaultOptions = constants.DefaultOptions;
     self.initialised = false;
     self.connected = false;
+    self.state = self.state || STATES.CLOSED;
+    self.reconnectAttempts = 0;
     self.requests = {};
+    self.subscriptions = self.subscriptions || [];
+    self.cycleTimeMonitors = self.cycleTimeMonitors || [];
     self.port = port || defaultHost.port;
     self.host = host || defaultHost.host;
     self.options = options || {};
     self.options.MODE = self.options.MODE || "CS";
     self.timeout = isInt(options.timeout, defaultOptions.timeout) || 2000;
-    self.max_queue = isInt(options.ICF, defaultOptions.max_queue) || 100;
+    self.max_queue = isInt(self.options.max_queue, defaultOptions.max_queue) || 100;
     self.protocol = (options && options.protocol) || defaultOptions.protocol || "udp";
-    /** @type {FinsAddressUtil} */ self.finsAddresses = new FinsAddressUtil(self.options.MODE);
+    self.endCodeAsError = self.options.endCodeAsError != null ? self.options.endCodeAsError !== false : defaultOptions.endCodeAsError;
+    self.reconnectOptions = _normaliseReconnectOptions(self.options.reconnect);
+    self.frameLimits = _normaliseFrameLimits(self.options.MODE, self.protocol, self.options.frameLimits);
+    self.wordSwap = self.options.wordSwap === true;
+    self.byteSwap = self.options.byteSwap === true;
+    self.allowForcing = self.options.allowForcing === true; //FORCED SET/RESET must be enabled explicitly
+    if (!self.capabilitiesSet) {
+        self.capabilities = _capabilityProfile(self.options.MODE, self.options.capabilities); //a profile set by setCapabilities / loadCapabilities is kept
+    }
+    /** @type {FinsAddressUtil} */ self.finsAddresses = new FinsAddressUtil(self.options.MODE, self.capabilities);
+    /** @type {FinsTagDatabase} */ self.tags = new FinsTagDatabase(self.finsAddresses, self.tags ? self.tags.list() : self.options.tags); //(re)validate tags against MODE
+    /** @type {FinsFileMemory} */ self.files = self.files || new FinsFileMemory(self);
 
     try {
         self.options.maxEventListeners = parseInt(self.options.maxEventListeners || 30);
@@ -113,7 +187,7 @@ FinsClient.prototype.init = function (port, host, options) {
         }
     });
 
-    self.disconnect();
+    _disconnect(self);
 
     self.remoteInfo = {
         address: self.host,
@@ -126,7 +200,8 @@ FinsClient.prototype.init = function (port, host, options) {
     self._socket_handler_initialised = socket_initialised.bind(self);
     self._socket_handler_listening = socket_listening.bind(self);
     self._socket_handler_tcp_init_listening = tcp_socket_init_listening.bind(self);
-    self._socket_handler_tcp_init_receive = tcp_socket_init_receive.bind(self);
+    self._socket_handler_tcp_receive = tcp_socket_receive.bind(self);
+    self._socket_handler_tcp_init_error = tcp_socket_init_error.bind(self);
     self._socket_handler_close = socket_close.bind(self);
     self._socket_handler_error = socket_error.bind(self);
     self.processReply = _processReply.bind(self);
@@ -137,9 +212,11 @@ FinsClient.prototype.init = function (port, host, options) {
  * Open the connection to the PLC. 
  * NOTE: if `host`, `port` or `options` are provided, any currently open connection will be closed then re-opened using the new values provided. 
  * If you simply wish to connect with existing settings, call `connect()` without any parameters. If the connection is already open, the function will simply exit.
+ * NOTE: if the `reconnect` option is enabled, the connection will be re-opened automatically when it is lost (until `disconnect()` is called).
+ * NOTE: the capability profile follows `MODE` (or the `capabilities` option) unless it was set with `setCapabilities` or `loadCapabilities`.
  * @param {number} port The UDP/TCP port to connect to
  * @param {string} host The IP or hostname to connect to
- * @param {object} options Additional options including `MODE` `protocol` `timeout` `DNA` `DA1` `DA2` `SNA` `SA1` `SA2`
+ * @param {object} options Additional options including `MODE` `protocol` `timeout` `capabilities` `DNA` `DA1` `DA2` `SNA` `SA1` `SA2`
  */
 FinsClient.prototype.connect = function (host, port, options) {
     /** @type {FinsClient}*/ const self = this;
@@ -149,7 +226,7 @@ FinsClient.prototype.connect = function (host, port, options) {
     if(self.connected) {
         return;
     }
-    self.disconnect();//first ensure connection is cleaned up
+    _disconnect(self);//first ensure connection is cleaned up
 
     if(host != null || port != null || options != null) {
         const optionOverride = (existingOpts, newOpts, optionName ) => { 
@@ -163,6 +240,15 @@ FinsClient.prototype.connect = function (host, port, options) {
             optionOverride(self.options, options, "MODE");
             optionOverride(self.options, options, "timeout");
             optionOverride(self.options, options, "max_queue");
+            optionOverride(self.options, options, "endCodeAsError");
+            optionOverride(self.options, options, "reconnect");
+            optionOverride(self.options, options, "frameLimits");
+            optionOverride(self.options, options, "capabilities");
+            if (Object.prototype.hasOwnProperty.call(options, "capabilities")) {
+                self.capabilitiesSet = false; //the new option replaces a profile set by setCapabilities / loadCapabilities
+            }
+            optionOverride(self.options, options, "wordSwap");
+            optionOverride(self.options, options, "byteSwap");
             optionOverride(self.options, options, "SNA");
             optionOverride(self.options, options, "SA1");
             optionOverride(self.options, options, "SA2");
@@ -176,61 +262,21 @@ FinsClient.prototype.connect = function (host, port, options) {
             throw new Error('Cannot connect (not initialised)');
         }
     }
-
-    // eslint-disable-next-line no-self-assign
-    /** @type {dgram.Socket} */ self.socket = self.socket;
-    // eslint-disable-next-line no-self-assign
-    /** @type {net.Socket} */ self.tcp_socket = self.tcp_socket;
-    switch (self.protocol) {
-    case 'udp':
-        /** @type {dgram.Socket} */ self.socket = dgram.createSocket('udp4');
-        self.socket.on('message', self._socket_handler_receive);
-        self.socket.on('listening', self._socket_handler_listening);
-        self.socket.on('close', self._socket_handler_close);
-        self.socket.on('error', self._socket_handler_error);
-        self.socket.connect(self.port, self.host);
-        break;
-    case 'tcp':
-        /** @type {net.Socket} */ self.tcp_socket = net.createConnection(self.port, self.host, self._socket_handler_tcp_init_listening);
-        self.tcp_socket.on('data', self._socket_handler_tcp_init_receive);
-        self.tcp_socket.on('close', self._socket_handler_close);
-        self.tcp_socket.on('error', self._socket_handler_error);
-        break;
-    default:
-        throw new Error('invalid protocol option specified', options.protocol, 'protocol must be "udp" or "tcp"');
-    }
+    self.reconnectAttempts = 0;
+    _openSocket(self);
 };
 
 /**
- * Disconnect the socket from PLC
+ * Disconnect the socket from PLC.
+ * Any commands awaiting a reply are failed and any pending automatic reconnection is cancelled.
+ * All subscriptions are unsubscribed and all cycle time monitors are stopped.
  */
 FinsClient.prototype.disconnect = function () {
     /** @type {FinsClient}*/ const self = this;
-    const doEmit = self.connected;
-    try {
-        if (self.socket) {
-            self.socket.removeAllListeners();
-            self.socket.close();
-        }
-    } catch (error) {
-        //do nothing
-    } finally {
-        delete self.socket;
-    }
-
-    try {
-        if (self.tcp_socket) {
-            self.tcp_socket.removeAllListeners();
-            self.tcp_socket.destroy();
-        }
-    } catch (error) {
-        //do nothing
-    } finally {
-        delete self.tcp_socket;
-    }
-    self.connected = false;
-    doEmit && self.emit('close'); //fire "close" manually since we already called removeAllListeners
-
+    _cancelDeferredRelease(self);
+    self.unsubscribeAll();
+    [...self.cycleTimeMonitors].forEach(monitor => monitor.stop());
+    _disconnect(self);
 };
 
 
@@ -238,8 +284,10 @@ FinsClient.prototype.disconnect = function () {
 /**
  * Memory Area Read Command.
  * FINS command code 0101
- * @param {string} address - Memory area and the numerical start address e.g. `D100` or `CIO50.0`
- * @param {number} count - Number of registers to read
+ * NOTE: If `count` exceeds the frame limit (see `frameLimits`), the read is split into several commands and the values are combined into one reply.
+ * NOTE: If a data type is specified (`options.type` or an address suffix e.g. `D100:REAL`), `count` is the number of values of that type to read.
+ * @param {string} address - Memory area and the numerical start address e.g. `D100`, `CIO50.0` or `D100:REAL`
+ * @param {number} count - Number of registers (or typed values) to read
  * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
  * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
  * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
@@ -252,24 +300,49 @@ FinsClient.prototype.read = function (address, count, opts, tag) {
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
+        return null;
+    }
+    let memoryAddress;
+    try {
+        memoryAddress = self.stringToFinsAddress(address);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
         return null;
     }
-    const memoryAddress = self.stringToFinsAddress(address);
     const addressData = memoryAddress && memoryAddress.bytes;
     if (!addressData) {
-        _sendError(self, "invalid address", callback, { tag: tag });
+        _sendError(self, new FinsAddressError("invalid address", address), callback, { tag: tag });
         return null;
     }
     if (!count) {
         _sendError(self, "count is empty", callback, { tag: tag });
         return null;
     }
-    
+    let dataType;
+    try {
+        dataType = _commandDataType(self, memoryAddress, options);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    if (dataType && !dataType.words) {
+        _sendError(self, new FinsError(`a length is required to read a STRING e.g. '${memoryAddress}:STRING(20)'`), callback, { tag: tag });
+        return null;
+    }
+    const elementCount = dataType ? count * dataType.words : count;
+    if (!_checkRange(self, memoryAddress, elementCount, callback, tag)) {
+        return null;
+    }
+    const maxElements = _maxElementsPerFrame(self.frameLimits.readWords, memoryAddress, dataType);
+    if (elementCount > maxElements) {
+        return _readChunked(self, memoryAddress, count, maxElements, dataType, options, callback, tag);
+    }
+
     const SID = self.header.incrementSID();
     const headerBytes = self.header.bytes(options);
     const command = constants.Commands["0101"];
-    const packet = mergeData(headerBytes, command.command, addressData, wordsToBytes(count));
+    const packet = mergeData(headerBytes, command.command, addressData, wordsToBytes(elementCount));
     const buffer = Buffer.from(packet);
     const request = {
         sid: SID,
@@ -277,6 +350,7 @@ FinsClient.prototype.read = function (address, count, opts, tag) {
         options: options,
         address: memoryAddress,
         count: count,
+        dataType: dataType,
         callback: callback
     };
     _transmitCommand(self, SID, buffer, request, tag);
@@ -286,8 +360,9 @@ FinsClient.prototype.read = function (address, count, opts, tag) {
 /**
  * Memory Area Write Command.
  * FINS command code 0102
- * @param {string} address - Memory area and the numerical start address e.g. `D100` or `CIO50.0`
- * @param {number|number[]} data - Data to write. This can be 1 value or an array values. For WD addresses, data value(s) should be 16 bit integer. For BIT addresses, data value(s) should be boolean or 1/0.
+ * NOTE: If the number of values exceeds the frame limit (see `frameLimits`), the write is split into several commands.
+ * @param {string} address - Memory area and the numerical start address e.g. `D100`, `CIO50.0` or `D100:REAL`
+ * @param {number|number[]} data - Data to write. This can be 1 value or an array values. For WD addresses, data value(s) should be 16 bit integer (unless a data type is specified in `options.type` or the address suffix). For BIT addresses, data value(s) should be boolean or 1/0.
  * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
  * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
  * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
@@ -296,17 +371,23 @@ FinsClient.prototype.write = function (address, data, opts, tag) {
     /** @type {FinsClient}*/ const self = this;
     const { options, callback } = _normaliseCommandOptions(opts);
     if (self.queueCount() >= self.max_queue) {
-        _sendFull(callback);
+        _sendFull(self, callback);
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
+        return null;
+    }
+    let memoryAddress;
+    try {
+        memoryAddress = self.stringToFinsAddress(address);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
         return null;
     }
-    const memoryAddress = self.stringToFinsAddress(address);
     const addressData = memoryAddress ? memoryAddress.bytes : null;
     if (!addressData || !addressData.length) {
-        _sendError(self, "invalid address", callback, { tag: tag });
+        _sendError(self, new FinsAddressError("invalid address", address), callback, { tag: tag });
         return null;
     }
     if(!Array.isArray(data)) {
@@ -316,6 +397,23 @@ FinsClient.prototype.write = function (address, data, opts, tag) {
         _sendError(self, "data is empty", callback, { tag: tag });
         return null;
     }
+    let dataType;
+    try {
+        dataType = _commandDataType(self, memoryAddress, options);
+        if (dataType) {
+            data = valuesToWords(data, dataType);
+        }
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    if (!_checkRange(self, memoryAddress, data.length, callback, tag)) {
+        return null;
+    }
+    const maxElements = _maxElementsPerFrame(self.frameLimits.writeWords, memoryAddress, dataType);
+    if (data.length > maxElements) {
+        return _writeChunked(self, memoryAddress, data, maxElements, options, callback, tag);
+    }
     const SID = self.header.incrementSID();
     const headerBytes = self.header.bytes(options);
     const regsToWrite = wordsToBytes((data.length || 1));
@@ -335,6 +433,7 @@ FinsClient.prototype.write = function (address, data, opts, tag) {
         command: command,
         options: options,
         address: memoryAddress,
+        dataType: dataType,
         dataBytesToWrite: dataBytesToWrite,
         callback: callback
     };
@@ -360,19 +459,28 @@ FinsClient.prototype.fill = function (address, value, count, opts, tag) {
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
+        return null;
+    }
+    let memoryAddress;
+    try {
+        memoryAddress = self.stringToFinsAddress(address);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
         return null;
     }
-    const memoryAddress = self.stringToFinsAddress(address);
     const addressData = memoryAddress && memoryAddress.bytes;
     if (!addressData) {
-        _sendError(self, "invalid address", callback, { tag: tag });
+        _sendError(self, new FinsAddressError("invalid address", address), callback, { tag: tag });
         return null;
     }
     if (typeof value != "number") {
         _sendError(self, "value is invalid", callback, { tag: tag });
         return null;
     }
+    if (!_checkRange(self, memoryAddress, count, callback, tag)) {
+        return null;
+    }
     const SID = self.header.incrementSID();
     const headerBytes = self.header.bytes(options);
     const command = constants.Commands["0103"];
@@ -397,7 +505,8 @@ FinsClient.prototype.fill = function (address, value, count, opts, tag) {
 /**
  * Multiple Memory Area Read Command.
  * FINS command code 0104
- * @param  {string|string[]} addresses - Array or CSV of Memory addresses e.g. `"D10.15,CIO100,E0_100"` or `["CIO50.0","D30", "W0.0"]`
+ * NOTE: Addresses with a data type (`options.type` or an address suffix e.g. `D100:REAL`) read all the words of the value and return one value.
+ * @param  {string|string[]} addresses - Array or CSV of Memory addresses e.g. `"D10.15,CIO100,E0_100"` or `["CIO50.0","D30", "W0.0", "D100:REAL"]`
  * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
  * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
  */
@@ -409,7 +518,7 @@ FinsClient.prototype.readMultiple = function (addresses, opts, tag) {
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
         return null;
     }
     const SID = self.header.incrementSID();
@@ -418,29 +527,61 @@ FinsClient.prototype.readMultiple = function (addresses, opts, tag) {
     const commandData = [];
     let addressList = [];
     const memoryAddresses = [];
+    const dataTypes = [];
     if (typeof addresses == "string") {
         addressList = addresses.split(",");
     } else if (Array.isArray(addresses)) {
         addressList.push(...addresses);
     } else {
-        _sendError(self, "invalid address", callback, { tag: tag });
+        _sendError(self, new FinsAddressError("invalid address", addresses), callback, { tag: tag });
+        return null;
     }
 
     for (let i = 0; i < addressList.length; i++) {
         let address = addressList[i];
         if (typeof address !== "string" || !address.trim().length) {
-            _sendError(self, "invalid address", callback, { tag: tag });
+            _sendError(self, new FinsAddressError("invalid address", address), callback, { tag: tag });
             return null;
         }
         address = address.trim();
-        const memoryAddress = self.stringToFinsAddress(address);
+        let memoryAddress;
+        try {
+            memoryAddress = self.stringToFinsAddress(address);
+        } catch (error) {
+            _sendError(self, error, callback, { tag: tag });
+            return null;
+        }
         const addressData = memoryAddress && memoryAddress.bytes;
         if (!addressData) {
-            _sendError(self, "invalid address", callback, { tag: tag });
+            _sendError(self, new FinsAddressError("invalid address", address), callback, { tag: tag });
+            return null;
+        }
+        let dataType;
+        try {
+            dataType = _commandDataType(self, memoryAddress, options);
+        } catch (error) {
+            _sendError(self, error, callback, { tag: tag });
+            return null;
+        }
+        if (dataType && !dataType.words) {
+            _sendError(self, new FinsError(`a length is required to read a STRING e.g. '${memoryAddress}:STRING(20)'`), callback, { tag: tag });
             return null;
         }
         commandData.push(addressData);
         memoryAddresses.push(memoryAddress);
+        dataTypes.push(dataType);
+        //a typed value is read as consecutive words
+        for (let offset = 1; dataType && offset < dataType.words; offset++) {
+            let wordAddress;
+            try {
+                wordAddress = self.stringToFinsAddress(self.finsAddresses.offsetAddress(memoryAddress, offset));
+            } catch (error) {
+                _sendError(self, error, callback, { tag: tag });
+                return null;
+            }
+            commandData.push(wordAddress.bytes);
+            memoryAddresses.push(wordAddress);
+        }
     }
     const packet = mergeData(headerBytes, command.command, commandData);
     const buffer = Buffer.from(packet);
@@ -450,6 +591,7 @@ FinsClient.prototype.readMultiple = function (addresses, opts, tag) {
         options: options,
         address: memoryAddresses,
         count: addressList.length,
+        dataTypes: dataTypes.some(dataType => dataType) ? dataTypes : null,
         callback: callback
     };
     _transmitCommand(self, SID, buffer, request, tag);
@@ -475,21 +617,30 @@ FinsClient.prototype.transfer = function (srcAddress, dstAddress, count, opts, t
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
         return null;
     }
     const SID = self.header.incrementSID();
     const headerBytes = self.header.bytes(options);
-    const srcMemoryAddress = self.stringToFinsAddress(srcAddress);
+    let srcMemoryAddress, dstMemoryAddress;
+    try {
+        srcMemoryAddress = self.stringToFinsAddress(srcAddress);
+        dstMemoryAddress = self.stringToFinsAddress(dstAddress);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
     const srcAddressData = srcMemoryAddress ? srcMemoryAddress.bytes : null;
     if (!srcAddressData || !srcAddressData.length) {
-        _sendError(self, "invalid source address", callback, { tag: tag });
+        _sendError(self, new FinsAddressError("invalid source address", srcAddress), callback, { tag: tag });
         return null;
     }
-    const dstMemoryAddress = self.stringToFinsAddress(dstAddress);
     const dstAddressData = dstMemoryAddress ? dstMemoryAddress.bytes : null;
     if (!dstAddressData || !dstAddressData.length) {
-        _sendError(self, "invalid destination address", callback, { tag: tag });
+        _sendError(self, new FinsAddressError("invalid destination address", dstAddress), callback, { tag: tag });
+        return null;
+    }
+    if (!_checkRange(self, srcMemoryAddress, count, callback, tag) || !_checkRange(self, dstMemoryAddress, count, callback, tag)) {
         return null;
     }
 
@@ -514,6 +665,7 @@ FinsClient.prototype.transfer = function (srcAddress, dstAddress, count, opts, t
 /**
  * Change PLC to MONITOR mode
  * FINS command code 0401
+ * NOTE: No program number or mode is sent so the PLC changes to MONITOR mode. Use `setMode` to select RUN mode and to verify the change.
  * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
  * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
  * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
@@ -526,7 +678,7 @@ FinsClient.prototype.run = function (opts, tag) {
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
         return null;
     }
     const SID = self.header.incrementSID();
@@ -559,7 +711,7 @@ FinsClient.prototype.stop = function (opts, tag) {
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
         return null;
     }
     const SID = self.header.incrementSID();
@@ -577,37 +729,185 @@ FinsClient.prototype.stop = function (opts, tag) {
     return SID;
 };
 
+/**
+ * Change the operating mode of the PLC to `"RUN"` or `"MONITOR"` (RUN 0401 with the program number & mode) or `"PROGRAM"` (STOP 0402).
+ * With `options.verify` the PLC status is then read (CONTROLLER STATUS READ) until it reports the requested mode.
+ *
+ * The callback is called with an error if the mode could not be changed, even if `endCodeAsError` is `false`:
+ * * a `FinsEndCodeError` if the PLC rejects the change e.g. `2201`-`2206` "Not executable in current mode" (`err.currentMode` is the mode
+ *   indicated by end codes `2203`-`2206`)
+ * * a `FinsTimeoutError` if `options.verify` is set and the PLC does not report the requested mode within `options.verifyTimeout`
+ *   (`err.mode` is the last mode reported)
+ *
+ * `msg.response` contains `mode` (the requested mode), `verified` and `status` (the last CONTROLLER STATUS READ result when verified)
+ * FINS command code 0401 / 0402
+ * @param {string} mode - `"RUN"`, `"MONITOR"` or `"PROGRAM"`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.verify` `.verifyTimeout` (ms, default 5000) `.verifyInterval` (ms, default 100) `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the mode change command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.setMode = function (mode, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const modeName = typeof mode == "string" ? mode.toUpperCase() : mode;
+    if (!["RUN", "MONITOR", "PROGRAM"].includes(modeName)) {
+        _sendError(self, `mode '${mode}' is invalid. Use "RUN", "MONITOR" or "PROGRAM"`, callback, { tag: tag });
+        return null;
+    }
+    const { PROGRAM_NO, VERIFY_TIMEOUT, VERIFY_INTERVAL } = constants.ModeChange;
+    const verifyTimeout = isInt(options.verifyTimeout, VERIFY_TIMEOUT);
+    const verifyInterval = isInt(options.verifyInterval, VERIFY_INTERVAL);
+    const request = { mode: modeName, verify: options.verify === true };
+    const commandOptions = Object.assign({}, options, { endCodeAsError: false }); //end codes are checked below
+    let started;
+    const sendPage = function (page, pageOptions) {
+        if (page === 0) {
+            started = Date.now();
+            if (modeName === "PROGRAM") {
+                return _sendCommand(self, "0402", [wordsToBytes(PROGRAM_NO)], request, pageOptions, pageOptions.callback, tag);
+            }
+            return _sendCommand(self, "0401", [wordsToBytes(PROGRAM_NO), constants.Modes[modeName]], request, pageOptions, pageOptions.callback, tag);
+        }
+        setTimeout(() => self.status(pageOptions, tag), page === 1 ? 0 : verifyInterval);
+    };
+    const nextPage = function (msg, page) {
+        const endCode = msg.response.endCode;
+        if (endCode && endCode !== "0000") {
+            const error = new FinsEndCodeError(msg.response, msg);
+            error.requestedMode = modeName;
+            error.currentMode = constants.ModeEndCodes[endCode] || null;
+            throw error;
+        }
+        if (!request.verify) {
+            return null;
+        }
+        if (page > 0 && msg.response.result.mode === modeName) {
+            return null;
+        }
+        if (page > 0 && Date.now() - started >= verifyTimeout) {
+            throw new FinsTimeoutError({ requestedMode: modeName, mode: msg.response.result.mode, verifyTimeout: verifyTimeout });
+        }
+        return page + 1;
+    };
+    const combineResponses = function (msgs) {
+        const last = msgs[msgs.length - 1];
+        return {
+            commandDescription: "set-mode",
+            mode: modeName,
+            verified: request.verify,
+            status: request.verify ? last.response.result : null
+        };
+    };
+    return _sendPaged(self, 0, sendPage, nextPage, combineResponses, request, commandOptions, callback);
+};
+
 /**
  * CPU UNIT DATA READ. Reads CPU Unit data
  * FINS command code 0501
- * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * The data is decoded for the PLC type (`MODE`, see `constants.CpuUnitDataModels`). Data that is not read or not reported by the PLC type is `null`.
+ * Set `options.section` to read only the model & version (`"model"`) or only the area data (`"area"`)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.section` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
  * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
  * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
  */
 FinsClient.prototype.cpuUnitDataRead = function (opts, tag) {
     /** @type {FinsClient}*/ const self = this;
     const { options, callback } = _normaliseCommandOptions(opts);
-    if (self.queueCount() >= self.max_queue) {
-        _sendFull(self, callback);
+    const section = options.section == null || options.section === "all" ? null : String(options.section).toUpperCase();
+    const sectionCode = section == null ? null : constants.CpuUnitData.SECTIONS[section];
+    if (section != null && sectionCode == null) {
+        _sendError(self, `section '${options.section}' is invalid. Use "model", "area" or "all"`, callback, { tag: tag });
         return null;
     }
-    if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+    const data = sectionCode == null ? [] : [sectionCode];
+    return _sendCommand(self, "0501", data, { section: section == null ? "all" : section.toLowerCase() }, options, callback, tag);
+};
+
+/**
+ * Load the capability profile of the PLC (used to check address ranges before commands are sent).
+ * Reads the CPU unit data (CPU UNIT DATA READ) then uses the preset for the CPU model (see `constants.CapabilityProfiles`)
+ * with the number of DM words and EM banks reported by the PLC.
+ * The profile is set on the client (see `setCapabilities`) and returned in `msg.response.capabilities`.
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.loadCapabilities = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const steps = [
+        stepOptions => self.cpuUnitDataRead(Object.assign(stepOptions, { section: "all" }), tag),
+    ];
+    const combineResponses = function (msgs) {
+        const cpuUnitData = msgs[0].response.result;
+        const model = cpuUnitData.CPUUnitModel;
+        const capabilities = Object.assign({}, _modelCapabilityProfile(model) || constants.CapabilityProfiles[self.options.MODE]);
+        const areaData = cpuUnitData.AreaData;
+        if (areaData && areaData.NoOfDMWords) {
+            capabilities.D = areaData.NoOfDMWords;
+        }
+        if (areaData && areaData.EMBankCount != null) {
+            capabilities.EMBanks = areaData.EMBankCount;
+        }
+        self.setCapabilities(capabilities);
+        return {
+            commandDescription: "load-capabilities",
+            model: model,
+            capabilities: self.capabilities
+        };
+    };
+    return _sendSteps(self, steps, combineResponses, {}, options, callback);
+};
+
+/**
+ * CONNECTION DATA READ.
+ * Reads the model numbers of the units fitted to the PLC (the CPU unit, CPU Bus Units, Special I/O Units and Inner Board) in unit address order.
+ * The units are returned in `msg.response.units` as `{unitAddress, unitType, unitNumber, model}`.
+ * FINS command code 0502
+ * NOTE: The units are read in several commands (a PLC returns up to 25 units per command). If `count` is not specified, all units are read.
+ * @param {number} [unitAddress=0] - the first unit address to read. `0x00` CPU unit, `0x10` + unit number for CPU Bus Units, `0x20` + unit number for Special I/O Units, `0xE1` Inner Board
+ * @param {number} [count=null] - the number of units to read (`null` to read all units from `unitAddress`)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.connectionDataRead = function (unitAddress, count, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    unitAddress = isInt(unitAddress, 0);
+    count = count == null ? null : isInt(count, 0);
+    if (unitAddress < 0 || unitAddress > 0xff || (count !== null && count < 1)) {
+        _sendError(self, "unitAddress or count is invalid", callback, { tag: tag });
         return null;
     }
-    const SID = self.header.incrementSID();
-    const headerBytes = self.header.bytes(options);
-    const command = constants.Commands["0501"];
-    const packet = mergeData(headerBytes, command.command);
-    const buffer = Buffer.from(packet);
-    const request = {
-        sid: SID,
-        command: command,
-        options: options,
-        callback: callback
+    const maxItems = constants.ConnectionData.MAX_ITEMS;
+    const sendPage = function (page, pageOptions) {
+        return _sendCommand(self, "0502", [page.unitAddress, page.count], { unitAddress: page.unitAddress, count: page.count }, pageOptions, pageOptions.callback, tag);
     };
-    _transmitCommand(self, SID, buffer, request, tag);
-    return SID;
+    const nextPage = function (msg, page) {
+        const units = msg.response.units;
+        const read = page.read + units.length;
+        if (msg.response.last || !units.length || (count !== null && read >= count)) {
+            return null;
+        }
+        const nextAddress = units[units.length - 1].unitAddress + 1;
+        if (nextAddress > 0xff) {
+            return null;
+        }
+        return { unitAddress: nextAddress, count: count === null ? maxItems : Math.min(maxItems, count - read), read: read };
+    };
+    const combineResponses = function (msgs) {
+        const last = msgs[msgs.length - 1].response;
+        const units = [];
+        msgs.forEach(msg => units.push(...msg.response.units));
+        return Object.assign({}, last, {
+            unitAddress: unitAddress,
+            count: units.length,
+            units: units
+        });
+    };
+    const firstPage = { unitAddress: unitAddress, count: count === null ? maxItems : Math.min(maxItems, count), read: 0 };
+    return _sendPaged(self, firstPage, sendPage, nextPage, combineResponses, { unitAddress: unitAddress, count: count }, options, callback);
 };
 
 /**
@@ -625,7 +925,7 @@ FinsClient.prototype.status = function (opts, tag) {
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
         return null;
     }
     const SID = self.header.incrementSID();
@@ -643,6 +943,34 @@ FinsClient.prototype.status = function (opts, tag) {
     return SID;
 };
 
+/**
+ * CYCLE TIME READ.
+ * Reads the average, maximum and minimum cycle time (in ms). The maximum and minimum are since the values were last initialised (see `cycleTimeReset`).
+ * FINS command code 0620
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.cycleTimeRead = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "0620", [constants.CycleTime.READ], { reset: false }, options, callback, tag);
+};
+
+/**
+ * CYCLE TIME READ (initialise).
+ * Initialises (resets) the average, maximum and minimum cycle time.
+ * FINS command code 0620
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.cycleTimeReset = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "0620", [constants.CycleTime.INITIALISE], { reset: true }, options, callback, tag);
+};
+
 
 /**
  * CLOCK READ. Reads the present year, month, date, minute, second, and day of the week.
@@ -659,7 +987,7 @@ FinsClient.prototype.clockRead = function (opts, tag) {
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
         return null;
     }
     const SID = self.header.incrementSID();
@@ -693,7 +1021,7 @@ FinsClient.prototype.clockWrite = function ({year,month,day,hour,minute,second,d
         return null;
     }
     if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
         return null;
     }
     const SID = self.header.incrementSID();
@@ -719,297 +1047,3734 @@ FinsClient.prototype.clockWrite = function ({year,month,day,hour,minute,second,d
 };
 
 /**
- * Generic command 
- * @param {string} commandCode 4 digit command code. e.g. 0101 MEMORY AREA READ
- * @param {Any[]} params associated command parameters
+ * INTERNODE ECHO TEST.
+ * Sends test data to a node, checks the data echoed back byte for byte and reports the round trip time in `msg.response.roundTripMS`.
+ * If the echoed data does not match, the callback is called with an error (`err.mismatchAt` is the index of the first different byte).
+ * FINS command code 0801
+ * @param {Buffer|string|number[]|number} [data=32] - the test data (up to 1998 bytes) or the number of bytes of a generated test pattern
  * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
  * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
- * @returns 
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
  */
-FinsClient.prototype.command = function (commandCode, params, opts, tag) {
+FinsClient.prototype.echoTest = function (data, opts, tag) {
     /** @type {FinsClient}*/ const self = this;
     const { options, callback } = _normaliseCommandOptions(opts);
-    if (self.queueCount() >= self.max_queue) {
-        _sendFull(self, callback);
+    const testData = _testData(data);
+    if (!testData) {
+        _sendError(self, `test data must be up to ${constants.NetworkTest.MAX_BYTES} bytes`, callback, { tag: tag });
         return null;
     }
-    if(self.connected !== true) {
-        _sendError(self, "not connected", callback, { tag: tag });
+    const checkEcho = function (err, msg) {
+        if (!err && !msg.response.match) {
+            const mismatchAt = msg.response.mismatchAt;
+            err = new FinsError(`echoed data does not match the test data (byte ${mismatchAt})`, { mismatchAt: mismatchAt, msg: msg });
+        }
+        _complete(self, callback, err, msg);
+    };
+    return _sendCommand(self, "0801", [...testData], { data: testData }, options, checkEcho, tag);
+};
+
+/**
+ * BROADCAST TEST RESULTS READ.
+ * Reads the number of times a node received broadcast test data (see `broadcastTestDataSend`) since the results were last read.
+ * FINS command code 0802
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.broadcastTestResultsRead = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "0802", [], {}, options, callback, tag);
+};
+
+/**
+ * BROADCAST TEST DATA SEND.
+ * Broadcasts test data to all nodes on a network (`options.DNA`). No node replies - the callback is called when the data has been sent.
+ * Read how many times each node received the data with `broadcastTestResultsRead`.
+ * FINS command code 0803
+ * @param {Buffer|string|number[]|number} [data=32] - the test data (up to 1998 bytes) or the number of bytes of a generated test pattern
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.broadcastTestDataSend = function (data, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const testData = _testData(data);
+    if (!testData) {
+        _sendError(self, `test data must be up to ${constants.NetworkTest.MAX_BYTES} bytes`, callback, { tag: tag });
         return null;
     }
-    const cmd =  constants.Commands[commandCode];
-    if(!cmd) {
-        _sendError(self, `commandCode '${commandCode}' not recognised`, callback, { tag: tag });
+    if (self.connected !== true) {
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
         return null;
     }
+    const SID = self.header.incrementSID();
+    const headerBytes = self.header.bytes(Object.assign({}, options, { DA1: constants.NetworkTest.BROADCAST_NODE }));
+    headerBytes[0] |= constants.NetworkTest.NO_RESPONSE;
+    headerBytes[5] = 0x00; //DA2 - CPU unit
+    const command = constants.Commands["0803"];
+    const buffer = Buffer.from(mergeData(headerBytes, command.command, [...testData]));
+    const msg = {
+        sid: SID,
+        request: { sid: SID, command: command, options: options, data: testData },
+        tag: tag || null,
+        response: {
+            sid: SID,
+            command: command,
+            commandDescription: "broadcast-test-data-send",
+            sentBytes: testData.length
+        }
+    };
+    _transmitFrame(self, buffer, function (err) {
+        const error = err ? (err instanceof FinsError ? err : new FinsTransportError(err.message, err)) : null;
+        _complete(self, callback, error, msg);
+    });
+    return SID;
+};
 
-    //basic parameter check
-    if(cmd.params && cmd.params.length) {
-        for (let index = 0; index < cmd.params.length; index++) {
-            const expectedParam = cmd.params[index];
-            const providedParam = params[index];
-            if(!providedParam && expectedParam.required) {
-                _sendError(self, `Parameter ${index+1} Missing. Expected '${expectedParam.name}'`, callback, { tag: tag });
+/**
+ * Ping one or more nodes with INTERNODE ECHO TEST and report the loss & latency of each destination.
+ * The echo tests are sent one after the other. A test that times out, fails or echoes different data counts as lost.
+ * Use it with the cycle time monitor to tell network/routing problems (loss, timeouts, relay errors) from a busy CPU (slow replies and a high cycle time).
+ * @param {number} [count=4] - the number of echo tests to send to each destination
+ * @param {number} [size=32] - the number of bytes of test data (up to 1998)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.destinations` (an array of `{DNA, DA1, DA2}` - default the client destination)
+ * `.interval` (ms between echo tests, default `0`) `.timeout` and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first echo test (returns `null` if any of the parameters are invalid or the first echo test could not be sent). The results are in `msg.response.destinations`
+ */
+FinsClient.prototype.ping = function (count, size, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    count = count == null ? 4 : isInt(count, 0);
+    size = size == null ? constants.NetworkTest.DEFAULT_BYTES : isInt(size, -1);
+    const destinations = options.destinations == null ? [{}] : options.destinations;
+    if (count < 1 || size < 0 || size > constants.NetworkTest.MAX_BYTES || !Array.isArray(destinations) || !destinations.length) {
+        _sendError(self, "count, size or destinations is invalid", callback, { tag: tag });
+        return null;
+    }
+    const interval = Math.max(0, isInt(options.interval, 0));
+    const echoOptions = Object.assign({}, options);
+    delete echoOptions.destinations;
+    delete echoOptions.interval;
+    const results = [];
+    let firstSID;
+    const pingDestination = function (index) {
+        if (index >= destinations.length) {
+            const response = { commandDescription: "ping", count: count, size: size, destinations: results };
+            return _complete(self, callback, null, { sid: firstSID, request: { count: count, size: size, destinations: destinations }, tag: tag || null, response: response });
+        }
+        const destination = {
+            DNA: isInt(destinations[index].DNA, self.header.DNA),
+            DA1: isInt(destinations[index].DA1, self.header.DA1),
+            DA2: isInt(destinations[index].DA2, self.header.DA2)
+        };
+        const times = [];
+        const errors = {};
+        const echo = function (sent) {
+            if (sent >= count) {
+                results.push(_pingResult(destination, count, times, errors));
+                return pingDestination(index + 1);
             }
-            if(expectedParam.type == null || expectedParam.type == "*" || expectedParam.type == "Any") {
-                //param type ok
-            } else if(typeof providedParam !== expectedParam.type) {
-                _sendError(self, `Parameter ${index+1} '${expectedParam.name}' incorrect type. Expected type of '${expectedParam.type}'`, callback, { tag: tag });
+            const testData = _testPattern(size, sent);
+            let called = false;
+            const SID = self.echoTest(testData, Object.assign({}, echoOptions, destination, {
+                callback: function (err, msg) {
+                    if (called) return; //ignore a late reply after a timeout
+                    called = true;
+                    if (err) {
+                        const key = err.endCode || (err.mismatchAt != null ? "mismatch" : err.message);
+                        errors[key] = (errors[key] || 0) + 1;
+                    } else {
+                        times.push(msg.response.roundTripMS);
+                    }
+                    setTimeout(echo, sent + 1 < count ? interval : 0, sent + 1);
+                }
+            }), tag);
+            if (firstSID === undefined) {
+                firstSID = SID;
             }
-        }
+        };
+        echo(0);
+    };
+    pingDestination(0);
+    return firstSID;
+};
+
+/**
+ * MESSAGE READ.
+ * Reads the messages generated with MSG instructions in the ladder program (messages 0 to 7).
+ * FINS command code 0920
+ * @param {number[]|number|string} [messages="all"] - the messages to read. An array of message numbers e.g. `[0, 3]`, a bitmask (bit 0 = message 0) e.g. `0x09` or `"all"`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.messageRead = function (messages, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const mask = _messageMask(messages);
+    if (mask == null) {
+        _sendError(self, `messages '${messages}' is invalid`, callback, { tag: tag });
+        return null;
     }
+    const parameter = constants.Messages.READ | mask;
+    return _sendCommand(self, "0920", [wordsToBytes(parameter)], { operation: "read", mask: mask }, options, callback, tag);
+};
 
-    if(cmd.name == "read") {
-        return self.read(params[0], params[1], options, tag);
-    } else if(cmd.name == "write") {
-        return self.write(params[0], params[1], options, tag);
-    } else if(cmd.name == "read-multiple") {
-        return self.readMultiple(params[0], options, tag);
-    } else if(cmd.name == "fill") {
-        return self.fill(params[0], params[1], params[2], options, tag);
-    } else if(cmd.name == "transfer") {
-        return self.transfer(params[0], params[1], params[2], options, tag);
-    } else if(cmd.name == "status") {
-        return self.status(options, tag);
-    } else if(cmd.name == "run") {
-        return self.run(options, tag);
-    } else if(cmd.name == "stop") {
-        return self.stop(options, tag);
-    } else if(cmd.name == "cpu-unit-data-read") {
-        return self.cpuUnitDataRead(options, tag);
-    } else if(cmd.name == "clock-read") {
-        return self.clockRead(options, tag);
-    } else if(cmd.name == "clock-write") {
-        return self.clockWrite(params[0], options, tag);
-    } else {
-        _sendError(self, `command not recognised`, callback, { tag: tag });
+/**
+ * MESSAGE CLEAR.
+ * Clears messages generated with MSG instructions in the ladder program (messages 0 to 7).
+ * FINS command code 0920
+ * @param {number[]|number|string} [messages="all"] - the messages to clear. An array of message numbers e.g. `[0, 3]`, a bitmask (bit 0 = message 0) e.g. `0x09` or `"all"`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.messageClear = function (messages, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const mask = _messageMask(messages);
+    if (mask == null) {
+        _sendError(self, `messages '${messages}' is invalid`, callback, { tag: tag });
         return null;
     }
+    const parameter = constants.Messages.CLEAR | mask;
+    return _sendCommand(self, "0920", [wordsToBytes(parameter)], { operation: "clear", mask: mask }, options, callback, tag);
 };
 
+/**
+ * FAL/FALS READ.
+ * Reads the error message registered for a FAL or FALS instruction.
+ * FINS command code 0920
+ * @param {number|string} falNumber - the FAL/FALS number (1 to 511) or the error code of the FAL/FALS e.g. `0x4101` (FAL 001) or `"C101"` (FALS 001)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.falMessageRead = function (falNumber, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const number = _falNumber(falNumber);
+    if (number == null) {
+        _sendError(self, `falNumber '${falNumber}' is invalid`, callback, { tag: tag });
+        return null;
+    }
+    const parameter = constants.Messages.FAL_READ | number;
+    return _sendCommand(self, "0920", [wordsToBytes(parameter)], { operation: "fal", falNumber: number }, options, callback, tag);
+};
 
-FinsClient.prototype.stringToFinsAddress = function (addressString) {
-    return this.finsAddresses.stringToAddress(addressString);
+/**
+ * PARAMETER AREA READ.
+ * Reads the contents of consecutive parameter area words (e.g. the PLC Setup).
+ * FINS command code 0201
+ * NOTE: The area is read in several commands if `count` exceeds the frame limit. If `count` is not specified, words are read until the
+ * PLC reports the last word of the area has been read.
+ * @param {number|string} areaCode - the parameter area code or name (see `constants.ParameterAreas`) e.g. `0x8010` or `"PLC_SETUP"`
+ * @param {number} [beginWord=0] - the first word to read
+ * @param {number} [count=null] - the number of words to read (`null` to read to the end of the area)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.parameterAreaRead = function (areaCode, beginWord, count, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const area = _parameterAreaCode(areaCode);
+    if (area == null) {
+        _sendError(self, `parameter area '${areaCode}' is invalid`, callback, { tag: tag });
+        return null;
+    }
+    beginWord = isInt(beginWord, 0);
+    count = count == null ? null : isInt(count, 0);
+    if (count !== null && count < 1) {
+        _sendError(self, "count is invalid", callback, { tag: tag });
+        return null;
+    }
+    const pageWords = Math.max(1, self.frameLimits.readWords - 3); //area code, beginning word & number of words are returned with the data
+    const pageCount = remaining => (remaining == null ? pageWords : Math.min(pageWords, remaining));
+    const sendPage = function (page, pageOptions) {
+        const data = [wordsToBytes(area), wordsToBytes(page.beginWord), wordsToBytes(page.count)];
+        return _sendCommand(self, "0201", data, { areaCode: area, beginWord: page.beginWord, count: page.count }, pageOptions, pageOptions.callback, tag);
+    };
+    const nextPage = function (msg, page) {
+        const response = msg.response;
+        const wordsRead = page.beginWord + response.count - beginWord;
+        if (response.lastWord || !response.count || (count !== null && wordsRead >= count)) {
+            return null;
+        }
+        return { beginWord: page.beginWord + response.count, count: pageCount(count === null ? null : count - wordsRead) };
+    };
+    const combineResponses = function (msgs) {
+        const last = msgs[msgs.length - 1].response;
+        const values = [];
+        msgs.forEach(msg => values.push(...msg.response.values));
+        return Object.assign({}, last, {
+            beginWord: beginWord,
+            count: values.length,
+            values: values,
+            buffer: Buffer.concat(msgs.map(msg => msg.response.buffer))
+        });
+    };
+    const request = { areaCode: area, beginWord: beginWord, count: count };
+    return _sendPaged(self, { beginWord: beginWord, count: pageCount(count) }, sendPage, nextPage, combineResponses, request, options, callback);
 };
 
-FinsClient.prototype.FinsAddressToString = function (finsAddress, offsetWD, offsetBit) {
-    return this.finsAddresses.addressToString(finsAddress, offsetWD, offsetBit);
+/**
+ * PARAMETER AREA WRITE.
+ * Writes data to consecutive parameter area words (e.g. the PLC Setup).
+ * FINS command code 0202
+ * NOTE: The data is written in several commands if it exceeds the frame limit. The "last word" flag is set in the final command
+ * (set `options.lastWord` to `false` if the data does not include the last word of the area).
+ * NOTE: The PLC must be in PROGRAM mode and this node may need the access right.
+ * @param {number|string} areaCode - the parameter area code or name (see `constants.ParameterAreas`) e.g. `0x8010` or `"PLC_SETUP"`
+ * @param {number} beginWord - the first word to write
+ * @param {number[]|Buffer} data - the words to write (or a Buffer of the data e.g. from `parameterAreaRead`)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.lastWord` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.parameterAreaWrite = function (areaCode, beginWord, data, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const area = _parameterAreaCode(areaCode);
+    if (area == null) {
+        _sendError(self, `parameter area '${areaCode}' is invalid`, callback, { tag: tag });
+        return null;
+    }
+    beginWord = isInt(beginWord, 0);
+    const words = _toWords(data);
+    if (!words || !words.length) {
+        _sendError(self, "data is empty", callback, { tag: tag });
+        return null;
+    }
+    const pageWords = Math.max(1, self.frameLimits.writeWords - 3);
+    const chunks = [];
+    for (let offset = 0; offset < words.length; offset += pageWords) {
+        const chunkWords = words.slice(offset, offset + pageWords);
+        const lastWord = offset + pageWords >= words.length && options.lastWord !== false;
+        chunks.push({ beginWord: beginWord + offset, words: chunkWords, lastWord: lastWord });
+    }
+    const sendChunk = function (chunk, chunkOptions) {
+        const wordCount = chunk.words.length | (chunk.lastWord ? 0x8000 : 0);
+        const commandData = [wordsToBytes(area), wordsToBytes(chunk.beginWord), wordsToBytes(wordCount), wordsToBytes(chunk.words)];
+        return _sendCommand(self, "0202", commandData, { areaCode: area, beginWord: chunk.beginWord, count: chunk.words.length, lastWord: chunk.lastWord }, chunkOptions, chunkOptions.callback, tag);
+    };
+    const combineResponses = function (msgs) {
+        return msgs[msgs.length - 1].response;
+    };
+    return _sendChunks(self, chunks, sendChunk, combineResponses, { areaCode: area, beginWord: beginWord, count: words.length }, options, callback);
 };
 
-FinsClient.prototype.queueCount = function () {
-    return this.sequenceManager.activeCount();
+/**
+ * PARAMETER AREA CLEAR.
+ * Writes all zeros to the specified number of words from the beginning of a parameter area.
+ * FINS command code 0203
+ * NOTE: The PLC must be in PROGRAM mode and this node may need the access right.
+ * @param {number|string} areaCode - the parameter area code or name (see `constants.ParameterAreas`) e.g. `0x8012` or `"IO_TABLE"`
+ * @param {number} count - the number of words to clear (normally the size of the area)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.parameterAreaClear = function (areaCode, count, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const area = _parameterAreaCode(areaCode);
+    if (area == null) {
+        _sendError(self, `parameter area '${areaCode}' is invalid`, callback, { tag: tag });
+        return null;
+    }
+    count = isInt(count, 0);
+    if (count < 1) {
+        _sendError(self, "count is invalid", callback, { tag: tag });
+        return null;
+    }
+    const commandData = [wordsToBytes(area), wordsToBytes(0), wordsToBytes(count), wordsToBytes(0)];
+    return _sendCommand(self, "0203", commandData, { areaCode: area, count: count }, options, callback, tag);
 };
 
-//#endregion
+/**
+ * PROGRAM AREA READ.
+ * Reads the contents of consecutive program area bytes (the user program).
+ * FINS command code 0306
+ * NOTE: The program is read in several commands. If `count` is not specified, bytes are read until the PLC reports the end of the program.
+ * @param {number} [beginAddress=0] - the first byte to read
+ * @param {number} [count=null] - the number of bytes to read (`null` to read to the end of the program)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.programAreaRead = function (beginAddress, count, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    beginAddress = isInt(beginAddress, 0);
+    count = count == null ? null : isInt(count, 0);
+    if (beginAddress < 0 || (count !== null && count < 1)) {
+        _sendError(self, "beginAddress or count is invalid", callback, { tag: tag });
+        return null;
+    }
+    const pageBytes = _programPageBytes(self.frameLimits.readWords);
+    const pageCount = remaining => (remaining == null ? pageBytes : Math.min(pageBytes, remaining));
+    const sendPage = function (page, pageOptions) {
+        const data = [wordsToBytes(constants.ProgramArea.PROGRAM_NO), dwordsToBytes(page.beginAddress), wordsToBytes(page.count)];
+        return _sendCommand(self, "0306", data, { beginAddress: page.beginAddress, count: page.count }, pageOptions, pageOptions.callback, tag);
+    };
+    const nextPage = function (msg, page) {
+        const response = msg.response;
+        const bytesRead = page.beginAddress + response.count - beginAddress;
+        if (response.last || !response.count || (count !== null && bytesRead >= count)) {
+            return null;
+        }
+        return { beginAddress: page.beginAddress + response.count, count: pageCount(count === null ? null : count - bytesRead) };
+    };
+    const combineResponses = function (msgs) {
+        const last = msgs[msgs.length - 1].response;
+        const buffer = Buffer.concat(msgs.map(msg => msg.response.buffer));
+        return Object.assign({}, last, {
+            beginAddress: beginAddress,
+            count: buffer.length,
+            buffer: buffer
+        });
+    };
+    const request = { beginAddress: beginAddress, count: count };
+    return _sendPaged(self, { beginAddress: beginAddress, count: pageCount(count) }, sendPage, nextPage, combineResponses, request, options, callback);
+};
 
+/**
+ * PROGRAM AREA WRITE.
+ * Writes data to consecutive program area bytes (the user program).
+ * FINS command code 0307
+ * NOTE: The data is written in several commands. The "last" flag is set in the final command (set `options.last` to `false` if the data
+ * does not include the end of the program).
+ * NOTE: The PLC must be in PROGRAM mode and this node may need the access right.
+ * @param {number} beginAddress - the first byte to write
+ * @param {Buffer|number[]} data - the bytes to write (e.g. `msg.response.buffer` from `programAreaRead`)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.last` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.programAreaWrite = function (beginAddress, data, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    beginAddress = isInt(beginAddress, 0);
+    const bytes = Buffer.isBuffer(data) ? data : (Array.isArray(data) ? Buffer.from(data) : null);
+    if (!bytes || !bytes.length) {
+        _sendError(self, "data is empty", callback, { tag: tag });
+        return null;
+    }
+    const pageBytes = _programPageBytes(self.frameLimits.writeWords);
+    const chunks = [];
+    for (let offset = 0; offset < bytes.length; offset += pageBytes) {
+        const last = offset + pageBytes >= bytes.length && options.last !== false;
+        chunks.push({ beginAddress: beginAddress + offset, bytes: bytes.slice(offset, offset + pageBytes), last: last });
+    }
+    const sendChunk = function (chunk, chunkOptions) {
+        const byteCount = chunk.bytes.length | (chunk.last ? constants.ProgramArea.LAST_FLAG : 0);
+        const commandData = [wordsToBytes(constants.ProgramArea.PROGRAM_NO), dwordsToBytes(chunk.beginAddress), wordsToBytes(byteCount), [...chunk.bytes]];
+        return _sendCommand(self, "0307", commandData, { beginAddress: chunk.beginAddress, count: chunk.bytes.length, last: chunk.last }, chunkOptions, chunkOptions.callback, tag);
+    };
+    const combineResponses = function (msgs) {
+        return msgs[msgs.length - 1].response;
+    };
+    return _sendChunks(self, chunks, sendChunk, combineResponses, { beginAddress: beginAddress, count: bytes.length }, options, callback);
+};
 
-//#region Socket Handlers
+/**
+ * PROGRAM AREA CLEAR.
+ * Clears the user program.
+ * FINS command code 0308
+ * NOTE: The PLC must be in PROGRAM mode and this node may need the access right.
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.programAreaClear = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const commandData = [wordsToBytes(constants.ProgramArea.PROGRAM_NO), constants.ProgramArea.CLEAR_ALL];
+    return _sendCommand(self, "0308", commandData, {}, options, callback, tag);
+};
 
-function socket_initialised() {
+/**
+ * Backup the user program to a file.
+ * Reads the CPU unit model (CPU UNIT DATA READ) and the whole program area (PROGRAM AREA READ) then writes a backup file
+ * containing the model, the program and a checksum (see `FinsProgramFile`).
+ * @param {string} filename - the file to write
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.backupProgram = function (filename, opts, tag) {
     /** @type {FinsClient}*/ const self = this;
-    self.initialised = true;
-    self.emit('initialised', self.options);
-}
+    const { options, callback } = _normaliseCommandOptions(opts);
+    if (typeof filename != "string" || !filename.length) {
+        _sendError(self, "filename is invalid", callback, { tag: tag });
+        return null;
+    }
+    const steps = [
+        stepOptions => self.cpuUnitDataRead(stepOptions, tag),
+        stepOptions => self.programAreaRead(0, null, stepOptions, tag),
+    ];
+    const combineResponses = function (msgs) {
+        const program = {
+            model: msgs[0].response.result.CPUUnitModel,
+            data: msgs[1].response.buffer,
+            created: new Date()
+        };
+        return {
+            commandDescription: "backup-program",
+            filename: filename,
+            model: program.model,
+            created: program.created,
+            length: program.data.length,
+            checksum: crc32(program.data),
+            file: encodeProgramFile(program)
+        };
+    };
+    const request = { filename: filename };
+    return _sendSteps(self, steps, combineResponses, request, options, function (err, msg) {
+        if (err) {
+            return _complete(self, callback, err, msg);
+        }
+        const file = msg.response.file;
+        delete msg.response.file;
+        fs.writeFile(filename, file, function (error) {
+            _complete(self, callback, error ? new FinsError(`backup failed: ${error.message}`, { filename: filename }) : null, msg);
+        });
+    });
+};
 
-function socket_listening() {
+/**
+ * Restore the user program from a backup file (see `backupProgram`).
+ * The file checksum is checked, the PLC must be in PROGRAM mode (checked with CONTROLLER STATUS READ) and the CPU unit model must match
+ * the model in the file (set `options.checkModel` to `false` to skip this check) before the program is written (PROGRAM AREA WRITE).
+ * @param {string} filename - the backup file
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.checkModel` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if the filename is invalid, the file could not be read or is not a valid backup or the command could not be sent).
+ */
+FinsClient.prototype.restoreProgram = function (filename, opts, tag) {
     /** @type {FinsClient}*/ const self = this;
-    self.emit('open', self.remoteInfo);
-    self.connected = true;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    if (typeof filename != "string" || !filename.length) {
+        _sendError(self, "filename is invalid", callback, { tag: tag });
+        return null;
+    }
+    let program;
+    try {
+        let file;
+        try {
+            file = fs.readFileSync(filename);
+        } catch (error) {
+            throw new FinsError(`restore failed: ${error.message}`, { filename: filename });
+        }
+        program = decodeProgramFile(file);
+    } catch (err) {
+        _sendError(self, err, callback, { tag: tag });
+        return null;
+    }
+    const steps = [
+        stepOptions => self.status(stepOptions, tag),
+        stepOptions => self.cpuUnitDataRead(stepOptions, tag),
+        stepOptions => self.programAreaWrite(0, program.data, stepOptions, tag),
+    ];
+    const checkStep = function (msg, step) {
+        if (step === 0 && msg.response.result.mode !== "PROGRAM") {
+            throw new FinsError(`the PLC must be in PROGRAM mode to restore the program (mode is ${msg.response.result.mode})`);
+        }
+        const model = step === 1 && msg.response.result.CPUUnitModel;
+        if (model && options.checkModel !== false && model !== program.model) {
+            throw new FinsError(`the backup is for a ${program.model} but the PLC is a ${model}`);
+        }
+    };
+    const combineResponses = function () {
+        return {
+            commandDescription: "restore-program",
+            filename: filename,
+            model: program.model,
+            created: program.created,
+            length: program.length,
+            checksum: program.checksum
+        };
+    };
+    const request = { filename: filename };
+    return _sendSteps(self, steps, combineResponses, request, options, callback, checkStep);
+};
+
+/**
+ * ACCESS RIGHT ACQUIRE.
+ * Acquires the access right as long as no other device holds it. The access right is needed to write the program area,
+ * parameter areas etc while other devices (e.g. CX-Programmer) are connected.
+ * FINS command code 0C01
+ * NOTE: If another device holds the access right, the PLC replies with end code `3001` and `msg.response.holder` contains
+ * the address `{network, node, unit}` of the device holding the access right.
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.accessRightAcquire = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    _cancelDeferredRelease(self); //the access right is wanted again
+    return _sendCommand(self, "0c01", [wordsToBytes(constants.ProgramArea.PROGRAM_NO)], {}, options, callback, tag);
+};
+
+/**
+ * ACCESS RIGHT FORCED ACQUIRE.
+ * Acquires the access right even if another device already holds it.
+ * FINS command code 0C02
+ * NOTE: The device that held the access right is not told it has lost it. Any operation it was performing (e.g. a program download)
+ * may be left incomplete.
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.accessRightForcedAcquire = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    _cancelDeferredRelease(self); //the access right is wanted again
+    return _sendCommand(self, "0c02", [wordsToBytes(constants.ProgramArea.PROGRAM_NO)], {}, options, callback, tag);
+};
+
+/**
+ * ACCESS RIGHT RELEASE.
+ * Releases the access right that has been acquired.
+ * FINS command code 0C03
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.accessRightRelease = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "0c03", [wordsToBytes(constants.ProgramArea.PROGRAM_NO)], {}, options, callback, tag);
+};
+
+/**
+ * Acquire the access right, run some work then release the access right.
+ * The access right is always released when the work finishes, including when it fails (e.g. a command times out).
+ * If the acquire times out, a release is sent (the PLC may have granted the access right) and the work is not run.
+ * If the connection was lost, the release is sent when the connection is re-opened (if `reconnect` is enabled).
+ * @param {Function} work - `(done) => {}` call `done(err, result)` when finished OR an `async () => {}` function that resolves with the result
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.force` (use ACCESS RIGHT FORCED ACQUIRE) `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the acquire command (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.withAccessRight = function (work, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    if (typeof work != "function") {
+        _sendError(self, "work must be a function", callback, { tag: tag });
+        return null;
+    }
+    const commandOptions = Object.assign({}, options);
+    delete commandOptions.force;
+    const acquire = options.force === true ? self.accessRightForcedAcquire : self.accessRightAcquire;
+    return acquire.call(self, Object.assign({}, commandOptions, {
+        callback: function (acquireError, acquireMsg) {
+            if (acquireError instanceof FinsTimeoutError) {
+                //the PLC may have granted the access right but the reply was lost - release it (best effort)
+                return _releaseAccessRight(self, commandOptions, tag, function () {
+                    _complete(self, callback, acquireError, acquireMsg);
+                });
+            }
+            if (acquireError) {
+                return _complete(self, callback, acquireError, acquireMsg);
+            }
+            _runWork(work, function (workError, result) {
+                _releaseAccessRight(self, commandOptions, tag, function (releaseError, released) {
+                    const msg = Object.assign({}, acquireMsg, {
+                        response: {
+                            commandDescription: "with-access-right",
+                            result: result,
+                            released: released
+                        }
+                    });
+                    if (workError) {
+                        return _complete(self, callback, workError, msg);
+                    }
+                    _complete(self, callback, releaseError ? new FinsError(`the access right was not released: ${releaseError.message}`, { cause: releaseError }) : null, msg);
+                });
+            });
+        }
+    }), tag);
+};
+
+/**
+ * ERROR CLEAR.
+ * Clears an error (or all errors) in the PLC.
+ * FINS command code 2101
+ * @param {number|string} errorCode - the error to clear. An error code e.g. `0x00F7` or `"00F7"`, a name from `constants.ErrorCodes` e.g. `"BATTERY_ERROR"`,
+ * `"current"` (the error with the highest priority) or `"all"`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.errorClear = function (errorCode, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const code = _errorClearCode(errorCode);
+    if (code == null) {
+        _sendError(self, `errorCode '${errorCode}' is invalid`, callback, { tag: tag });
+        return null;
+    }
+    return _sendCommand(self, "2101", [wordsToBytes(code)], { errorCode: code }, options, callback, tag);
+};
+
+/**
+ * ERROR LOG READ.
+ * Reads records from the PLC's error log.
+ * FINS command code 2102
+ * NOTE: The log is read in several commands (a PLC returns up to 20 records per command). If `count` is not specified, all stored records are read.
+ * @param {number} [beginRecord=0] - the first record to read
+ * @param {number} [count=null] - the number of records to read (`null` to read all stored records)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.errorLogRead = function (beginRecord, count, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    beginRecord = isInt(beginRecord, 0);
+    count = count == null ? null : isInt(count, 0);
+    if (beginRecord < 0 || (count !== null && count < 1)) {
+        _sendError(self, "beginRecord or count is invalid", callback, { tag: tag });
+        return null;
+    }
+    const maxRecords = constants.ErrorLog.MAX_RECORDS;
+    const sendPage = function (page, pageOptions) {
+        const data = [wordsToBytes(page.beginRecord), wordsToBytes(page.count)];
+        return _sendCommand(self, "2102", data, { beginRecord: page.beginRecord, count: page.count }, pageOptions, pageOptions.callback, tag);
+    };
+    const nextPage = function (msg, page) {
+        const response = msg.response;
+        const recordsRead = page.beginRecord + response.count - beginRecord;
+        const available = response.storedRecords - beginRecord; //the stored record count limits the records to read
+        const wanted = count === null ? available : Math.min(count, available);
+        if (!response.count || recordsRead >= wanted) {
+            return null;
+        }
+        return { beginRecord: page.beginRecord + response.count, count: Math.min(maxRecords, wanted - recordsRead) };
+    };
+    const combineResponses = function (msgs) {
+        const last = msgs[msgs.length - 1].response;
+        const records = [];
+        msgs.forEach(msg => records.push(...msg.response.records));
+        return Object.assign({}, last, {
+            beginRecord: beginRecord,
+            count: records.length,
+            records: records
+        });
+    };
+    const request = { beginRecord: beginRecord, count: count };
+    const firstPage = { beginRecord: beginRecord, count: count === null ? maxRecords : Math.min(maxRecords, count) };
+    return _sendPaged(self, firstPage, sendPage, nextPage, combineResponses, request, options, callback);
+};
+
+/**
+ * ERROR LOG CLEAR.
+ * Clears all error log records and sets the error log pointer to 0.
+ * FINS command code 2103
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.errorLogClear = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "2103", [], {}, options, callback, tag);
+};
+
+/**
+ * FILE NAME READ.
+ * Reads the disk data (volume label, capacity etc) and the names, dates and sizes of the files in a directory of file memory.
+ * FINS command code 2201
+ * NOTE: The names are read in several commands. If `count` is not specified, names are read until the PLC reports the last file.
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {string} [directory="/"] - the directory e.g. `/` or `/LOGS`
+ * @param {number} [beginFile=0] - the first file to read
+ * @param {number} [count=null] - the number of files to read (`null` to read to the last file)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.fileNameRead = function (disk, directory, beginFile, count, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let diskNo;
+    let directoryBytes;
+    try {
+        diskNo = _fileDisk(disk);
+        directory = joinPath(directory || "/", "");
+        directoryBytes = encodeDirectory(directory);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    beginFile = isInt(beginFile, 0);
+    count = count == null ? null : isInt(count, 0);
+    if (beginFile < 0 || (count !== null && count < 1)) {
+        _sendError(self, "beginFile or count is invalid", callback, { tag: tag });
+        return null;
+    }
+    const fileMemory = constants.FileMemory;
+    const maxFiles = Math.max(1, Math.floor((self.frameLimits.readWords * 2 - fileMemory.DISK_DATA_BYTES - 2) / fileMemory.FILE_DATA_BYTES));
+    const pageCount = remaining => (remaining == null ? maxFiles : Math.min(maxFiles, remaining));
+    const sendPage = function (page, pageOptions) {
+        const data = [wordsToBytes(diskNo), wordsToBytes(page.beginFile), wordsToBytes(page.count), [...directoryBytes]];
+        return _sendCommand(self, "2201", data, { disk: diskNo, directory: directory, beginFile: page.beginFile, count: page.count }, pageOptions, pageOptions.callback, tag);
+    };
+    const nextPage = function (msg, page) {
+        const response = msg.response;
+        const filesRead = page.beginFile + response.count - beginFile;
+        if (response.last || !response.count || (count !== null && filesRead >= count)) {
+            return null;
+        }
+        return { beginFile: page.beginFile + response.count, count: pageCount(count === null ? null : count - filesRead) };
+    };
+    const combineResponses = function (msgs) {
+        const last = msgs[msgs.length - 1].response;
+        const files = [];
+        msgs.forEach(msg => files.push(...msg.response.files));
+        return Object.assign({}, last, {
+            beginFile: beginFile,
+            count: files.length,
+            files: files
+        });
+    };
+    const request = { disk: diskNo, directory: directory, beginFile: beginFile, count: count };
+    return _sendPaged(self, { beginFile: beginFile, count: pageCount(count) }, sendPage, nextPage, combineResponses, request, options, callback);
+};
+
+/**
+ * SINGLE FILE READ.
+ * Reads the contents of a file in file memory.
+ * FINS command code 2202
+ * NOTE: The file is read in several commands. If `length` is not specified, the file is read to the end (the file size is in each reply).
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {number} [position=0] - the first byte to read
+ * @param {number} [length=null] - the number of bytes to read (`null` to read to the end of the file)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.singleFileRead = function (disk, path, position, length, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let file;
+    try {
+        file = _filePath(disk, path);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    position = isInt(position, 0);
+    length = length == null ? null : isInt(length, 0);
+    if (position < 0 || (length !== null && length < 1)) {
+        _sendError(self, "position or length is invalid", callback, { tag: tag });
+        return null;
+    }
+    const pageBytes = Math.max(1, self.frameLimits.readWords * 2 - 10); //file size, position & length are returned with the data
+    const pageCount = remaining => (remaining == null ? pageBytes : Math.min(pageBytes, remaining));
+    const sendPage = function (page, pageOptions) {
+        const data = [wordsToBytes(file.disk), [...file.nameBytes], dwordsToBytes(page.position), wordsToBytes(page.count), [...file.directoryBytes]];
+        return _sendCommand(self, "2202", data, { disk: file.disk, path: file.path, position: page.position, count: page.count }, pageOptions, pageOptions.callback, tag);
+    };
+    const nextPage = function (msg, page) {
+        const response = msg.response;
+        const bytesRead = page.position + response.count - position;
+        const wanted = length === null ? response.size - position : Math.min(length, response.size - position);
+        if (!response.count || bytesRead >= wanted) {
+            return null;
+        }
+        return { position: page.position + response.count, count: pageCount(wanted - bytesRead) };
+    };
+    const combineResponses = function (msgs) {
+        const last = msgs[msgs.length - 1].response;
+        const buffer = Buffer.concat(msgs.map(msg => msg.response.buffer));
+        return Object.assign({}, last, {
+            position: position,
+            count: buffer.length,
+            buffer: buffer
+        });
+    };
+    const request = { disk: file.disk, path: file.path, position: position, length: length };
+    return _sendPaged(self, { position: position, count: pageCount(length) }, sendPage, nextPage, combineResponses, request, options, callback);
+};
+
+/**
+ * SINGLE FILE WRITE.
+ * Writes a file in file memory.
+ * FINS command code 2203
+ * NOTE: The data is written in several commands. The first command uses `options.mode` and the remaining data is added to the end of the file.
+ * `options.mode` is `"create"` (default - the file must not exist), `"overwrite"` (create or replace the file), `"append"` (add the data to
+ * the end of the file) or `"write"` (overwrite the data at `options.position` in an existing file). See `constants.FileWriteModes`.
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {Buffer|string|number[]} data - the data to write
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.mode` `.position` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.singleFileWrite = function (disk, path, data, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let file;
+    let mode;
+    try {
+        file = _filePath(disk, path);
+        mode = _constantCode(constants.FileWriteModes, options.mode == null ? "CREATE" : options.mode, "write mode");
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    const bytes = Buffer.isBuffer(data) ? data : (typeof data == "string" ? Buffer.from(data, "latin1") : (Array.isArray(data) ? Buffer.from(data) : null));
+    const position = isInt(options.position, 0);
+    if (!bytes || position < 0) {
+        _sendError(self, "data or position is invalid", callback, { tag: tag });
+        return null;
+    }
+    const modes = constants.FileWriteModes;
+    const pageBytes = Math.max(1, self.frameLimits.writeWords * 2 - 22 - file.directoryBytes.length); //disk, mode, name, position & length are sent with the data
+    const chunks = [];
+    for (let offset = 0; offset < bytes.length || !chunks.length; offset += pageBytes) {
+        const first = !chunks.length;
+        const chunkMode = first ? mode : (mode === modes.WRITE ? modes.WRITE : modes.APPEND);
+        chunks.push({ mode: chunkMode, position: position + offset, bytes: bytes.slice(offset, offset + pageBytes) });
+    }
+    const sendChunk = function (chunk, chunkOptions) {
+        const commandData = [wordsToBytes(file.disk), wordsToBytes(chunk.mode), [...file.nameBytes], dwordsToBytes(chunk.position),
+            wordsToBytes(chunk.bytes.length), [...file.directoryBytes], [...chunk.bytes]];
+        const request = { disk: file.disk, path: file.path, mode: getKeyName(modes, chunk.mode), position: chunk.position, count: chunk.bytes.length };
+        return _sendCommand(self, "2203", commandData, request, chunkOptions, chunkOptions.callback, tag);
+    };
+    const combineResponses = function (msgs) {
+        return Object.assign({}, msgs[msgs.length - 1].response, { path: file.path, count: bytes.length });
+    };
+    const request = { disk: file.disk, path: file.path, mode: getKeyName(modes, mode), position: position, count: bytes.length };
+    return _sendChunks(self, chunks, sendChunk, combineResponses, request, options, callback);
+};
+
+/**
+ * MEMORY CARD FORMAT.
+ * Formats a memory card or EM file memory. All files are deleted.
+ * FINS command code 2204
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.memoryCardFormat = function (disk, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let diskNo;
+    try {
+        diskNo = _fileDisk(disk);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    return _sendCommand(self, "2204", [wordsToBytes(diskNo)], { disk: diskNo }, options, callback, tag);
+};
+
+/**
+ * FILE DELETE.
+ * Deletes files in file memory. The files must be in the same directory.
+ * FINS command code 2205
+ * NOTE: If there are more files than fit in one command, the files are deleted in several commands.
+ * `msg.response.deleted` is the number of files deleted.
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {string|string[]} paths - the file(s) e.g. `/LOGS/DATA1.CSV` or `["/LOGS/DATA1.CSV", "/LOGS/DATA2.CSV"]`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.fileDelete = function (disk, paths, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let files;
+    try {
+        const pathList = Array.isArray(paths) ? paths : [paths];
+        if (!pathList.length) {
+            throw new FinsError("paths is empty");
+        }
+        files = pathList.map(path => _filePath(disk, path));
+        if (files.some(file => file.directory.toUpperCase() !== files[0].directory.toUpperCase())) {
+            throw new FinsError("the files to delete must be in the same directory");
+        }
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    const first = files[0];
+    const fileBytes = constants.FileMemory.FILE_NAME_BYTES;
+    const maxFiles = Math.max(1, Math.floor((self.frameLimits.writeWords * 2 - 4 - first.directoryBytes.length) / fileBytes));
+    const chunks = [];
+    for (let offset = 0; offset < files.length; offset += maxFiles) {
+        chunks.push(files.slice(offset, offset + maxFiles));
+    }
+    const sendChunk = function (chunk, chunkOptions) {
+        const data = [wordsToBytes(first.disk), wordsToBytes(chunk.length), [...first.directoryBytes]];
+        chunk.forEach(file => data.push([...file.nameBytes]));
+        return _sendCommand(self, "2205", data, { disk: first.disk, paths: chunk.map(file => file.path) }, chunkOptions, chunkOptions.callback, tag);
+    };
+    const combineResponses = function (msgs) {
+        const deleted = msgs.reduce((total, msg) => total + msg.response.deleted, 0);
+        return Object.assign({}, msgs[msgs.length - 1].response, { deleted: deleted });
+    };
+    return _sendChunks(self, chunks, sendChunk, combineResponses, { disk: first.disk, paths: files.map(file => file.path) }, options, callback);
+};
+
+/**
+ * VOLUME LABEL CREATE/DELETE (create or change).
+ * Creates the volume label of file memory (set `options.change` to change an existing volume label).
+ * FINS command code 2206
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {string} label - the volume label (up to 11 characters)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.change` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.volumeLabelCreate = function (disk, label, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const mode = options.change ? constants.VolumeLabelModes.CHANGE : constants.VolumeLabelModes.CREATE;
+    return _volumeLabel(self, disk, mode, label, options, callback, tag);
+};
+
+/**
+ * VOLUME LABEL CREATE/DELETE (delete).
+ * Deletes the volume label of file memory.
+ * FINS command code 2206
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.volumeLabelDelete = function (disk, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _volumeLabel(self, disk, constants.VolumeLabelModes.DELETE, "", options, callback, tag);
+};
+
+/**
+ * FILE COPY.
+ * Copies a file within a disk or to another disk.
+ * FINS command code 2207
+ * @param {number|string} srcDisk - the disk of the file to copy (see `constants.FileDisks`)
+ * @param {string} srcPath - the file to copy e.g. `/LOGS/DATA.CSV`
+ * @param {number|string} dstDisk - the disk to copy the file to
+ * @param {string} dstPath - the new file e.g. `/BACKUP/DATA.CSV`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.fileCopy = function (srcDisk, srcPath, dstDisk, dstPath, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let src;
+    let dst;
+    try {
+        src = _filePath(srcDisk, srcPath);
+        dst = _filePath(dstDisk, dstPath);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    const data = [wordsToBytes(src.disk), [...src.directoryBytes], [...src.nameBytes], wordsToBytes(dst.disk), [...dst.directoryBytes], [...dst.nameBytes]];
+    const request = { srcDisk: src.disk, srcPath: src.path, dstDisk: dst.disk, dstPath: dst.path };
+    return _sendCommand(self, "2207", data, request, options, callback, tag);
+};
+
+/**
+ * FILE NAME CHANGE.
+ * Changes the name of a file (the file stays in the same directory).
+ * FINS command code 2208
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {string} newName - the new file name e.g. `DATA_OLD.CSV`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.fileNameChange = function (disk, path, newName, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let file;
+    let newNameBytes;
+    try {
+        file = _filePath(disk, path);
+        newNameBytes = encodeFileName(newName);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    const data = [wordsToBytes(file.disk), [...file.directoryBytes], [...file.nameBytes], [...newNameBytes]];
+    return _sendCommand(self, "2208", data, { disk: file.disk, path: file.path, newName: newName }, options, callback, tag);
+};
+
+/**
+ * MEMORY AREA-FILE TRANSFER.
+ * Transfers words between I/O memory and a file in file memory or compares I/O memory with a file.
+ * FINS command code 220A
+ * NOTE: `msg.response.count` is the number of words transferred (or compared).
+ * @param {string|number} mode - `"to_file"` (I/O memory to file), `"to_memory"` (file to I/O memory) or `"compare"` (see `constants.FileTransferModes`)
+ * @param {string} address - the first word e.g. `D1000`
+ * @param {number} count - the number of words
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {string} path - the file e.g. `/DATA/RECIPE1.IOM`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.memoryAreaFileTransfer = function (mode, address, count, disk, path, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let modeCode;
+    let memoryAddress;
+    let file;
+    try {
+        modeCode = _constantCode(constants.FileTransferModes, mode, "transfer mode");
+        memoryAddress = self.stringToFinsAddress(address);
+        if (memoryAddress.isBitAddress) {
+            throw new FinsAddressError(`'${address}' is not a word address`, address);
+        }
+        file = _filePath(disk, path);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    count = isInt(count, 0);
+    if (count < 1) {
+        _sendError(self, "count is invalid", callback, { tag: tag });
+        return null;
+    }
+    if (!_checkRange(self, memoryAddress, count, callback, tag)) {
+        return null;
+    }
+    const data = [wordsToBytes(modeCode), memoryAddress.bytes, wordsToBytes(count), wordsToBytes(file.disk), [...file.nameBytes], [...file.directoryBytes]];
+    const request = { mode: getKeyName(constants.FileTransferModes, modeCode), address: memoryAddress.toString(), count: count, disk: file.disk, path: file.path };
+    return _sendCommand(self, "220a", data, request, options, callback, tag);
+};
+
+/**
+ * CREATE/DELETE DIRECTORY (create).
+ * Creates a directory in file memory (the parent directory must exist).
+ * FINS command code 2215
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {string} path - the directory to create e.g. `/LOGS`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.directoryCreate = function (disk, path, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _directory(self, disk, constants.DirectoryModes.CREATE, path, options, callback, tag);
+};
+
+/**
+ * CREATE/DELETE DIRECTORY (delete).
+ * Deletes a directory in file memory (the directory must be empty).
+ * FINS command code 2215
+ * @param {number|string} disk - the disk `"MEMORY_CARD"` or `"EM_FILE_MEMORY"` (see `constants.FileDisks`)
+ * @param {string} path - the directory to delete e.g. `/LOGS`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.directoryDelete = function (disk, path, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _directory(self, disk, constants.DirectoryModes.DELETE, path, options, callback, tag);
+};
+
+/**
+ * FORCED SET/RESET.
+ * Force-sets (ON) or force-resets (OFF) bits or releases their forced status.
+ * FINS command code 2301
+ * NOTE: Forcing overrides the program and the real I/O. It must be enabled with the client option `allowForcing: true`.
+ * @param {object[]|object} operations - the bits to force and the operation for each bit e.g. `[{ address: "CIO0.01", operation: "set" }]`
+ * or an object keyed by address e.g. `{ "CIO0.01": "set", "W10.3": "release" }`. The operation is `"set"`, `"reset"`, `"invert"`, `"release"`,
+ * `"release_on"` or `"release_off"` (see `constants.ForceOperations`). `"invert"` reads the bit then forces it to the opposite state.
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if forcing is not enabled or any of the command parameters are invalid).
+ */
+FinsClient.prototype.forcedSetReset = function (operations, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    if (!self.allowForcing) {
+        _sendError(self, "forcing is disabled. Set the client option `allowForcing: true` to use FORCED SET/RESET", callback, { tag: tag });
+        return null;
+    }
+    let items;
+    try {
+        items = _forceItems(self, operations);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    const inverts = items.filter(item => item.code === constants.ForceOperations.INVERT);
+    const sendForce = function (stepOptions) {
+        const data = [wordsToBytes(items.length)];
+        items.forEach(item => data.push(wordsToBytes(item.code), item.memoryAddress.bytes));
+        const request = { operations: items.map(item => ({ address: item.address, operation: item.operation, code: item.code })) };
+        return _sendCommand(self, "2301", data, request, stepOptions, stepOptions.callback, tag);
+    };
+    if (!inverts.length) {
+        return sendForce(Object.assign({}, options, { callback: callback }));
+    }
+    //read the bits to invert then force them to the opposite state
+    const steps = [
+        stepOptions => self.readMultiple(inverts.map(item => item.address), stepOptions, tag),
+        sendForce,
+    ];
+    const checkStep = function (msg, step) {
+        if (step === 0) {
+            inverts.forEach((item, index) => {
+                item.code = msg.response.values[index] ? constants.ForceOperations.RESET : constants.ForceOperations.SET;
+            });
+        }
+    };
+    const combineResponses = msgs => msgs[msgs.length - 1].response;
+    return _sendSteps(self, steps, combineResponses, {}, options, callback, checkStep);
+};
+
+/**
+ * FORCED SET/RESET CANCEL.
+ * Cancels the forced status of all bits that have been forced ON or OFF (the bits keep their state).
+ * FINS command code 2302
+ * NOTE: Cancelling changes the live I/O state. It must be enabled with the client option `allowForcing: true`.
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if forcing is disabled or the command could not be sent).
+ */
+FinsClient.prototype.forcedSetResetCancel = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    if (!self.allowForcing) {
+        _sendError(self, "forcing is disabled. Set the client option `allowForcing: true` to use FORCED SET/RESET CANCEL", callback, { tag: tag });
+        return null;
+    }
+    return _sendCommand(self, "2302", [], {}, options, callback, tag);
+};
+
+/**
+ * NAME SET.
+ * Registers the name of the node (up to 8 characters).
+ * FINS command code 2601
+ * @param {string} name - the name e.g. `"LINE1"`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.nameSet = function (name, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const maxLength = constants.NodeName.MAX_LENGTH;
+    if (typeof name != "string" || !name.length || name.length > maxLength || !/^[\x20-\x7E]+$/.test(name)) {
+        _sendError(self, `name '${name}' is invalid. Use 1 to ${maxLength} ASCII characters`, callback, { tag: tag });
+        return null;
+    }
+    return _sendCommand(self, "2601", [...Buffer.from(name, "ascii")], { name: name }, options, callback, tag);
+};
+
+/**
+ * NAME DELETE.
+ * Deletes the name of the node.
+ * FINS command code 2602
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.nameDelete = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "2602", [], {}, options, callback, tag);
+};
+
+/**
+ * NAME READ.
+ * Reads the name of the node (in `msg.response.name`).
+ * FINS command code 2603
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.nameRead = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "2603", [], {}, options, callback, tag);
+};
+
+/**
+ * IP ADDRESS TABLE WRITE.
+ * Writes the IP address table of an Ethernet Unit (the FINS node numbers and IP addresses used when the address conversion method uses the table).
+ * The new table is used after the unit is restarted.
+ * FINS command code 2750
+ * NOTE: Address the command to the Ethernet Unit with `options.DA2` (`0x10` + the unit number).
+ * @param {{node: number, ipAddress: string}[]} records - the FINS node numbers (1 to 254) and IP addresses (up to 32 records) e.g. `[{ node: 10, ipAddress: "192.168.250.10" }]`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.ipAddressTableWrite = function (records, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let data;
+    try {
+        data = encodeIpAddressTable(records);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    return _sendCommand(self, "2750", [...data], { records: records }, options, callback, tag);
+};
+
+/**
+ * IP ADDRESS TABLE READ.
+ * Reads the IP address table of an Ethernet Unit. The records are returned in `msg.response.records` as `{node, ipAddress}`.
+ * FINS command code 2760
+ * NOTE: Address the command to the Ethernet Unit with `options.DA2` (`0x10` + the unit number).
+ * @param {number} [count=32] - the number of records to read
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.ipAddressTableRead = function (count, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const maxRecords = constants.EthernetUnit.MAX_IP_ADDRESS_RECORDS;
+    count = count == null ? maxRecords : isInt(count, -1);
+    if (count < 0 || count > maxRecords) {
+        _sendError(self, `count must be 0 to ${maxRecords}`, callback, { tag: tag });
+        return null;
+    }
+    return _sendCommand(self, "2760", [wordsToBytes(count)], { count: count }, options, callback, tag);
+};
+
+/**
+ * IP ROUTER TABLE READ.
+ * Reads the IP router table of an Ethernet Unit. The records are returned in `msg.response.records` as `{network, router}`.
+ * FINS command code 2761
+ * NOTE: Address the command to the Ethernet Unit with `options.DA2` (`0x10` + the unit number).
+ * @param {number} [count=8] - the number of records to read
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.ipRouterTableRead = function (count, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const maxRecords = constants.EthernetUnit.MAX_IP_ROUTER_RECORDS;
+    count = count == null ? maxRecords : isInt(count, -1);
+    if (count < 0 || count > maxRecords) {
+        _sendError(self, `count must be 0 to ${maxRecords}`, callback, { tag: tag });
+        return null;
+    }
+    return _sendCommand(self, "2761", [wordsToBytes(count)], { count: count }, options, callback, tag);
+};
+
+/**
+ * PROTOCOL STATUS READ.
+ * Reads the IP, ICMP, TCP and UDP status counters of an Ethernet Unit (in `msg.response.ip` `.icmp` `.tcp` & `.udp`).
+ * FINS command code 2762
+ * NOTE: Address the command to the Ethernet Unit with `options.DA2` (`0x10` + the unit number).
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.protocolStatusRead = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "2762", [], {}, options, callback, tag);
+};
+
+/**
+ * MEMORY STATUS READ.
+ * Reads the network memory status of an Ethernet Unit (in `msg.response.counters`).
+ * FINS command code 2763
+ * NOTE: Address the command to the Ethernet Unit with `options.DA2` (`0x10` + the unit number).
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.memoryStatusRead = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "2763", [], {}, options, callback, tag);
+};
+
+/**
+ * SOCKET STATUS READ.
+ * Reads the status of the sockets of an Ethernet Unit. The sockets are returned in `msg.response.sockets` as
+ * `{protocol, receiveQueue, sendQueue, localAddress, localPort, remoteAddress, remotePort, state}`.
+ * FINS command code 2764
+ * NOTE: Address the command to the Ethernet Unit with `options.DA2` (`0x10` + the unit number).
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.socketStatusRead = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "2764", [], {}, options, callback, tag);
+};
+
+/**
+ * ADDRESS INFORMATION READ.
+ * Reads the FINS node number and IP address of an Ethernet Unit (in `msg.response.addresses` as `{node, ipAddress}`).
+ * FINS command code 2765
+ * NOTE: Address the command to the Ethernet Unit with `options.DA2` (`0x10` + the unit number).
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.addressInformationRead = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "2765", [], {}, options, callback, tag);
+};
+
+/**
+ * IP ADDRESS READ.
+ * Reads the IP address and subnet mask of an Ethernet Unit (in `msg.response.ipAddress` & `.subnetMask`).
+ * FINS command code 2767
+ * NOTE: Address the command to the Ethernet Unit with `options.DA2` (`0x10` + the unit number).
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.ipAddressRead = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    return _sendCommand(self, "2767", [], {}, options, callback, tag);
+};
+
+/**
+ * Read the network settings of an Ethernet Unit: the IP address & subnet mask (IP ADDRESS READ), the FINS node number (ADDRESS INFORMATION READ),
+ * the IP address table (IP ADDRESS TABLE READ) and the IP router table (IP ROUTER TABLE READ).
+ * NOTE: Address the command to the Ethernet Unit with `options.DA2` (`0x10` + the unit number).
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if the command could not be sent).
+ */
+FinsClient.prototype.readEthernetUnitSettings = function (opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const steps = [
+        stepOptions => self.ipAddressRead(stepOptions, tag),
+        stepOptions => self.addressInformationRead(stepOptions, tag),
+        stepOptions => self.ipAddressTableRead(null, stepOptions, tag),
+        stepOptions => self.ipRouterTableRead(null, stepOptions, tag),
+    ];
+    const combineResponses = function (msgs) {
+        const addresses = msgs[1].response.addresses;
+        return {
+            commandDescription: "read-ethernet-unit-settings",
+            unitAddress: (options.DA2 || self.header.DA2),
+            ipAddress: msgs[0].response.ipAddress,
+            subnetMask: msgs[0].response.subnetMask,
+            node: addresses.length ? addresses[0].node : null,
+            ipAddressTable: msgs[2].response.records,
+            ipRouterTable: msgs[3].response.records
+        };
+    };
+    return _sendSteps(self, steps, combineResponses, {}, options, callback);
+};
+
+/**
+ * Read the forced status of consecutive words and list the forced bits.
+ * Reads the memory area "with forced status" (MEMORY AREA READ 0101) e.g. CIO, W or H.
+ * @param {string} address - the first word e.g. `CIO0` or `W10`
+ * @param {number} count - the number of words to read
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.forcedStatusRead = function (address, count, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let memoryAddress;
+    let statusAreaCode;
+    try {
+        memoryAddress = self.stringToFinsAddress(address);
+        statusAreaCode = _forceAreas(self).status[memoryAddress.MemoryArea];
+        if (memoryAddress.isBitAddress || statusAreaCode == null) {
+            throw new FinsAddressError(`the forced status of '${address}' cannot be read. Use a CIO, W or H word address`, address);
+        }
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    count = isInt(count, 1);
+    if (count < 1) {
+        _sendError(self, "count is invalid", callback, { tag: tag });
+        return null;
+    }
+    if (!_checkRange(self, memoryAddress, count, callback, tag)) {
+        return null;
+    }
+    const area = memoryAddress.MemoryArea;
+    const pageWords = Math.max(1, Math.floor(self.frameLimits.readWords / 2)); //4 bytes per word
+    const chunks = [];
+    for (let offset = 0; offset < count; offset += pageWords) {
+        chunks.push({ address: memoryAddress.Address + offset, count: Math.min(pageWords, count - offset) });
+    }
+    const sendChunk = function (chunk, chunkOptions) {
+        const data = [statusAreaCode, wordsToBytes(chunk.address), 0x00, wordsToBytes(chunk.count)];
+        return _sendCommand(self, "0101", data, { forcedStatus: true }, chunkOptions, chunkOptions.callback, tag);
+    };
+    const combineResponses = function (msgs) {
+        const buffer = Buffer.concat(msgs.map(msg => msg.response.buffer));
+        const words = [];
+        const forced = [];
+        for (let index = 0; index + 3 < buffer.length; index += 4) {
+            const word = memoryAddress.Address + index / 4;
+            const value = buffer.readUInt16BE(index);
+            const forcedBits = buffer.readUInt16BE(index + 2);
+            words.push({ address: `${area}${word}`, value: value, forced: forcedBits });
+            for (let bit = 0; bit < 16; bit++) {
+                if (forcedBits & (1 << bit)) {
+                    forced.push({ address: `${area}${word}.${bit}`, state: (value >> bit) & 1 ? "set" : "reset" });
+                }
+            }
+        }
+        return Object.assign({}, msgs[msgs.length - 1].response, {
+            commandDescription: "forced-status-read",
+            words: words,
+            forced: forced,
+            values: words.map(w => w.value),
+            buffer: buffer
+        });
+    };
+    return _sendChunks(self, chunks, sendChunk, combineResponses, { address: memoryAddress.toString(), count: count }, options, callback);
+};
+
+/**
+ * Generic command 
+ * @param {string} commandCode 4 digit command code. e.g. 0101 MEMORY AREA READ
+ * @param {Any[]} params associated command parameters
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns 
+ */
+FinsClient.prototype.command = function (commandCode, params, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    if (self.queueCount() >= self.max_queue) {
+        _sendFull(self, callback);
+        return null;
+    }
+    if(self.connected !== true) {
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
+        return null;
+    }
+    const cmd =  constants.Commands[commandCode] || constants.Commands[String(commandCode).toLowerCase()];
+    if(!cmd) {
+        _sendError(self, `commandCode '${commandCode}' not recognised`, callback, { tag: tag });
+        return null;
+    }
+
+    //basic parameter check
+    if(cmd.params && cmd.params.length) {
+        for (let index = 0; index < cmd.params.length; index++) {
+            const expectedParam = cmd.params[index];
+            const providedParam = params[index];
+            if(!providedParam && expectedParam.required) {
+                _sendError(self, `Parameter ${index+1} Missing. Expected '${expectedParam.name}'`, callback, { tag: tag });
+                return null;
+            }
+            if(expectedParam.type == null || expectedParam.type == "*" || expectedParam.type == "Any") {
+                //param type ok
+            } else if(typeof providedParam !== expectedParam.type) {
+                _sendError(self, `Parameter ${index+1} '${expectedParam.name}' incorrect type. Expected type of '${expectedParam.type}'`, callback, { tag: tag });
+                return null;
+            }
+        }
+    }
+
+    //the dispatched command needs the callback (it was removed by _normaliseCommandOptions)
+    if (callback) {
+        options.callback = callback;
+    }
+
+    if(cmd.name == "read") {
+        return self.read(params[0], params[1], options, tag);
+    } else if(cmd.name == "write") {
+        return self.write(params[0], params[1], options, tag);
+    } else if(cmd.name == "read-multiple") {
+        return self.readMultiple(params[0], options, tag);
+    } else if(cmd.name == "fill") {
+        return self.fill(params[0], params[1], params[2], options, tag);
+    } else if(cmd.name == "transfer") {
+        return self.transfer(params[0], params[1], params[2], options, tag);
+    } else if(cmd.name == "status") {
+        return self.status(options, tag);
+    } else if(cmd.name == "cycle-time-read") {
+        return params[0] ? self.cycleTimeReset(options, tag) : self.cycleTimeRead(options, tag);
+    } else if(cmd.name == "run") {
+        return params[0] != null ? self.setMode(params[0], options, tag) : self.run(options, tag);
+    } else if(cmd.name == "stop") {
+        return self.stop(options, tag);
+    } else if(cmd.name == "cpu-unit-data-read") {
+        return self.cpuUnitDataRead(params[0] != null ? Object.assign({}, options, { section: params[0] }) : options, tag);
+    } else if(cmd.name == "connection-data-read") {
+        return self.connectionDataRead(params[0], params[1], options, tag);
+    } else if(cmd.name == "clock-read") {
+        return self.clockRead(options, tag);
+    } else if(cmd.name == "clock-write") {
+        return self.clockWrite(params[0], options, tag);
+    } else if(cmd.name == "internode-echo-test") {
+        return self.echoTest(params[0], options, tag);
+    } else if(cmd.name == "broadcast-test-results-read") {
+        return self.broadcastTestResultsRead(options, tag);
+    } else if(cmd.name == "broadcast-test-data-send") {
+        return self.broadcastTestDataSend(params[0], options, tag);
+    } else if(cmd.name == "message-read") {
+        const operation = String(params[0]).trim().toLowerCase();
+        if (operation == "read") {
+            return self.messageRead(params[1], options, tag);
+        } else if (operation == "clear") {
+            return self.messageClear(params[1], options, tag);
+        } else if (operation == "fal") {
+            return self.falMessageRead(params[1], options, tag);
+        }
+        _sendError(self, `operation '${params[0]}' is invalid. Use "read", "clear" or "fal"`, callback, { tag: tag });
+        return null;
+    } else if(cmd.name == "parameter-area-read") {
+        return self.parameterAreaRead(params[0], params[1], params[2], options, tag);
+    } else if(cmd.name == "parameter-area-write") {
+        return self.parameterAreaWrite(params[0], params[1], params[2], options, tag);
+    } else if(cmd.name == "parameter-area-clear") {
+        return self.parameterAreaClear(params[0], params[1], options, tag);
+    } else if(cmd.name == "program-area-read") {
+        return self.programAreaRead(params[0], params[1], options, tag);
+    } else if(cmd.name == "program-area-write") {
+        return self.programAreaWrite(params[0], params[1], options, tag);
+    } else if(cmd.name == "program-area-clear") {
+        return self.programAreaClear(options, tag);
+    } else if(cmd.name == "access-right-acquire") {
+        return self.accessRightAcquire(options, tag);
+    } else if(cmd.name == "access-right-forced-acquire") {
+        return self.accessRightForcedAcquire(options, tag);
+    } else if(cmd.name == "access-right-release") {
+        return self.accessRightRelease(options, tag);
+    } else if(cmd.name == "error-clear") {
+        return self.errorClear(params[0], options, tag);
+    } else if(cmd.name == "error-log-read") {
+        return self.errorLogRead(params[0], params[1], options, tag);
+    } else if(cmd.name == "error-log-clear") {
+        return self.errorLogClear(options, tag);
+    } else if(cmd.name == "file-name-read") {
+        return self.fileNameRead(params[0], params[1], params[2], params[3], options, tag);
+    } else if(cmd.name == "single-file-read") {
+        return self.singleFileRead(params[0], params[1], params[2], params[3], options, tag);
+    } else if(cmd.name == "single-file-write") {
+        return self.singleFileWrite(params[0], params[1], params[2], options, tag);
+    } else if(cmd.name == "memory-card-format") {
+        return self.memoryCardFormat(params[0], options, tag);
+    } else if(cmd.name == "file-delete") {
+        return self.fileDelete(params[0], params[1], options, tag);
+    } else if(cmd.name == "volume-label-create-delete") {
+        return params[1] ? self.volumeLabelCreate(params[0], params[1], options, tag) : self.volumeLabelDelete(params[0], options, tag);
+    } else if(cmd.name == "file-copy") {
+        return self.fileCopy(params[0], params[1], params[2], params[3], options, tag);
+    } else if(cmd.name == "file-name-change") {
+        return self.fileNameChange(params[0], params[1], params[2], options, tag);
+    } else if(cmd.name == "memory-area-file-transfer") {
+        return self.memoryAreaFileTransfer(params[0], params[1], params[2], params[3], params[4], options, tag);
+    } else if(cmd.name == "directory-create-delete") {
+        return params[2] ? self.directoryDelete(params[0], params[1], options, tag) : self.directoryCreate(params[0], params[1], options, tag);
+    } else if(cmd.name == "forced-set-reset") {
+        return self.forcedSetReset(params[0], options, tag);
+    } else if(cmd.name == "forced-set-reset-cancel") {
+        return self.forcedSetResetCancel(options, tag);
+    } else if(cmd.name == "name-set") {
+        return self.nameSet(params[0], options, tag);
+    } else if(cmd.name == "name-delete") {
+        return self.nameDelete(options, tag);
+    } else if(cmd.name == "name-read") {
+        return self.nameRead(options, tag);
+    } else if(cmd.name == "ip-address-table-write") {
+        return self.ipAddressTableWrite(params[0], options, tag);
+    } else if(cmd.name == "ip-address-table-read") {
+        return self.ipAddressTableRead(params[0], options, tag);
+    } else if(cmd.name == "ip-router-table-read") {
+        return self.ipRouterTableRead(params[0], options, tag);
+    } else if(cmd.name == "protocol-status-read") {
+        return self.protocolStatusRead(options, tag);
+    } else if(cmd.name == "memory-status-read") {
+        return self.memoryStatusRead(options, tag);
+    } else if(cmd.name == "socket-status-read") {
+        return self.socketStatusRead(options, tag);
+    } else if(cmd.name == "address-information-read") {
+        return self.addressInformationRead(options, tag);
+    } else if(cmd.name == "ip-address-read") {
+        return self.ipAddressRead(options, tag);
+    } else {
+        _sendError(self, `command not recognised`, callback, { tag: tag });
+        return null;
+    }
+};
+
+
+//#region Promise based command variants
+
+/**
+ * Promise based variant of `read`. Memory Area Read Command.
+ * FINS command code 0101
+ * @param {string} address - Memory area and the numerical start address e.g. `D100` or `CIO50.0`
+ * @param {number} count - Number of registers to read
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.readAsync = function (address, count, opts, tag) {
+    return _commandAsync(this, this.read, [address, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `write`. Memory Area Write Command.
+ * FINS command code 0102
+ * @param {string} address - Memory area and the numerical start address e.g. `D100` or `CIO50.0`
+ * @param {number|number[]} data - Data to write
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.writeAsync = function (address, data, opts, tag) {
+    return _commandAsync(this, this.write, [address, data], opts, tag);
+};
+
+/**
+ * Promise based variant of `fill`. Memory Area Fill command.
+ * FINS command code 0103
+ * @param {string} address - Memory area and the numerical start address e.g. `D100` or `CIO50`
+ * @param {number} value - Value to write
+ * @param {number} count - Number of registers to write
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.fillAsync = function (address, value, count, opts, tag) {
+    return _commandAsync(this, this.fill, [address, value, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `readMultiple`. Multiple Memory Area Read Command.
+ * FINS command code 0104
+ * @param  {string|string[]} addresses - Array or CSV of Memory addresses e.g. `"D10.15,CIO100,E0_100"` or `["CIO50.0","D30", "W0.0"]`
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.readMultipleAsync = function (addresses, opts, tag) {
+    return _commandAsync(this, this.readMultiple, [addresses], opts, tag);
+};
+
+/**
+ * Promise based variant of `transfer`. MEMORY AREA TRANSFER.
+ * FINS command code 0105
+ * @param {string} srcAddress - Source Memory address e.g. `D100` or `CIO50`
+ * @param {string} dstAddress - Destination Memory address e.g. `D200` or `CI100`
+ * @param {number} count - Number of registers to copy
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.transferAsync = function (srcAddress, dstAddress, count, opts, tag) {
+    return _commandAsync(this, this.transfer, [srcAddress, dstAddress, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `run`. Change PLC to MONITOR mode.
+ * FINS command code 0401
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.runAsync = function (opts, tag) {
+    return _commandAsync(this, this.run, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `stop`. Change PLC to PROGRAM mode.
+ * FINS command code 0402
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.stopAsync = function (opts, tag) {
+    return _commandAsync(this, this.stop, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `setMode`. Change the operating mode of the PLC (and optionally verify the change).
+ * FINS command code 0401 / 0402
+ * @param {string} mode - `"RUN"`, `"MONITOR"` or `"PROGRAM"`
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.verify` `.verifyTimeout` `.verifyInterval` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (`msg.response` contains `mode` `verified` & `status`)
+ */
+FinsClient.prototype.setModeAsync = function (mode, opts, tag) {
+    return _commandAsync(this, this.setMode, [mode], opts, tag);
+};
+
+/**
+ * Promise based variant of `cpuUnitDataRead`. CPU UNIT DATA READ.
+ * FINS command code 0501
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.section` (`"model"`, `"area"` or `"all"`) `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.cpuUnitDataReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.cpuUnitDataRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `loadCapabilities`. Load the capability profile of the PLC.
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (`msg.response` contains `model` & `capabilities`)
+ */
+FinsClient.prototype.loadCapabilitiesAsync = function (opts, tag) {
+    return _commandAsync(this, this.loadCapabilities, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `connectionDataRead`. CONNECTION DATA READ.
+ * FINS command code 0502
+ * @param {number} [unitAddress=0] - the first unit address to read
+ * @param {number} [count=null] - the number of units to read (`null` to read all units from `unitAddress`)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the units are in `msg.response.units`)
+ */
+FinsClient.prototype.connectionDataReadAsync = function (unitAddress, count, opts, tag) {
+    return _commandAsync(this, this.connectionDataRead, [unitAddress, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `status`. Get PLC status.
+ * FINS command code 0601
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.statusAsync = function (opts, tag) {
+    return _commandAsync(this, this.status, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `cycleTimeRead`. CYCLE TIME READ.
+ * FINS command code 0620
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the cycle times are in `msg.response.average` `.max` & `.min`)
+ */
+FinsClient.prototype.cycleTimeReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.cycleTimeRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `cycleTimeReset`. CYCLE TIME READ (initialise).
+ * FINS command code 0620
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.cycleTimeResetAsync = function (opts, tag) {
+    return _commandAsync(this, this.cycleTimeReset, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `clockRead`. CLOCK READ.
+ * FINS command code 0701
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.clockReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.clockRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `clockWrite`. CLOCK WRITE.
+ * FINS command code 0702
+ * @param {*} clockData - An object containing `{year,month,day,hour,minute,second,day_of_week}` (second & day_of_week are optional)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.clockWriteAsync = function (clockData, opts, tag) {
+    return _commandAsync(this, this.clockWrite, [clockData], opts, tag);
+};
+
+/**
+ * Promise based variant of `echoTest`. INTERNODE ECHO TEST.
+ * FINS command code 0801
+ * @param {Buffer|string|number[]|number} [data=32] - the test data (up to 1998 bytes) or the number of bytes of a generated test pattern
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (rejects if the echoed data does not match)
+ */
+FinsClient.prototype.echoTestAsync = function (data, opts, tag) {
+    return _commandAsync(this, this.echoTest, [data], opts, tag);
+};
+
+/**
+ * Promise based variant of `broadcastTestResultsRead`. BROADCAST TEST RESULTS READ.
+ * FINS command code 0802
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the number of receptions is in `msg.response.receptions`)
+ */
+FinsClient.prototype.broadcastTestResultsReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.broadcastTestResultsRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `broadcastTestDataSend`. BROADCAST TEST DATA SEND.
+ * FINS command code 0803
+ * @param {Buffer|string|number[]|number} [data=32] - the test data (up to 1998 bytes) or the number of bytes of a generated test pattern
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object when the data has been sent
+ */
+FinsClient.prototype.broadcastTestDataSendAsync = function (data, opts, tag) {
+    return _commandAsync(this, this.broadcastTestDataSend, [data], opts, tag);
+};
+
+/**
+ * Promise based variant of `ping`. Ping nodes with INTERNODE ECHO TEST.
+ * @param {number} [count=4] - the number of echo tests to send to each destination
+ * @param {number} [size=32] - the number of bytes of test data
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.destinations` `.interval` and `.timeout`
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the results of each destination are in `msg.response.destinations`)
+ */
+FinsClient.prototype.pingAsync = function (count, size, opts, tag) {
+    return _commandAsync(this, this.ping, [count, size], opts, tag);
+};
+
+/**
+ * Promise based variant of `messageRead`. MESSAGE READ.
+ * FINS command code 0920
+ * @param {number[]|number|string} [messages="all"] - the messages to read. An array of message numbers, a bitmask or `"all"`
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the messages are in `msg.response.messages`)
+ */
+FinsClient.prototype.messageReadAsync = function (messages, opts, tag) {
+    return _commandAsync(this, this.messageRead, [messages], opts, tag);
+};
+
+/**
+ * Promise based variant of `messageClear`. MESSAGE CLEAR.
+ * FINS command code 0920
+ * @param {number[]|number|string} [messages="all"] - the messages to clear. An array of message numbers, a bitmask or `"all"`
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.messageClearAsync = function (messages, opts, tag) {
+    return _commandAsync(this, this.messageClear, [messages], opts, tag);
+};
+
+/**
+ * Promise based variant of `falMessageRead`. FAL/FALS READ.
+ * FINS command code 0920
+ * @param {number|string} falNumber - the FAL/FALS number (1 to 511) or the error code of the FAL/FALS
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the message is in `msg.response.message`)
+ */
+FinsClient.prototype.falMessageReadAsync = function (falNumber, opts, tag) {
+    return _commandAsync(this, this.falMessageRead, [falNumber], opts, tag);
+};
+
+/**
+ * Promise based variant of `command`. Generic command.
+ * @param {string} commandCode 4 digit command code. e.g. 0101 MEMORY AREA READ
+ * @param {Any[]} params associated command parameters
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the parsed reply is in `msg.response`)
+ */
+FinsClient.prototype.commandAsync = function (commandCode, params, opts, tag) {
+    return _commandAsync(this, this.command, [commandCode, params], opts, tag);
+};
+
+/**
+ * Promise based variant of `parameterAreaRead`. PARAMETER AREA READ.
+ * FINS command code 0201
+ * @param {number|string} areaCode - the parameter area code or name (see `constants.ParameterAreas`)
+ * @param {number} [beginWord=0] - the first word to read
+ * @param {number} [count=null] - the number of words to read (`null` to read to the end of the area)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the words are in `msg.response.values`)
+ */
+FinsClient.prototype.parameterAreaReadAsync = function (areaCode, beginWord, count, opts, tag) {
+    return _commandAsync(this, this.parameterAreaRead, [areaCode, beginWord, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `parameterAreaWrite`. PARAMETER AREA WRITE.
+ * FINS command code 0202
+ * @param {number|string} areaCode - the parameter area code or name (see `constants.ParameterAreas`)
+ * @param {number} beginWord - the first word to write
+ * @param {number[]|Buffer} data - the words to write
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.lastWord` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.parameterAreaWriteAsync = function (areaCode, beginWord, data, opts, tag) {
+    return _commandAsync(this, this.parameterAreaWrite, [areaCode, beginWord, data], opts, tag);
+};
+
+/**
+ * Promise based variant of `parameterAreaClear`. PARAMETER AREA CLEAR.
+ * FINS command code 0203
+ * @param {number|string} areaCode - the parameter area code or name (see `constants.ParameterAreas`)
+ * @param {number} count - the number of words to clear
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.parameterAreaClearAsync = function (areaCode, count, opts, tag) {
+    return _commandAsync(this, this.parameterAreaClear, [areaCode, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `programAreaRead`. PROGRAM AREA READ.
+ * FINS command code 0306
+ * @param {number} [beginAddress=0] - the first byte to read
+ * @param {number} [count=null] - the number of bytes to read (`null` to read to the end of the program)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the program data is in `msg.response.buffer`)
+ */
+FinsClient.prototype.programAreaReadAsync = function (beginAddress, count, opts, tag) {
+    return _commandAsync(this, this.programAreaRead, [beginAddress, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `programAreaWrite`. PROGRAM AREA WRITE.
+ * FINS command code 0307
+ * @param {number} beginAddress - the first byte to write
+ * @param {Buffer|number[]} data - the bytes to write
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.last` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.programAreaWriteAsync = function (beginAddress, data, opts, tag) {
+    return _commandAsync(this, this.programAreaWrite, [beginAddress, data], opts, tag);
+};
+
+/**
+ * Promise based variant of `programAreaClear`. PROGRAM AREA CLEAR.
+ * FINS command code 0308
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.programAreaClearAsync = function (opts, tag) {
+    return _commandAsync(this, this.programAreaClear, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `backupProgram`. Backup the user program to a file.
+ * @param {string} filename - the file to write
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (`msg.response` contains the `model`, `length` & `checksum` of the backup)
+ */
+FinsClient.prototype.backupProgramAsync = function (filename, opts, tag) {
+    return _commandAsync(this, this.backupProgram, [filename], opts, tag);
+};
+
+/**
+ * Promise based variant of `restoreProgram`. Restore the user program from a backup file.
+ * @param {string} filename - the backup file
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.checkModel` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.restoreProgramAsync = function (filename, opts, tag) {
+    return _commandAsync(this, this.restoreProgram, [filename], opts, tag);
+};
+
+/**
+ * Promise based variant of `accessRightAcquire`. ACCESS RIGHT ACQUIRE.
+ * FINS command code 0C01
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (rejects with end code `3001` if another device holds the access right - see `err.msg.response.holder`)
+ */
+FinsClient.prototype.accessRightAcquireAsync = function (opts, tag) {
+    return _commandAsync(this, this.accessRightAcquire, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `accessRightForcedAcquire`. ACCESS RIGHT FORCED ACQUIRE.
+ * FINS command code 0C02
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.accessRightForcedAcquireAsync = function (opts, tag) {
+    return _commandAsync(this, this.accessRightForcedAcquire, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `accessRightRelease`. ACCESS RIGHT RELEASE.
+ * FINS command code 0C03
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.accessRightReleaseAsync = function (opts, tag) {
+    return _commandAsync(this, this.accessRightRelease, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `withAccessRight`. Acquire the access right, run some work then release the access right.
+ * @param {Function} work - an `async () => {}` function (or `(done) => {}` function)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.force` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the result of the work is in `msg.response.result`)
+ */
+FinsClient.prototype.withAccessRightAsync = function (work, opts, tag) {
+    return _commandAsync(this, this.withAccessRight, [work], opts, tag);
+};
+
+/**
+ * Promise based variant of `errorClear`. ERROR CLEAR.
+ * FINS command code 2101
+ * @param {number|string} errorCode - the error to clear e.g. `0x00F7`, `"BATTERY_ERROR"`, `"current"` or `"all"`
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.errorClearAsync = function (errorCode, opts, tag) {
+    return _commandAsync(this, this.errorClear, [errorCode], opts, tag);
+};
+
+/**
+ * Promise based variant of `errorLogRead`. ERROR LOG READ.
+ * FINS command code 2102
+ * @param {number} [beginRecord=0] - the first record to read
+ * @param {number} [count=null] - the number of records to read (`null` to read all stored records)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the records are in `msg.response.records`)
+ */
+FinsClient.prototype.errorLogReadAsync = function (beginRecord, count, opts, tag) {
+    return _commandAsync(this, this.errorLogRead, [beginRecord, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `errorLogClear`. ERROR LOG CLEAR.
+ * FINS command code 2103
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.errorLogClearAsync = function (opts, tag) {
+    return _commandAsync(this, this.errorLogClear, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `fileNameRead`. FILE NAME READ.
+ * FINS command code 2201
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {string} [directory="/"] - the directory e.g. `/LOGS`
+ * @param {number} [beginFile=0] - the first file to read
+ * @param {number} [count=null] - the number of files to read (`null` to read to the last file)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.fileNameReadAsync = function (disk, directory, beginFile, count, opts, tag) {
+    return _commandAsync(this, this.fileNameRead, [disk, directory, beginFile, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `singleFileRead`. SINGLE FILE READ.
+ * FINS command code 2202
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {number} [position=0] - the first byte to read
+ * @param {number} [length=null] - the number of bytes to read (`null` to read to the end of the file)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.singleFileReadAsync = function (disk, path, position, length, opts, tag) {
+    return _commandAsync(this, this.singleFileRead, [disk, path, position, length], opts, tag);
+};
+
+/**
+ * Promise based variant of `singleFileWrite`. SINGLE FILE WRITE.
+ * FINS command code 2203
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {Buffer|string|number[]} data - the data to write
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.mode` `.position` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.singleFileWriteAsync = function (disk, path, data, opts, tag) {
+    return _commandAsync(this, this.singleFileWrite, [disk, path, data], opts, tag);
+};
+
+/**
+ * Promise based variant of `memoryCardFormat`. MEMORY CARD FORMAT.
+ * FINS command code 2204
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.memoryCardFormatAsync = function (disk, opts, tag) {
+    return _commandAsync(this, this.memoryCardFormat, [disk], opts, tag);
+};
+
+/**
+ * Promise based variant of `fileDelete`. FILE DELETE.
+ * FINS command code 2205
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {string|string[]} paths - the file(s) to delete (in the same directory)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.fileDeleteAsync = function (disk, paths, opts, tag) {
+    return _commandAsync(this, this.fileDelete, [disk, paths], opts, tag);
+};
+
+/**
+ * Promise based variant of `volumeLabelCreate`. VOLUME LABEL CREATE/DELETE (create or change).
+ * FINS command code 2206
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {string} label - the volume label (up to 11 characters)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.change` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.volumeLabelCreateAsync = function (disk, label, opts, tag) {
+    return _commandAsync(this, this.volumeLabelCreate, [disk, label], opts, tag);
+};
+
+/**
+ * Promise based variant of `volumeLabelDelete`. VOLUME LABEL CREATE/DELETE (delete).
+ * FINS command code 2206
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.volumeLabelDeleteAsync = function (disk, opts, tag) {
+    return _commandAsync(this, this.volumeLabelDelete, [disk], opts, tag);
+};
+
+/**
+ * Promise based variant of `fileCopy`. FILE COPY.
+ * FINS command code 2207
+ * @param {number|string} srcDisk - the disk of the file to copy
+ * @param {string} srcPath - the file to copy
+ * @param {number|string} dstDisk - the disk to copy the file to
+ * @param {string} dstPath - the new file
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.fileCopyAsync = function (srcDisk, srcPath, dstDisk, dstPath, opts, tag) {
+    return _commandAsync(this, this.fileCopy, [srcDisk, srcPath, dstDisk, dstPath], opts, tag);
+};
+
+/**
+ * Promise based variant of `fileNameChange`. FILE NAME CHANGE.
+ * FINS command code 2208
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {string} path - the file e.g. `/LOGS/DATA.CSV`
+ * @param {string} newName - the new file name
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.fileNameChangeAsync = function (disk, path, newName, opts, tag) {
+    return _commandAsync(this, this.fileNameChange, [disk, path, newName], opts, tag);
+};
+
+/**
+ * Promise based variant of `memoryAreaFileTransfer`. MEMORY AREA-FILE TRANSFER.
+ * FINS command code 220A
+ * @param {string|number} mode - `"to_file"`, `"to_memory"` or `"compare"`
+ * @param {string} address - the first word e.g. `D1000`
+ * @param {number} count - the number of words
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {string} path - the file
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.memoryAreaFileTransferAsync = function (mode, address, count, disk, path, opts, tag) {
+    return _commandAsync(this, this.memoryAreaFileTransfer, [mode, address, count, disk, path], opts, tag);
+};
+
+/**
+ * Promise based variant of `directoryCreate`. CREATE/DELETE DIRECTORY (create).
+ * FINS command code 2215
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {string} path - the directory to create e.g. `/LOGS`
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.directoryCreateAsync = function (disk, path, opts, tag) {
+    return _commandAsync(this, this.directoryCreate, [disk, path], opts, tag);
+};
+
+/**
+ * Promise based variant of `directoryDelete`. CREATE/DELETE DIRECTORY (delete).
+ * FINS command code 2215
+ * @param {number|string} disk - the disk (see `constants.FileDisks`)
+ * @param {string} path - the directory to delete e.g. `/LOGS`
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.directoryDeleteAsync = function (disk, path, opts, tag) {
+    return _commandAsync(this, this.directoryDelete, [disk, path], opts, tag);
+};
+
+/**
+ * Promise based variant of `forcedSetReset`. FORCED SET/RESET.
+ * FINS command code 2301
+ * @param {object[]|object} operations - the bits to force and the operation for each bit e.g. `{ "CIO0.01": "set", "W10.3": "release" }`
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.forcedSetResetAsync = function (operations, opts, tag) {
+    return _commandAsync(this, this.forcedSetReset, [operations], opts, tag);
+};
+
+/**
+ * Promise based variant of `forcedSetResetCancel`. FORCED SET/RESET CANCEL.
+ * FINS command code 2302
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.forcedSetResetCancelAsync = function (opts, tag) {
+    return _commandAsync(this, this.forcedSetResetCancel, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `forcedStatusRead`. Read the forced status of consecutive words and list the forced bits.
+ * @param {string} address - the first word e.g. `CIO0` or `W10`
+ * @param {number} count - the number of words to read
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the forced bits are in `msg.response.forced`)
+ */
+FinsClient.prototype.forcedStatusReadAsync = function (address, count, opts, tag) {
+    return _commandAsync(this, this.forcedStatusRead, [address, count], opts, tag);
+};
+
+/**
+ * Promise based variant of `nameSet`. NAME SET.
+ * FINS command code 2601
+ * @param {string} name - the name (up to 8 characters)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.nameSetAsync = function (name, opts, tag) {
+    return _commandAsync(this, this.nameSet, [name], opts, tag);
+};
+
+/**
+ * Promise based variant of `nameDelete`. NAME DELETE.
+ * FINS command code 2602
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.nameDeleteAsync = function (opts, tag) {
+    return _commandAsync(this, this.nameDelete, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `nameRead`. NAME READ.
+ * FINS command code 2603
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the name is in `msg.response.name`)
+ */
+FinsClient.prototype.nameReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.nameRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `ipAddressTableWrite`. IP ADDRESS TABLE WRITE.
+ * FINS command code 2750
+ * @param {{node: number, ipAddress: string}[]} records - the FINS node numbers and IP addresses
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.ipAddressTableWriteAsync = function (records, opts, tag) {
+    return _commandAsync(this, this.ipAddressTableWrite, [records], opts, tag);
+};
+
+/**
+ * Promise based variant of `ipAddressTableRead`. IP ADDRESS TABLE READ.
+ * FINS command code 2760
+ * @param {number} [count=32] - the number of records to read
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the records are in `msg.response.records`)
+ */
+FinsClient.prototype.ipAddressTableReadAsync = function (count, opts, tag) {
+    return _commandAsync(this, this.ipAddressTableRead, [count], opts, tag);
+};
+
+/**
+ * Promise based variant of `ipRouterTableRead`. IP ROUTER TABLE READ.
+ * FINS command code 2761
+ * @param {number} [count=8] - the number of records to read
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the records are in `msg.response.records`)
+ */
+FinsClient.prototype.ipRouterTableReadAsync = function (count, opts, tag) {
+    return _commandAsync(this, this.ipRouterTableRead, [count], opts, tag);
+};
+
+/**
+ * Promise based variant of `protocolStatusRead`. PROTOCOL STATUS READ.
+ * FINS command code 2762
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the counters are in `msg.response.ip` `.icmp` `.tcp` & `.udp`)
+ */
+FinsClient.prototype.protocolStatusReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.protocolStatusRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `memoryStatusRead`. MEMORY STATUS READ.
+ * FINS command code 2763
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the values are in `msg.response.counters`)
+ */
+FinsClient.prototype.memoryStatusReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.memoryStatusRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `socketStatusRead`. SOCKET STATUS READ.
+ * FINS command code 2764
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the sockets are in `msg.response.sockets`)
+ */
+FinsClient.prototype.socketStatusReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.socketStatusRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `addressInformationRead`. ADDRESS INFORMATION READ.
+ * FINS command code 2765
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the addresses are in `msg.response.addresses`)
+ */
+FinsClient.prototype.addressInformationReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.addressInformationRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `ipAddressRead`. IP ADDRESS READ.
+ * FINS command code 2767
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the address is in `msg.response.ipAddress` & `.subnetMask`)
+ */
+FinsClient.prototype.ipAddressReadAsync = function (opts, tag) {
+    return _commandAsync(this, this.ipAddressRead, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `readEthernetUnitSettings`. Read the network settings of an Ethernet Unit.
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (`msg.response` contains `ipAddress` `subnetMask` `node` `ipAddressTable` & `ipRouterTable`)
+ */
+FinsClient.prototype.readEthernetUnitSettingsAsync = function (opts, tag) {
+    return _commandAsync(this, this.readEthernetUnitSettings, [], opts, tag);
+};
+
+/**
+ * Promise based variant of `readTag`. Read one or more tags by name.
+ * @param {string|string[]} names - the tag name(s)
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the values are in `msg.response.values` and `msg.response.tags`)
+ */
+FinsClient.prototype.readTagAsync = function (names, opts, tag) {
+    return _commandAsync(this, this.readTag, [names], opts, tag);
+};
+
+/**
+ * Promise based variant of `writeTag`. Write a tag by name.
+ * @param {string} name - the tag name
+ * @param {*} value - the value (or an array of values) to write
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object
+ */
+FinsClient.prototype.writeTagAsync = function (name, value, opts, tag) {
+    return _commandAsync(this, this.writeTag, [name, value], opts, tag);
+};
+
+/**
+ * Promise based variant of `readPlanned`. Read a list of scattered addresses using the fewest commands.
+ * @param {string|string[]|object} addresses - Array or CSV of addresses or a plan created by `planReads`
+ * @param {CommandOptions} [opts=null] - Optional. Can contain `.maxGap` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing)
+ * @param {*} [tag=null] - Optional tag item that is returned in the resolved msg
+ * @returns {Promise<object>} resolves with the msg object (the values are in `msg.response.values`)
+ */
+FinsClient.prototype.readPlannedAsync = function (addresses, opts, tag) {
+    return _commandAsync(this, this.readPlanned, [addresses], opts, tag);
+};
+
+//#endregion
+
+
+/**
+ * Plan the commands needed to read a list of scattered addresses (see `readPlanned`).
+ * Nearby addresses in the same memory area are merged into one MEMORY AREA READ (0101) and the remaining addresses
+ * are read with MULTIPLE MEMORY AREA READ (0104). No command exceeds the frame limit.
+ * @param {string|string[]} addresses - Array or CSV of addresses e.g. `["D100", "D101", "D105", "CIO0.3", "W10", "D2000:REAL"]`
+ * @param {object} [options] - options `maxGap` (merge addresses up to this many words apart. default `32`) `type` `wordSwap` `byteSwap`
+ * @returns {object} the plan `{addresses, commands}` (pass it to `readPlanned` to read the addresses)
+ */
+FinsClient.prototype.planReads = function (addresses, options) {
+    /** @type {FinsClient}*/ const self = this;
+    options = options || {};
+    return planReads(self.finsAddresses, addresses, {
+        maxGap: options.maxGap,
+        type: options.type,
+        readWords: self.frameLimits.readWords,
+        wordSwap: options.wordSwap != null ? options.wordSwap : self.wordSwap,
+        byteSwap: options.byteSwap != null ? options.byteSwap : self.byteSwap
+    });
+};
+
+/**
+ * Read a list of scattered addresses using the fewest commands (see `planReads`).
+ * The commands are sent one after the other and the values are passed to the callback in `msg.response.values` in the same order as the addresses.
+ * @param {string|string[]|object} addresses - Array or CSV of addresses or a plan created by `planReads` (planning once is faster when the same addresses are read repeatedly)
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.maxGap` `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the command parameters are invalid).
+ */
+FinsClient.prototype.readPlanned = function (addresses, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    if (self.queueCount() >= self.max_queue) {
+        _sendFull(self, callback);
+        return null;
+    }
+    if(self.connected !== true) {
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
+        return null;
+    }
+    let plan = addresses;
+    if (!plan || !Array.isArray(plan.commands)) {
+        try {
+            plan = self.planReads(addresses, options);
+        } catch (error) {
+            _sendError(self, error, callback, { tag: tag });
+            return null;
+        }
+    }
+    const sendChunk = function (command, chunkOptions) {
+        Object.assign(chunkOptions, { type: null }); //typed addresses are already planned
+        if (command.command === "readMultiple") {
+            return self.readMultiple(command.addresses, chunkOptions, tag);
+        }
+        return self.read(command.address, command.count, chunkOptions, tag);
+    };
+    const combineResponses = function (msgs) {
+        return Object.assign({}, msgs[msgs.length - 1].response, {
+            commandDescription: "read-planned",
+            values: mapResponses(plan, msgs.map(msg => msg.response)),
+            buffer: null
+        });
+    };
+    return _sendChunks(self, plan.commands, sendChunk, combineResponses, { address: plan.addresses, count: plan.addresses.length, plan: plan }, options, callback);
+};
+
+/**
+ * Read one or more tags by name (see `tags`).
+ * The values are scaled to engineering units and passed to the callback in `msg.response.values` (in the same order as `names`)
+ * and in `msg.response.tags` as an object of `name: {value, rawValue, units}`
+ * @param {string|string[]} names - the tag name(s) e.g. `"Tank1.Level"` or `["Tank1.Level", "Tank1.Temp"]`
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the first command (returns `null` if any of the tags are not defined or not readable).
+ */
+FinsClient.prototype.readTag = function (names, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    const nameList = Array.isArray(names) ? names : [names];
+    let tags;
+    try {
+        tags = nameList.map(name => self.tags.get(name));
+        tags.forEach(function (t) {
+            if (!t.readable) {
+                throw new FinsTagError(`tag '${t.name}' is write only`, t.name);
+            }
+        });
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    const sendChunk = function (chunk, chunkOptions) {
+        return self.readPlanned(tags.map(t => t.address), chunkOptions, tag);
+    };
+    const combineResponses = function (msgs) {
+        const response = msgs[0].response;
+        const values = [];
+        const tagValues = {};
+        tags.forEach(function (t, index) {
+            const rawValue = response.values[index];
+            const value = self.tags.toEngineering(t, rawValue);
+            values.push(value);
+            tagValues[t.name] = { value: value, rawValue: rawValue, units: t.units };
+        });
+        return Object.assign({}, response, { commandDescription: "read-tag", values: values, tags: tagValues });
+    };
+    return _sendChunks(self, [tags], sendChunk, combineResponses, { tags: nameList }, options, callback);
+};
+
+/**
+ * Write a tag by name (see `tags`).
+ * The value is converted from engineering units (using the tag scaling) and written using the tag data type.
+ * @param {string} name - the tag name e.g. `"Tank1.Level"`
+ * @param {*} value - the value (or an array of values) to write
+ * @param {CommandOptions|CommandCallback} [opts=null] - Optional. If opts is an object, it can contain `.timeout` and `.DNA` `.DA1` `.DA2` numbers (for routing) and a `.callback` method `(err, msg) => {}`  If opts is a callback function, it should have the signature `(err, msg) => {}`
+ * @param {*} [tag=null] - Optional tag item that is sent back in the callback method
+ * @returns the SID of the request (returns `null` if the tag is not defined, is read only or the value is invalid).
+ */
+FinsClient.prototype.writeTag = function (name, value, opts, tag) {
+    /** @type {FinsClient}*/ const self = this;
+    const { options, callback } = _normaliseCommandOptions(opts);
+    let tagDefinition;
+    let rawValue;
+    try {
+        tagDefinition = self.tags.get(name);
+        if (!tagDefinition.writable) {
+            throw new FinsTagError(`tag '${name}' is read only`, name);
+        }
+        rawValue = Array.isArray(value) ? value.map(v => self.tags.toRaw(tagDefinition, v)) : self.tags.toRaw(tagDefinition, value);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    return self.write(tagDefinition.address, rawValue, Object.assign(options, { callback: callback, type: null }), tag);
+};
+
+/**
+ * Poll addresses on a schedule and report changed values.
+ * NOTE: only one read per subscription is outstanding at a time and polls are skipped while the client is disconnected
+ * or the number of queued commands is at or above `queueLimit` (default half of `max_queue`)
+ * @param {string|string[]} addresses - Array or CSV of addresses e.g. `["D100", "D200:REAL", "CIO0.3"]`
+ * @param {object} [options] - subscription options
+ * @param {number} [options.interval=1000] - poll interval in ms
+ * @param {number} [options.deadband=0] - a numeric value is only reported when it changes by more than `deadband`
+ * @param {string} [options.mode="rbe"] - `"rbe"` (report by exception) reports changed values only. `"cyclic"` reports all values every poll
+ * @param {number} [options.queueLimit] - skip polls while the client queue count is at or above this value
+ * @param {number} [options.maxGap] - see `planReads`
+ * @param {Function} [options.onChange] - called `(values, msg) => {}` with an object of `address: value`
+ * @param {Function} [options.onError] - called `(err, msg) => {}` when a poll fails
+ * @param {boolean} [options.paused=false] - create the subscription paused (call `resume()` to start)
+ * @returns {FinsSubscription} the subscription (with `pause()`, `resume()` and `unsubscribe()`)
+ */
+FinsClient.prototype.subscribe = function (addresses, options) {
+    /** @type {FinsClient}*/ const self = this;
+    const subscription = new FinsSubscription(self, addresses, options);
+    self.subscriptions.push(subscription);
+    return subscription;
+};
+
+/**
+ * Monitor the PLC cycle time. The cycle time is sampled (CYCLE TIME READ) on a schedule, rolling statistics & percentiles are kept
+ * and the monitor emits `cycleTimeWarning` when the monitored value rises above `warningMS` (and `cycleTimeNormal` when it falls back below).
+ * NOTE: samples are skipped while the client is disconnected or the number of queued commands is at or above `queueLimit` (default half of `max_queue`)
+ * @param {object} [options] - monitor options
+ * @param {number} [options.interval=1000] - sample interval in ms
+ * @param {number} [options.sampleSize=60] - the number of samples in the rolling statistics
+ * @param {number} [options.warningMS] - the cycle time (ms) above which `cycleTimeWarning` is emitted
+ * @param {string} [options.warningOn="average"] - the value compared with `warningMS` - `"average"` or `"max"` (of the last sample) or `"p50"` `"p90"` `"p99"` (of the rolling statistics)
+ * @param {boolean} [options.reset=false] - initialise the PLC cycle time values after each sample (so the maximum & minimum are for each interval)
+ * @param {number} [options.queueLimit] - skip samples while the client queue count is at or above this value
+ * @param {Function} [options.onSample] - called `(sample, stats, msg) => {}` with each sample `{average, max, min}` and the rolling statistics
+ * @param {Function} [options.onWarning] - called `(details) => {}` when the cycle time rises above `warningMS`
+ * @param {Function} [options.onError] - called `(err, msg) => {}` when a sample fails
+ * @param {boolean} [options.paused=false] - create the monitor paused (call `resume()` to start)
+ * @returns {FinsCycleTimeMonitor} the monitor (with `stats()`, `clear()`, `pause()`, `resume()` and `stop()`)
+ */
+FinsClient.prototype.monitorCycleTime = function (options) {
+    /** @type {FinsClient}*/ const self = this;
+    const monitor = new FinsCycleTimeMonitor(self, options);
+    self.cycleTimeMonitors.push(monitor);
+    return monitor;
+};
+
+/**
+ * Unsubscribe all subscriptions
+ */
+FinsClient.prototype.unsubscribeAll = function () {
+    [...this.subscriptions].forEach(subscription => subscription.unsubscribe());
+};
+
+/**
+ * Set the capability profile used to check address ranges before commands are sent.
+ * Addresses & counts outside the profile are rejected with a `FinsAddressError`. Areas not in the profile are not checked.
+ * @param {string|object|boolean} capabilities - a preset name (see `constants.CapabilityProfiles`) e.g. `"CJ2M"`,
+ * `true` for the preset of `MODE`, an object e.g. `{ D: 32768, EMBanks: 4 }` or `null` to stop checking
+ */
+FinsClient.prototype.setCapabilities = function (capabilities) {
+    /** @type {FinsClient}*/ const self = this;
+    self.capabilities = _capabilityProfile(self.options.MODE, capabilities);
+    self.capabilitiesSet = true; //keep the profile if the client is re-initialised (e.g. `connect()` with a new `MODE`)
+    self.finsAddresses.setCapabilities(self.capabilities);
+};
+
+/**
+ * Get the capability profile used to check address ranges
+ * @returns {object} the profile (`null` if addresses are not checked)
+ */
+FinsClient.prototype.getCapabilities = function () {
+    return this.capabilities;
+};
+
+FinsClient.prototype.stringToFinsAddress = function (addressString) {
+    return this.finsAddresses.stringToAddress(addressString);
+};
+
+FinsClient.prototype.FinsAddressToString = function (finsAddress, offsetWD, offsetBit) {
+    return this.finsAddresses.addressToString(finsAddress, offsetWD, offsetBit);
+};
+
+FinsClient.prototype.queueCount = function () {
+    return this.sequenceManager.activeCount();
+};
+
+//#endregion
+
+
+//#region Socket Handlers
+
+function socket_initialised() {
+    /** @type {FinsClient}*/ const self = this;
+    self.initialised = true;
+    self.emit('initialised', self.options);
+}
+
+function socket_listening() {
+    /** @type {FinsClient}*/ const self = this;
+    if (self._connectTimer) {
+        clearTimeout(self._connectTimer);
+        self._connectTimer = null;
+    }
+    self.connected = true;
+    self.reconnectAttempts = 0;
+    _setState(self, STATES.CONNECTED, self.remoteInfo);
+    self.emit('open', self.remoteInfo);
+}
+
+// eslint-disable-next-line no-unused-vars
+function tcp_socket_init_listening(err, data) {
+    /** @type {FinsClient}*/ const self = this;
+    _setState(self, STATES.HANDSHAKING);
+    /*
+    * GENERATE FINS NODE NUMBER DATA SEND COMMAND (CLIENT TO SERVER)
+    * Client node address 0 = AUTOMATICALLY GET FINS CLIENT FINS NODE NUMBER
+    */
+    const clientNodeAddress = Buffer.alloc(4);
+    self.tcp_socket.write(self.tcpStream.frame(TCP_COMMANDS.NODE_ADDRESS_DATA_SEND_CLIENT, clientNodeAddress), () => { });
+}
+
+/**
+ * Handle FINS/TCP data received from the socket.
+ * Data is passed through the stream reassembler and each complete FINS/TCP frame is processed according to its command
+ * @param {Buffer} chunk - data received from the socket
+ */
+function tcp_socket_receive(chunk) {
+    /** @type {FinsClient}*/ const self = this;
+    const { frames, discarded } = self.tcpStream.push(chunk);
+    if (discarded) {
+        self.emit('error', new FinsTransportError(`FINS/TCP stream out of sync - discarded ${discarded} bytes`));
+    }
+    for (let index = 0; index < frames.length; index++) {
+        if (!self.tcp_socket) {
+            return; //connection was closed while processing the frames
+        }
+        const frame = frames[index];
+        switch (frame.command) {
+        case TCP_COMMANDS.NODE_ADDRESS_DATA_SEND_SERVER:
+            tcp_node_address_receive.call(self, frame);
+            break;
+        case TCP_COMMANDS.FRAME_SEND:
+            if (frame.errorCode) {
+                self.emit('error', new FinsTransportError(_tcpErrorDescription(frame.errorCode), null, { tcpErrorCode: frame.errorCode }));
+            } else if (self.connected) {
+                socket_receive.call(self, frame.data, self.remoteInfo);
+            }
+            break;
+        case TCP_COMMANDS.FRAME_SEND_ERROR_NOTIFICATION:
+            self.emit('error', new FinsTransportError(`FINS frame send error: ${_tcpErrorDescription(frame.errorCode)}`, null, { tcpErrorCode: frame.errorCode }));
+            break;
+        case TCP_COMMANDS.CONNECTION_CONFIRMATION:
+            //the server is checking the connection is alive - nothing to do
+            break;
+        default:
+            self.emit('error', new FinsTransportError(`Unexpected FINS/TCP command '${frame.command}'`, null, { tcpErrorCode: frame.errorCode }));
+            break;
+        }
+    }
+}
+
+/**
+ * Process the FINS NODE ADDRESS DATA SEND (SERVER TO CLIENT) reply to the handshake
+ * @param {object} frame - the FINS/TCP frame `{command, errorCode, data}`
+ */
+function tcp_node_address_receive(frame) {
+    /** @type {FinsClient}*/ const self = this;
+    if (self.state !== STATES.HANDSHAKING) {
+        return; //not expecting a node address
+    }
+    if (frame.errorCode) {
+        self._socket_handler_tcp_init_error(new FinsTcpHandshakeError(frame.errorCode));
+        return;
+    }
+    if (frame.data.length < 8) {
+        self._socket_handler_tcp_init_error(new FinsTcpHandshakeError("Initial response is invalid - expected 8 bytes of node address data"));
+        return;
+    }
+    self.client_node_no = frame.data[3]; //My node no
+    self.server_node_no = frame.data[7]; //PLC node no
+    self._socket_handler_listening();
+}
+
+function tcp_socket_init_error(err) {
+    /** @type {FinsClient}*/ const self = this;
+    if (!_reconnectEnabled(self)) {
+        self.emit('error', err);
+    }
+    _connectionLost(self, err);
+}
+
+function socket_close() {
+    /** @type {FinsClient}*/ const self = this;
+    _connectionLost(self);
+}
+
+function socket_error(err) {
+    /** @type {FinsClient}*/ const self = this;
+    const error = new FinsTransportError(err.message, err);
+    if (self.protocol == "tcp" && _reconnectEnabled(self)) {
+        //reported via the `reconnecting` state info (or `reconnectFailed`) instead of `error`
+        _connectionLost(self, error);
+        return;
+    }
+    self.emit('error', error);
+}
+
+/**
+ * Handle a complete FINS frame (a UDP datagram or the data of a FINS/TCP FRAME SEND)
+ * @param {Buffer} buf - the FINS frame
+ * @param {object} rinfo - remote host info
+ */
+function socket_receive(buf, rinfo) {
+    /** @type {FinsClient}*/ const self = this;
+    if (!rinfo && self.protocol == "tcp") {
+        rinfo = self.remoteInfo;
+    }
+    try {
+        process(buf);
+    } catch (error) {
+        self.emit('error', error);
+    }
+
+    function process(buffer) {
+        const response = self.processReply(buffer, rinfo);
+        if (typeof response === "object") {
+            self.sequenceManager.done(response.sid); //1st, cancel the timeout
+            var seq = self.sequenceManager.get(response.sid); //now get the sequence
+            if (seq) {
+                seq.response = response;
+                var request = seq.request;
+                let error = null;
+                if (_isEndCodeError(self, response, request)) {
+                    error = new FinsEndCodeError(response, seq);
+                }
+                if (request && request.callback) {
+                    request.callback(error, seq);
+                } else if (error) {
+                    self.emit('error', error, seq);
+                } else {
+                    self.emit('reply', seq);
+                }
+                self.sequenceManager.remove(response.sid);
+            }
+        } else if(response === -1){
+            //error already sent
+        } else {
+            throw new FinsError("Unable to process the PLC reply");
+        }
+    }
+}
+
+//#endregion
+
+
+//#region Supporting functions
+
+function _normaliseCommandOptions(/** @type {CommandCallback|CommandOptions}*/options) {
+    /** @type {CommandCallback}*/ let callback;
+    options = options || {};
+    if (typeof options == "function") {
+        callback = options
+        options = {};
+    }
+    if (typeof options.callback == "function") {
+        callback = options.callback
+        delete options.callback;
+    }
+    return { options, callback };
+}
+
+/**
+ * Call a callback style command and return a Promise for its reply.
+ * The promise is rejected if the command fails, times out or (unless `endCodeAsError` is `false`) the PLC replies with a non normal end code.
+ * NOTE: If `opts` contains a `.callback` it is still called (before the promise is settled)
+ * @param {FinsClient} fcInstance - the FinsClient instance
+ * @param {Function} commandFn - the callback style command function e.g. `FinsClient.prototype.read`
+ * @param {Any[]} args - the command arguments that come before `opts` and `tag`
+ * @param {CommandOptions|CommandCallback} opts - the command options
+ * @param {*} tag - optional tag
+ * @returns {Promise<object>} the msg object
+ */
+function _commandAsync(fcInstance, commandFn, args, opts, tag) {
+    return new Promise(function (resolve, reject) {
+        const { options, callback } = _normaliseCommandOptions(typeof opts == "object" && opts ? Object.assign({}, opts) : opts);
+        let settled = false;
+        const done = function (err, msg) {
+            if (settled) return; //a late reply after a timeout must not re-settle the promise
+            settled = true;
+            if (err) {
+                reject(typeof err == "object" && err.message ? err : new FinsError(err));
+            } else {
+                resolve(msg);
+            }
+            if (callback) {
+                try {
+                    callback(err, msg);
+                } catch (error) {
+                    //the promise is settled - report user callback errors like socket_receive does so they are not lost
+                    fcInstance.emit('error', error);
+                }
+            }
+        };
+        options.callback = done;
+        try {
+            commandFn.call(fcInstance, ...args, options, tag);
+        } catch (error) {
+            done(error);
+        }
+    });
+}
+
+function _tcpErrorDescription(tcpErrorCode) {
+    return constants.TCPCommandErrorCodes[tcpErrorCode.toString(16)] || `FINS/TCP error ${tcpErrorCode}`;
+}
+
+function _getResponseCommandCode(byte10, byte11) {
+    return [byte10, byte11].map(e => e.toString(16).padStart(2, "0")).join('');
+}
+
+/**
+ * Transmit the command buffer to socket
+ * @param {FinsClient} fcInstance - the FinsClient instance
+ * @param {number} SID - Service ID for this transmission
+ * @param {Buffer} buffer - the buffer to transmit
+ * @param {Object} request - the request details object
+ * @param {Any} tag - optional tag object to be sent in the request callback back after response is received
+ */
+function _transmitCommand(fcInstance, SID, buffer, request, tag) {
+    setImmediate(function (SID, buffer, _req, tag) {
+        fcInstance.sequenceManager.add(SID, _req, tag);//add the SID sequence manager for monitoring / timeout / stats etc
+        _transmitFrame(fcInstance, buffer, function (err) {
+            if (err) {
+                fcInstance.sequenceManager.setError(SID, err instanceof FinsError ? err : new FinsTransportError(err.message, err));
+            } else {
+                fcInstance.sequenceManager.confirmSent(SID);
+            }
+        });
+    }, SID, buffer, request, tag);
+}
+
+/**
+ * Send a FINS frame on the UDP or TCP socket
+ * @param {FinsClient} fcInstance - the FinsClient instance
+ * @param {Buffer} buffer - the FINS frame
+ * @param {Function} cb - `(err) => {}` called when the frame has been sent
+ */
+function _transmitFrame(fcInstance, buffer, cb) {
+    if (fcInstance.protocol === "tcp") {
+        if(!fcInstance.tcp_socket || !fcInstance.connected) {
+            cb(new FinsTransportError("not connected"));
+        } else {
+            if (buffer[4] !== constants.NetworkTest.BROADCAST_NODE) {
+                buffer[4] = fcInstance.server_node_no//DA1 dest PLC node no
+            }
+            buffer[7] = fcInstance.client_node_no//SA1 src node no
+            //FINS/TCP header with the 32 bit length of data from Command up to end of FINS frame
+            const packet = fcInstance.tcpStream.frame(TCP_COMMANDS.FRAME_SEND, buffer);
+            fcInstance.tcp_socket.write(packet, cb);
+        }
+    } else {
+        if(!fcInstance.socket || !fcInstance.connected) {
+            cb(new FinsTransportError("not connected"));
+        } else {
+            fcInstance.socket.send(buffer, cb);
+        }
+    }
+}
+
+/**
+ * Get the frame limits from the `frameLimits` option (missing values are the defaults for the PLC type & protocol in `constants.FrameLimits`)
+ * @param {string} mode - the PLC type (`MODE`)
+ * @param {string} protocol - `"udp"` or `"tcp"`
+ * @param {object} [frameLimits] - the `frameLimits` option `{readWords, writeWords}`
+ * @returns {{readWords: number, writeWords: number}} the frame limits
+ */
+function _normaliseFrameLimits(mode, protocol, frameLimits) {
+    const modeLimits = constants.FrameLimits[mode] || constants.FrameLimits.CS;
+    const defaults = modeLimits[protocol] || modeLimits.udp;
+    frameLimits = frameLimits || {};
+    return {
+        readWords: isInt(frameLimits.readWords, defaults.readWords),
+        writeWords: isInt(frameLimits.writeWords, defaults.writeWords)
+    };
+}
+
+/**
+ * Get a capability profile from the `capabilities` option
+ * @param {string} mode - the PLC type (`MODE`)
+ * @param {string|object|boolean} capabilities - a preset name, `true` for the preset of `mode`, a profile object or `null`
+ * @returns {object} a copy of the profile (`null` if addresses are not checked)
+ */
+function _capabilityProfile(mode, capabilities) {
+    if (capabilities == null || capabilities === false) {
+        return null;
+    }
+    const name = capabilities === true ? mode : capabilities;
+    if (typeof name == "string") {
+        const preset = constants.CapabilityProfiles[name.toUpperCase()];
+        if (!preset) {
+            throw new FinsError(`capability profile '${name}' is not known. Use one of ${Object.keys(constants.CapabilityProfiles).join(", ")} or a profile object`);
+        }
+        return Object.assign({}, preset);
+    }
+    if (typeof capabilities != "object") {
+        throw new FinsError("capabilities must be a profile name, a profile object or true");
+    }
+    return Object.assign({}, capabilities);
+}
+
+/**
+ * Find the capability preset of a CPU model (the preset with the longest name the model starts with) e.g. `CJ2M-CPU33` = `CJ2M`
+ * @param {string} model - the CPU unit model
+ * @returns {object} the preset (`null` if there is no preset for the model)
+ */
+function _modelCapabilityProfile(model) {
+    model = String(model || "").trim().toUpperCase();
+    const name = Object.keys(constants.CapabilityProfiles)
+        .filter(key => model.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    return name ? constants.CapabilityProfiles[name] : null;
+}
+
+/**
+ * Check `count` elements from an address are within the capability profile (see `FinsAddressUtil.checkRange`)
+ * @returns {boolean} true if the range is valid (otherwise the error is sent to the callback and false is returned)
+ */
+function _checkRange(self, memoryAddress, count, callback, tag) {
+    try {
+        self.finsAddresses.checkRange(memoryAddress, count);
+        return true;
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return false;
+    }
+}
+
+/**
+ * Calculate how many elements (words, bits or double words) of an address fit in one frame
+ * @param {number} maxWords - the frame limit in words
+ * @param {object} memoryAddress - the decoded memory address
+ * @param {object} [dataType] - the data type (the result is a multiple of the type size so no value is split across frames)
+ * @returns {number} the maximum number of elements
+ */
+function _maxElementsPerFrame(maxWords, memoryAddress, dataType) {
+    const elementLength = (memoryAddress && memoryAddress.elementLength) || 2;
+    const maxElements = Math.max(1, Math.floor((maxWords * 2) / elementLength));
+    if (dataType && dataType.words > 1) {
+        return Math.max(dataType.words, maxElements - (maxElements % dataType.words));
+    }
+    return maxElements;
+}
+
+/**
+ * Get the data type of a read/write from the address suffix (e.g. `D100:REAL`) or `options.type`
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {object} memoryAddress - the decoded memory address
+ * @param {CommandOptions} options - the command options
+ * @returns {object} the data type (see `FinsDataTypes.parseDataType`) or `null` if no data type is specified
+ */
+function _commandDataType(self, memoryAddress, options) {
+    const type = memoryAddress.dataType || options.type;
+    const dataType = parseDataType(type, {
+        wordSwap: options.wordSwap != null ? options.wordSwap : self.wordSwap,
+        byteSwap: options.byteSwap != null ? options.byteSwap : self.byteSwap,
+        length: options.length
+    });
+    if (dataType && (memoryAddress.isBitAddress || memoryAddress.elementLength !== 2)) {
+        throw new FinsAddressError(`data type '${type}' is only valid for word addresses`, memoryAddress.toString());
+    }
+    return dataType;
+}
+
+/**
+ * Read more elements than fit in one frame by sending sequential MEMORY AREA READ commands.
+ * Typed values are read as words then decoded once all chunks are received.
+ * @returns the SID of the first command
+ */
+function _readChunked(self, memoryAddress, count, maxElements, dataType, options, callback, tag) {
+    const chunks = [];
+    const elementCount = dataType ? count * dataType.words : count;
+    for (let offset = 0; offset < elementCount; offset += maxElements) {
+        chunks.push({
+            address: self.finsAddresses.offsetAddress(memoryAddress, offset),
+            count: Math.min(maxElements, elementCount - offset)
+        });
+    }
+    const sendChunk = function (chunk, chunkOptions) {
+        return self.read(chunk.address, chunk.count, Object.assign(chunkOptions, { type: null }), tag);
+    };
+    const combineResponses = function (msgs) {
+        const buffer = Buffer.concat(msgs.map(msg => msg.response.buffer));
+        let values = [];
+        if (dataType) {
+            values = bytesToValues(buffer, dataType);
+        } else {
+            msgs.forEach(msg => values.push(...msg.response.values));
+        }
+        return Object.assign({}, msgs[msgs.length - 1].response, {
+            values: values,
+            buffer: buffer
+        });
+    };
+    return _sendChunks(self, chunks, sendChunk, combineResponses, { address: memoryAddress, count: count, dataType: dataType }, options, callback);
+}
+
+/**
+ * Write more elements than fit in one frame by sending sequential MEMORY AREA WRITE commands
+ * @returns the SID of the first command
+ */
+function _writeChunked(self, memoryAddress, data, maxElements, options, callback, tag) {
+    const chunks = [];
+    for (let offset = 0; offset < data.length; offset += maxElements) {
+        chunks.push({
+            address: self.finsAddresses.offsetAddress(memoryAddress, offset),
+            data: data.slice(offset, offset + maxElements)
+        });
+    }
+    const sendChunk = function (chunk, chunkOptions) {
+        return self.write(chunk.address, chunk.data, Object.assign(chunkOptions, { type: null }), tag); //typed values are already encoded to words
+    };
+    const combineResponses = function (msgs) {
+        return msgs[msgs.length - 1].response;
+    };
+    return _sendChunks(self, chunks, sendChunk, combineResponses, { address: memoryAddress, count: data.length }, options, callback);
+}
+
+/**
+ * Build a command frame and send it.
+ * Checks the queue & connection (the callback is called with an error if the command cannot be sent).
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {string} commandCode - the command code (see `constants.Commands`) e.g. `"0201"`
+ * @param {Array} data - the command data (the bytes after the command code)
+ * @param {object} requestDetails - properties to add to the request e.g. `{ areaCode, beginWord }`
+ * @param {CommandOptions} options - the command options
+ * @param {CommandCallback} callback - the user callback (if any)
+ * @param {*} tag - optional tag
+ * @returns the SID of the request (returns `null` if the command was not sent).
+ */
+function _sendCommand(self, commandCode, data, requestDetails, options, callback, tag) {
+    if (self.queueCount() >= self.max_queue) {
+        _sendFull(self, callback);
+        return null;
+    }
+    if(self.connected !== true) {
+        _sendError(self, new FinsTransportError("not connected"), callback, { tag: tag });
+        return null;
+    }
+    const SID = self.header.incrementSID();
+    const headerBytes = self.header.bytes(options);
+    const command = constants.Commands[commandCode];
+    const packet = mergeData(headerBytes, command.command, data || []);
+    const buffer = Buffer.from(packet);
+    const request = Object.assign({
+        sid: SID,
+        command: command,
+        options: options,
+    }, requestDetails, {
+        callback: callback
+    });
+    _transmitCommand(self, SID, buffer, request, tag);
+    return SID;
+}
+
+/**
+ * Send a list of commands one after the other then pass one combined msg to the callback (or emit `reply`).
+ * Sending stops at the first error.
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {object[]} chunks - the chunks to send
+ * @param {Function} sendChunk - `(chunk, chunkOptions) => SID` sends one chunk
+ * @param {Function} combineResponses - `(msgs) => response` combines the responses of all chunks
+ * @param {object} request - request properties to set in the combined msg e.g. `address` and `count`
+ * @param {CommandOptions} options - the command options
+ * @param {CommandCallback} callback - the user callback (if any)
+ * @returns the SID of the first command
+ */
+function _sendChunks(self, chunks, sendChunk, combineResponses, request, options, callback) {
+    const sendPage = (index, pageOptions) => sendChunk(chunks[index], pageOptions);
+    const nextPage = (msg, index) => (index + 1 < chunks.length ? index + 1 : null);
+    return _sendPaged(self, 0, sendPage, nextPage, combineResponses, request, options, callback);
+}
+
+/**
+ * Send commands one after the other until `nextPage` returns `null` then pass one combined msg to the callback (or emit `reply`).
+ * Used where the number of commands is only known from the replies (e.g. reading until the PLC reports the last word).
+ * Sending stops at the first error.
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {*} firstPage - the first page to send
+ * @param {Function} sendPage - `(page, pageOptions) => SID` sends one page
+ * @param {Function} nextPage - `(msg, page) => nextPage` returns the next page to send (or `null` when done)
+ * @param {Function} combineResponses - `(msgs) => response` combines the responses of all pages (an error thrown is passed to the callback)
+ * @param {object} request - request properties to set in the combined msg
+ * @param {CommandOptions} options - the command options
+ * @param {CommandCallback} callback - the user callback (if any)
+ * @returns the SID of the first command
+ */
+function _sendPaged(self, firstPage, sendPage, nextPage, combineResponses, request, options, callback) {
+    const msgs = [];
+    let finished = false;
+    const finish = function (err, msg) {
+        if (finished) return;
+        finished = true;
+        _complete(self, callback, err, msg);
+    };
+    const send = function (page) {
+        let called = false;
+        const pageOptions = Object.assign({}, options, {
+            callback: function (err, msg) {
+                if (called) return; //ignore a late reply after a timeout
+                called = true;
+                if (err) {
+                    return finish(err, msg);
+                }
+                msgs.push(msg);
+                let next;
+                try {
+                    next = nextPage(msg, page);
+                } catch (error) {
+                    return finish(error, msg);
+                }
+                if (next != null) {
+                    send(next);
+                    return;
+                }
+                const last = msgs[msgs.length - 1];
+                let response;
+                try {
+                    response = combineResponses(msgs);
+                } catch (error) {
+                    return finish(error, last);
+                }
+                finish(null, Object.assign({}, last, {
+                    request: Object.assign({}, last.request, request),
+                    response: response,
+                    timeTaken: msgs.reduce((total, m) => total + (m.timeTaken || 0), 0),
+                    chunks: msgs
+                }));
+            }
+        });
+        return sendPage(page, pageOptions);
+    };
+    return send(firstPage);
+}
+
+/**
+ * Send a fixed list of different commands one after the other then pass one combined msg to the callback (or emit `reply`).
+ * Sending stops at the first error (or if `checkStep` throws).
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {Function[]} steps - `(stepOptions) => SID` functions that each send one command (or request)
+ * @param {Function} combineResponses - `(msgs) => response` combines the responses of all steps
+ * @param {object} request - request properties to set in the combined msg
+ * @param {CommandOptions} options - the command options
+ * @param {CommandCallback} callback - the user callback (if any)
+ * @param {Function} [checkStep] - `(msg, step) => {}` called with the reply of each step. Throw an error to stop
+ * @returns the SID of the first command
+ */
+function _sendSteps(self, steps, combineResponses, request, options, callback, checkStep) {
+    const sendStep = (step, stepOptions) => steps[step](stepOptions);
+    const nextStep = function (msg, step) {
+        checkStep && checkStep(msg, step);
+        return step + 1 < steps.length ? step + 1 : null;
+    };
+    return _sendPaged(self, 0, sendStep, nextStep, combineResponses, request, options, callback);
+}
+
+/**
+ * Pass the result of a request to the callback (or emit `error` / `reply` if there is no callback)
+ */
+function _complete(self, callback, err, msg) {
+    if (callback) {
+        callback(err, msg);
+    } else if (err) {
+        self.emit('error', err, msg);
+    } else {
+        self.emit('reply', msg);
+    }
+}
+
+/**
+ * Run the work of `withAccessRight`. `work` can call `done(err, result)` or return a Promise
+ */
+function _runWork(work, done) {
+    let finished = false;
+    const finish = function (err, result) {
+        if (finished) return;
+        finished = true;
+        done(err || null, result);
+    };
+    try {
+        const promise = work(finish);
+        if (promise && typeof promise.then == "function") {
+            promise.then(result => finish(null, result), err => finish(err || new FinsError("work failed")));
+        }
+    } catch (error) {
+        finish(error);
+    }
+}
+
+/**
+ * Release the access right. If the connection is lost and `reconnect` is enabled, the release is sent when the connection is re-opened
+ * (unless `disconnect()` is called or the access right is acquired again first).
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {CommandOptions} options - the command options
+ * @param {*} tag - optional tag
+ * @param {Function} callback - `(err, released) => {}`
+ */
+function _releaseAccessRight(self, options, tag, callback) {
+    if (self.connected !== true && _reconnectEnabled(self)) {
+        _cancelDeferredRelease(self);
+        const release = function () {
+            if (self._deferredRelease !== release) {
+                return; //cancelled while 'open' was being emitted
+            }
+            self._deferredRelease = null;
+            self.accessRightRelease(Object.assign({}, options, { callback: () => {} }), tag);
+        };
+        self._deferredRelease = release;
+        self.once('open', release);
+        return callback(new FinsTransportError("not connected - the access right will be released when the connection is re-opened"), false);
+    }
+    self.accessRightRelease(Object.assign({}, options, {
+        callback: (err) => callback(err, !err)
+    }), tag);
+}
+
+/**
+ * Cancel a release of the access right waiting for the connection to be re-opened (see `_releaseAccessRight`)
+ * @param {FinsClient} self - the FinsClient instance
+ */
+function _cancelDeferredRelease(self) {
+    if (self._deferredRelease) {
+        self.removeListener('open', self._deferredRelease);
+        self._deferredRelease = null;
+    }
+}
+
+/**
+ * Get the disk number for the file memory commands
+ * @param {number|string} disk - a disk number or name from `constants.FileDisks` (`"EM"` is short for `"EM_FILE_MEMORY"`)
+ * @returns {number} the disk number (throws an error if the disk is not valid)
+ */
+function _fileDisk(disk) {
+    const disks = constants.FileDisks;
+    if (typeof disk == "string") {
+        const name = disk.trim().toUpperCase().replace(/[-\s]/g, "_");
+        disk = name === "EM" ? disks.EM_FILE_MEMORY : disks[name];
+    }
+    if (getKeyName(disks, disk) == null) {
+        throw new FinsError(`disk is invalid. Use ${Object.keys(disks).map(name => `"${name}"`).join(" or ")}`, { disk: disk });
+    }
+    return disk;
+}
+
+/**
+ * Split & encode the disk and path of a file for the file memory commands (throws an error if the path is not valid)
+ */
+function _filePath(disk, path) {
+    const { directory, name } = splitPath(path);
+    return {
+        disk: _fileDisk(disk),
+        path: joinPath(directory, name),
+        directory: directory,
+        name: name,
+        nameBytes: encodeFileName(name),
+        directoryBytes: encodeDirectory(directory)
+    };
+}
+
+/**
+ * Get a parameter code from a name (e.g. `"to_file"` or `"toFile"`) or number (throws an error if it is not valid)
+ */
+function _constantCode(codes, value, description) {
+    let code = value;
+    if (typeof value == "string") {
+        code = codes[value.trim().replace(/([a-z])([A-Z])/g, "$1_$2").replace(/[-\s]/g, "_").toUpperCase()];
+    }
+    if (code == null || getKeyName(codes, code) == null) {
+        throw new FinsError(`'${value}' is not a valid ${description}. Use ${Object.keys(codes).map(name => `"${name.toLowerCase()}"`).join(", ")}`);
+    }
+    return code;
+}
+
+/**
+ * Send VOLUME LABEL CREATE/DELETE
+ */
+function _volumeLabel(self, disk, mode, label, options, callback, tag) {
+    let diskNo;
+    try {
+        diskNo = _fileDisk(disk);
+        label = String(label == null ? "" : label).trim();
+        if (mode !== constants.VolumeLabelModes.DELETE && (!label.length || label.length > 11 || !/^[\x20-\x7E]*$/.test(label))) {
+            throw new FinsError(`'${label}' is not a valid volume label. Use up to 11 characters`, { label: label });
+        }
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    const labelBytes = Buffer.from(label.padEnd(constants.FileMemory.FILE_NAME_BYTES, " "), "ascii");
+    const request = { disk: diskNo, mode: getKeyName(constants.VolumeLabelModes, mode), label: label };
+    return _sendCommand(self, "2206", [wordsToBytes(diskNo), wordsToBytes(mode), [...labelBytes]], request, options, callback, tag);
+}
+
+/**
+ * Send CREATE/DELETE DIRECTORY
+ */
+function _directory(self, disk, mode, path, options, callback, tag) {
+    let directory;
+    try {
+        directory = _filePath(disk, path);
+    } catch (error) {
+        _sendError(self, error, callback, { tag: tag });
+        return null;
+    }
+    const data = [wordsToBytes(directory.disk), wordsToBytes(mode), [...directory.nameBytes], [...directory.directoryBytes]];
+    const request = { disk: directory.disk, mode: getKeyName(constants.DirectoryModes, mode), path: directory.path };
+    return _sendCommand(self, "2215", data, request, options, callback, tag);
+}
+
+/**
+ * The memory areas that can be forced for the PLC `MODE` (see `constants.ForceAreas`)
+ */
+function _forceAreas(self) {
+    return self.options.MODE === "CV" ? constants.ForceAreas.CV : constants.ForceAreas.CS;
+}
+
+/**
+ * Normalise & validate the operations of FORCED SET/RESET
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {object[]|object} operations - `[{address, operation}]`, `{address, operation}` or `{ [address]: operation }`
+ * @returns {{address: string, memoryAddress: object, operation: string, code: number}[]} the operations (throws an error if any are invalid)
+ */
+function _forceItems(self, operations) {
+    let list = operations;
+    if (operations && !Array.isArray(operations) && typeof operations == "object") {
+        list = typeof operations.address == "string" ? [operations] : Object.keys(operations).map(address => ({ address: address, operation: operations[address] }));
+    }
+    if (!Array.isArray(list) || !list.length) {
+        throw new FinsError("operations is empty");
+    }
+    const maxItems = Math.floor((self.frameLimits.writeWords * 2 - 2) / 6); //set/reset specification & bit address of each bit
+    if (list.length > maxItems) {
+        throw new FinsError(`too many operations (the maximum is ${maxItems})`);
+    }
+    const forceAreas = _forceAreas(self);
+    return list.map(function (item) {
+        const address = item && typeof item.address == "string" ? item.address.trim() : item && item.address;
+        const memoryAddress = self.stringToFinsAddress(String(address));
+        if (!memoryAddress.isBitAddress || !forceAreas.bit.includes(memoryAddress.MemoryArea)) {
+            throw new FinsAddressError(`'${address}' cannot be forced. Use a bit address in ${forceAreas.bit.join(", ")}`, address);
+        }
+        let code = item.operation;
+        let operation = getKeyName(constants.ForceOperations, code);
+        if (typeof code == "string") {
+            operation = code.trim().replace(/([a-z])([A-Z])/g, "$1_$2").replace(/[-\s]/g, "_").toUpperCase();
+            code = constants.ForceOperations[operation];
+        }
+        if (code == null || operation == null) {
+            throw new FinsError(`'${item.operation}' is not a valid force operation for '${address}'`, { address: address });
+        }
+        return { address: address, memoryAddress: memoryAddress, operation: operation.toLowerCase(), code: code };
+    });
 }
 
-// eslint-disable-next-line no-unused-vars
-function tcp_socket_init_listening(err, data) {
-    /** @type {FinsClient}*/ const self = this;
-    /* SEND FINS/TCP COMMAND*/
-    /*
-    * GENERATE FINS NODE NUMBER DATA SEND COMMAND (CLIENT TO SERVER)
-    */
-    let fins_tcp_header = Buffer.alloc(20);
-    fins_tcp_header[0] = 70;// 'F'; /* Header */
-    fins_tcp_header[1] = 73;// 'I';
-    fins_tcp_header[2] = 78;// 'N';
-    fins_tcp_header[3] = 83;// 'S';
-    fins_tcp_header[4] = 0x00; /* Length */
-    fins_tcp_header[5] = 0x00;
-    fins_tcp_header[6] = 0x00;
-    fins_tcp_header[7] = 0x0C;
-    fins_tcp_header[8] = 0x00; /* Command */
-    fins_tcp_header[9] = 0x00;
-    fins_tcp_header[10] = 0x00;
-    fins_tcp_header[11] = 0x00;
-    fins_tcp_header[12] = 0x00; /* Error Code */
-    fins_tcp_header[13] = 0x00;
-    fins_tcp_header[14] = 0x00;
-    fins_tcp_header[15] = 0x00;
-    fins_tcp_header[16] = 0x00; /* Client Node Add */
-    fins_tcp_header[17] = 0x00;
-    fins_tcp_header[18] = 0x00;
-    fins_tcp_header[19] = 0x00; /* AUTOMATICALLY GET FINS CLIENT FINS NODE NUMBER */
-    self.tcp_socket.write(fins_tcp_header, () => { });
-}
-
-function tcp_socket_init_receive(data) {
-    /** @type {FinsClient}*/ const self = this;
-
-    if (data.length != 24) {
-        self._socket_handler_tcp_init_error(new Error("Initial response is invalid - expected 24 bytes"));
-        return;
+/**
+ * Get the error code for ERROR CLEAR from an error code or name (see `constants.ErrorCodes`)
+ * @returns {number} the error code (or `null` if invalid)
+ */
+function _errorClearCode(errorCode) {
+    if (typeof errorCode == "string") {
+        const name = errorCode.trim().toUpperCase();
+        if (constants.ErrorCodes[name] != null) {
+            return constants.ErrorCodes[name];
+        }
+        if (!/^(0X)?[0-9A-F]{1,4}$/.test(name)) {
+            return null;
+        }
+        errorCode = parseInt(name, 16);
+    }
+    if (typeof errorCode != "number" || !Number.isInteger(errorCode) || errorCode < 0 || errorCode > 0xffff) {
+        return null;
     }
+    return errorCode;
+}
 
-    const magic = data.slice(0, 4).toString();
+/**
+ * Get the type & unit number of a unit address (see `constants.UnitAddresses`)
+ * @returns {{unitType: string, unitNumber: number}} the unit type (`"CPU"`, `"CPU_BUS"`, `"SPECIAL_IO"`, `"INNER_BOARD"` or `"UNKNOWN"`) and unit number (`null` for the CPU unit & Inner Board)
+ */
+function _unitType(unitAddress) {
+    const { CPU, CPU_BUS, SPECIAL_IO, INNER_BOARD } = constants.UnitAddresses;
+    if (unitAddress === CPU) {
+        return { unitType: "CPU", unitNumber: null };
+    } else if (unitAddress >= CPU_BUS && unitAddress < SPECIAL_IO) {
+        return { unitType: "CPU_BUS", unitNumber: unitAddress - CPU_BUS };
+    } else if (unitAddress >= SPECIAL_IO && unitAddress <= 0x7F) {
+        return { unitType: "SPECIAL_IO", unitNumber: unitAddress - SPECIAL_IO };
+    } else if (unitAddress === INNER_BOARD) {
+        return { unitType: "INNER_BOARD", unitNumber: null };
+    }
+    return { unitType: "UNKNOWN", unitNumber: null };
+}
 
-    self.client_node_no = data[19]; //My node no
-    self.server_node_no = data[23]; //PLC node no
+/**
+ * Get the test data for INTERNODE ECHO TEST & BROADCAST TEST DATA SEND from a Buffer, string, array of bytes or a size (of a generated test pattern)
+ * @returns {Buffer} the test data (or `null` if invalid)
+ */
+function _testData(data) {
+    let testData;
+    if (data == null || typeof data == "number") {
+        const size = data == null ? constants.NetworkTest.DEFAULT_BYTES : data;
+        testData = Number.isInteger(size) && size >= 0 && size <= constants.NetworkTest.MAX_BYTES ? _testPattern(size, 0) : null;
+    } else if (Buffer.isBuffer(data) || typeof data == "string" || Array.isArray(data)) {
+        testData = Buffer.from(data);
+    }
+    return testData && testData.length <= constants.NetworkTest.MAX_BYTES ? testData : null;
+}
 
-    if (magic !== "FINS") {
-        self._socket_handler_tcp_init_error(new Error("Initial response is invalid - expected for find 'FINS' at the beginning of the packet"));
-        return;
+/**
+ * Generate a test pattern (a different pattern for each sequence number so a late echo of a previous test does not match)
+ */
+function _testPattern(size, sequence) {
+    const pattern = Buffer.alloc(size);
+    for (let index = 0; index < pattern.length; index++) {
+        pattern[index] = (index + sequence * 7) & 0xff;
     }
-    self.tcp_socket.off("data", self._socket_handler_tcp_init_receive);
-    self.tcp_socket.on("data", self._socket_handler_receive);
-    self._socket_handler_listening();
+    return pattern;
 }
 
-function socket_close() {
-    /** @type {FinsClient}*/ const self = this;
-    self.emit('close');
-    self.connected = false;
+/**
+ * The value at a percentile of sorted values
+ */
+function _percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
 }
 
-function socket_error(err) {
-    /** @type {FinsClient}*/ const self = this;
-    self.emit('error', err);
+/**
+ * Summarise the echo tests sent to one destination by `ping`
+ */
+function _pingResult(destination, sent, times, errors) {
+    const sorted = [...times].sort((a, b) => a - b);
+    const received = sorted.length;
+    return {
+        destination: destination,
+        sent: sent,
+        received: received,
+        lost: sent - received,
+        lossPercent: Math.round(((sent - received) / sent) * 1000) / 10,
+        errors: errors,
+        minMS: received ? sorted[0] : null,
+        averageMS: received ? Math.round((sorted.reduce((a, b) => a + b, 0) / received) * 100) / 100 : null,
+        maxMS: received ? sorted[received - 1] : null,
+        p50: _percentile(sorted, 50),
+        p90: _percentile(sorted, 90),
+        p99: _percentile(sorted, 99),
+        times: times
+    };
 }
 
-function socket_receive(buf, rinfo) {
-    /** @type {FinsClient}*/ const self = this;
-    if (!rinfo && self.protocol == "tcp") {
-        rinfo = self.remoteInfo;
+/**
+ * Get the bitmask of MSG messages (bit 0 = message 0) from an array of message numbers, a bitmask or `"all"`
+ * @returns {number} the bitmask (or `null` if invalid)
+ */
+function _messageMask(messages) {
+    const allMessages = (1 << constants.Messages.COUNT) - 1;
+    if (messages == null || (typeof messages == "string" && messages.trim().toLowerCase() == "all")) {
+        return allMessages;
     }
-    try {
-        if (rinfo.protocol === "tcp") {
-            let offset = 0;
-            while (offset < buf.length) {
-                const magic = buf.slice(0 + offset, 4 + offset).toString();
-                const len = buf.readUint32BE(4 + offset);
-                //const cmd = buf.readUint32BE(8 + offset);
-                const err = buf.readUint32BE(12 + offset);
-                if (magic != "FINS") {
-                    throw new Error("Expected FINS magic packet");
-                }
-                if (err) {
-                    throw new Error(constants.TCPCommandErrorCodes[err] || "Error " + err);
-                }
-                const tcpBuf = buf.slice(offset+16, offset + len + 8);
-                process(tcpBuf);
-                offset += len + 8;
+    if (Array.isArray(messages)) {
+        let mask = 0;
+        for (const number of messages) {
+            if (!Number.isInteger(number) || number < 0 || number >= constants.Messages.COUNT) {
+                return null;
             }
-        } else {
-            process(buf);
+            mask |= (1 << number);
         }
-    } catch (error) {
-        self.emit('error', error);
+        return mask || null;
     }
-
-    function process(buffer) {
-        const response = self.processReply(buffer, rinfo);
-        if (typeof response === "object") {
-            self.sequenceManager.done(response.sid); //1st, cancel the timeout
-            var seq = self.sequenceManager.get(response.sid); //now get the sequence
-            if (seq) {
-                seq.response = response;
-                var request = seq.request;
-                if (request && request.callback) {
-                    request.callback(null, seq);
-                } else {
-                    self.emit('reply', seq);
-                }
-                self.sequenceManager.remove(response.sid);
-            }
-        } else if(response === -1){
-            //error already sent
-        } else {
-            throw new Error("Unable to process the PLC reply");
-        }
+    if (Number.isInteger(messages) && messages > 0 && messages <= allMessages) {
+        return messages;
     }
+    return null;
 }
 
-//#endregion
+/**
+ * Get the FAL/FALS number for FAL/FALS READ from a FAL/FALS number (1 to 511) or the error code of a FAL/FALS (4101-42FF or C101-C2FF)
+ * @returns {number} the FAL/FALS number (or `null` if invalid)
+ */
+function _falNumber(falNumber) {
+    const code = typeof falNumber == "string" ? _errorClearCode(falNumber) : falNumber;
+    if (!Number.isInteger(code)) {
+        return null;
+    }
+    const { MAX_FAL_NO, FAL_ERROR_CODE, FALS_ERROR_CODE } = constants.Messages;
+    let number = code;
+    if (code > FALS_ERROR_CODE) {
+        number = code - FALS_ERROR_CODE;
+    } else if (code > FAL_ERROR_CODE) {
+        number = code - FAL_ERROR_CODE;
+    }
+    return number >= 1 && number <= MAX_FAL_NO ? number : null;
+}
 
+/**
+ * Get the name of an error code recorded in the error log (see `constants.ErrorCodes` & `constants.ErrorCodeRanges`)
+ */
+function _errorCodeName(errorCode) {
+    const name = getKeyName(constants.ErrorCodes, errorCode);
+    if (name && errorCode < constants.ErrorCodes.CURRENT) {
+        return name;
+    }
+    const range = constants.ErrorCodeRanges.find(r => errorCode >= r[0] && errorCode <= r[1]);
+    return range ? range[2] : null;
+}
 
-//#region Supporting functions
+/**
+ * The number of program area bytes to transfer in one command (a multiple of 4 that fits the frame limit)
+ * @param {number} frameWords - the frame limit (words)
+ */
+function _programPageBytes(frameWords) {
+    const frameBytes = Math.floor((frameWords * 2 - 8) / 4) * 4; //program no, beginning address & number of bytes are sent with the data
+    return Math.max(4, Math.min(constants.ProgramArea.MAX_BYTES, frameBytes));
+}
 
-function _normaliseCommandOptions(/** @type {CommandCallback|CommandOptions}*/options) {
-    /** @type {CommandCallback}*/ let callback;
-    options = options || {};
-    if (typeof options == "function") {
-        callback = options
-        options = {};
+/**
+ * Get a parameter area code from a code or name (see `constants.ParameterAreas`)
+ * @returns {number} the parameter area code (or `null` if invalid)
+ */
+function _parameterAreaCode(areaCode) {
+    if (typeof areaCode == "string") {
+        const name = areaCode.trim().toUpperCase();
+        if (constants.ParameterAreas[name] != null) {
+            return constants.ParameterAreas[name];
+        }
+        areaCode = parseInt(areaCode);
     }
-    if (typeof options.callback == "function") {
-        callback = options.callback
-        delete options.callback;
+    if (typeof areaCode != "number" || !Number.isInteger(areaCode) || areaCode < 0 || areaCode > 0xffff) {
+        return null;
     }
-    return { options, callback };
+    return areaCode;
 }
 
-function _getResponseCommandCode(byte10, byte11) {
-    return [byte10, byte11].map(e => e.toString(16).padStart(2, "0")).join('');
+/**
+ * Convert words (number[]) or a Buffer to an array of words
+ */
+function _toWords(data) {
+    if (Buffer.isBuffer(data)) {
+        const words = [];
+        for (let i = 0; i + 1 < data.length; i += 2) {
+            words.push(data.readUInt16BE(i));
+        }
+        return words;
+    }
+    if (data == null) {
+        return null;
+    }
+    return Array.isArray(data) ? data : [data];
 }
 
 /**
- * Transmit the command buffer to socket
+ * Determine if a processed reply should be treated as an error
  * @param {FinsClient} fcInstance - the FinsClient instance
- * @param {number} SID - Service ID for this transmission
- * @param {Buffer} buffer - the buffer to transmit
- * @param {Object} request - the request details object
- * @param {Any} tag - optional tag object to be sent in the request callback back after response is received
+ * @param {object} response - the processed reply
+ * @param {object} request - the request details object
+ * @returns {boolean} true if the end code is not `0000` and end codes should be treated as errors
  */
-function _transmitCommand(fcInstance, SID, buffer, request, tag) {
-    setImmediate(function (SID, buffer, _req, tag) {
-        fcInstance.sequenceManager.add(SID, _req, tag);//add the SID sequence manager for monitoring / timeout / stats etc
-        const cb = function (err) {
-            if (err) {
-                fcInstance.sequenceManager.setError(SID, err);
-            } else {
-                fcInstance.sequenceManager.confirmSent(SID);
-            }
-        }
-        if (fcInstance.protocol === "tcp") {
-            if(!fcInstance.tcp_socket || !fcInstance.connected) {
-                cb(new Error("not connected"));
-            } else {                
-                let fins_tcp_header = Buffer.alloc(16);
-                fins_tcp_header[0] = 70;// 'F'; /* Header */
-                fins_tcp_header[1] = 73;// 'I';
-                fins_tcp_header[2] = 78;// 'N';
-                fins_tcp_header[3] = 83;// 'S';
-                fins_tcp_header[4] = 0x00; /* Length */
-                fins_tcp_header[5] = 0x00;
-                fins_tcp_header[6] = 0x00;
-                fins_tcp_header[7] = 8 + buffer.length; /*Length of data from Command up to end of FINS frame */
-                fins_tcp_header[8] = 0x00; /* Command */
-                fins_tcp_header[9] = 0x00;
-                fins_tcp_header[10] = 0x00;
-                fins_tcp_header[11] = 0x02;
-                fins_tcp_header[12] = 0x00; /* Error Code */
-                fins_tcp_header[13] = 0x00;
-                fins_tcp_header[14] = 0x00;
-                fins_tcp_header[15] = 0x00;
-                buffer[4] = fcInstance.server_node_no//DA1 dest PLC node no
-                buffer[7] = fcInstance.client_node_no//SA1 src node no
-
-                const packet = Buffer.concat([fins_tcp_header, buffer]);
-                fcInstance.tcp_socket.write(packet, cb);
-            }
-        } else {
-            if(!fcInstance.socket || !fcInstance.connected) {
-                cb(new Error("not connected"));
-            } else {
-                fcInstance.socket.send(buffer, cb);
-            }
-        }
-    }, SID, buffer, request, tag);
+function _isEndCodeError(fcInstance, response, request) {
+    if (!response || !response.endCode || response.endCode === "0000") {
+        return false;
+    }
+    const requestOption = request && request.options && request.options.endCodeAsError;
+    if (requestOption != null) {
+        return requestOption !== false;
+    }
+    return fcInstance.endCodeAsError !== false;
 }
 
 function _processEndCode(/** @type {number} */hiByte, /** @type {number} */loByte) {
@@ -1065,63 +4830,82 @@ function _processDefault(buf, rinfo, sequenceManager) {
 }
 
 
-function _processCpuUnitDataRead(buf, rinfo, sequenceManager) {
+function _processCpuUnitDataRead(buf, rinfo, sequenceManager, plcType) {
     /*
     * see https://www.myomron.com/downloads/1.Manuals/PLCs/CPUs/W342-E1-14%20CS_CJ_CP+HostLink%20FINS%20ReferenceManual.pdf
     * data starts at byte 14 in buffer
-    * 20bytes = CPU Unit model, 
-    * 20bytes = CPU Unit internal system version
-    * 40bytes For system use
-    * 12bytes Area data
-    * 64bytes CPU Bus Unit configuration
-    * 1byte CPU Unit information
-    * 1byte Remote I/O data 
+    * section "model" (00)
+    *   20bytes = CPU Unit model, 
+    *   20bytes = CPU Unit internal system version
+    *   40bytes For system use (DIP switches, largest EM bank number)
+    * section "area" (01)
+    *   12bytes Area data
+    *   64bytes CPU Bus Unit configuration
+    *   1byte CPU Unit information
+    *   1byte Remote I/O data 
+    * both sections are returned when the section is omitted
     */
     const fnName = "cpu-unit-data-read";
     const cmdCode = "0501";
-    const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
-    const data = buf.slice(14); 
-    const CPUUnitModel = data.slice(0,20);
-    const CPUUnitInternalSystemVersion = data.slice(20,40);
-    const SystemUse = data.slice(40,80);
-    const DIPSwitches = SystemUse.readUInt8();
-    const switches = {
-        SW1: (DIPSwitches & 0b00000001) == 0b00000001,
-        SW2: (DIPSwitches & 0b00000010) == 0b00000010,
-        SW3: (DIPSwitches & 0b00000100) == 0b00000100,
-        SW4: (DIPSwitches & 0b00001000) == 0b00001000,
-        SW5: (DIPSwitches & 0b00010000) == 0b00010000,
-        SW6: (DIPSwitches & 0b00100000) == 0b00100000,
-        SW7: (DIPSwitches & 0b01000000) == 0b01000000,
-        SW8: (DIPSwitches & 0b10000000) == 0b10000000,
-    }
-    const AreaData = data.slice(80,92);
-    const MaxProgramSizeKb = AreaData.readUInt16BE(0); //Maximum size of usable program area
-    const IOMSizeKb = AreaData.readUInt8(2);//The size of the area (CIO, WR, HR, AR, timer/    counter completion flags, TN) in which bit commands     can be used (always 23)
-    const NoOfDMWords = AreaData.readUInt16BE(3);//Total words in the DM area (always 32,768)
-    const TimerCounterSizeKb = AreaData.readUInt8(5); //Maximum number of timers/counters available (always 8)
-    const EMBankCount_NonFile = AreaData.readUInt8(6); // Among the banks in the EM area, the number of banks (0 to D) without file memory
-    const MemoryCardType = AreaData.readUInt8(8);
-    const MemoryCardSize = AreaData.readUInt16BE(10);
-
-    const CPUBusUnitConfiguration = data.slice(92,156);
-    const CPUUnitInformation = data.slice(156,157);
-    const RemoteIOData = data.slice(157,158);
-    
-    const CPUBusUnitConfigurationParser = function(unit, buf) {
-        let present =  (buf[0] & 0x80) == 0x80;
-        buf[0] = (buf[0]  & 0x7F);
-        return {
-            unit: unit,
-            modelID: buf.toString(),
-            present
+    const {sid, seq, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const model = constants.CpuUnitDataModels[plcType] || constants.CpuUnitDataModels.CS;
+    const { MODEL_BYTES, VERSION_BYTES, SYSTEM_USE_BYTES, AREA_DATA_BYTES, CPU_BUS_UNIT_BYTES, CPU_BUS_UNITS, PRESENT_FLAG } = constants.CpuUnitData;
+    const section = (seq && seq.request && seq.request.section) || "all";
+    const data = buf.slice(14);
+    const modelLength = MODEL_BYTES + VERSION_BYTES + SYSTEM_USE_BYTES;
+    const modelData = section === "area" ? null : data.slice(0, modelLength);
+    const areaData = section === "model" ? null : data.slice(section === "area" ? 0 : modelLength);
+    const text = (bytes) => bytes.toString("latin1").replace(/\0/g, " ").trim();
+
+    let CPUUnitModel = null, CPUUnitInternalSystemVersion = null, SystemUse = null;
+    if (modelData && modelData.length >= MODEL_BYTES + VERSION_BYTES) {
+        CPUUnitModel = text(modelData.slice(0, MODEL_BYTES));
+        CPUUnitInternalSystemVersion = text(modelData.slice(MODEL_BYTES, MODEL_BYTES + VERSION_BYTES));
+    }
+    if (modelData && model.areaData && modelData.length >= modelLength) {
+        const DIPSwitches = modelData[MODEL_BYTES + VERSION_BYTES];
+        const switches = {};
+        for (let pin = 1; pin <= 8; pin++) {
+            switches[`SW${pin}`] = (DIPSwitches & (1 << (pin - 1))) !== 0;
+        }
+        SystemUse = {
+            DIPSwitches: model.dipSwitches ? switches : null,
+            LargestEMBankNumber: model.emBanks ? modelData[MODEL_BYTES + VERSION_BYTES + 1] : null
+        };
+    }
+
+    let AreaData = null, CPUBusUnitConfiguration = null, RackCount = null, SYSMACBUSMastersCount = null;
+    if (areaData && model.areaData && areaData.length >= AREA_DATA_BYTES) {
+        const MemoryCardType = model.memoryCardTypes ? areaData.readUInt8(8) : null;
+        const EMBankCount_NonFile = model.emBanks ? areaData.readUInt8(6) : null; //Among the banks in the EM area, the number of banks (0 to D) without file memory
+        AreaData = {
+            MaxProgramSizeKb: areaData.readUInt16BE(0), //Maximum size of usable program area
+            IOMSizeKb: areaData.readUInt8(2), //The size of the area (CIO, WR, HR, AR, timer/counter completion flags, TN) in which bit commands can be used
+            NoOfDMWords: areaData.readUInt16BE(3), //Total words in the DM area
+            TimerCounterSizeKb: areaData.readUInt8(5), //Maximum number of timers/counters available
+            EMBankCount_NonFile,
+            EMBankCount: model.emBanks ? (SystemUse && SystemUse.LargestEMBankNumber ? SystemUse.LargestEMBankNumber + 1 : EMBankCount_NonFile) : null,
+            MemoryCardType,
+            MemoryCardTypeName: MemoryCardType == null ? null : (getKeyName(model.memoryCardTypes, MemoryCardType) || "UNKNOWN"),
+            MemoryCardSize: model.memoryCardTypes ? areaData.readUInt16BE(10) : null
+        };
+    }
+    const busUnitsOffset = AREA_DATA_BYTES;
+    if (areaData && model.cpuBusUnits && areaData.length >= busUnitsOffset + CPU_BUS_UNIT_BYTES) {
+        CPUBusUnitConfiguration = [];
+        for (let unit = 0; unit < CPU_BUS_UNITS; unit++) {
+            const entry = Buffer.from(areaData.slice(busUnitsOffset + unit * 2, busUnitsOffset + unit * 2 + 2)); //copy - the present flag is masked out below
+            const present = (entry[0] & PRESENT_FLAG) == PRESENT_FLAG;
+            entry[0] = (entry[0] & ~PRESENT_FLAG);
+            CPUBusUnitConfiguration.push({ unit: unit, modelID: entry.toString("latin1"), present });
         }
     }
-    const CPUBusUnitConfigurationItems = [];
-    for (let index = 0; index < 16; index++) {
-        const idx = index*2;
-        const entry = CPUBusUnitConfiguration.slice(idx,idx+2);
-        CPUBusUnitConfigurationItems.push(CPUBusUnitConfigurationParser(index, entry));
+    const infoOffset = busUnitsOffset + CPU_BUS_UNIT_BYTES;
+    if (areaData && areaData.length > infoOffset) {
+        RackCount = model.areaData ? (areaData[infoOffset] & 0x0f) : null;
+    }
+    if (areaData && model.sysmacBus && areaData.length > infoOffset + 1) {
+        SYSMACBUSMastersCount = (areaData[infoOffset + 1] & 0x03);
     }
 
     return {
@@ -1129,79 +4913,86 @@ function _processCpuUnitDataRead(buf, rinfo, sequenceManager) {
         sid: sid,
         command: command,
         result: {
-            CPUUnitModel: CPUUnitModel.toString().trim(),
-            CPUUnitInternalSystemVersion: CPUUnitInternalSystemVersion.toString().trim(),
-            SystemUse: {
-                DIPSwitches: switches,
-                LargestEMBankNumber: SystemUse.readUInt8(1)
-            },
-            AreaData: {
-                MaxProgramSizeKb,
-                IOMSizeKb,
-                NoOfDMWords,
-                TimerCounterSizeKb,
-                EMBankCount_NonFile,
-                MemoryCardType,
-                MemoryCardSize
-            },
-            CPUBusUnitConfiguration: CPUBusUnitConfigurationItems,
-            SYSMACBUSMastersCount: (RemoteIOData[0] & 0x03),
-            RackCount: (CPUUnitInformation[0] & 0x0f) ,
-        }
-    };
-}
-
-function _processStatusRead(buf, rinfo, sequenceManager) {
+            plcType: plcType,
+            section: section,
+            CPUUnitModel,
+            CPUUnitInternalSystemVersion,
+            SystemUse,
+            AreaData,
+            CPUBusUnitConfiguration,
+            SYSMACBUSMastersCount,
+            RackCount,
+        }
+    };
+}
+
+function _processStatusRead(buf, rinfo, sequenceManager, plcType) {
     const fnName = "status";
     const cmdCode = "0601"
     const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
-    const status = (buf[14] & 0x81); //Mask out battery[2] and CF[1] status or a direct lookup could fail.
+    const model = constants.StatusModels[plcType] || constants.StatusModels.CS;
+    const statusByte = buf[14];
+    const status = (statusByte & 0x81); //Mask out battery[2] and CF[1] status or a direct lookup could fail.
     const mode = buf[15];
-    const fatalErrorData = {};
-    const nonFatalErrorData = {};
-    const fed = buf.readInt16BE(16);
-    const nfed = buf.readInt16BE(18);
-    const messageYN = buf.readInt16BE(20);
-    const plcErrCode = buf.readInt16BE(22);
+    const fed = buf.readUInt16BE(16);
+    const nfed = buf.readUInt16BE(18);
+    const messageYN = buf.readUInt16BE(20);
+    const plcErrCode = buf.readUInt16BE(22);
     let plcMessage = "";
-    if (messageYN) plcMessage = buf.slice(24, -1).toString(); //PLC Message
-
-    //any fatal errors?
-    if (fed) {
-        for (var i in constants.FatalErrorData) {
-            if ((fed & constants.FatalErrorData[i]) != 0) {
-                fatalErrorData[i] = true;
-            }
-        }
+    if (messageYN || plcErrCode) plcMessage = buf.slice(24, -1).toString(); //PLC Message (FAL/FALS)
+    const messages = []; //MSG messages present (bits 0 to 7 of message yes/no)
+    for (let number = 0; number < constants.Messages.COUNT; number++) {
+        if (messageYN & (1 << number)) messages.push(number);
     }
 
-    //any non fatal errors?
-    if (nfed) {
-        for (var j in constants.NonFatalErrorData) {
-            if ((nfed & constants.NonFatalErrorData[j]) != 0) {
-                nonFatalErrorData[j] = true;
-            }
-        }
-    }
-
-    const statusCodes = constants.Status;
-    const runModes = constants.Modes;
+    const statusFlag = name => (model.status[name] ? (statusByte & model.status[name]) !== 0 : null);
+    const isFals = plcErrCode >= constants.Messages.FALS_ERROR_CODE + 1 && plcErrCode <= constants.Messages.FALS_ERROR_CODE + constants.Messages.MAX_FAL_NO;
 
     return {
         remoteHost: rinfo.address,
         sid: sid,
         command: command,
         result: {
-            status: getKeyName(statusCodes, status),
-            mode: getKeyName(runModes, mode),
-            fatalErrors: (fed ? fatalErrorData : null),
-            nonFatalErrors: (nfed ? nonFatalErrorData : null),
+            status: getKeyName(constants.Status, status),
+            mode: getKeyName(model.modes, mode),
+            fatalErrors: (fed ? _errorBits(fed, model.fatal) : null),
+            nonFatalErrors: (nfed ? _errorBits(nfed, model.nonFatal) : null),
+            batteryLow: model.nonFatal.BATTERY_ERROR ? (nfed & model.nonFatal.BATTERY_ERROR) !== 0 : null,
+            batteryPresent: statusFlag("BATTERY_PRESENT"),
+            flashAccess: statusFlag("FLASH_ACCESS"),
             plcErrCode: plcErrCode,
-            plcMessage: plcMessage
+            falsErrorCode: isFals ? plcErrCode : null,
+            plcMessage: plcMessage,
+            messages: messages,
+            plcType: plcType,
+            raw: {
+                status: statusByte,
+                mode: mode,
+                fatalErrorData: fed,
+                nonFatalErrorData: nfed,
+                messageYN: messageYN,
+                errorCode: plcErrCode
+            }
         }
     };
 }
 
+/**
+ * The names of the bits set in fatal/non fatal error data. Bits that are not defined for the PLC type are named `BIT_n`
+ * @param {number} word - the error data
+ * @param {object} bitMap - the bit map of the PLC type e.g. `constants.StatusModels.CJ.fatal`
+ * @returns {object} e.g. `{ FALS_ERROR: true, BIT_3: true }`
+ */
+function _errorBits(word, bitMap) {
+    const errors = {};
+    for (let bit = 0; bit < 16; bit++) {
+        if (word & (1 << bit)) {
+            errors[getKeyName(bitMap, 1 << bit) || `BIT_${bit}`] = true;
+        }
+    }
+    return errors;
+}
+
 
 function _processClockRead(buf, rinfo, sequenceManager) {
     const fnName = "clock-read";
@@ -1238,8 +5029,215 @@ function _processClockRead(buf, rinfo, sequenceManager) {
         remoteHost: rinfo.address,
         sid: sid,
         command: command,
-        result: clock
+        result: clock
+    };
+}
+
+/**
+ * Process data for CONNECTION DATA READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processConnectionDataRead(buf, rinfo, sequenceManager) {
+    const fnName = "connection-data-read";
+    const cmdCode = "0502";
+    const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const { MODEL_BYTES, LAST_FLAG } = constants.ConnectionData;
+
+    /*
+    BYTE
+    0                1              2 - 21         22     23 - 42   ...
+    Number of units  Unit address   Model number   Unit address   Model number
+    (bit 7 ON when the data of the last unit is returned)
+    */
+    const units = [];
+    const unitCount = data.length ? data[0] & ~LAST_FLAG : 0;
+    for (let index = 0; index < unitCount; index++) {
+        const offset = 1 + index * (1 + MODEL_BYTES);
+        if (data.length < offset + 1 + MODEL_BYTES) {
+            break;
+        }
+        const unitAddress = data[offset];
+        units.push(Object.assign({ unitAddress: unitAddress }, _unitType(unitAddress), {
+            model: data.toString("latin1", offset + 1, offset + 1 + MODEL_BYTES).replace(/\0/g, " ").trim()
+        }));
+    }
+    return {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        last: data.length ? (data[0] & LAST_FLAG) === LAST_FLAG : true,
+        units: units,
+    };
+}
+
+/**
+ * The decoders of the Ethernet Unit read commands (27xx) keyed by command code (see `FinsEthernetFormat`)
+ */
+const ETHERNET_UNIT_DECODERS = {
+    "2760": FinsEthernetFormat.decodeIpAddressTable,
+    "2761": FinsEthernetFormat.decodeIpRouterTable,
+    "2762": FinsEthernetFormat.decodeProtocolStatus,
+    "2763": FinsEthernetFormat.decodeMemoryStatus,
+    "2764": FinsEthernetFormat.decodeSocketStatus,
+    "2765": FinsEthernetFormat.decodeAddressInformation,
+    "2767": FinsEthernetFormat.decodeIpAddressRead,
+};
+
+/**
+ * Process data for the Ethernet Unit read commands (IP ADDRESS TABLE READ, IP ROUTER TABLE READ, PROTOCOL STATUS READ,
+ * MEMORY STATUS READ, SOCKET STATUS READ, ADDRESS INFORMATION READ & IP ADDRESS READ)
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processEthernetUnitRead(buf, rinfo, sequenceManager) {
+    const cmdCode = (buf.slice(10, 12)).toString("hex");
+    const fnName = constants.Commands[cmdCode].name;
+    const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const result = {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+    };
+    return data.length ? Object.assign(result, ETHERNET_UNIT_DECODERS[cmdCode](data)) : result;
+}
+
+/**
+ * Process data for NAME READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processNameRead(buf, rinfo, sequenceManager) {
+    const fnName = "name-read";
+    const cmdCode = "2603";
+    const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14, 14 + constants.NodeName.MAX_LENGTH);
+    return {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        name: data.toString("latin1").replace(/\0/g, " ").trim(),
+    };
+}
+
+/**
+ * Process data for INTERNODE ECHO TEST
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processEchoTest(buf, rinfo, sequenceManager) {
+    const fnName = "internode-echo-test";
+    const cmdCode = "0801";
+    const {sid, seq, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const sent = seq.request.data || Buffer.alloc(0);
+    let mismatchAt = -1;
+    for (let index = 0; index < Math.max(sent.length, data.length); index++) {
+        if (sent[index] !== data[index]) {
+            mismatchAt = index;
+            break;
+        }
+    }
+    return {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        sentBytes: sent.length,
+        receivedBytes: data.length,
+        match: mismatchAt === -1,
+        mismatchAt: mismatchAt,
+        roundTripMS: Date.now() - (seq.sentTime || seq.createTime),
+        buffer: data,
+    };
+}
+
+/**
+ * Process data for BROADCAST TEST RESULTS READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processBroadcastTestResultsRead(buf, rinfo, sequenceManager) {
+    const fnName = "broadcast-test-results-read";
+    const cmdCode = "0802";
+    const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    return {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        receptions: data.length >= 2 ? data.readUInt16BE(0) : null, //the number of times broadcast test data was received
+    };
+}
+
+/**
+ * Process data for MESSAGE READ / MESSAGE CLEAR / FAL/FALS READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processMessageRead(buf, rinfo, sequenceManager) {
+    const fnName = "message-read";
+    const cmdCode = "0920";
+    const {sid, seq, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const request = seq.request;
+    const result = {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        operation: request.operation,
     };
+    const numbers = [];
+    for (let number = 0; number < constants.Messages.COUNT; number++) {
+        if (request.mask & (1 << number)) numbers.push(number);
+    }
+    const text = (start, length) => data.toString("latin1", start, start + length).replace(/\0/g, " ").trimEnd();
+
+    if (request.operation == "clear") {
+        result.cleared = numbers;
+        return result;
+    }
+    if (request.operation == "fal") {
+        /*
+        BYTE
+        0 - 1          2 - 17
+        FAL/FALS no.   Error message (16 characters)
+        */
+        result.falNumber = request.falNumber;
+        if (data.length >= 2) {
+            result.falNumber = data.readUInt16BE(0) & ~constants.Messages.FAL_READ;
+            result.message = text(2, constants.Messages.FAL_MESSAGE_BYTES);
+        }
+        return result;
+    }
+
+    /*
+    BYTE
+    0 - 1               2 - 33        34 - 65       ...
+    Message no. param   1st message   2nd message   (32 characters each, in message number order)
+    */
+    const messageBytes = constants.Messages.MESSAGE_BYTES;
+    result.messages = [];
+    numbers.forEach(function (number, index) {
+        const start = 2 + index * messageBytes;
+        if (data.length >= start + messageBytes) {
+            result.messages.push({ number: number, message: text(start, messageBytes) });
+        }
+    });
+    return result;
 }
 
 /**
@@ -1257,9 +5255,12 @@ function _processMemoryAreaRead(buf, rinfo, sequenceManager) {
     const plcAddress = seq.request && seq.request.address;
     const bitValues = plcAddress && plcAddress.isBitAddress == true;
     const dataElementLength = plcAddress && plcAddress.elementLength;
+    const dataType = seq.request && seq.request.dataType;
     let values;
 
-    if (bitValues) {
+    if (dataType) {
+        values = bytesToValues(bufData, dataType);
+    } else if (bitValues) {
         values = [];
         values.push(...bufData);
     } else if (dataElementLength === 4) {
@@ -1296,6 +5297,7 @@ function _processMultipleMemoryAreaRead(buf, rinfo, sequenceManager) {
     const cmdCode = '0104'
     const {sid, seq, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
     const data = [];
+    const dataBytes = [];
     const bufData = (buf.slice(14));
     const memoryAddressList = [...seq.request.address];
 
@@ -1313,18 +5315,332 @@ function _processMultipleMemoryAreaRead(buf, rinfo, sequenceManager) {
             i = i + 4; // move to the next memory area
         } else {
             data.push(bufData.readInt16BE(i));
+            dataBytes[data.length - 1] = bufData.slice(i, i + 2);
             i = i + 2; // move to the next memory area
         }
     }
+    let values = data;
+    const dataTypes = seq.request.dataTypes;
+    if (dataTypes) {
+        //combine the words of typed values
+        values = [];
+        let index = 0;
+        dataTypes.forEach(function (dataType) {
+            if (dataType) {
+                values.push(bytesToValues(Buffer.concat(dataBytes.slice(index, index + dataType.words)), dataType)[0]);
+                index += dataType.words;
+            } else {
+                values.push(data[index]);
+                index++;
+            }
+        });
+    }
     return {
         remoteHost: rinfo.address,
         sid: sid,
         command: command,
-        values: data,
+        values: values,
         buffer: bufData,
     };
 }
 
+/**
+ * Process data for PARAMETER AREA READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processParameterAreaRead(buf, rinfo, sequenceManager) {
+    const fnName = "parameter-area-read";
+    const cmdCode = "0201";
+    const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const result = {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        areaCode: null,
+        areaName: null,
+        beginWord: null,
+        count: 0,
+        lastWord: false,
+        values: [],
+        buffer: Buffer.alloc(0),
+    };
+    if (data.length < 6) {
+        return result; //no data (e.g. an error end code)
+    }
+    const wordCount = data.readUInt16BE(4);
+    result.areaCode = data.readUInt16BE(0);
+    result.areaName = getKeyName(constants.ParameterAreas, result.areaCode) || null;
+    result.beginWord = data.readUInt16BE(2);
+    result.count = wordCount & 0x7FFF;
+    result.lastWord = (wordCount & 0x8000) == 0x8000; //the data includes the last word of the area
+    result.buffer = data.slice(6, 6 + result.count * 2);
+    for (let i = 0; i + 1 < result.buffer.length; i += 2) {
+        result.values.push(result.buffer.readUInt16BE(i));
+    }
+    return result;
+}
+
+/**
+ * Process data for PROGRAM AREA READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processProgramAreaRead(buf, rinfo, sequenceManager) {
+    const fnName = "program-area-read";
+    const cmdCode = "0306";
+    const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const result = {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        beginAddress: null,
+        count: 0,
+        last: false,
+        buffer: Buffer.alloc(0),
+    };
+    if (data.length < 8) {
+        return result; //no data (e.g. an error end code)
+    }
+    const byteCount = data.readUInt16BE(6);
+    result.beginAddress = data.readUInt32BE(2);
+    result.count = byteCount & 0x7FFF;
+    result.last = (byteCount & constants.ProgramArea.LAST_FLAG) == constants.ProgramArea.LAST_FLAG; //the data includes the end of the program
+    result.buffer = data.slice(8, 8 + result.count);
+    return result;
+}
+
+/**
+ * Process data for ACCESS RIGHT ACQUIRE
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processAccessRightAcquire(buf, rinfo, sequenceManager) {
+    const fnName = "access-right-acquire";
+    const cmdCode = "0c01";
+    const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    let holder = null;
+    if (data.length >= 3) {
+        //another device holds the access right (end code 3001)
+        holder = { network: data[0], node: data[1], unit: data[2] };
+    }
+    return {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        holder: holder
+    };
+}
+
+/**
+ * Process data for ERROR LOG READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processErrorLogRead(buf, rinfo, sequenceManager) {
+    const fnName = "error-log-read";
+    const cmdCode = "2102";
+    const {sid, seq, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const result = {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        maxRecords: 0,
+        storedRecords: 0,
+        beginRecord: seq.request.beginRecord,
+        count: 0,
+        records: [],
+    };
+    if (data.length < 6) {
+        return result; //no data (e.g. an error end code)
+    }
+    result.maxRecords = data.readUInt16BE(0);
+    result.storedRecords = data.readUInt16BE(2);
+    result.count = data.readUInt16BE(4);
+
+    /*
+    BYTE
+    0 1          2 3          4      5      6   7    8    9
+    Error code 1 Error code 2 Minute Second Day Hour Year Month
+    */
+    const recordBytes = constants.ErrorLog.RECORD_BYTES;
+    for (let offset = 6; offset + recordBytes <= data.length && result.records.length < result.count; offset += recordBytes) {
+        const errorCode = data.readUInt16BE(offset);
+        const year = bcd2dec(data[offset + 8]);
+        const timestamp = new Date(
+            year < 70 ? 2000 + year : 1900 + year,
+            bcd2dec(data[offset + 9]) - 1,
+            bcd2dec(data[offset + 6]),
+            bcd2dec(data[offset + 7]),
+            bcd2dec(data[offset + 4]),
+            bcd2dec(data[offset + 5])
+        );
+        result.records.push({
+            errorCode: errorCode,
+            detail: data.readUInt16BE(offset + 2),
+            name: _errorCodeName(errorCode),
+            timestamp: isNaN(timestamp.getTime()) ? null : timestamp
+        });
+    }
+    result.count = result.records.length;
+    return result;
+}
+
+/**
+ * Process data for CYCLE TIME READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processCycleTimeRead(buf, rinfo, sequenceManager) {
+    const fnName = "cycle-time-read";
+    const cmdCode = "0620";
+    const {sid, seq, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const result = {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        reset: seq.request.reset === true,
+    };
+    if (seq.request.reset || data.length < 12) {
+        return result; //initialise (or an error end code) - no data
+    }
+
+    /*
+    BYTE
+    0 - 3     4 - 7     8 - 11
+    Average   Maximum   Minimum   (0.1 ms units)
+    */
+    const unit = constants.CycleTime.UNIT_MS;
+    result.average = Math.round(data.readUInt32BE(0) * unit * 10) / 10;
+    result.max = Math.round(data.readUInt32BE(4) * unit * 10) / 10;
+    result.min = Math.round(data.readUInt32BE(8) * unit * 10) / 10;
+    return result;
+}
+
+/**
+ * Process data for FILE NAME READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processFileNameRead(buf, rinfo, sequenceManager) {
+    const fnName = "file-name-read";
+    const cmdCode = "2201";
+    const {sid, seq, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const fileMemory = constants.FileMemory;
+    const result = {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        directory: seq.request.directory,
+        beginFile: seq.request.beginFile,
+        disk: null,
+        count: 0,
+        last: true,
+        files: [],
+    };
+    if (data.length < fileMemory.DISK_DATA_BYTES + 2) {
+        return result; //no data (e.g. an error end code)
+    }
+
+    /*
+    BYTE
+    0 - 11        12 - 15    16 - 19        20 - 23         24 - 25       26 - 27
+    Volume label  Date/time  Total capacity Unused capacity Total files   Number of files (bit 15: last file)
+    then 20 bytes for each file: file name (12), date/time (4), file size (4)
+    */
+    result.disk = {
+        volumeLabel: data.toString("ascii", 0, 12).replace(/\0/g, " ").trim(),
+        date: fromDosDateTime(data.readUInt32BE(12)),
+        capacity: data.readUInt32BE(16),
+        free: data.readUInt32BE(20),
+        totalFiles: data.readUInt16BE(24)
+    };
+    const countWord = data.readUInt16BE(26);
+    result.last = (countWord & fileMemory.LAST_FLAG) !== 0;
+    const count = countWord & ~fileMemory.LAST_FLAG;
+    for (let offset = 28; offset + fileMemory.FILE_DATA_BYTES <= data.length && result.files.length < count; offset += fileMemory.FILE_DATA_BYTES) {
+        const name = decodeFileName(data, offset);
+        const size = data.readUInt32BE(offset + 16);
+        result.files.push({
+            name: name,
+            path: joinPath(result.directory, name),
+            date: fromDosDateTime(data.readUInt32BE(offset + 12)),
+            size: size,
+            isDirectory: !name.includes(".") && size === 0 //the file data has no attributes - directories have no extension & no size
+        });
+    }
+    result.count = result.files.length;
+    return result;
+}
+
+/**
+ * Process data for SINGLE FILE READ
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processSingleFileRead(buf, rinfo, sequenceManager) {
+    const fnName = "single-file-read";
+    const cmdCode = "2202";
+    const {sid, seq, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const result = {
+        remoteHost: rinfo.address,
+        sid: sid,
+        command: command,
+        path: seq.request.path,
+        size: 0,
+        position: seq.request.position,
+        count: 0,
+        buffer: Buffer.alloc(0),
+    };
+    if (data.length < 10) {
+        return result; //no data (e.g. an error end code)
+    }
+    result.size = data.readUInt32BE(0);
+    result.position = data.readUInt32BE(4);
+    result.buffer = data.slice(10, 10 + data.readUInt16BE(8));
+    result.count = result.buffer.length;
+    return result;
+}
+
+/**
+ * Process data for FILE DELETE and MEMORY AREA-FILE TRANSFER (the number of files deleted / words transferred)
+ * @param {Buffer} buf Data returned from PLC
+ * @param {object} rinfo Remote Host Info
+ * @param {SequenceManager} sequenceManager 
+ * @returns 
+ */
+function _processFileCount(buf, rinfo, sequenceManager) {
+    const cmdCode = (buf.slice(10, 12)).toString("hex");
+    const fnName = constants.Commands[cmdCode].name;
+    const {sid, command} = _initialProcessing(buf, sequenceManager, fnName, cmdCode);
+    const data = buf.slice(14);
+    const count = data.length >= 2 ? data.readUInt16BE(0) : 0;
+    const result = { remoteHost: rinfo.address, sid: sid, command: command };
+    result[cmdCode === "2205" ? "deleted" : "count"] = count;
+    return result;
+}
+
 function _processReply(buf, rinfo) {
     const self = this;
     let processResult;
@@ -1337,10 +5653,28 @@ function _processReply(buf, rinfo) {
     try {
         switch (responseCommandCode) {
         case CPU_UNIT_STATUS_READ:
-            processResult = _processStatusRead(buf, rinfo, self.sequenceManager);
+            processResult = _processStatusRead(buf, rinfo, self.sequenceManager, self.options.MODE);
             break;
         case CPU_UNIT_DATA_READ:
-            processResult = _processCpuUnitDataRead(buf, rinfo, self.sequenceManager);
+            processResult = _processCpuUnitDataRead(buf, rinfo, self.sequenceManager, self.options.MODE);
+            break;
+        case CONNECTION_DATA_READ:
+            processResult = _processConnectionDataRead(buf, rinfo, self.sequenceManager);
+            break;
+        case CYCLE_TIME_READ:
+            processResult = _processCycleTimeRead(buf, rinfo, self.sequenceManager);
+            break;
+        case NAME_READ:
+            processResult = _processNameRead(buf, rinfo, self.sequenceManager);
+            break;
+        case IP_ADDRESS_TABLE_READ:
+        case IP_ROUTER_TABLE_READ:
+        case PROTOCOL_STATUS_READ:
+        case MEMORY_STATUS_READ:
+        case SOCKET_STATUS_READ:
+        case ADDRESS_INFORMATION_READ:
+        case IP_ADDRESS_READ:
+            processResult = _processEthernetUnitRead(buf, rinfo, self.sequenceManager);
             break;
         case MEMORY_AREA_READ:
             processResult = _processMemoryAreaRead(buf, rinfo, self.sequenceManager);
@@ -1351,12 +5685,62 @@ function _processReply(buf, rinfo) {
         case MEMORY_AREA_READ_MULTI:
             processResult = _processMultipleMemoryAreaRead(buf, rinfo, self.sequenceManager);
             break;
+        case PARAMETER_AREA_READ:
+            processResult = _processParameterAreaRead(buf, rinfo, self.sequenceManager);
+            break;
+        case PROGRAM_AREA_READ:
+            processResult = _processProgramAreaRead(buf, rinfo, self.sequenceManager);
+            break;
+        case ACCESS_RIGHT_ACQUIRE:
+            processResult = _processAccessRightAcquire(buf, rinfo, self.sequenceManager);
+            break;
+        case ERROR_LOG_READ:
+            processResult = _processErrorLogRead(buf, rinfo, self.sequenceManager);
+            break;
+        case FILE_NAME_READ:
+            processResult = _processFileNameRead(buf, rinfo, self.sequenceManager);
+            break;
+        case SINGLE_FILE_READ:
+            processResult = _processSingleFileRead(buf, rinfo, self.sequenceManager);
+            break;
+        case FILE_DELETE:
+        case MEMORY_AREA_FILE_TRANSFER:
+            processResult = _processFileCount(buf, rinfo, self.sequenceManager);
+            break;
+        case INTERNODE_ECHO_TEST:
+            processResult = _processEchoTest(buf, rinfo, self.sequenceManager);
+            break;
+        case BROADCAST_TEST_RESULTS_READ:
+            processResult = _processBroadcastTestResultsRead(buf, rinfo, self.sequenceManager);
+            break;
+        case MESSAGE_READ:
+            processResult = _processMessageRead(buf, rinfo, self.sequenceManager);
+            break;
         case MEMORY_AREA_WRITE:
         case MEMORY_AREA_FILL:
         case MEMORY_AREA_TRANSFER:
         case STOP:
         case RUN:
         case CLOCK_WRITE:
+        case PARAMETER_AREA_WRITE:
+        case PARAMETER_AREA_CLEAR:
+        case PROGRAM_AREA_WRITE:
+        case PROGRAM_AREA_CLEAR:
+        case ACCESS_RIGHT_FORCED_ACQUIRE:
+        case ACCESS_RIGHT_RELEASE:
+        case ERROR_CLEAR:
+        case ERROR_LOG_CLEAR:
+        case SINGLE_FILE_WRITE:
+        case MEMORY_CARD_FORMAT:
+        case VOLUME_LABEL_CREATE_DELETE:
+        case FILE_COPY:
+        case FILE_NAME_CHANGE:
+        case DIRECTORY_CREATE_DELETE:
+        case FORCED_SET_RESET:
+        case FORCED_SET_RESET_CANCEL:
+        case NAME_SET:
+        case NAME_DELETE:
+        case IP_ADDRESS_TABLE_WRITE:
             processResult = _processDefault(buf, rinfo, self.sequenceManager);
             break;
         default:
@@ -1377,8 +5761,203 @@ function _processReply(buf, rinfo) {
 
 }
 
+/**
+ * Create the socket and start connecting
+ * @param {FinsClient} self - the FinsClient instance
+ */
+function _openSocket(self) {
+    // eslint-disable-next-line no-self-assign
+    /** @type {dgram.Socket} */ self.socket = self.socket;
+    // eslint-disable-next-line no-self-assign
+    /** @type {net.Socket} */ self.tcp_socket = self.tcp_socket;
+    switch (self.protocol) {
+    case 'udp':
+        /** @type {dgram.Socket} */ self.socket = dgram.createSocket('udp4');
+        self.socket.on('message', self._socket_handler_receive);
+        self.socket.on('listening', self._socket_handler_listening);
+        self.socket.on('close', self._socket_handler_close);
+        self.socket.on('error', self._socket_handler_error);
+        self.socket.connect(self.port, self.host);
+        break;
+    case 'tcp':
+        /** @type {net.Socket} */ self.tcp_socket = net.createConnection(self.port, self.host, self._socket_handler_tcp_init_listening);
+        /** @type {FinsTcpStream} */ self.tcpStream = new FinsTcpStream();
+        self.tcp_socket.on('data', self._socket_handler_tcp_receive);
+        self.tcp_socket.on('close', self._socket_handler_close);
+        self.tcp_socket.on('error', self._socket_handler_error);
+        //the connection and the node address handshake must complete within the timeout
+        self._connectTimer = setTimeout(function () {
+            self._connectTimer = null;
+            if (!self.connected) {
+                self._socket_handler_tcp_init_error(new FinsTransportError(`timeout connecting to ${self.host}:${self.port}`));
+            }
+        }, self.timeout);
+        break;
+    default:
+        throw new Error('invalid protocol option specified', self.protocol, 'protocol must be "udp" or "tcp"');
+    }
+    _setState(self, STATES.CONNECTING);
+}
+
+/**
+ * Close the connection, fail any commands awaiting a reply and cancel any pending automatic reconnection
+ * (subscriptions & cycle time monitors are kept e.g. when `connect()` re-opens the connection)
+ * @param {FinsClient} self - the FinsClient instance
+ */
+function _disconnect(self) {
+    const doEmit = self.connected;
+    if (self._reconnectTimer) {
+        clearTimeout(self._reconnectTimer);
+        self._reconnectTimer = null;
+    }
+    _closeSockets(self);
+    _abortPending(self, new FinsTransportError("disconnected"));
+    _setState(self, STATES.CLOSED);
+    doEmit && self.emit('close'); //fire "close" manually since we already called removeAllListeners
+}
+
+/**
+ * Close and clean up the sockets (without changing the connection state)
+ * @param {FinsClient} self - the FinsClient instance
+ */
+function _closeSockets(self) {
+    if (self._connectTimer) {
+        clearTimeout(self._connectTimer);
+        self._connectTimer = null;
+    }
+    try {
+        if (self.socket) {
+            self.socket.removeAllListeners();
+            self.socket.on('error', () => {}); //ignore any errors from the socket being closed
+            self.socket.close();
+        }
+    } catch (error) {
+        //do nothing
+    } finally {
+        delete self.socket;
+    }
+
+    try {
+        if (self.tcp_socket) {
+            self.tcp_socket.removeAllListeners();
+            self.tcp_socket.on('error', () => {}); //ignore any errors from the socket being closed
+            self.tcp_socket.destroy();
+        }
+    } catch (error) {
+        //do nothing
+    } finally {
+        delete self.tcp_socket;
+    }
+    self.connected = false;
+}
+
+/**
+ * Set the connection state and emit `state` (and the name of the new state) if it changed
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {string} state - the new state (one of `constants.ConnectionStates`)
+ * @param {*} [info] - optional information emitted with the state change
+ */
+function _setState(self, state, info) {
+    const previousState = self.state;
+    if (previousState === state) return;
+    self.state = state;
+    self.emit('state', state, previousState, info);
+    self.emit(state, info);
+}
+
+/**
+ * Fail all commands awaiting a reply
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {Error} err - the error to pass to each pending command
+ */
+function _abortPending(self, err) {
+    if (self.sequenceManager && self.sequenceManager.abortAll) {
+        self.sequenceManager.abortAll(err);
+    }
+}
+
+function _normaliseReconnectOptions(reconnect) {
+    const defaults = constants.DefaultReconnectOptions;
+    let opts = {};
+    if (reconnect === true) {
+        opts = { enabled: true };
+    } else if (reconnect && typeof reconnect == "object") {
+        opts = Object.assign({ enabled: true }, reconnect);
+    }
+    return {
+        enabled: opts.enabled != null ? opts.enabled === true : defaults.enabled,
+        initialDelay: isInt(opts.initialDelay, defaults.initialDelay),
+        maxDelay: isInt(opts.maxDelay, defaults.maxDelay),
+        factor: Number(opts.factor) > 0 ? Number(opts.factor) : defaults.factor,
+        jitter: Number(opts.jitter) >= 0 ? Math.min(Number(opts.jitter), 1) : defaults.jitter,
+        maxAttempts: isInt(opts.maxAttempts, defaults.maxAttempts)
+    };
+}
+
+/**
+ * Check if automatic reconnection is enabled
+ * @param {FinsClient} self - the FinsClient instance
+ * @returns {boolean} true if the connection will be re-opened when it is lost
+ */
+function _reconnectEnabled(self) {
+    return !!(self.reconnectOptions && self.reconnectOptions.enabled);
+}
+
+/**
+ * Calculate the delay before the next reconnect attempt (exponential backoff with +/- jitter)
+ * @param {object} reconnectOptions - normalised reconnect options
+ * @param {number} attempt - the attempt number (1 based)
+ * @returns {number} delay in ms
+ */
+function _reconnectDelay(reconnectOptions, attempt) {
+    const { initialDelay, maxDelay, factor, jitter } = reconnectOptions;
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+    const spread = delay * jitter;
+    return Math.max(0, Math.round(delay - spread + (Math.random() * spread * 2)));
+}
+
+/**
+ * Handle a lost (or failed) connection. Cleans up the sockets, fails any pending commands
+ * and (if enabled) schedules a reconnect attempt
+ * @param {FinsClient} self - the FinsClient instance
+ * @param {Error} [err] - the error that caused the connection to be lost (if any)
+ */
+function _connectionLost(self, err) {
+    if (self.state === STATES.CLOSED || self.state === STATES.RECONNECTING) {
+        return; //already handled (e.g. `error` followed by `close`)
+    }
+    const wasConnected = self.connected;
+    _closeSockets(self);
+    _abortPending(self, new FinsTransportError("connection lost", err));
+    wasConnected && self.emit('close');
+
+    const reconnectOptions = self.reconnectOptions;
+    if (!_reconnectEnabled(self)) {
+        _setState(self, STATES.CLOSED);
+        return;
+    }
+    if (reconnectOptions.maxAttempts > 0 && self.reconnectAttempts >= reconnectOptions.maxAttempts) {
+        _setState(self, STATES.CLOSED);
+        self.emit('reconnectFailed', { attempts: self.reconnectAttempts, error: err });
+        return;
+    }
+    self.reconnectAttempts++;
+    const delay = _reconnectDelay(reconnectOptions, self.reconnectAttempts);
+    _setState(self, STATES.RECONNECTING, { attempt: self.reconnectAttempts, delay: delay, error: err });
+    self._reconnectTimer = setTimeout(function () {
+        self._reconnectTimer = null;
+        if (self.state !== STATES.RECONNECTING) return;
+        try {
+            _openSocket(self);
+        } catch (error) {
+            _setState(self, STATES.CONNECTING);
+            _connectionLost(self, error);
+        }
+    }, delay);
+}
+
 function _sendError(self, error, callback, seq) {
-    const err = typeof error == "object" && error.message ? error : new Error(error);
+    const err = typeof error == "object" && error.message ? error : new FinsError(error);
     if (callback) {
         callback(err, seq);
     } else if (self) {
@@ -1390,7 +5969,7 @@ function _sendError(self, error, callback, seq) {
 
 function _sendFull(self, callback) {
     if (callback) {
-        callback("full", null);
+        callback(new FinsQueueFullError(self.max_queue), null);
     }
     self.emit("full");
 }
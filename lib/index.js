@@ -2,8 +2,16 @@ const FinsClient = require('./fins_client.js');
 const FinsConstants = require('./FinsConstants.js');
 const FinsAddressUtil = require('./FinsAddressUtil.js');
 const FinsDataUtils = require('./FinsDataUtils.js');
+const FinsErrors = require('./FinsErrors.js');
+const FinsServer = require('./FinsServer.js');
+const FinsTagDatabase = require('./FinsTagDatabase.js');
+const FinsProgramFile = require('./FinsProgramFile.js');
 
 exports.FinsClient = FinsClient;
 exports.FinsConstants = FinsConstants;
 exports.FinsAddressUtil = FinsAddressUtil;
 exports.FinsDataUtils = FinsDataUtils;
+exports.FinsErrors = FinsErrors;
+exports.FinsServer = FinsServer;
+exports.FinsTagDatabase = FinsTagDatabase;
+exports.FinsProgramFile = FinsProgramFile;
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator } = require('./helpers');
+
+function nextEvent(emitter, event) {
+    return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+describe("Cycle time", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator();
+        sim.server.setCycleTime([1.2, 0.8, 4.5]);
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("reads & resets the cycle time", async function () {
+        let msg = await sim.client.cycleTimeReadAsync();
+        assert.strictEqual(msg.response.average, 2.2);
+        assert.strictEqual(msg.response.max, 4.5);
+        assert.strictEqual(msg.response.min, 0.8);
+        await sim.client.cycleTimeResetAsync();
+        msg = await sim.client.cycleTimeReadAsync();
+        assert.strictEqual(msg.response.max, 0);
+    });
+
+    it("samples the cycle time and keeps rolling statistics", async function () {
+        const monitor = sim.client.monitorCycleTime({ interval: 10 });
+        const [sample, stats] = await nextEvent(monitor, 'sample');
+        assert.deepStrictEqual(sample, { average: 2.2, max: 4.5, min: 0.8 });
+        assert.strictEqual(stats.sampleCount, 1);
+        assert.strictEqual(monitor.stats().maxMS, 4.5);
+        monitor.stop();
+    });
+
+    it("emits cycleTimeWarning once and cycleTimeNormal when the cycle time falls back", async function () {
+        const monitor = sim.client.monitorCycleTime({ interval: 10, warningMS: 2, reset: true });
+        let warnings = 0;
+        monitor.on('cycleTimeWarning', () => warnings++);
+        const [details] = await nextEvent(monitor, 'cycleTimeWarning');
+        assert.strictEqual(details.value, 2.2);
+        sim.server.setCycleTime([1]);
+        await nextEvent(monitor, 'cycleTimeNormal');
+        assert.strictEqual(warnings, 1);
+        monitor.stop();
+    });
+
+    it("keeps sampling when a sample listener throws", async function () {
+        const monitor = sim.client.monitorCycleTime({ interval: 10, reset: true });
+        const errors = [];
+        monitor.on('sample', () => { throw new Error("bad listener"); });
+        monitor.on('error', err => errors.push(err.message));
+        while (errors.length < 2) {
+            await nextEvent(monitor, 'error');
+        }
+        monitor.stop();
+        assert.deepStrictEqual(errors.slice(0, 2), ["bad listener", "bad listener"]);
+        const msg = await sim.client.cycleTimeReadAsync();
+        assert.strictEqual(msg.response.max, 0); //still reset after each sample
+    });
+
+    it("stops all monitors on disconnect", function () {
+        const monitor = sim.client.monitorCycleTime({ interval: 10 });
+        let stopped = false;
+        monitor.on('stopped', () => stopped = true);
+        sim.client.disconnect();
+        assert.strictEqual(stopped, true);
+        assert.strictEqual(monitor.active, false);
+        assert.strictEqual(sim.client.cycleTimeMonitors.length, 0);
+    });
+});
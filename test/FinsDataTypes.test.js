@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { parseDataType, bytesToValues, valuesToWords } = require('../lib/FinsDataTypes');
+const { FinsError } = require('../lib/FinsErrors');
+
+function wordsToBytes(words) {
+    const buffer = Buffer.alloc(words.length * 2);
+    words.forEach((word, index) => buffer.writeUInt16BE(word, index * 2));
+    return buffer;
+}
+
+describe("FinsDataTypes", function () {
+    describe("parseDataType", function () {
+        it("returns null for an empty type", function () {
+            assert.strictEqual(parseDataType(""), null);
+            assert.strictEqual(parseDataType(undefined), null);
+        });
+
+        it("parses the type name & word count", function () {
+            assert.deepStrictEqual(parseDataType("lreal"), { type: "LREAL", words: 4, length: 0, wordSwap: false, byteSwap: false });
+            assert.strictEqual(parseDataType("DINT", { wordSwap: true }).wordSwap, true);
+        });
+
+        it("parses a STRING length from the type or the options", function () {
+            assert.strictEqual(parseDataType("STRING(5)").words, 3);
+            assert.strictEqual(parseDataType("STRING", { length: 8 }).words, 4);
+        });
+
+        it("rejects unknown types and lengths on non STRING types", function () {
+            assert.throws(() => parseDataType("FLOAT"), FinsError);
+            assert.throws(() => parseDataType("REAL(4)"), FinsError);
+        });
+    });
+
+    describe("bytesToValues & valuesToWords", function () {
+        const cases = [
+            { type: "INT", values: [-1, 300], words: [0xffff, 0x012c] },
+            { type: "LREAL", values: [1.5], words: [0x0000, 0x0000, 0x0000, 0x3ff8] },
+            { type: "ULINT", values: [0x100000000n], words: [0x0000, 0x0000, 0x0001, 0x0000] },
+            { type: "BCD32", values: [12345678], words: [0x5678, 0x1234] },
+            { type: "STRING(3)", values: ["AB"], words: [0x4142, 0x0000] },
+        ];
+        cases.forEach(function ({ type, values, words }) {
+            it(`encodes & decodes ${type}`, function () {
+                const dataType = parseDataType(type);
+                assert.deepStrictEqual(valuesToWords(values, dataType), words);
+                assert.deepStrictEqual(bytesToValues(wordsToBytes(words), dataType), values);
+            });
+        });
+
+        it("swaps the bytes in each word when byteSwap is set", function () {
+            const dataType = parseDataType("UINT", { byteSwap: true });
+            assert.deepStrictEqual(valuesToWords([0x1234], dataType), [0x3412]);
+            assert.deepStrictEqual(bytesToValues(wordsToBytes([0x3412]), dataType), [0x1234]);
+        });
+
+        it("decodes an invalid BCD digit as NaN", function () {
+            assert.ok(Number.isNaN(bytesToValues(wordsToBytes([0x12a4]), parseDataType("BCD16"))[0]));
+        });
+
+        it("rejects values outside the range of the type", function () {
+            assert.throws(() => valuesToWords([70000], parseDataType("INT")), FinsError);
+            assert.throws(() => valuesToWords([-1], parseDataType("UDINT")), FinsError);
+            assert.throws(() => valuesToWords([1.5], parseDataType("DINT")), FinsError);
+            assert.throws(() => valuesToWords(["TOO LONG"], parseDataType("STRING(4)")), FinsError);
+        });
+    });
+});
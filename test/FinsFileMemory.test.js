@@ -0,0 +1,90 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator } = require('./helpers');
+const { encodeFileName, decodeFileName, splitPath, toDosDateTime, fromDosDateTime } = require('../lib/FinsFileFormat');
+const { FinsError, FinsEndCodeError } = require('../lib/FinsErrors');
+
+describe("File memory", function () {
+    describe("FinsFileFormat", function () {
+        it("encodes & decodes 8.3 file names", function () {
+            assert.strictEqual(encodeFileName("DATA.CSV").toString("ascii"), "DATA    .CSV");
+            assert.strictEqual(decodeFileName(encodeFileName("LOGS")), "LOGS");
+            assert.throws(() => encodeFileName("LONGFILENAME.CSV"), FinsError);
+            assert.throws(() => encodeFileName("A B.CSV"), FinsError);
+        });
+
+        it("splits paths into the directory & name", function () {
+            assert.deepStrictEqual(splitPath("/LOGS/2021/DATA.CSV"), { directory: "\\LOGS\\2021", name: "DATA.CSV" });
+            assert.deepStrictEqual(splitPath("/"), { directory: "\\", name: "" });
+        });
+
+        it("converts MS-DOS dates", function () {
+            const date = new Date(2021, 11, 25, 13, 5, 30);
+            assert.strictEqual(fromDosDateTime(toDosDateTime(date)).getTime(), date.getTime());
+            assert.strictEqual(fromDosDateTime(0), null);
+        });
+    });
+
+    describe("client.files", function () {
+        let sim;
+        beforeEach(async function () {
+            sim = await startSimulator({}, { frameLimits: { readWords: 100, writeWords: 100 } });
+            sim.server.setFile("/LOGS/DATA.CSV", "a,b,c\n");
+            sim.server.setFile("/LOGS/EVENTS.TXT", "");
+        });
+        afterEach(async function () {
+            await stopSimulator(sim);
+        });
+
+        it("lists a directory", async function () {
+            const files = await sim.client.files.list("/LOGS");
+            assert.deepStrictEqual(files.map(file => file.path), ["/LOGS/DATA.CSV", "/LOGS/EVENTS.TXT"]);
+            assert.strictEqual(files[0].size, 6);
+            const root = await sim.client.files.list("/");
+            assert.strictEqual(root[0].isDirectory, true);
+        });
+
+        it("writes & reads a file larger than one frame", async function () {
+            const data = Buffer.from(Array.from({ length: 1000 }, (_, index) => index & 0xff));
+            await sim.client.files.writeFile("/BIG.BIN", data);
+            assert.deepStrictEqual(sim.server.getFile("/BIG.BIN"), data);
+            assert.deepStrictEqual(await sim.client.files.readFile("/BIG.BIN"), data);
+        });
+
+        it("appends to a file and fails to overwrite when overwrite is false", async function () {
+            await sim.client.files.appendFile("/LOGS/DATA.CSV", "d,e,f\n");
+            assert.strictEqual(await sim.client.files.readFile("/LOGS/DATA.CSV", { encoding: "latin1" }), "a,b,c\nd,e,f\n");
+            await assert.rejects(sim.client.files.writeFile("/LOGS/DATA.CSV", "x", { overwrite: false }), FinsEndCodeError);
+        });
+
+        it("copies, renames & deletes files", async function () {
+            await sim.client.files.copy("/LOGS/DATA.CSV", "/COPY.CSV");
+            await sim.client.files.rename("/COPY.CSV", "OLD.CSV");
+            assert.strictEqual(sim.server.getFile("/COPY.CSV"), null);
+            assert.strictEqual(sim.server.getFile("/OLD.CSV").toString(), "a,b,c\n");
+            assert.strictEqual(await sim.client.files.delete(["/LOGS/DATA.CSV", "/LOGS/EVENTS.TXT"]), 2);
+            assert.deepStrictEqual(await sim.client.files.list("/LOGS"), []);
+        });
+
+        it("creates & deletes directories", async function () {
+            await sim.client.files.mkdir("/NEW");
+            assert.ok((await sim.client.files.list("/")).some(file => file.name === "NEW"));
+            await assert.rejects(sim.client.files.rmdir("/LOGS"), FinsEndCodeError);
+            await sim.client.files.rmdir("/NEW");
+            assert.ok(!(await sim.client.files.list("/")).some(file => file.name === "NEW"));
+        });
+
+        it("formats the disk", async function () {
+            await sim.client.files.format();
+            assert.deepStrictEqual(await sim.client.files.list("/"), []);
+            assert.strictEqual((await sim.client.files.info()).totalFiles, 0);
+        });
+
+        it("saves & loads I/O memory", async function () {
+            sim.server.setValues("D100", [1, 2, 3]);
+            assert.strictEqual(await sim.client.files.saveMemory("D100", 3, "/MEM.IOM"), 3);
+            assert.strictEqual(await sim.client.files.loadMemory("/MEM.IOM", "D200", 3), 3);
+            assert.deepStrictEqual(sim.server.getValues("D200", 3), [1, 2, 3]);
+            assert.strictEqual(await sim.client.files.compareMemory("D100", 3, "/MEM.IOM"), 3);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const inherits = require('util').inherits;
+const FinsPoller = require('../lib/FinsPoller');
+
+/**
+ * A minimal poller counting the polls
+ */
+function CountingPoller(client, options, poll) {
+    FinsPoller.call(this, client, options);
+    this.polls = 0;
+    this._pollFn = poll;
+    this._start();
+}
+inherits(CountingPoller, FinsPoller);
+CountingPoller.prototype._poll = function (done) {
+    this.polls++;
+    this._pollFn ? this._pollFn(done) : setImmediate(done);
+};
+
+function fakeClient(connected, queueCount) {
+    return { connected: connected, max_queue: 100, queueCount: () => queueCount || 0 };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe("FinsPoller", function () {
+    let poller;
+    afterEach(function () {
+        poller && poller._stop();
+        poller = null;
+    });
+
+    it("polls on the interval", async function () {
+        poller = new CountingPoller(fakeClient(true), { interval: 10 });
+        await wait(55);
+        assert.ok(poller.polls >= 2, `only ${poller.polls} polls`);
+    });
+
+    it("skips polls while the client is disconnected or the queue is at the limit", async function () {
+        const skipped = [];
+        poller = new CountingPoller(fakeClient(false), { interval: 10 });
+        poller.on('skipped', info => skipped.push(info));
+        await wait(35);
+        assert.strictEqual(poller.polls, 0);
+        assert.ok(poller.skipped >= 2);
+        assert.deepStrictEqual(skipped[0], { connected: false, queueCount: 0 });
+        poller._stop();
+
+        poller = new CountingPoller(fakeClient(true, 5), { interval: 10, queueLimit: 5 });
+        await wait(25);
+        assert.strictEqual(poller.polls, 0);
+        assert.ok(poller.skipped >= 1);
+    });
+
+    it("does not poll while paused", async function () {
+        poller = new CountingPoller(fakeClient(true), { interval: 10, paused: true });
+        await wait(30);
+        assert.strictEqual(poller.polls, 0);
+        poller.resume();
+        await wait(5);
+        assert.strictEqual(poller.polls, 1);
+        poller.pause();
+        await wait(30);
+        assert.strictEqual(poller.polls, 1);
+    });
+
+    it("keeps polling when a handler throws", async function () {
+        const errors = [];
+        poller = new CountingPoller(fakeClient(true), { interval: 10, onError: err => errors.push(err.message) }, function (done) {
+            setImmediate(() => poller._report(done, () => { throw new Error("bad handler"); }));
+        });
+        await wait(35);
+        assert.ok(errors.length >= 2, `only ${errors.length} errors`);
+    });
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsAddressError } = require('../lib/FinsErrors');
+
+describe("Read planner", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator();
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("merges nearby addresses into one read", function () {
+        const plan = sim.client.planReads(["D105", "D100", "D101"]);
+        assert.strictEqual(plan.commands.length, 1);
+        assert.strictEqual(plan.commands[0].command, "read");
+        assert.strictEqual(plan.commands[0].address, "D100");
+        assert.strictEqual(plan.commands[0].count, 6);
+    });
+
+    it("reads addresses further apart than maxGap with readMultiple", function () {
+        const plan = sim.client.planReads(["D0", "D100", "W5"], { maxGap: 10 });
+        assert.strictEqual(plan.commands.length, 1);
+        assert.strictEqual(plan.commands[0].command, "readMultiple");
+        assert.deepStrictEqual(plan.commands[0].addresses, ["D0", "D100", "W5"]);
+    });
+
+    it("splits a merged read at the frame limit", async function () {
+        await stopSimulator(sim);
+        sim = await startSimulator({}, { frameLimits: { readWords: 10, writeWords: 10 } });
+        const plan = sim.client.planReads(["D0", "D5", "D9", "D12"]);
+        assert.deepStrictEqual(plan.commands.map(command => command.command), ["read", "readMultiple"]);
+        assert.strictEqual(plan.commands[0].count, 10);
+    });
+
+    it("throws for an invalid address", function () {
+        assert.throws(() => sim.client.planReads(["D0", "XYZ"]), FinsAddressError);
+    });
+
+    it("reads the values in the order of the addresses", async function () {
+        sim.server.setValues("D100", [1, 2, 0x0008]);
+        sim.server.setValues("D500", [-3]);
+        await sim.client.writeAsync("D600:REAL", [1.5]);
+        const msg = await sim.client.readPlannedAsync(["D500", "D102.3", "D600:REAL", "D100", "D101"]);
+        assert.deepStrictEqual(msg.response.values, [-3, 1, 1.5, 1, 2]);
+    });
+
+    it("passes an invalid address to the callback", async function () {
+        const { err } = await callback(cb => sim.client.readPlanned(["XYZ"], cb));
+        assert.ok(err instanceof FinsAddressError);
+    });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { FinsServer, FinsErrors } = require('../lib');
+const { startSimulator, stopSimulator } = require('./helpers');
+
+describe("FinsServer (PLC simulator)", function () {
+    ["udp", "tcp"].forEach(function (protocol) {
+        describe(`over ${protocol}`, function () {
+            let sim;
+            beforeEach(async function () {
+                sim = await startSimulator({}, { protocol: protocol });
+            });
+            afterEach(async function () {
+                await stopSimulator(sim);
+            });
+
+            it("reads values set in the simulator memory", async function () {
+                sim.server.setValues("D100", [1, 2, 3]);
+                const msg = await sim.client.readAsync("D100", 3);
+                assert.deepStrictEqual(msg.response.values, [1, 2, 3]);
+            });
+
+            it("stores values written by the client", async function () {
+                await sim.client.writeAsync("W10", [0x1234, 0x5678]);
+                await sim.client.writeAsync("CIO0.3", [true, false, true]);
+                assert.deepStrictEqual(sim.server.getValues("W10", 2), [0x1234, 0x5678]);
+                assert.deepStrictEqual(sim.server.getValues("CIO0.3", 3), [1, 0, 1]);
+            });
+
+            it("fills, transfers and reads multiple addresses", async function () {
+                await sim.client.fillAsync("D0", 7, 4);
+                await sim.client.transferAsync("D0", "D10", 4);
+                const msg = await sim.client.readMultipleAsync("D1,D13,CIO0.0");
+                assert.deepStrictEqual(sim.server.getValues("D10", 4), [7, 7, 7, 7]);
+                assert.deepStrictEqual(msg.response.values, [7, 7, 0]);
+            });
+
+            it("reports the operating mode set in the simulator", async function () {
+                sim.server.setMode("MONITOR");
+                const msg = await sim.client.statusAsync();
+                assert.strictEqual(msg.response.result.mode, "MONITOR");
+            });
+        });
+    });
+
+    describe("command handlers", function () {
+        let sim;
+        afterEach(async function () {
+            await stopSimulator(sim);
+        });
+
+        it("rejects unknown commands with end code 0401", async function () {
+            sim = await startSimulator();
+            delete sim.server.commandHandlers["0620"];
+            await assert.rejects(sim.client.cycleTimeReadAsync(), function (error) {
+                assert.ok(error instanceof FinsErrors.FinsEndCodeError);
+                assert.strictEqual(error.endCode, "0401");
+                return true;
+            });
+        });
+
+        it("can be overridden", async function () {
+            sim = await startSimulator();
+            sim.server.commandHandlers["0101"] = function () {
+                return { endCode: 0x1103 }; //address range exceeded
+            };
+            await assert.rejects(sim.client.readAsync("D0", 1), { endCode: "1103" });
+        });
+    });
+
+    it("builds a response frame for a command frame", function () {
+        const server = new FinsServer({ udpPort: null, tcpPort: null });
+        server.setValues("D0", [42]);
+        const frame = Buffer.from([0x80, 0x00, 0x02, 0x00, 0x01, 0x00, 0x00, 0x02, 0x00, 0x07, 0x01, 0x01, 0x82, 0x00, 0x00, 0x00, 0x00, 0x01]);
+        const reply = server.processFrame(frame);
+        assert.strictEqual(reply[0] & 0x40, 0x40); //response
+        assert.strictEqual(reply[9], 0x07); //SID
+        assert.strictEqual(reply.readUInt16BE(12), 0); //end code
+        assert.strictEqual(reply.readUInt16BE(14), 42);
+    });
+});
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator } = require('./helpers');
+
+function nextChange(subscription) {
+    return new Promise(resolve => subscription.once('change', values => resolve(values)));
+}
+
+describe("Subscriptions", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator();
+        sim.server.setValues("D0", [10, 20]);
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("reports all values first then only the changed values", async function () {
+        const subscription = sim.client.subscribe(["D0", "D1"], { interval: 10 });
+        assert.deepStrictEqual(await nextChange(subscription), { D0: 10, D1: 20 });
+        sim.server.setValues("D1", [21]);
+        assert.deepStrictEqual(await nextChange(subscription), { D1: 21 });
+        subscription.unsubscribe();
+    });
+
+    it("ignores changes within the deadband", async function () {
+        const subscription = sim.client.subscribe(["D0", "D1"], { interval: 10, deadband: 2 });
+        await nextChange(subscription);
+        sim.server.setValues("D0", [11, 25]);
+        assert.deepStrictEqual(await nextChange(subscription), { D1: 25 });
+        sim.server.setValues("D0", [13]);
+        assert.deepStrictEqual(await nextChange(subscription), { D0: 13 });
+        subscription.unsubscribe();
+    });
+
+    it("reports all values every poll in cyclic mode", async function () {
+        const subscription = sim.client.subscribe("D0,D1", { interval: 10, mode: "cyclic" });
+        await nextChange(subscription);
+        assert.deepStrictEqual(await nextChange(subscription), { D0: 10, D1: 20 });
+        subscription.unsubscribe();
+    });
+
+    it("does not poll while paused", async function () {
+        const subscription = sim.client.subscribe(["D0"], { interval: 10, paused: true });
+        let changes = 0;
+        subscription.on('change', () => changes++);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(changes, 0);
+        subscription.resume();
+        assert.deepStrictEqual(await nextChange(subscription), { D0: 10 });
+        subscription.unsubscribe();
+    });
+
+    it("reports a failed poll to onError", async function () {
+        const { err } = await new Promise(resolve => {
+            const subscription = sim.client.subscribe(["D0"], {
+                interval: 10,
+                onError: (err) => {
+                    subscription.unsubscribe();
+                    resolve({ err });
+                }
+            });
+            sim.server.commandHandlers["0104"] = () => ({ endCode: "1103" });
+        });
+        assert.ok(err instanceof Error);
+    });
+
+    it("keeps polling when onChange throws", async function () {
+        const errors = [];
+        let nextError;
+        const subscription = sim.client.subscribe(["D0"], {
+            interval: 10,
+            onChange: (values) => { throw new Error(`bad handler ${values.D0}`); },
+            onError: (err) => { errors.push(err.message); nextError && nextError(); }
+        });
+        await new Promise(resolve => nextError = resolve);
+        assert.strictEqual(subscription.polling, false);
+        sim.server.setValues("D0", [11]);
+        await new Promise(resolve => nextError = resolve);
+        subscription.unsubscribe();
+        assert.deepStrictEqual(errors, ["bad handler 10", "bad handler 11"]);
+    });
+
+    it("unsubscribes all subscriptions on disconnect", function () {
+        const subscription = sim.client.subscribe(["D0"], { interval: 10 });
+        let unsubscribed = false;
+        subscription.on('unsubscribed', () => unsubscribed = true);
+        sim.client.disconnect();
+        assert.strictEqual(unsubscribed, true);
+        assert.strictEqual(subscription.active, false);
+        assert.strictEqual(sim.client.subscriptions.length, 0);
+    });
+});
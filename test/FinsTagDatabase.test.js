@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsTagError } = require('../lib/FinsErrors');
+
+const TAGS = [
+    { name: "Tank1.Level", address: "D1200", type: "INT", scale: [0, 27648, 0, 100], units: "%" },
+    { name: "Tank1.Temp", address: "D1202:REAL", units: "C", access: "r" },
+    { name: "Pump1.Start", address: "W0.3", access: "w" },
+];
+
+describe("Tag database", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator({}, { tags: TAGS });
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("validates tags when they are loaded", function () {
+        const tags = sim.client.tags;
+        assert.throws(() => tags.add({ name: "Bad", address: "XYZ" }), FinsTagError);
+        assert.throws(() => tags.add({ name: "Tank1.Level", address: "D0" }), FinsTagError);
+        assert.throws(() => tags.add({ name: "Bit", address: "D0.1", type: "REAL" }), FinsTagError);
+        assert.throws(() => tags.add({ name: "Text", address: "D0", type: "STRING" }), FinsTagError);
+        assert.throws(() => tags.add({ name: "Scaled", address: "D0", scale: [0, 0, 0, 100] }), FinsTagError);
+        assert.throws(() => tags.add({ name: "Access", address: "D0", access: "x" }), FinsTagError);
+        assert.strictEqual(tags.list().length, TAGS.length);
+    });
+
+    it("adds all tags or none", function () {
+        assert.throws(() => sim.client.tags.load([{ name: "A", address: "D0" }, { name: "B", address: "XYZ" }]), FinsTagError);
+        assert.strictEqual(sim.client.tags.has("A"), false);
+    });
+
+    it("scales values to & from engineering units", function () {
+        const tag = sim.client.tags.get("Tank1.Level");
+        assert.strictEqual(sim.client.tags.toEngineering(tag, 13824), 50);
+        assert.strictEqual(sim.client.tags.toRaw(tag, 50), 13824);
+    });
+
+    it("writes & reads tags", async function () {
+        await sim.client.writeTagAsync("Tank1.Level", 50);
+        assert.deepStrictEqual(sim.server.getValues("D1200", 1), [13824]);
+        await sim.client.writeAsync("D1202:REAL", [21.5]);
+        const msg = await sim.client.readTagAsync(["Tank1.Level", "Tank1.Temp"]);
+        assert.deepStrictEqual(msg.response.values, [50, 21.5]);
+        assert.deepStrictEqual(msg.response.tags["Tank1.Level"], { value: 50, rawValue: 13824, units: "%" });
+    });
+
+    it("checks the tag access", async function () {
+        let result = await callback(cb => sim.client.writeTag("Tank1.Temp", 1, cb));
+        assert.ok(result.err instanceof FinsTagError);
+        result = await callback(cb => sim.client.readTag("Pump1.Start", cb));
+        assert.ok(result.err instanceof FinsTagError);
+    });
+
+    it("passes an undefined tag to the callback", async function () {
+        const { err } = await callback(cb => sim.client.readTag("Nope", cb));
+        assert.ok(err instanceof FinsTagError);
+    });
+});
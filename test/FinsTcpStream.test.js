@@ -0,0 +1,66 @@
+const assert = require('assert');
+const FinsTcpStream = require('../lib/FinsTcpStream');
+const constants = require('../lib/FinsConstants');
+
+const FRAME_SEND = constants.TCPCommands.FRAME_SEND;
+
+describe("FinsTcpStream", function () {
+    let stream;
+    beforeEach(function () {
+        stream = new FinsTcpStream();
+    });
+
+    it("extracts a complete frame", function () {
+        const frame = stream.frame(FRAME_SEND, Buffer.from([1, 2, 3]));
+        const { frames, discarded } = stream.push(frame);
+        assert.strictEqual(frames.length, 1);
+        assert.strictEqual(frames[0].command, FRAME_SEND);
+        assert.deepStrictEqual([...frames[0].data], [1, 2, 3]);
+        assert.strictEqual(discarded, 0);
+        assert.strictEqual(stream.bufferedLength, 0);
+    });
+
+    it("waits for the rest of a frame split across segments", function () {
+        const frame = stream.frame(FRAME_SEND, Buffer.alloc(300, 7));
+        assert.strictEqual(stream.push(frame.slice(0, 3)).frames.length, 0); //part of the magic
+        assert.strictEqual(stream.push(frame.slice(3, 12)).frames.length, 0); //part of the header
+        assert.strictEqual(stream.push(frame.slice(12, 200)).frames.length, 0);
+        const { frames } = stream.push(frame.slice(200));
+        assert.strictEqual(frames.length, 1);
+        assert.strictEqual(frames[0].data.length, 300);
+    });
+
+    it("splits coalesced frames", function () {
+        const first = stream.frame(FRAME_SEND, Buffer.from([1]));
+        const second = stream.frame(FRAME_SEND, Buffer.from([2, 2]));
+        const third = stream.frame(FRAME_SEND, Buffer.from([3, 3, 3]));
+        const joined = Buffer.concat([first, second, third]);
+        const { frames } = stream.push(joined.slice(0, joined.length - 2));
+        assert.deepStrictEqual(frames.map(frame => frame.data.length), [1, 2]);
+        assert.deepStrictEqual(stream.push(joined.slice(joined.length - 2)).frames.map(frame => frame.data.length), [3]);
+    });
+
+    it("resynchronises at the next FINS magic after garbage", function () {
+        const frame = stream.frame(FRAME_SEND, Buffer.from([9]));
+        const { frames, discarded } = stream.push(Buffer.concat([Buffer.from("xyz!"), frame]));
+        assert.strictEqual(frames.length, 1);
+        assert.strictEqual(discarded, 4);
+    });
+
+    it("skips a header with an invalid length", function () {
+        const bad = Buffer.from("FINS\xff\xff\xff\xff", "latin1");
+        const frame = stream.frame(FRAME_SEND, Buffer.from([5]));
+        const { frames, discarded } = stream.push(Buffer.concat([bad, frame]));
+        assert.strictEqual(frames.length, 1);
+        assert.deepStrictEqual([...frames[0].data], [5]);
+        assert.strictEqual(discarded, bad.length);
+    });
+
+    it("discards buffered data on reset", function () {
+        const frame = stream.frame(FRAME_SEND, Buffer.from([1, 2]));
+        stream.push(frame.slice(0, 10));
+        stream.reset();
+        assert.strictEqual(stream.bufferedLength, 0);
+        assert.strictEqual(stream.push(frame).frames.length, 1);
+    });
+});
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const { FinsServer } = require('../lib');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsEndCodeError, FinsTimeoutError } = require('../lib/FinsErrors');
+
+const OTHER = { network: 1, node: 99, unit: 0 };
+
+describe("Access right commands", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator({}, { timeout: 200 });
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("acquires & releases the access right", async function () {
+        await sim.client.accessRightAcquireAsync();
+        assert.ok(sim.server.getAccessRight());
+        await sim.client.accessRightReleaseAsync();
+        assert.strictEqual(sim.server.getAccessRight(), null);
+    });
+
+    it("reports the device holding the access right", async function () {
+        sim.server.setAccessRight(OTHER);
+        const { err } = await callback(cb => sim.client.accessRightAcquire(cb));
+        assert.ok(err instanceof FinsEndCodeError);
+        assert.strictEqual(err.endCode, "3001");
+        assert.deepStrictEqual(err.msg.response.holder, OTHER);
+    });
+
+    it("takes the access right with a forced acquire", async function () {
+        sim.server.setAccessRight(OTHER);
+        await sim.client.accessRightForcedAcquireAsync();
+        assert.notDeepStrictEqual(sim.server.getAccessRight(), OTHER);
+    });
+
+    it("releases the access right after the work", async function () {
+        const msg = await sim.client.withAccessRightAsync(async function () {
+            assert.ok(sim.server.getAccessRight());
+            return 42;
+        });
+        assert.strictEqual(msg.response.result, 42);
+        assert.strictEqual(msg.response.released, true);
+        assert.strictEqual(sim.server.getAccessRight(), null);
+    });
+
+    it("releases the access right when the work fails", async function () {
+        const { err } = await callback(cb => sim.client.withAccessRight(done => done(new Error("failed")), cb));
+        assert.strictEqual(err.message, "failed");
+        assert.strictEqual(sim.server.getAccessRight(), null);
+    });
+
+    it("releases the access right when the acquire times out", async function () {
+        const processFrame = sim.server.processFrame.bind(sim.server);
+        sim.server.processFrame = function (frame) {
+            const reply = processFrame(frame);
+            return frame.slice(10, 12).toString("hex") === "0c01" ? null : reply; //the reply is lost
+        };
+        let worked = false;
+        const { err } = await callback(cb => sim.client.withAccessRight(async () => { worked = true; }, cb));
+        assert.ok(err instanceof FinsTimeoutError);
+        assert.strictEqual(worked, false);
+        assert.strictEqual(sim.server.getAccessRight(), null);
+    });
+});
+
+describe("Access right release after a lost connection", function () {
+    let sim;
+    let opens;
+    beforeEach(async function () {
+        sim = await startSimulator({ udpPort: null }, { protocol: "tcp", timeout: 200, reconnect: { initialDelay: 20, jitter: 0 } });
+        opens = sim.client.listenerCount('open');
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    /** Run withAccessRight with work that loses the connection */
+    function loseConnectionInWork() {
+        return callback(cb => sim.client.withAccessRight(async function () {
+            const reconnecting = new Promise(resolve => sim.client.once('reconnecting', resolve));
+            await new Promise(resolve => sim.server.close(resolve));
+            await reconnecting;
+        }, cb));
+    }
+
+    /** Restart the server on the same port and record the command codes it receives */
+    function restartServer(port) {
+        const commands = [];
+        sim.server = new FinsServer({ udpPort: null, tcpPort: port, host: "127.0.0.1" });
+        const processFrame = sim.server.processFrame.bind(sim.server);
+        sim.server.processFrame = function (frame) {
+            commands.push(frame.slice(10, 12).toString("hex"));
+            return processFrame(frame);
+        };
+        return new Promise(resolve => sim.server.listen(() => resolve(commands)));
+    }
+
+    it("releases the access right when the connection is re-opened", async function () {
+        const port = sim.server.tcpPort;
+        const { err } = await loseConnectionInWork();
+        assert.ok(/not released/.test(err.message));
+        const opened = new Promise(resolve => sim.client.once('open', resolve));
+        const commands = await restartServer(port);
+        await opened;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepStrictEqual(commands, ["0c03"]);
+        assert.strictEqual(sim.client.listenerCount('open'), opens);
+    });
+
+    it("drops the pending release on disconnect", async function () {
+        await loseConnectionInWork();
+        assert.strictEqual(sim.client.listenerCount('open'), opens + 1);
+        sim.client.disconnect();
+        assert.strictEqual(sim.client.listenerCount('open'), opens);
+    });
+
+    it("does not release an access right that was acquired again", async function () {
+        const port = sim.server.tcpPort;
+        await loseConnectionInWork();
+        sim.client.prependOnceListener('open', () => sim.client.accessRightAcquire(() => { }));
+        const opened = new Promise(resolve => sim.client.once('open', resolve));
+        const commands = await restartServer(port);
+        await opened;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepStrictEqual(commands, ["0c01"]);
+        assert.ok(sim.server.getAccessRight());
+        assert.strictEqual(sim.client.listenerCount('open'), opens);
+    });
+});
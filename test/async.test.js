@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsEndCodeError, FinsTimeoutError, FinsTransportError } = require('../lib/FinsErrors');
+
+describe("Promise based commands", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator({}, { timeout: 200 });
+        sim.server.setValues("D100", [1, 2, 3]);
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("resolves with the msg", async function () {
+        const msg = await sim.client.readAsync("D100", 3);
+        assert.strictEqual(typeof msg.sid, "number");
+        assert.strictEqual(msg.response.endCode, "0000");
+        assert.deepStrictEqual(msg.response.values, [1, 2, 3]);
+    });
+
+    it("rejects on timeout", async function () {
+        sim.server.processFrame = () => null; //never reply
+        await assert.rejects(sim.client.readAsync("D100", 1), FinsTimeoutError);
+    });
+
+    it("rejects with a transport error when not connected", async function () {
+        sim.client.disconnect();
+        await assert.rejects(sim.client.readAsync("D100", 1), err => err instanceof FinsTransportError && /not connected/.test(err.message));
+    });
+
+    it("rejects on an end code other than 0000 while the callback form still works", async function () {
+        sim.server.commandHandlers["0101"] = () => ({ endCode: 0x1103 });
+        await assert.rejects(sim.client.readAsync("D100", 1), err => err instanceof FinsEndCodeError && err.endCode === "1103");
+        const { err } = await callback(cb => sim.client.read("D100", 1, cb));
+        assert.ok(err instanceof FinsEndCodeError);
+        assert.strictEqual(err.endCode, "1103");
+        assert.strictEqual(err.msg.response.endCode, "1103");
+    });
+
+    it("calls the options callback and emits 'error' if it throws", async function () {
+        const called = [];
+        const emitted = new Promise(resolve => sim.client.once('error', resolve));
+        const msg = await sim.client.readAsync("D100", 1, {
+            callback: (err, msg) => {
+                called.push(msg.response.values);
+                throw new Error("bad callback");
+            }
+        });
+        assert.deepStrictEqual(msg.response.values, [1]);
+        assert.deepStrictEqual(called, [[1]]);
+        assert.strictEqual((await emitted).message, "bad callback");
+    });
+});
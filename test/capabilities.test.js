@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsAddressError, FinsEndCodeError } = require('../lib/FinsErrors');
+
+function reconnect(sim, options) {
+    sim.client.disconnect();
+    return new Promise(resolve => {
+        sim.client.once('open', resolve);
+        sim.client.connect("127.0.0.1", sim.server.udpPort, options);
+    });
+}
+
+describe("Address range checking", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator({}, { capabilities: true });
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("sends any address to the PLC without a capability profile", async function () {
+        sim.client.setCapabilities(null);
+        assert.strictEqual(sim.client.getCapabilities(), null);
+        const { err } = await callback(cb => sim.client.read("D40000", 1, cb));
+        assert.ok(err instanceof FinsEndCodeError); //rejected by the PLC
+    });
+
+    it("passes addresses outside the profile to the callback of each command", async function () {
+        const commands = [
+            cb => sim.client.read("D40000", 1, cb),
+            cb => sim.client.read("D32760", 10, cb),
+            cb => sim.client.write("D40000", [1], cb),
+            cb => sim.client.fill("D40000", 1, 1, cb),
+            cb => sim.client.transfer("D0", "D40000", 1, cb),
+            cb => sim.client.readMultiple("D0,D40000", cb),
+            cb => sim.client.readMultiple("D32767:REAL", cb),
+        ];
+        for (const command of commands) {
+            const { err } = await callback(command);
+            assert.ok(err instanceof FinsAddressError, err && err.message);
+        }
+    });
+
+    it("rejects the promise of an out of range command", async function () {
+        await assert.rejects(sim.client.readAsync("D32767", 2), FinsAddressError);
+        const msg = await sim.client.readAsync("D32767", 1);
+        assert.strictEqual(msg.response.values.length, 1);
+    });
+
+    it("loads the profile from the CPU unit data", async function () {
+        sim.client.setCapabilities(null);
+        const msg = await sim.client.loadCapabilitiesAsync();
+        assert.strictEqual(msg.response.capabilities.D, 32768);
+        assert.strictEqual(sim.client.getCapabilities().EMBanks, 25);
+    });
+
+    it("rebuilds the profile of the capabilities option when connect() changes MODE", async function () {
+        assert.strictEqual(sim.client.getCapabilities().D, 32768);
+        await reconnect(sim, { MODE: "CV" });
+        assert.strictEqual(sim.client.getCapabilities().D, 24576);
+        await reconnect(sim, { capabilities: "CJ2M" });
+        assert.strictEqual(sim.client.getCapabilities().EMBanks, 4);
+    });
+
+    it("keeps a profile set with setCapabilities when connect() changes MODE", async function () {
+        sim.client.setCapabilities({ D: 10 });
+        await reconnect(sim, { MODE: "CJ2" });
+        assert.deepStrictEqual(sim.client.getCapabilities(), { D: 10 });
+    });
+});
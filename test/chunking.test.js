@@ -0,0 +1,104 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator } = require('./helpers');
+
+describe("Reads & writes larger than one frame", function () {
+    ["udp", "tcp"].forEach(function (protocol) {
+        describe(`over ${protocol}`, function () {
+            let sim;
+            beforeEach(async function () {
+                sim = await startSimulator({}, { protocol: protocol });
+            });
+            afterEach(async function () {
+                await stopSimulator(sim);
+            });
+
+            it("splits a large read into several commands", async function () {
+                const values = Array.from({ length: 4000 }, (_, index) => index);
+                sim.server.setValues("D1000", values);
+                const msg = await sim.client.readAsync("D1000", 4000);
+                assert.strictEqual(msg.chunks.length, 5); //999 words per command
+                assert.deepStrictEqual(msg.response.values, values);
+            });
+
+            it("splits a large write into several commands", async function () {
+                const values = Array.from({ length: 4000 }, (_, index) => (index * 3) & 0x7fff);
+                const msg = await sim.client.writeAsync("D2000", values);
+                assert.strictEqual(msg.chunks.length, 5); //996 words per command
+                assert.deepStrictEqual(sim.server.getValues("D2000", 4000), values);
+            });
+
+            it("splits a large bit read at the bit limit", async function () {
+                const bits = Array.from({ length: 2100 }, (_, index) => index % 3 === 0 ? 1 : 0);
+                sim.server.setValues("W0.5", bits);
+                const msg = await sim.client.readAsync("W0.5", 2100);
+                assert.strictEqual(msg.chunks.length, 2); //1998 bits per command
+                assert.deepStrictEqual(msg.response.values, bits);
+            });
+        });
+    });
+
+    it("uses the frameLimits option", async function () {
+        const sim = await startSimulator({}, { frameLimits: { readWords: 100, writeWords: 50 } });
+        try {
+            const write = await sim.client.writeAsync("D0", Array(120).fill(1));
+            const read = await sim.client.readAsync("D0", 120);
+            assert.strictEqual(write.chunks.length, 3);
+            assert.strictEqual(read.chunks.length, 2);
+        } finally {
+            await stopSimulator(sim);
+        }
+    });
+
+    it("uses the frame limits of the PLC type", async function () {
+        const sim = await startSimulator({ MODE: "CP1" });
+        try {
+            assert.deepStrictEqual(sim.client.frameLimits, { readWords: 269, writeWords: 267 });
+            const values = Array.from({ length: 600 }, (_, index) => index);
+            const write = await sim.client.writeAsync("D0", values);
+            const read = await sim.client.readAsync("D0", 600);
+            assert.strictEqual(write.chunks.length, 3); //267 words per command
+            assert.strictEqual(read.chunks.length, 3); //269 words per command
+            assert.deepStrictEqual(read.response.values, values);
+        } finally {
+            await stopSimulator(sim);
+        }
+    });
+
+    it("overrides the frame limits of the PLC type with the frameLimits option", async function () {
+        const sim = await startSimulator({ MODE: "CP1" }, { frameLimits: { readWords: 600 } });
+        try {
+            assert.deepStrictEqual(sim.client.frameLimits, { readWords: 600, writeWords: 267 });
+            const read = await sim.client.readAsync("D0", 600);
+            assert.strictEqual(read.chunks, undefined); //one command
+        } finally {
+            await stopSimulator(sim);
+        }
+    });
+
+    it("does not split typed values across commands", async function () {
+        const sim = await startSimulator({}, { frameLimits: { readWords: 5, writeWords: 5 } });
+        try {
+            await sim.client.writeAsync("D0:REAL", [1.5, 2.5, 3.5, 4.5]);
+            const msg = await sim.client.readAsync("D0:REAL", 4);
+            assert.deepStrictEqual(msg.chunks.map(chunk => chunk.response.values.length), [4, 4]);
+            assert.deepStrictEqual(msg.response.values, [1.5, 2.5, 3.5, 4.5]);
+        } finally {
+            await stopSimulator(sim);
+        }
+    });
+
+    it("stops at the first failed command", async function () {
+        const sim = await startSimulator({}, { frameLimits: { readWords: 10 } });
+        const handler = sim.server.commandHandlers["0101"];
+        let count = 0;
+        sim.server.commandHandlers["0101"] = function (...args) {
+            return ++count === 2 ? { endCode: 0x1103 } : handler(...args);
+        };
+        try {
+            await assert.rejects(sim.client.readAsync("D0", 30), { endCode: "1103" });
+            assert.strictEqual(count, 2);
+        } finally {
+            await stopSimulator(sim);
+        }
+    });
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+
+describe("CPU unit data read", function () {
+    let sim;
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("decodes all the sections", async function () {
+        sim = await startSimulator({ MODE: "CJ2" });
+        const { result } = (await sim.client.cpuUnitDataReadAsync()).response;
+        assert.strictEqual(result.section, "all");
+        assert.strictEqual(result.CPUUnitModel, "CJ2M-CPU33");
+        assert.strictEqual(result.SystemUse.LargestEMBankNumber, 24);
+        assert.strictEqual(result.AreaData.NoOfDMWords, 32768);
+        assert.strictEqual(result.AreaData.EMBankCount, 25);
+        assert.strictEqual(result.AreaData.MemoryCardTypeName, "NONE");
+        assert.strictEqual(result.CPUBusUnitConfiguration.length, 16);
+        assert.strictEqual(result.RackCount, 1);
+    });
+
+    it("reads only the model section", async function () {
+        sim = await startSimulator();
+        const { result } = (await sim.client.cpuUnitDataReadAsync({ section: "model" })).response;
+        assert.strictEqual(result.section, "model");
+        assert.strictEqual(result.CPUUnitModel, "CJ2M-CPU33");
+        assert.strictEqual(result.AreaData, null);
+        assert.strictEqual(result.CPUBusUnitConfiguration, null);
+    });
+
+    it("reads only the area section", async function () {
+        sim = await startSimulator();
+        const { result } = (await sim.client.cpuUnitDataReadAsync({ section: "area" })).response;
+        assert.strictEqual(result.CPUUnitModel, null);
+        assert.strictEqual(result.AreaData.NoOfDMWords, 32768);
+    });
+
+    it("reports the data that the PLC type does not have as null", async function () {
+        sim = await startSimulator({ MODE: "CV" });
+        const { result } = (await sim.client.cpuUnitDataReadAsync()).response;
+        assert.strictEqual(result.CPUUnitModel, "CV1000-CPU01");
+        assert.strictEqual(result.SystemUse.LargestEMBankNumber, null);
+        assert.strictEqual(result.AreaData.EMBankCount, null);
+    });
+
+    it("decodes a short reply without failing", async function () {
+        sim = await startSimulator();
+        sim.server.commandHandlers["0501"] = () => ({ data: Buffer.from("CJ2M-CPU33".padEnd(20) + "02.01".padEnd(20), "ascii") });
+        const { result } = (await sim.client.cpuUnitDataReadAsync()).response;
+        assert.strictEqual(result.CPUUnitModel, "CJ2M-CPU33");
+        assert.strictEqual(result.CPUUnitInternalSystemVersion, "02.01");
+        assert.strictEqual(result.SystemUse, null);
+        assert.strictEqual(result.AreaData, null);
+    });
+
+    it("passes an invalid section to the callback", async function () {
+        sim = await startSimulator();
+        const { err } = await callback(cb => sim.client.cpuUnitDataRead({ section: "units", callback: cb }));
+        assert.ok(err instanceof Error);
+    });
+});
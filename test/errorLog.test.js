@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsEndCodeError } = require('../lib/FinsErrors');
+
+describe("Error log commands", function () {
+    let sim;
+    const date = new Date(2021, 11, 25, 13, 5, 30);
+    beforeEach(async function () {
+        sim = await startSimulator();
+        sim.server.addErrorLog(0x00F7, 0, date);
+        sim.server.addErrorLog(0x4101, 3, date);
+        sim.server.addErrorLog(0x80F1, 0, date);
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("reads all stored records", async function () {
+        const msg = await sim.client.errorLogReadAsync();
+        assert.strictEqual(msg.response.storedRecords, 3);
+        assert.strictEqual(msg.response.count, 3);
+        const record = msg.response.records[0];
+        assert.strictEqual(record.errorCode, 0x00F7);
+        assert.strictEqual(record.name, "BATTERY_ERROR");
+        assert.strictEqual(record.timestamp.getTime(), date.getTime());
+        assert.strictEqual(msg.response.records[1].detail, 3);
+    });
+
+    it("reads part of the log", async function () {
+        const msg = await sim.client.errorLogReadAsync(1, 1);
+        assert.deepStrictEqual(msg.response.records.map(record => record.errorCode), [0x4101]);
+    });
+
+    it("clears the log", async function () {
+        await sim.client.errorLogClearAsync();
+        const msg = await sim.client.errorLogReadAsync();
+        assert.strictEqual(msg.response.storedRecords, 0);
+        assert.deepStrictEqual(msg.response.records, []);
+    });
+
+    it("clears an error by name", async function () {
+        sim.server.setNonFatalError("BATTERY_ERROR");
+        await sim.client.errorClearAsync("BATTERY_ERROR");
+        const msg = await sim.client.statusAsync();
+        assert.strictEqual(msg.response.result.nonFatalErrors, null);
+    });
+
+    it("passes an invalid error code to the callback", async function () {
+        const { err } = await callback(cb => sim.client.errorClear("NOT_AN_ERROR", cb));
+        assert.ok(err instanceof Error);
+        assert.ok(!(err instanceof FinsEndCodeError));
+    });
+});
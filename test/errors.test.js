@@ -0,0 +1,101 @@
+const assert = require('assert');
+const net = require('net');
+const { FinsClient } = require('../lib');
+const FinsTcpStream = require('../lib/FinsTcpStream');
+const { TCPCommands } = require('../lib/FinsConstants');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsError, FinsEndCodeError, FinsQueueFullError, FinsTcpHandshakeError, FinsTransportError } = require('../lib/FinsErrors');
+
+/**
+ * Start a FINS/TCP server that rejects the node address handshake with `errorCode`
+ */
+function startRejectingServer(errorCode) {
+    const server = net.createServer(function (socket) {
+        const stream = new FinsTcpStream();
+        socket.on('error', () => { });
+        socket.on('data', function () {
+            const frame = stream.frame(TCPCommands.NODE_ADDRESS_DATA_SEND_SERVER, Buffer.alloc(8));
+            frame.writeUInt32BE(errorCode, 12);
+            socket.write(frame);
+        });
+    });
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+describe("Errors", function () {
+    describe("end codes", function () {
+        let sim;
+        afterEach(async function () {
+            await stopSimulator(sim);
+        });
+
+        it("passes the reply without an error when endCodeAsError is false", async function () {
+            sim = await startSimulator({}, { endCodeAsError: false });
+            sim.server.commandHandlers["0101"] = () => ({ endCode: 0x1103 });
+            const { err, msg } = await callback(cb => sim.client.read("D0", 1, cb));
+            assert.strictEqual(err, null);
+            assert.strictEqual(msg.response.endCode, "1103");
+            await assert.rejects(sim.client.readAsync("D0", 1, { endCodeAsError: true }), FinsEndCodeError);
+        });
+
+        it("overrides endCodeAsError per command", async function () {
+            sim = await startSimulator();
+            sim.server.commandHandlers["0101"] = () => ({ endCode: 0x2101 });
+            const msg = await sim.client.readAsync("D0", 1, { endCodeAsError: false });
+            assert.strictEqual(msg.response.endCode, "2101");
+            const { err } = await callback(cb => sim.client.read("D0", 1, cb));
+            assert.ok(err instanceof FinsEndCodeError);
+            assert.ok(err instanceof FinsError);
+            assert.strictEqual(err.endCode, "2101");
+            assert.strictEqual(err.endCodeDescription, err.message.substring(6));
+        });
+    });
+
+    it("fails with FinsQueueFullError when max_queue commands are pending", async function () {
+        const sim = await startSimulator({}, { max_queue: 2, timeout: 200 });
+        try {
+            sim.server.processFrame = () => null; //never reply
+            const pending = [sim.client.readAsync("D0", 1), sim.client.readAsync("D1", 1)];
+            pending.forEach(promise => promise.catch(() => { }));
+            await new Promise(resolve => setImmediate(resolve)); //commands are added to the queue asynchronously
+            assert.strictEqual(sim.client.queueCount(), 2);
+            const { err } = await callback(cb => sim.client.read("D2", 1, cb));
+            assert.ok(err instanceof FinsQueueFullError);
+            assert.strictEqual(err.maxQueue, 2);
+            await assert.rejects(sim.client.readAsync("D2", 1), FinsQueueFullError);
+        } finally {
+            await stopSimulator(sim);
+        }
+    });
+
+    it("emits FinsTcpHandshakeError when the node address handshake is rejected", async function () {
+        const server = await startRejectingServer(0x20);
+        const client = new FinsClient(server.address().port, "127.0.0.1", { protocol: "tcp", timeout: 1000 });
+        try {
+            const err = await new Promise(resolve => client.once('error', resolve));
+            assert.ok(err instanceof FinsTcpHandshakeError);
+            assert.strictEqual(err.tcpErrorCode, 0x20);
+            assert.strictEqual(err.message, "All connections are in use.");
+            assert.strictEqual(client.connected, false);
+        } finally {
+            client.disconnect();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it("keeps the socket error in FinsTransportError.cause", async function () {
+        const server = await new Promise(resolve => { const s = net.createServer(); s.listen(0, "127.0.0.1", () => resolve(s)); });
+        const port = server.address().port;
+        await new Promise(resolve => server.close(resolve)); //nothing is listening on the port now
+        const client = new FinsClient(port, "127.0.0.1", { protocol: "tcp", timeout: 1000 });
+        try {
+            const err = await new Promise(resolve => client.once('error', resolve));
+            assert.ok(err instanceof FinsTransportError);
+            assert.ok(err.cause instanceof Error);
+            assert.strictEqual(err.cause.code, "ECONNREFUSED");
+            assert.strictEqual(err.code, "ECONNREFUSED");
+        } finally {
+            client.disconnect();
+        }
+    });
+});
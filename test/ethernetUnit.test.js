@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsEndCodeError } = require('../lib/FinsErrors');
+
+const UNIT = { DA2: 0x10 }; //Ethernet Unit number 0
+
+describe("Ethernet Unit commands", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator();
+        sim.server.setEthernetUnit(0, {
+            ipAddress: "192.168.250.10",
+            ipAddressTable: [{ node: 1, ipAddress: "192.168.250.1" }],
+            ipRouterTable: [{ network: "10.0.0.0", router: "192.168.250.254" }],
+            sockets: [{ protocol: "TCP", localAddress: "192.168.250.10", localPort: 9600, remoteAddress: "192.168.250.2", remotePort: 50000, state: "ESTABLISHED" }],
+            protocolStatus: { ip: { packetsReceived: 1000, checksumErrors: 2 }, tcp: { connectionsEstablished: 5 } },
+            memoryStatus: { shortBuffersInUse: 12, networkMemoryUsage: 40 },
+        });
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("is answered by the Ethernet Unit, not the CPU Unit", async function () {
+        const { err } = await callback(cb => sim.client.ipAddressRead(cb));
+        assert.ok(err instanceof FinsEndCodeError);
+        assert.strictEqual(err.endCode, "0401");
+        const msg = await sim.client.ipAddressReadAsync(UNIT);
+        assert.strictEqual(msg.response.ipAddress, "192.168.250.10");
+        assert.strictEqual(msg.response.subnetMask, "255.255.255.0");
+    });
+
+    it("reads & writes the IP address table", async function () {
+        let msg = await sim.client.ipAddressTableReadAsync(null, UNIT);
+        assert.deepStrictEqual(msg.response.records, [{ node: 1, ipAddress: "192.168.250.1" }]);
+        await sim.client.ipAddressTableWriteAsync([{ node: 2, ipAddress: "192.168.250.2" }], UNIT);
+        msg = await sim.client.ipAddressTableReadAsync(null, UNIT);
+        assert.deepStrictEqual(msg.response.records, [{ node: 2, ipAddress: "192.168.250.2" }]);
+    });
+
+    it("passes an invalid IP address table to the callback", async function () {
+        const { err } = await callback(cb => sim.client.ipAddressTableWrite([{ node: 1, ipAddress: "1.2.3" }], Object.assign({ callback: cb }, UNIT)));
+        assert.ok(err instanceof Error);
+    });
+
+    it("decodes the protocol status counters into named fields", async function () {
+        const msg = await sim.client.protocolStatusReadAsync(UNIT);
+        assert.strictEqual(msg.response.ip.packetsReceived, 1000);
+        assert.strictEqual(msg.response.ip.checksumErrors, 2);
+        assert.strictEqual(msg.response.tcp.connectionsEstablished, 5);
+        assert.strictEqual(msg.response.udp.checksumErrors, 0);
+    });
+
+    it("decodes the memory status into named fields", async function () {
+        const msg = await sim.client.memoryStatusReadAsync(UNIT);
+        assert.strictEqual(msg.response.shortBuffersInUse, 12);
+        assert.strictEqual(msg.response.networkMemoryUsage, 40);
+        assert.strictEqual(msg.response.counters.length, 23);
+    });
+
+    it("reads the sockets", async function () {
+        const msg = await sim.client.socketStatusReadAsync(UNIT);
+        assert.strictEqual(msg.response.sockets[0].protocol, "TCP");
+        assert.strictEqual(msg.response.sockets[0].state, "ESTABLISHED");
+        assert.strictEqual(msg.response.sockets[0].remotePort, 50000);
+    });
+
+    it("reads all the unit settings in one request", async function () {
+        const msg = await sim.client.readEthernetUnitSettingsAsync(UNIT);
+        assert.strictEqual(msg.response.node, 10);
+        assert.deepStrictEqual(msg.response.ipRouterTable, [{ network: "10.0.0.0", router: "192.168.250.254" }]);
+        assert.strictEqual(msg.response.ipAddressTable.length, 1);
+    });
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+
+describe("Forced set/reset commands", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator({}, { allowForcing: true });
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("forces bits and reads the forced status", async function () {
+        await sim.client.forcedSetResetAsync({ "CIO0.1": "set", "CIO0.2": "reset" });
+        assert.deepStrictEqual(sim.server.getForcedBits(), [{ address: "CIO0.1", state: "set" }, { address: "CIO0.2", state: "reset" }]);
+        const msg = await sim.client.forcedStatusReadAsync("CIO0", 2);
+        assert.deepStrictEqual(msg.response.forced, [{ address: "CIO0.1", state: "set" }, { address: "CIO0.2", state: "reset" }]);
+        assert.strictEqual(msg.response.words[0].forced, 0x0006);
+    });
+
+    it("inverts the present state of a bit", async function () {
+        sim.server.setValues("W10.3", [1]);
+        await sim.client.forcedSetResetAsync([{ address: "W10.3", operation: "invert" }]);
+        assert.deepStrictEqual(sim.server.getForcedBits(), [{ address: "W10.3", state: "reset" }]);
+    });
+
+    it("releases the forced status of all bits", async function () {
+        await sim.client.forcedSetResetAsync({ "CIO0.1": "set" });
+        await sim.client.forcedSetResetCancelAsync();
+        assert.deepStrictEqual(sim.server.getForcedBits(), []);
+        assert.deepStrictEqual(sim.server.getValues("CIO0.1"), [1]);
+    });
+
+    it("passes an invalid operation to the callback", async function () {
+        const { err } = await callback(cb => sim.client.forcedSetReset({ "D0.1": "set" }, cb));
+        assert.ok(err instanceof Error);
+    });
+
+    it("is disabled unless allowForcing is set", async function () {
+        await sim.client.forcedSetResetAsync({ "CIO0.1": "set" });
+        sim.client.allowForcing = false;
+        let result = await callback(cb => sim.client.forcedSetReset({ "CIO0.2": "set" }, cb));
+        assert.match(result.err.message, /allowForcing/);
+        result = await callback(cb => sim.client.forcedSetResetCancel(cb));
+        assert.match(result.err.message, /allowForcing/);
+        assert.deepStrictEqual(sim.server.getForcedBits(), [{ address: "CIO0.1", state: "set" }]);
+    });
+});
@@ -0,0 +1,50 @@
+const { FinsClient, FinsServer } = require('../lib');
+
+/**
+ * Start a FinsServer (the PLC simulator) on free ports and connect a FinsClient to it
+ * @param {object} [serverOptions] - FinsServer options e.g. `{ MODE: "CJ2" }`
+ * @param {object} [clientOptions] - FinsClient options e.g. `{ protocol: "tcp" }`
+ * @returns {Promise<{server: FinsServer, client: FinsClient}>} the simulator and the connected client
+ */
+function startSimulator(serverOptions, clientOptions) {
+    serverOptions = Object.assign({ udpPort: 0, tcpPort: 0, host: "127.0.0.1" }, serverOptions);
+    clientOptions = Object.assign({ timeout: 1000 }, clientOptions);
+    if (serverOptions.MODE && !clientOptions.MODE) {
+        clientOptions.MODE = serverOptions.MODE;
+    }
+    const server = new FinsServer(serverOptions);
+    return new Promise(function (resolve, reject) {
+        server.listen(function () {
+            const port = clientOptions.protocol === "tcp" ? server.tcpPort : server.udpPort;
+            const client = new FinsClient(port, "127.0.0.1", clientOptions);
+            client.once('open', () => resolve({ server, client }));
+            client.once('error', reject);
+        });
+    });
+}
+
+/**
+ * Disconnect the client and stop the simulator
+ * @param {{server: FinsServer, client: FinsClient}} sim - the result of `startSimulator`
+ * @returns {Promise<void>}
+ */
+function stopSimulator(sim) {
+    if (!sim) {
+        return Promise.resolve();
+    }
+    sim.client.disconnect();
+    return new Promise(resolve => sim.server.close(resolve));
+}
+
+/**
+ * Call a callback style client command and resolve with `{err, msg}`
+ */
+function callback(fn) {
+    return new Promise(resolve => fn((err, msg) => resolve({ err, msg })));
+}
+
+module.exports = {
+    startSimulator,
+    stopSimulator,
+    callback,
+};
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+
+describe("Message commands", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator();
+        sim.server.setMessage(0, "TANK 1 HIGH");
+        sim.server.setMessage(3, "DOOR OPEN");
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("reads all messages", async function () {
+        const msg = await sim.client.messageReadAsync();
+        assert.strictEqual(msg.response.messages.length, 8);
+        assert.deepStrictEqual(msg.response.messages[0], { number: 0, message: "TANK 1 HIGH" });
+        assert.deepStrictEqual(msg.response.messages[1], { number: 1, message: "" });
+    });
+
+    it("reads selected messages", async function () {
+        let msg = await sim.client.messageReadAsync([3]);
+        assert.deepStrictEqual(msg.response.messages, [{ number: 3, message: "DOOR OPEN" }]);
+        msg = await sim.client.messageReadAsync(0x09);
+        assert.deepStrictEqual(msg.response.messages.map(m => m.number), [0, 3]);
+    });
+
+    it("clears messages and reports the messages present in the status", async function () {
+        let status = await sim.client.statusAsync();
+        assert.deepStrictEqual(status.response.result.messages, [0, 3]);
+        await sim.client.messageClearAsync([0]);
+        status = await sim.client.statusAsync();
+        assert.deepStrictEqual(status.response.result.messages, [3]);
+    });
+
+    it("reads a FAL message by number or error code", async function () {
+        sim.server.setErrorMessage(0x4105, "PUMP FAULT");
+        let msg = await sim.client.falMessageReadAsync(5);
+        assert.strictEqual(msg.response.falNumber, 5);
+        assert.strictEqual(msg.response.message, "PUMP FAULT");
+        msg = await sim.client.falMessageReadAsync("4105");
+        assert.strictEqual(msg.response.message, "PUMP FAULT");
+    });
+
+    it("passes invalid message & FAL numbers to the callback", async function () {
+        let result = await callback(cb => sim.client.messageRead([8], cb));
+        assert.ok(result.err instanceof Error);
+        result = await callback(cb => sim.client.falMessageRead(512, cb));
+        assert.ok(result.err instanceof Error);
+    });
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+
+describe("Name & connection data commands", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator();
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("sets, reads & deletes the node name", async function () {
+        await sim.client.nameSetAsync("LINE1");
+        let msg = await sim.client.nameReadAsync();
+        assert.strictEqual(msg.response.name, "LINE1");
+        await sim.client.nameDeleteAsync();
+        msg = await sim.client.nameReadAsync();
+        assert.strictEqual(msg.response.name, "");
+    });
+
+    it("passes a name longer than 8 characters to the callback", async function () {
+        const { err } = await callback(cb => sim.client.nameSet("TOO_LONG_NAME", cb));
+        assert.ok(err instanceof Error);
+    });
+
+    it("reads the units fitted to the PLC", async function () {
+        sim.server.setUnit(0x10, "CJ1W-ETN21");
+        sim.server.setUnit(0x21, "CJ1W-AD081");
+        const msg = await sim.client.connectionDataReadAsync();
+        assert.deepStrictEqual(msg.response.units.slice(1), [
+            { unitAddress: 0x10, unitType: "CPU_BUS", unitNumber: 0, model: "CJ1W-ETN21" },
+            { unitAddress: 0x21, unitType: "SPECIAL_IO", unitNumber: 1, model: "CJ1W-AD081" },
+        ]);
+        assert.strictEqual(msg.response.units[0].unitType, "CPU");
+    });
+
+    it("reads the units in several commands", async function () {
+        for (let unit = 0; unit < 30; unit++) {
+            sim.server.setUnit(0x20 + unit, "CJ1W-AD081");
+        }
+        let msg = await sim.client.connectionDataReadAsync();
+        assert.strictEqual(msg.response.units.length, 31);
+        assert.ok(msg.chunks.length > 1);
+        msg = await sim.client.connectionDataReadAsync(0x20, 3);
+        assert.deepStrictEqual(msg.response.units.map(unit => unit.unitAddress), [0x20, 0x21, 0x22]);
+    });
+});
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+
+describe("Network test commands", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator({}, { timeout: 200 });
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("echoes test data", async function () {
+        const msg = await sim.client.echoTestAsync("HELLO");
+        assert.ok(msg.response.roundTripMS >= 0);
+        await sim.client.echoTestAsync(1998);
+    });
+
+    it("reports where the echoed data differs", async function () {
+        sim.server.commandHandlers["0801"] = (server, params) => {
+            const data = Buffer.from(params);
+            data[5] ^= 0xff;
+            return { data };
+        };
+        const { err } = await callback(cb => sim.client.echoTest(32, cb));
+        assert.strictEqual(err.mismatchAt, 5);
+    });
+
+    it("passes test data that is too long to the callback", async function () {
+        const { err } = await callback(cb => sim.client.echoTest(1999, cb));
+        assert.ok(err instanceof Error);
+    });
+
+    it("reports the loss & latency of each destination", async function () {
+        const processFrame = sim.server.processFrame.bind(sim.server);
+        let echoes = 0;
+        sim.server.processFrame = function (frame) {
+            const reply = processFrame(frame);
+            return frame.slice(10, 12).toString("hex") === "0801" && ++echoes === 2 ? null : reply; //lose the 2nd echo
+        };
+        const msg = await sim.client.pingAsync(4, 16);
+        const [result] = msg.response.destinations;
+        assert.strictEqual(result.sent, 4);
+        assert.strictEqual(result.received, 3);
+        assert.strictEqual(result.lossPercent, 25);
+        assert.strictEqual(result.errors.timeout, 1);
+        assert.strictEqual(result.times.length, 3);
+    });
+
+    it("returns the SID of the first echo test from ping", async function () {
+        let sid;
+        const { err, msg } = await callback(cb => sid = sim.client.ping(2, 8, cb));
+        assert.strictEqual(err, null);
+        assert.strictEqual(typeof sid, "number");
+        assert.strictEqual(msg.sid, sid);
+        const result = await callback(cb => sid = sim.client.ping(0, 8, cb));
+        assert.strictEqual(sid, null);
+        assert.ok(result.err instanceof Error);
+    });
+
+    it("sends broadcast test data and reads the results", async function () {
+        await sim.client.broadcastTestDataSendAsync(100);
+        await sim.client.broadcastTestDataSendAsync(100);
+        let msg = await sim.client.broadcastTestResultsReadAsync();
+        assert.strictEqual(msg.response.receptions, 2);
+        msg = await sim.client.broadcastTestResultsReadAsync();
+        assert.strictEqual(msg.response.receptions, 0);
+    });
+});
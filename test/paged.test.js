@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+
+describe("Paged commands", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator({}, { frameLimits: { readWords: 100, writeWords: 100 } });
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("reads a parameter area to the last word", async function () {
+        const msg = await sim.client.parameterAreaReadAsync("PLC_SETUP", 0, null);
+        assert.ok(msg.chunks.length > 1);
+        assert.strictEqual(msg.response.lastWord, true);
+        assert.strictEqual(msg.response.values.length, msg.response.count);
+    });
+
+    it("reads the program area until the PLC reports the end of the program", async function () {
+        const program = Buffer.from(Array.from({ length: 1000 }, (_, index) => index & 0xff));
+        sim.server.setProgram(program);
+        const msg = await sim.client.programAreaReadAsync(0, null);
+        assert.ok(msg.chunks.length > 1);
+        assert.strictEqual(msg.response.last, true);
+        assert.deepStrictEqual(msg.response.buffer.slice(0, program.length), program);
+    });
+
+    it("passes an error thrown while combining the responses to the callback", async function () {
+        const plan = sim.client.planReads(["D0", "D1"]);
+        plan.commands[0].items[1].start += 1000; //outside the data read
+        const { err } = await callback(cb => sim.client.readPlanned(plan, cb));
+        assert.ok(err instanceof RangeError);
+    });
+});
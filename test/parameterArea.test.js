@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsEndCodeError } = require('../lib/FinsErrors');
+
+describe("Parameter area commands", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator({}, { frameLimits: { readWords: 100, writeWords: 100 } });
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("writes & reads back the PLC setup in several commands", async function () {
+        const words = Array.from({ length: 250 }, (_, index) => index + 1);
+        const write = await sim.client.parameterAreaWriteAsync("PLC_SETUP", 10, words);
+        assert.strictEqual(write.chunks.length, 3);
+        const msg = await sim.client.parameterAreaReadAsync(0x8010, 10, words.length);
+        assert.deepStrictEqual(msg.response.values, words);
+        assert.strictEqual(msg.response.beginWord, 10);
+    });
+
+    it("clears a parameter area", async function () {
+        await sim.client.parameterAreaWriteAsync("PLC_SETUP", 0, [1, 2, 3]);
+        await sim.client.parameterAreaClearAsync("PLC_SETUP", 512);
+        const msg = await sim.client.parameterAreaReadAsync("PLC_SETUP", 0, 3);
+        assert.deepStrictEqual(msg.response.values, [0, 0, 0]);
+    });
+
+    it("fails to write while the PLC is running", async function () {
+        sim.server.setMode("RUN");
+        const { err } = await callback(cb => sim.client.parameterAreaWrite("PLC_SETUP", 0, [1], cb));
+        assert.ok(err instanceof FinsEndCodeError);
+        assert.strictEqual(err.endCode, "2202");
+    });
+
+    it("fails to write while another node holds the access right", async function () {
+        sim.server.setAccessRight({ network: 1, node: 99, unit: 0 });
+        const { err } = await callback(cb => sim.client.parameterAreaClear("PLC_SETUP", 512, cb));
+        assert.ok(err instanceof FinsEndCodeError);
+        assert.strictEqual(err.endCode, "3001");
+    });
+
+    it("passes invalid parameters to the callback", async function () {
+        let result = await callback(cb => sim.client.parameterAreaRead("NOT_AN_AREA", 0, 1, cb));
+        assert.ok(result.err instanceof Error);
+        result = await callback(cb => sim.client.parameterAreaWrite("PLC_SETUP", 0, [], cb));
+        assert.ok(result.err instanceof Error);
+        result = await callback(cb => sim.client.parameterAreaClear("PLC_SETUP", 0, cb));
+        assert.ok(result.err instanceof Error);
+    });
+});
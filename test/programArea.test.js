@@ -0,0 +1,93 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { encodeProgramFile, decodeProgramFile } = require('../lib/FinsProgramFile');
+const { FinsError } = require('../lib/FinsErrors');
+
+describe("Program area commands", function () {
+    let sim;
+    let folder;
+    const program = Buffer.from(Array.from({ length: 3000 }, (_, index) => (index * 7) & 0xff));
+    beforeEach(async function () {
+        sim = await startSimulator({}, { frameLimits: { readWords: 200, writeWords: 200 } });
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), "fins-test-"));
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    it("writes the program in several commands and reads it back", async function () {
+        const write = await sim.client.programAreaWriteAsync(0, program);
+        assert.ok(write.chunks.length > 1);
+        assert.deepStrictEqual(sim.server.getProgram(), program);
+        const msg = await sim.client.programAreaReadAsync(0, 100);
+        assert.deepStrictEqual(msg.response.buffer, program.slice(0, 100));
+    });
+
+    it("clears the program", async function () {
+        sim.server.setProgram(program);
+        await sim.client.programAreaClearAsync();
+        assert.strictEqual(sim.server.getProgram().length, 0);
+    });
+
+    it("backs up & restores the program", async function () {
+        const filename = path.join(folder, "backup.fprg");
+        sim.server.setProgram(program);
+        const backup = await sim.client.backupProgramAsync(filename);
+        assert.strictEqual(backup.response.length, program.length);
+        assert.deepStrictEqual(decodeProgramFile(fs.readFileSync(filename)).data, program);
+        sim.server.setProgram(Buffer.alloc(0));
+        await sim.client.restoreProgramAsync(filename);
+        assert.deepStrictEqual(sim.server.getProgram(), program);
+    });
+
+    it("does not restore the program while the PLC is running", async function () {
+        const filename = path.join(folder, "backup.fprg");
+        fs.writeFileSync(filename, encodeProgramFile({ model: sim.server.model, data: program }));
+        sim.server.setMode("RUN");
+        const { err } = await callback(cb => sim.client.restoreProgram(filename, cb));
+        assert.ok(err instanceof FinsError);
+        assert.strictEqual(sim.server.getProgram().length, 0);
+    });
+
+    it("does not restore a backup for another model unless checkModel is false", async function () {
+        const filename = path.join(folder, "backup.fprg");
+        fs.writeFileSync(filename, encodeProgramFile({ model: "OTHER-MODEL", data: program }));
+        const { err } = await callback(cb => sim.client.restoreProgram(filename, cb));
+        assert.ok(err instanceof FinsError);
+        await sim.client.restoreProgramAsync(filename, { checkModel: false });
+        assert.deepStrictEqual(sim.server.getProgram(), program);
+    });
+
+    it("returns the SID of the first command or null from restoreProgram", async function () {
+        const filename = path.join(folder, "backup.fprg");
+        fs.writeFileSync(filename, encodeProgramFile({ model: sim.server.model, data: program }));
+        let sid;
+        const { err, msg } = await callback(cb => sid = sim.client.restoreProgram(filename, cb));
+        assert.strictEqual(err, null);
+        assert.strictEqual(typeof sid, "number");
+        assert.strictEqual(msg.chunks[0].sid, sid);
+
+        let result = await callback(cb => sid = sim.client.restoreProgram("", cb));
+        assert.strictEqual(sid, null);
+        assert.ok(result.err instanceof FinsError);
+        result = await callback(cb => sid = sim.client.restoreProgram(path.join(folder, "missing.fprg"), cb));
+        assert.strictEqual(sid, null);
+        assert.ok(/restore failed/.test(result.err.message));
+        fs.writeFileSync(filename, "not a backup");
+        result = await callback(cb => sid = sim.client.restoreProgram(filename, cb));
+        assert.strictEqual(sid, null);
+        assert.ok(result.err instanceof FinsError);
+    });
+
+    it("rejects a corrupted backup file", function () {
+        const file = encodeProgramFile({ model: "CJ2M-CPU31", data: program });
+        file[file.length - 1] ^= 0xff;
+        assert.throws(() => decodeProgramFile(file), /checksum/);
+        assert.throws(() => decodeProgramFile(file.slice(0, 100)), /truncated/);
+        assert.throws(() => decodeProgramFile(Buffer.from("not a backup")), FinsError);
+    });
+});
@@ -0,0 +1,121 @@
+const assert = require('assert');
+const { FinsClient, FinsServer } = require('../lib');
+const { startSimulator, stopSimulator } = require('./helpers');
+const { FinsTransportError } = require('../lib/FinsErrors');
+
+function closeServer(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+function startServer(tcpPort) {
+    const server = new FinsServer({ udpPort: null, tcpPort: tcpPort, host: "127.0.0.1" });
+    return new Promise(resolve => server.listen(() => resolve(server)));
+}
+
+/**
+ * Get a free TCP port with nothing listening on it
+ */
+async function freePort() {
+    const server = await startServer(0);
+    const port = server.tcpPort;
+    await closeServer(server);
+    return port;
+}
+
+/**
+ * Collect the `reconnecting` infos until `reconnectFailed` is emitted
+ */
+function collectAttempts(client) {
+    const attempts = [];
+    client.on('reconnecting', info => attempts.push(info));
+    return new Promise(resolve => client.once('reconnectFailed', info => resolve({ attempts, info })));
+}
+
+describe("Automatic reconnection", function () {
+    let sim;
+    let client;
+    afterEach(async function () {
+        client && client.disconnect();
+        client = null;
+        await stopSimulator(sim);
+        sim = null;
+    });
+
+    it("backs off exponentially and gives up after maxAttempts", async function () {
+        const port = await freePort();
+        client = new FinsClient(port, "127.0.0.1", { protocol: "tcp", timeout: 500, reconnect: { initialDelay: 10, factor: 2, maxDelay: 30, jitter: 0, maxAttempts: 4 } });
+        const { attempts, info } = await collectAttempts(client);
+        assert.deepStrictEqual(attempts.map(a => a.attempt), [1, 2, 3, 4]);
+        assert.deepStrictEqual(attempts.map(a => a.delay), [10, 20, 30, 30]);
+        assert.strictEqual(info.attempts, 4);
+        assert.ok(info.error instanceof FinsTransportError);
+        assert.strictEqual(client.state, "closed");
+    });
+
+    it("randomises the delay by +/- the jitter", async function () {
+        const port = await freePort();
+        client = new FinsClient(port, "127.0.0.1", { protocol: "tcp", timeout: 500, reconnect: { initialDelay: 20, factor: 1, jitter: 0.5, maxAttempts: 5 } });
+        const { attempts } = await collectAttempts(client);
+        assert.strictEqual(attempts.length, 5);
+        attempts.forEach(a => assert.ok(a.delay >= 10 && a.delay <= 30, `delay ${a.delay} out of range`));
+    });
+
+    it("reports failed attempts via the state info without emitting 'error'", async function () {
+        const port = await freePort();
+        client = new FinsClient(port, "127.0.0.1", { protocol: "tcp", timeout: 500, reconnect: { initialDelay: 10, jitter: 0, maxAttempts: 2 } });
+        assert.strictEqual(client.listenerCount('error'), 0); //an 'error' would throw
+        const { attempts } = await collectAttempts(client);
+        attempts.forEach(a => {
+            assert.ok(a.error instanceof FinsTransportError);
+            assert.ok(a.error.cause);
+        });
+    });
+
+    it("tracks the connection state through a lost & restored connection", async function () {
+        sim = await startSimulator({ udpPort: null }, { protocol: "tcp", reconnect: { initialDelay: 20, jitter: 0 } });
+        const port = sim.server.tcpPort;
+        const states = [];
+        sim.client.on('state', (state, previous) => states.push(`${previous}>${state}`));
+        assert.strictEqual(sim.client.state, "connected");
+
+        const reconnecting = new Promise(resolve => sim.client.once('reconnecting', resolve));
+        await closeServer(sim.server);
+        const info = await reconnecting;
+        assert.strictEqual(info.attempt, 1);
+        assert.strictEqual(sim.client.state, "reconnecting");
+
+        const opened = new Promise(resolve => sim.client.once('open', resolve));
+        sim.server = await startServer(port);
+        await opened;
+        assert.strictEqual(sim.client.state, "connected");
+        assert.strictEqual(sim.client.reconnectAttempts, 0);
+        assert.strictEqual(states[0], "connected>reconnecting");
+        assert.deepStrictEqual(states.slice(-2), ["connecting>handshaking", "handshaking>connected"]);
+    });
+
+    it("fails pending commands when the connection is lost", async function () {
+        sim = await startSimulator({ udpPort: null }, { protocol: "tcp", timeout: 2000, reconnect: { initialDelay: 1000 } });
+        sim.server.processFrame = () => null; //never reply
+        const pending = sim.client.readAsync("D0", 1);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await closeServer(sim.server);
+        await assert.rejects(pending, err => err instanceof FinsTransportError && /connection lost/.test(err.message));
+    });
+
+    it("repeats the FINS/TCP handshake after reconnecting to a restarted server", async function () {
+        sim = await startSimulator({ udpPort: null }, { protocol: "tcp", reconnect: { initialDelay: 20, jitter: 0 } });
+        const port = sim.server.tcpPort;
+        await closeServer(sim.server);
+
+        const server = await startServer(port);
+        server.setValues("D100", [1234]);
+        const handshake = new Promise(resolve => server.once('connection', resolve));
+        const opened = new Promise(resolve => sim.client.once('open', resolve));
+        sim.server = server;
+        const connection = await handshake;
+        await opened;
+        assert.strictEqual(sim.client.client_node_no, connection.node & 0xff);
+        const msg = await sim.client.readAsync("D100", 1);
+        assert.deepStrictEqual(msg.response.values, [1234]);
+    });
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator, callback } = require('./helpers');
+const { FinsEndCodeError, FinsTimeoutError } = require('../lib/FinsErrors');
+
+describe("Operating mode changes", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator({}, { endCodeAsError: false });
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("changes to RUN, MONITOR & PROGRAM mode", async function () {
+        await sim.client.setModeAsync("RUN");
+        assert.strictEqual(sim.server.getMode(), "RUN");
+        await sim.client.setModeAsync("monitor");
+        assert.strictEqual(sim.server.getMode(), "MONITOR");
+        await sim.client.setModeAsync("PROGRAM");
+        assert.strictEqual(sim.server.getMode(), "PROGRAM");
+    });
+
+    it("verifies the mode change", async function () {
+        const msg = await sim.client.setModeAsync("RUN", { verify: true });
+        assert.strictEqual(msg.response.verified, true);
+        assert.strictEqual(msg.response.status.mode, "RUN");
+    });
+
+    it("fails when the PLC rejects the change even if endCodeAsError is false", async function () {
+        sim.server.setFatalError("MEMORY_ERROR");
+        const { err } = await callback(cb => sim.client.setMode("RUN", cb));
+        assert.ok(err instanceof FinsEndCodeError);
+        assert.strictEqual(err.endCode, "2502");
+        assert.strictEqual(sim.server.getMode(), "PROGRAM");
+    });
+
+    it("reports the current mode for the not executable in current mode end codes", async function () {
+        sim.server.commandHandlers["0401"] = () => ({ endCode: 0x2206 });
+        const { err } = await callback(cb => sim.client.setMode("MONITOR", cb));
+        assert.strictEqual(err.currentMode, "RUN");
+        assert.strictEqual(err.requestedMode, "MONITOR");
+    });
+
+    it("fails when the PLC does not report the requested mode within verifyTimeout", async function () {
+        sim.server.commandHandlers["0401"] = () => ({}); //accepted but the mode does not change
+        const { err } = await callback(cb => sim.client.setMode("RUN", { verify: true, verifyTimeout: 50, verifyInterval: 10, callback: cb }));
+        assert.ok(err instanceof FinsTimeoutError);
+        assert.strictEqual(err.mode, "PROGRAM");
+    });
+
+    it("passes an invalid mode to the callback", async function () {
+        const { err } = await callback(cb => sim.client.setMode("DEBUG", cb));
+        assert.ok(err instanceof Error);
+    });
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator } = require('./helpers');
+
+describe("Controller status", function () {
+    let sim;
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    it("decodes the status & mode", async function () {
+        sim = await startSimulator();
+        sim.server.setMode("RUN");
+        const { result } = (await sim.client.statusAsync()).response;
+        assert.strictEqual(result.status, "RUN");
+        assert.strictEqual(result.mode, "RUN");
+        assert.strictEqual(result.fatalErrors, null);
+        assert.strictEqual(result.nonFatalErrors, null);
+    });
+
+    it("does not run while a fatal error is present", async function () {
+        sim = await startSimulator();
+        sim.server.setMode("RUN");
+        sim.server.setFatalError("MEMORY_ERROR");
+        const { result } = (await sim.client.statusAsync()).response;
+        assert.strictEqual(result.status, "STOP");
+        assert.deepStrictEqual(result.fatalErrors, { MEMORY_ERROR: true });
+    });
+
+    it("decodes a FALS error & message for CJ", async function () {
+        sim = await startSimulator({ MODE: "CJ2" });
+        sim.server.setFatalError("FALS_ERROR");
+        sim.server.setErrorMessage(0xC101, "E-STOP");
+        const { result } = (await sim.client.statusAsync()).response;
+        assert.deepStrictEqual(result.fatalErrors, { FALS_ERROR: true });
+        assert.strictEqual(result.plcErrCode, 0xC101);
+        assert.strictEqual(result.falsErrorCode, 0xC101);
+        assert.strictEqual(result.plcMessage.trim(), "E-STOP");
+    });
+
+    it("reports a FAL error code without a FALS error code", async function () {
+        sim = await startSimulator({ MODE: "CJ2" });
+        sim.server.setNonFatalError("FAL_ERROR");
+        sim.server.setErrorMessage(0x4101, "LOW PRESSURE");
+        const { result } = (await sim.client.statusAsync()).response;
+        assert.deepStrictEqual(result.nonFatalErrors, { FAL_ERROR: true });
+        assert.strictEqual(result.plcErrCode, 0x4101);
+        assert.strictEqual(result.falsErrorCode, null);
+    });
+
+    it("decodes the NJ/NX Controller errors", async function () {
+        sim = await startSimulator({ MODE: "NJ" });
+        sim.server.setFatalError("MAJOR_FAULT");
+        sim.server.setNonFatalError("MINOR_FAULT");
+        const { result } = (await sim.client.statusAsync()).response;
+        assert.deepStrictEqual(result.fatalErrors, { MAJOR_FAULT: true });
+        assert.deepStrictEqual(result.nonFatalErrors, { MINOR_FAULT: true });
+        assert.strictEqual(result.plcType, "NJ");
+    });
+
+    it("reports bits that are not defined for the PLC type as BIT_n", async function () {
+        sim = await startSimulator({ MODE: "CS" }, { MODE: "NJ" });
+        sim.server.setFatalError("MEMORY_ERROR");
+        const { result } = (await sim.client.statusAsync()).response;
+        assert.deepStrictEqual(result.fatalErrors, { BIT_15: true });
+    });
+});
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { startSimulator, stopSimulator } = require('./helpers');
+
+describe("Typed reads & writes", function () {
+    let sim;
+    beforeEach(async function () {
+        sim = await startSimulator();
+    });
+    afterEach(async function () {
+        await stopSimulator(sim);
+    });
+
+    const cases = [
+        { type: "REAL", values: [1.5, -2.25], words: [0x0000, 0x3fc0, 0x0000, 0xc010] },
+        { type: "DINT", values: [-2, 70000], words: [0xfffe, 0xffff, 0x1170, 0x0001] },
+        { type: "UDINT", values: [4000000000], words: [0x2800, 0xee6b] },
+        { type: "UINT", values: [65535], words: [0xffff] },
+        { type: "BCD16", values: [1234], words: [0x1234] },
+        { type: "LINT", values: [-5n], words: [0xfffb, 0xffff, 0xffff, 0xffff] },
+    ];
+    cases.forEach(function ({ type, values, words }) {
+        it(`writes & reads ${type} values`, async function () {
+            await sim.client.writeAsync(`D100:${type}`, values);
+            assert.deepStrictEqual(sim.server.getValues("D100", words.length).map(word => word & 0xffff), words);
+            const msg = await sim.client.readAsync(`D100:${type}`, values.length);
+            assert.deepStrictEqual(msg.response.values, values);
+        });
+    });
+
+    it("swaps words when wordSwap is set", async function () {
+        await sim.client.writeAsync("D0", [1.5], { type: "REAL", wordSwap: true });
+        assert.deepStrictEqual(sim.server.getValues("D0", 2).map(word => word & 0xffff), [0x3fc0, 0x0000]);
+    });
+
+    it("writes & reads a STRING", async function () {
+        await sim.client.writeAsync("D200", "HELLO", { type: "STRING(10)" });
+        const msg = await sim.client.readAsync("D200:STRING(10)", 1);
+        assert.deepStrictEqual(msg.response.values, ["HELLO"]);
+    });
+
+    it("reads typed addresses with readMultiple", async function () {
+        await sim.client.writeAsync("D0:REAL", [2.5]);
+        sim.server.setValues("D10", [7]);
+        const msg = await sim.client.readMultipleAsync("D0:REAL,D10");
+        assert.deepStrictEqual(msg.response.values, [2.5, 7]);
+    });
+});